@@ -0,0 +1,260 @@
+/**
+ * Benchmark: Analytics Aggregation
+ * 
+ * Compares the analytics endpoints and budget spend, read from the hourly
+ * usage rollup (migrations 025 and 026), with the previous approach of
+ * fetching every usage row into Node, on a synthetic dataset, and checks
+ * that both return the same totals.
+ * 
+ * Usage:
+ *   node scripts/benchmarkAnalytics.js --org <organizationId> --seed 1000000
+ *   node scripts/benchmarkAnalytics.js --org <organizationId>
+ *   node scripts/benchmarkAnalytics.js --org <organizationId> --cleanup
+ * 
+ * --seed N inserts N synthetic usage rows (request_id "bench-...") spread over
+ * the last 90 days across the organization's proxy keys, then benchmarks.
+ * --cleanup deletes them. Use a test organization: seeded spend shows up in
+ * its dashboards and budgets until cleaned up.
+ */
+
+require('dotenv').config();
+const { supabaseAdmin } = require('../src/config/supabase');
+const analyticsService = require('../src/services/analyticsService');
+const budgetService = require('../src/services/budgetService');
+
+const INSERT_BATCH_SIZE = 1000;
+const PAGE_SIZE = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MODELS = [
+    { model: 'gpt-4o', provider: 'openai', cost: 0.01 },
+    { model: 'gpt-4o-mini', provider: 'openai', cost: 0.0006 },
+    { model: 'claude-3-5-sonnet-20241022', provider: 'anthropic', cost: 0.012 },
+    { model: 'gemini-1.5-flash', provider: 'google', cost: 0.0004 }
+];
+const STATUSES = ['success', 'success', 'success', 'success', 'cache_hit', 'error'];
+
+function parseArgs(argv) {
+    const args = { org: null, seed: 0, cleanup: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--org') args.org = argv[++i];
+        else if (argv[i] === '--seed') args.seed = parseInt(argv[++i], 10) || 0;
+        else if (argv[i] === '--cleanup') args.cleanup = true;
+    }
+    return args;
+}
+
+async function seed(organizationId, count) {
+    const { data: keys, error } = await supabaseAdmin
+        .from('proxy_keys')
+        .select('id, project_id')
+        .eq('organization_id', organizationId);
+
+    if (error) throw new Error(`Failed to fetch proxy keys: ${error.message}`);
+    if (!keys || keys.length === 0) {
+        throw new Error('The organization needs at least one proxy key to seed usage');
+    }
+
+    const now = Date.now();
+    const runId = now.toString(36);
+
+    for (let inserted = 0; inserted < count; inserted += INSERT_BATCH_SIZE) {
+        const rows = [];
+        for (let i = inserted; i < Math.min(count, inserted + INSERT_BATCH_SIZE); i++) {
+            const key = keys[i % keys.length];
+            const price = MODELS[i % MODELS.length];
+            const status = STATUSES[i % STATUSES.length];
+            const prompt = 200 + (i % 1800);
+            const completion = 50 + (i % 700);
+            const cost = status === 'error' ? 0 : Math.round(price.cost * (prompt + completion) / 1000 * 1000000) / 1000000;
+
+            rows.push({
+                request_id: `bench-${runId}-${i}`,
+                organization_id: organizationId,
+                project_id: key.project_id,
+                proxy_key_id: key.id,
+                model: price.model,
+                provider: price.provider,
+                tokens_prompt: prompt,
+                tokens_completion: completion,
+                cost_usd: status === 'cache_hit' ? 0 : cost,
+                savings_usd: status === 'cache_hit' ? cost : 0,
+                list_cost_usd: status === 'success' ? Math.round(cost * 1.1 * 1000000) / 1000000 : null,
+                status,
+                created_at: new Date(now - Math.random() * 90 * DAY_MS).toISOString()
+            });
+        }
+
+        const { error: insertError } = await supabaseAdmin.from('usage_logs').insert(rows);
+        if (insertError) throw new Error(`Failed to insert usage rows: ${insertError.message}`);
+
+        if ((inserted / INSERT_BATCH_SIZE) % 50 === 0) {
+            console.log(`  seeded ${inserted + rows.length}/${count}`);
+        }
+    }
+}
+
+async function cleanup(organizationId) {
+    const { error, count } = await supabaseAdmin
+        .from('usage_logs')
+        .delete({ count: 'exact' })
+        .eq('organization_id', organizationId)
+        .like('request_id', 'bench-%');
+
+    if (error) throw new Error(`Failed to delete synthetic rows: ${error.message}`);
+    console.log(`Deleted ${count} synthetic usage rows`);
+}
+
+// Previous approach: every matching row is read into Node and reduced there
+async function fetchRows(organizationId, columns, { since = null, statuses = null } = {}) {
+    const rows = [];
+    let offset = 0;
+
+    for (;;) {
+        let query = supabaseAdmin
+            .from('usage_logs')
+            .select(columns)
+            .eq('organization_id', organizationId)
+            .order('id', { ascending: true })
+            .range(offset, offset + PAGE_SIZE - 1);
+
+        if (since) query = query.gte('created_at', since);
+        if (statuses) query = query.in('status', statuses);
+
+        const { data, error } = await query;
+        if (error) throw error;
+
+        rows.push(...data);
+        if (data.length < PAGE_SIZE) break;
+        offset += PAGE_SIZE;
+    }
+
+    return rows;
+}
+
+const sumCost = (rows) => rows.reduce((acc, row) => acc + parseFloat(row.cost_usd || 0), 0);
+
+const LEGACY = {
+    async getSpendSummary(organizationId) {
+        const now = new Date();
+        const startOfMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString();
+        const [mtd, last7, last30] = await Promise.all([
+            fetchRows(organizationId, 'cost_usd, created_at', { since: startOfMonth }),
+            fetchRows(organizationId, 'cost_usd, created_at', { since: new Date(now.getTime() - 7 * DAY_MS).toISOString() }),
+            fetchRows(organizationId, 'cost_usd, created_at', { since: new Date(now.getTime() - 30 * DAY_MS).toISOString() })
+        ]);
+        return { rows: mtd.length + last7.length + last30.length, total: sumCost(last30) };
+    },
+
+    async getSpendByProject(organizationId) {
+        const rows = await fetchRows(organizationId, 'cost_usd, created_at, project_id', { statuses: analyticsService.getBillableStatuses() });
+        return { rows: rows.length, total: sumCost(rows) };
+    },
+
+    async getSpendByModel(organizationId) {
+        const rows = await fetchRows(organizationId, 'model, provider, cost_usd, created_at', { statuses: analyticsService.getBillableStatuses() });
+        return { rows: rows.length, total: sumCost(rows) };
+    },
+
+    async getDailySpend(organizationId) {
+        const rows = await fetchRows(organizationId, 'cost_usd, created_at', { since: new Date(Date.now() - 30 * DAY_MS).toISOString() });
+        return { rows: rows.length, total: sumCost(rows) };
+    },
+
+    // Ran twice per proxied request (organization and project budget)
+    async calculateMTDSpend(organizationId) {
+        const now = new Date();
+        const startOfMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString();
+        const rows = await fetchRows(organizationId, 'cost_usd, created_at', { since: startOfMonth });
+        return { rows: rows.length, total: sumCost(rows) };
+    }
+};
+
+const CURRENT = {
+    getSpendSummary: (organizationId) => analyticsService.getSpendSummary(organizationId),
+    getSpendByProject: (organizationId) => analyticsService.getSpendByProject(organizationId),
+    getSpendByModel: (organizationId) => analyticsService.getSpendByModel(organizationId),
+    getDailySpend: (organizationId) => analyticsService.getDailySpend(organizationId),
+    calculateMTDSpend: (organizationId) => budgetService.calculateMTDSpend(organizationId, null, 'USD')
+};
+
+// Comparable USD total of each result (null = not comparable)
+const TOTALS = {
+    getSpendSummary: (result) => result.last_30_days,
+    getSpendByProject: (result) => result.reduce((acc, item) => acc + item.total_spend, 0),
+    getSpendByModel: (result) => result.reduce((acc, item) => acc + item.total_spend, 0),
+    // The daily series starts at the UTC day 29 days ago, not 30 x 24h ago
+    getDailySpend: null,
+    calculateMTDSpend: (result) => result
+};
+
+// Results in the reporting currency
+const REPORTING_CURRENCY = ['getSpendSummary', 'getSpendByProject', 'getSpendByModel', 'getDailySpend'];
+
+async function time(fn) {
+    const heapBefore = process.memoryUsage().heapUsed;
+    const started = process.hrtime.bigint();
+    const result = await fn();
+    const ms = Number(process.hrtime.bigint() - started) / 1e6;
+    const heapMb = (process.memoryUsage().heapUsed - heapBefore) / 1024 / 1024;
+    return { result, ms, heapMb };
+}
+
+async function benchmark(organizationId) {
+    const { currency } = await analyticsService.getReportingConverter(organizationId);
+    if (currency !== 'USD') {
+        console.log(`Reporting currency is ${currency}: totals can only be compared for USD organizations.\n`);
+    }
+
+    console.log('Method'.padEnd(20), 'Rows read'.padStart(10), 'Legacy ms'.padStart(10), 'SQL ms'.padStart(10), 'Legacy heap MB'.padStart(15), 'Match'.padStart(7));
+
+    for (const method of Object.keys(LEGACY)) {
+        const legacy = await time(() => LEGACY[method](organizationId));
+        if (global.gc) global.gc();
+        const current = await time(() => CURRENT[method](organizationId));
+
+        let match = 'n/a';
+        if (TOTALS[method] && (currency === 'USD' || !REPORTING_CURRENCY.includes(method))) {
+            match = Math.abs(TOTALS[method](current.result) - legacy.result.total) < 0.01 ? 'yes' : 'NO';
+        }
+
+        console.log(
+            method.padEnd(20),
+            String(legacy.result.rows).padStart(10),
+            legacy.ms.toFixed(0).padStart(10),
+            current.ms.toFixed(0).padStart(10),
+            legacy.heapMb.toFixed(1).padStart(15),
+            match.padStart(7)
+        );
+    }
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (!args.org) {
+        console.error('Usage: node scripts/benchmarkAnalytics.js --org <organizationId> [--seed N] [--cleanup]');
+        process.exit(1);
+    }
+
+    if (args.cleanup) {
+        await cleanup(args.org);
+        return;
+    }
+
+    if (args.seed > 0) {
+        console.log(`🌱 Seeding ${args.seed} synthetic usage rows...`);
+        await seed(args.org, args.seed);
+        console.log('');
+    }
+
+    console.log('⏱️  Benchmarking analytics and budget spend...\n');
+    await benchmark(args.org);
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error('❌ Benchmark failed:', error.message);
+        process.exit(1);
+    });
@@ -1,5 +1,41 @@
 const rateLimit = require('express-rate-limit');
 const logger = require('../config/logger');
+const openaiProxyService = require('../services/openaiProxyService');
+const proxyKeyService = require('../services/proxyKeyService');
+
+const RATE_LIMIT_WINDOW_MS = 1 * 60 * 1000;
+
+// Rejections are counted in memory and logged once per key and window, so a
+// flooding client does not cost a key lookup and an insert per request.
+// Tokens that can't be proxy keys are not counted (random bearer tokens).
+const pendingRejections = new Map();
+
+/**
+ * Count a rejected request; the first one of a window schedules the log write
+ * @param {string} proxyKey - Bearer token of the request
+ * @param {string} model - Requested model (if any; the window's first is logged)
+ */
+function recordRejection(proxyKey, model) {
+    const pending = pendingRejections.get(proxyKey);
+    if (pending) {
+        pending.count++;
+        return;
+    }
+
+    if (!proxyKeyService.hasKeyFormat(proxyKey)) {
+        return;
+    }
+
+    pendingRejections.set(proxyKey, { count: 1, model });
+    setTimeout(() => {
+        const rejected = pendingRejections.get(proxyKey);
+        pendingRejections.delete(proxyKey);
+
+        openaiProxyService.logRateLimitedRequest(proxyKey, rejected.model, rejected.count).catch(err => {
+            logger.warn(`Rate limit logging skipped: ${err.message}`, 'RATELIMIT');
+        });
+    }, RATE_LIMIT_WINDOW_MS).unref();
+}
 
 /**
  * Proxy Rate Limiter
@@ -8,7 +44,7 @@ const logger = require('../config/logger');
  * This prevents a single key from overwhelming the system or OpenAI quotas.
  */
 const proxyLimiter = rateLimit({
-    windowMs: 1 * 60 * 1000, // 1 minute window
+    windowMs: RATE_LIMIT_WINDOW_MS, // 1 minute window
     max: 60, // Limit each proxy key to 60 requests per minute
     keyGenerator: (req) => {
         // Use the Bearer token as the unique identifier for rate limiting
@@ -22,6 +58,14 @@ const proxyLimiter = rateLimit({
     validate: false, // Completely disable validation for production stability
     handler: (req, res) => {
         logger.warn(`Rate limit exceeded for key: ${req.headers.authorization?.substring(0, 15)}...`, 'RATELIMIT');
+
+        // Record the rejection against the key (logged at the end of the window)
+        const authHeader = req.headers.authorization;
+        if (authHeader && authHeader.startsWith('Bearer ')) {
+            const model = req.body && typeof req.body.model === 'string' ? req.body.model.slice(0, 100) : null;
+            recordRejection(authHeader.substring(7), model);
+        }
+
         res.status(429).json({
             error: {
                 message: 'Too many requests. Proxy rate limit is 60 requests per minute.',
@@ -6,11 +6,11 @@ const router = express.Router();
 
 /**
  * GET /api/analytics/summary
- * Returns spend summary (MTD, 7d, 30d)
+ * Returns spend summary (MTD, 7d, 30d) and cache savings
  */
 router.get('/summary', authenticate, async (req, res) => {
     try {
-        const summary = await analyticsService.getSpendSummary(req.user.organization_id);
+        const summary = await analyticsService.getSpendSummary(req.user.organizationId);
         res.json({
             success: true,
             data: summary
@@ -30,7 +30,7 @@ router.get('/summary', authenticate, async (req, res) => {
  */
 router.get('/projects', authenticate, async (req, res) => {
     try {
-        const projects = await analyticsService.getSpendByProject(req.user.organization_id);
+        const projects = await analyticsService.getSpendByProject(req.user.organizationId);
         res.json({
             success: true,
             data: projects
@@ -50,7 +50,7 @@ router.get('/projects', authenticate, async (req, res) => {
  */
 router.get('/models', authenticate, async (req, res) => {
     try {
-        const models = await analyticsService.getSpendByModel(req.user.organization_id);
+        const models = await analyticsService.getSpendByModel(req.user.organizationId);
         res.json({
             success: true,
             data: models
@@ -70,7 +70,7 @@ router.get('/models', authenticate, async (req, res) => {
  */
 router.get('/daily', authenticate, async (req, res) => {
     try {
-        const daily = await analyticsService.getDailySpend(req.user.organization_id);
+        const daily = await analyticsService.getDailySpend(req.user.organizationId);
         res.json({
             success: true,
             data: daily
@@ -84,4 +84,122 @@ router.get('/daily', authenticate, async (req, res) => {
     }
 });
 
+/**
+ * GET /api/analytics/query
+ * Usage time series with totals, for custom charts
+ * 
+ * Query:
+ *   start, end     dates or ISO timestamps (default: last 30 days; end exclusive)
+ *   granularity    hour | day | week | month (default: day)
+ *   group_by       any of project, model, key, provider, user, tag (comma-separated)
+ *   project, model, key, provider, user, tag
+ *                  filters (comma-separated values; project/key/user are UUIDs)
+ *   limit          series to return before the rest is merged into "Other" (default 20)
+ * 
+ * Example: /api/analytics/query?granularity=week&group_by=project,model&provider=openai
+ */
+router.get('/query', authenticate, async (req, res) => {
+    try {
+        const parsed = analyticsService.parseQuery(req.query);
+        if (!parsed.valid) {
+            return res.status(400).json({
+                success: false,
+                error: parsed.error
+            });
+        }
+
+        const result = await analyticsService.queryUsage(req.user.organizationId, parsed.query);
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        console.error('Analytics Query Error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to run analytics query'
+        });
+    }
+});
+
+/**
+ * GET /api/analytics/failover
+ * Returns retry/failover frequency and fallback cost vs requested model (30d)
+ */
+router.get('/failover', authenticate, async (req, res) => {
+    try {
+        const stats = await analyticsService.getFailoverStats(req.user.organizationId);
+        res.json({
+            success: true,
+            data: stats
+        });
+    } catch (error) {
+        console.error('Analytics Failover Error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch failover stats'
+        });
+    }
+});
+
+/**
+ * GET /api/analytics/reliability
+ * Returns request outcomes, error rate and per-key errors (30d)
+ */
+router.get('/reliability', authenticate, async (req, res) => {
+    try {
+        const reliability = await analyticsService.getReliability(req.user.organizationId);
+        res.json({
+            success: true,
+            data: reliability
+        });
+    } catch (error) {
+        console.error('Analytics Reliability Error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch reliability data'
+        });
+    }
+});
+
+/**
+ * GET /api/analytics/latency/models
+ * Returns p50/p95/p99 total, upstream and first-token latency by model (30d)
+ */
+router.get('/latency/models', authenticate, async (req, res) => {
+    try {
+        const latency = await analyticsService.getLatencyPercentiles(req.user.organizationId, 'model');
+        res.json({
+            success: true,
+            data: latency
+        });
+    } catch (error) {
+        console.error('Analytics Latency Error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch latency by model'
+        });
+    }
+});
+
+/**
+ * GET /api/analytics/latency/projects
+ * Returns p50/p95/p99 total, upstream and first-token latency by project (30d)
+ */
+router.get('/latency/projects', authenticate, async (req, res) => {
+    try {
+        const latency = await analyticsService.getLatencyPercentiles(req.user.organizationId, 'project');
+        res.json({
+            success: true,
+            data: latency
+        });
+    } catch (error) {
+        console.error('Analytics Latency Error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch latency by project'
+        });
+    }
+});
+
 module.exports = router;
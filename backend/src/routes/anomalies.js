@@ -0,0 +1,107 @@
+const express = require('express');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const anomalyService = require('../services/anomalyService');
+
+const router = express.Router();
+
+/**
+ * GET /api/anomalies/settings
+ * Anomaly detection settings of the organization
+ */
+router.get('/settings', authenticate, async (req, res) => {
+    try {
+        const settings = await anomalyService.getSettings(req.user.organizationId);
+
+        return res.status(200).json({
+            success: true,
+            settings
+        });
+
+    } catch (error) {
+        console.error('Get anomaly settings route error:', error.message);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to fetch anomaly settings'
+        });
+    }
+});
+
+/**
+ * PUT /api/anomalies/settings
+ * Update anomaly detection settings (Admin only)
+ * 
+ * Body: any of
+ * {
+ *   "enabled": true,
+ *   "sensitivity": 4,        // standard deviations above the hourly baseline (2-10)
+ *   "auto_suspend": false    // suspend a proxy key when an anomaly is detected on it
+ * }
+ */
+router.put('/settings', authenticate, requireAdmin, async (req, res) => {
+    try {
+        const { enabled, sensitivity, auto_suspend } = req.body;
+
+        if (enabled !== undefined && typeof enabled !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                error: 'enabled must be a boolean'
+            });
+        }
+
+        if (auto_suspend !== undefined && typeof auto_suspend !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                error: 'auto_suspend must be a boolean'
+            });
+        }
+
+        if (sensitivity !== undefined && (typeof sensitivity !== 'number' || !(sensitivity >= 2 && sensitivity <= 10))) {
+            return res.status(400).json({
+                success: false,
+                error: 'sensitivity must be a number between 2 and 10'
+            });
+        }
+
+        const settings = await anomalyService.updateSettings(req.user.organizationId, {
+            enabled,
+            sensitivity: sensitivity !== undefined ? Math.round(sensitivity * 10) / 10 : undefined,
+            auto_suspend
+        });
+
+        return res.status(200).json({
+            success: true,
+            settings
+        });
+
+    } catch (error) {
+        console.error('Update anomaly settings route error:', error.message);
+        return res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to update anomaly settings'
+        });
+    }
+});
+
+/**
+ * POST /api/anomalies/run
+ * Check the organization's last hour now instead of waiting for the worker (Admin only)
+ */
+router.post('/run', authenticate, requireAdmin, async (req, res) => {
+    try {
+        const anomalies = await anomalyService.runDetection(req.user.organizationId);
+
+        return res.status(200).json({
+            success: true,
+            anomalies
+        });
+
+    } catch (error) {
+        console.error('Run anomaly detection route error:', error.message);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to run anomaly detection'
+        });
+    }
+});
+
+module.exports = router;
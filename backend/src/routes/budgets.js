@@ -2,23 +2,125 @@ const express = require('express');
 const { authenticate, requireAdmin } = require('../middleware/auth');
 const budgetService = require('../services/budgetService');
 const alertService = require('../services/alertService');
+const fxService = require('../services/fxService');
+const openaiProxyService = require('../services/openaiProxyService');
+const proxyKeyService = require('../services/proxyKeyService');
+const { isValidAnchorDate, isValidTimezone } = require('../utils/budgetPeriod');
 
 const router = express.Router();
 
+// Validate UUID format
+const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Validate optional enforcement policy fields in a budget update
+ * @param {Object} body - Request body ({ policy, downgrade_model })
+ * @returns {string|null} Error message or null if valid
+ */
+function validatePolicy(body) {
+    const { policy, downgrade_model } = body;
+
+    if (policy === undefined) {
+        return null;
+    }
+
+    if (!budgetService.getBudgetPolicies().includes(policy)) {
+        return `Invalid policy. Allowed: ${budgetService.getBudgetPolicies().join(', ')}`;
+    }
+
+    if (policy === 'downgrade') {
+        if (!downgrade_model) {
+            return 'downgrade_model is required for the downgrade policy';
+        }
+        try {
+            openaiProxyService.resolveRoute(downgrade_model);
+        } catch (error) {
+            return error.message;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Validate and collect optional budget period fields in a budget update
+ * @param {Object} body - Request body ({ period, anchor_date, period_days, timezone })
+ * @returns {Object} { period } (only the provided settings) or { error }
+ */
+function resolvePeriod(body) {
+    const { period: type, anchor_date, period_days, timezone } = body;
+    const period = {};
+
+    if (type !== undefined) {
+        if (!budgetService.getBudgetPeriodTypes().includes(type)) {
+            return { error: `Invalid period. Allowed: ${budgetService.getBudgetPeriodTypes().join(', ')}` };
+        }
+
+        if (anchor_date !== undefined && anchor_date !== null && !isValidAnchorDate(anchor_date)) {
+            return { error: 'anchor_date must be YYYY-MM-DD' };
+        }
+
+        if (type === 'custom') {
+            if (!anchor_date) {
+                return { error: 'anchor_date is required for custom periods' };
+            }
+            if (!Number.isInteger(period_days) || period_days < 1 || period_days > 366) {
+                return { error: 'period_days must be a whole number of days between 1 and 366' };
+            }
+        }
+
+        period.type = type;
+        period.anchor_date = anchor_date || null;
+        period.days = type === 'custom' ? period_days : null;
+    }
+
+    if (timezone !== undefined) {
+        if (!isValidTimezone(timezone)) {
+            return { error: 'timezone must be an IANA timezone (e.g. Europe/London)' };
+        }
+        period.timezone = timezone;
+    }
+
+    return { period };
+}
+
+/**
+ * Resolve the currency a budget is set in
+ * Defaults to the organization's reporting currency.
+ * @returns {Object} { currency } or { error }
+ */
+async function resolveBudgetCurrency(body, organizationId) {
+    if (body.currency === undefined) {
+        return { currency: await fxService.getOrgCurrency(organizationId) };
+    }
+
+    const currency = String(body.currency).toUpperCase();
+    if (!(await fxService.isSupportedCurrency(currency))) {
+        return { error: `No FX rates loaded for ${currency}` };
+    }
+
+    return { currency };
+}
+
 /**
  * GET /api/budgets/summary
- * Returns current org budget and project budgets with spend
+ * Returns current org budget with spend, and end-of-period forecasts for
+ * the organization and each project
  */
 router.get('/summary', authenticate, async (req, res) => {
     try {
-        const orgData = await budgetService.getOrgBudget(req.user.organization_id);
+        const [orgData, reportingCurrency, forecasts] = await Promise.all([
+            budgetService.getOrgBudget(req.user.organizationId),
+            fxService.getOrgCurrency(req.user.organizationId),
+            budgetService.getForecasts(req.user.organizationId)
+        ]);
 
-        // For project budgets, we would ideally fetch projects and their budgets
-        // For MVP, we'll return the org one first
         res.json({
             success: true,
             data: {
-                organization: orgData
+                organization: { ...orgData, forecast: forecasts.organization },
+                project_forecasts: forecasts.projects,
+                reporting_currency: reportingCurrency
             }
         });
     } catch (error) {
@@ -26,18 +128,71 @@ router.get('/summary', authenticate, async (req, res) => {
     }
 });
 
+/**
+ * PUT /api/budgets/currency
+ * Set the organization's reporting currency (Admin only)
+ * 
+ * Body: { currency: 'EUR' } (FX rates for the currency must be loaded)
+ */
+router.put('/currency', authenticate, requireAdmin, async (req, res) => {
+    try {
+        const currency = String(req.body.currency || '').toUpperCase();
+        if (!fxService.isValidCurrency(currency)) {
+            return res.status(400).json({ success: false, error: 'currency must be an ISO 4217 code' });
+        }
+
+        const data = await fxService.setOrgCurrency(req.user.organizationId, currency);
+        res.json({ success: true, data });
+    } catch (error) {
+        const statusCode = error.message.startsWith('No FX rates') ? 400 : 500;
+        res.status(statusCode).json({ success: false, error: error.message || 'Failed to update reporting currency' });
+    }
+});
+
+/**
+ * Validate a budget update body (amount, policy, period and currency)
+ * @returns {Object} { budget, policy, period, currency } or { error }
+ */
+async function parseBudgetUpdate(body, organizationId) {
+    const { budget, policy, downgrade_model } = body;
+    if (budget === undefined || budget < 0) {
+        return { error: 'Invalid budget amount' };
+    }
+
+    const policyError = validatePolicy(body);
+    if (policyError) {
+        return { error: policyError };
+    }
+
+    const { period, error: periodError } = resolvePeriod(body);
+    if (periodError) {
+        return { error: periodError };
+    }
+
+    const { currency, error: currencyError } = await resolveBudgetCurrency(body, organizationId);
+    if (currencyError) {
+        return { error: currencyError };
+    }
+
+    return { budget, policy: { policy, downgrade_model }, period, currency };
+}
+
 /**
  * PUT /api/budgets/org
  * Update organization budget (Admin only)
+ * 
+ * Body: { budget, currency?, policy?: 'alert_only'|'block'|'downgrade', downgrade_model?,
+ *         period?: 'weekly'|'monthly'|'quarterly'|'annual'|'custom', anchor_date?, period_days?, timezone? }
+ * currency defaults to the organization's reporting currency; budget applies per period
  */
 router.put('/org', authenticate, requireAdmin, async (req, res) => {
     try {
-        const { budget } = req.body;
-        if (budget === undefined || budget < 0) {
-            return res.status(400).json({ success: false, error: 'Invalid budget amount' });
+        const update = await parseBudgetUpdate(req.body, req.user.organizationId);
+        if (update.error) {
+            return res.status(400).json({ success: false, error: update.error });
         }
 
-        const data = await budgetService.updateOrgBudget(req.user.organization_id, budget);
+        const data = await budgetService.updateOrgBudget(req.user.organizationId, update.budget, update.policy, update.currency, update.period);
         res.json({ success: true, data });
     } catch (error) {
         res.status(500).json({ success: false, error: 'Failed to update organization budget' });
@@ -47,30 +202,142 @@ router.put('/org', authenticate, requireAdmin, async (req, res) => {
 /**
  * PUT /api/budgets/projects/:projectId
  * Update project budget (Admin only)
+ * 
+ * Body: same as PUT /api/budgets/org
  */
 router.put('/projects/:projectId', authenticate, requireAdmin, async (req, res) => {
     try {
-        const { budget } = req.body;
         const { projectId } = req.params;
 
-        if (budget === undefined || budget < 0) {
-            return res.status(400).json({ success: false, error: 'Invalid budget amount' });
+        const update = await parseBudgetUpdate(req.body, req.user.organizationId);
+        if (update.error) {
+            return res.status(400).json({ success: false, error: update.error });
         }
 
-        const data = await budgetService.updateProjectBudget(projectId, budget);
+        const data = await budgetService.updateProjectBudget(projectId, update.budget, update.policy, update.currency, update.period);
         res.json({ success: true, data });
     } catch (error) {
         res.status(500).json({ success: false, error: 'Failed to update project budget' });
     }
 });
 
+/**
+ * PUT /api/budgets/keys/:keyId
+ * Update a proxy key's budget (Admin only)
+ * 
+ * Body: same as PUT /api/budgets/org (budget 0 removes the key budget)
+ */
+router.put('/keys/:keyId', authenticate, requireAdmin, async (req, res) => {
+    try {
+        const { keyId } = req.params;
+
+        if (!uuidRegex.test(keyId)) {
+            return res.status(400).json({ success: false, error: 'Invalid key ID format' });
+        }
+
+        const update = await parseBudgetUpdate(req.body, req.user.organizationId);
+        if (update.error) {
+            return res.status(400).json({ success: false, error: update.error });
+        }
+
+        const result = await proxyKeyService.updateProxyKeyBudget(keyId, req.user.organizationId, update.budget, update.policy, update.currency, update.period);
+        res.json({ success: true, data: result.key });
+    } catch (error) {
+        const statusCode = error.message === 'Proxy key not found' ? 404 : 500;
+        res.status(statusCode).json({ success: false, error: statusCode === 404 ? error.message : 'Failed to update key budget' });
+    }
+});
+
+/**
+ * GET /api/budgets/users
+ * Users with their budgets and the spend of their assigned keys
+ */
+router.get('/users', authenticate, async (req, res) => {
+    try {
+        const users = await budgetService.listUserBudgets(req.user.organizationId);
+        res.json({ success: true, data: users });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to fetch user budgets' });
+    }
+});
+
+/**
+ * PUT /api/budgets/users/:userId
+ * Update a user's budget, covering every key assigned to them (Admin only)
+ * 
+ * Body: same as PUT /api/budgets/org
+ */
+router.put('/users/:userId', authenticate, requireAdmin, async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        if (!uuidRegex.test(userId)) {
+            return res.status(400).json({ success: false, error: 'Invalid user ID format' });
+        }
+
+        const update = await parseBudgetUpdate(req.body, req.user.organizationId);
+        if (update.error) {
+            return res.status(400).json({ success: false, error: update.error });
+        }
+
+        const data = await budgetService.updateUserBudget(userId, req.user.organizationId, update.budget, update.policy, update.currency, update.period);
+        res.json({ success: true, data });
+    } catch (error) {
+        const statusCode = error.message === 'User not found' ? 404 : 500;
+        res.status(statusCode).json({ success: false, error: statusCode === 404 ? error.message : 'Failed to update user budget' });
+    }
+});
+
+/**
+ * Build a handler that replaces a budget's alert thresholds (Admin only)
+ * 
+ * Body: { thresholds: [50, 80, 100, 120] } (whole percentages, 1-1000; above 100 = overspend)
+ * 
+ * @param {string} level - 'organization', 'project', 'key' or 'user'
+ * @param {string|null} param - Route parameter holding the ID (null: the caller's organization)
+ */
+function updateThresholdsHandler(level, param) {
+    return async (req, res) => {
+        try {
+            const id = param ? req.params[param] : req.user.organizationId;
+
+            if (param && !uuidRegex.test(id)) {
+                return res.status(400).json({ success: false, error: `Invalid ${level} ID format` });
+            }
+
+            const { thresholds, error: thresholdError } = budgetService.normalizeThresholds(req.body.thresholds);
+            if (thresholdError) {
+                return res.status(400).json({ success: false, error: thresholdError });
+            }
+
+            const data = await budgetService.updateThresholds(level, id, req.user.organizationId, thresholds);
+            res.json({ success: true, data });
+        } catch (error) {
+            const statusCode = error.message === 'Budget not found' ? 404 : 500;
+            res.status(statusCode).json({ success: false, error: statusCode === 404 ? error.message : 'Failed to update alert thresholds' });
+        }
+    };
+}
+
+/**
+ * PUT /api/budgets/org/thresholds
+ * PUT /api/budgets/projects/:projectId/thresholds
+ * PUT /api/budgets/keys/:keyId/thresholds
+ * PUT /api/budgets/users/:userId/thresholds
+ * Replace a budget's alert thresholds (Admin only)
+ */
+router.put('/org/thresholds', authenticate, requireAdmin, updateThresholdsHandler('organization', null));
+router.put('/projects/:projectId/thresholds', authenticate, requireAdmin, updateThresholdsHandler('project', 'projectId'));
+router.put('/keys/:keyId/thresholds', authenticate, requireAdmin, updateThresholdsHandler('key', 'keyId'));
+router.put('/users/:userId/thresholds', authenticate, requireAdmin, updateThresholdsHandler('user', 'userId'));
+
 /**
  * GET /api/budgets/alerts
  * Get triggered alerts for organization
  */
 router.get('/alerts', authenticate, async (req, res) => {
     try {
-        const alerts = await alertService.getAlerts(req.user.organization_id);
+        const alerts = await alertService.getAlerts(req.user.organizationId);
         res.json({ success: true, data: alerts });
     } catch (error) {
         res.status(500).json({ success: false, error: 'Failed to fetch alerts' });
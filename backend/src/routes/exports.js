@@ -0,0 +1,103 @@
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const analyticsService = require('../services/analyticsService');
+const exportService = require('../services/exportService');
+
+const router = express.Router();
+
+/**
+ * Validate the format and query of an export request
+ * 
+ * @param {Object} params - Query string parameters
+ * @param {string} granularity - Granularity used to widen start/end
+ * @returns {Object} { valid, error?, format?, query? }
+ */
+function parseExportRequest(params, granularity) {
+    const format = params.format || 'csv';
+    if (!exportService.getFormat(format)) {
+        return { valid: false, error: `format must be one of: ${exportService.getFormats().join(', ')}` };
+    }
+
+    const parsed = analyticsService.parseQuery({ ...params, granularity });
+    if (!parsed.valid) {
+        return parsed;
+    }
+
+    return { valid: true, format, query: parsed.query };
+}
+
+/**
+ * Stream an export as a file download
+ * 
+ * Errors before the first byte return JSON; later errors abort the download
+ * so a truncated file is never mistaken for a complete one.
+ */
+async function sendExport(req, res, name, query, format, stream) {
+    const { contentType, extension } = exportService.getFormat(format);
+    const filename = `spendai-${name}-${query.start.split('T')[0]}-${query.end.split('T')[0]}.${extension}`;
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    try {
+        await stream(req.user.organizationId, query, format, res);
+    } catch (error) {
+        console.error(`Export ${name} route error:`, error.message);
+        if (!res.headersSent) {
+            res.removeHeader('Content-Disposition');
+            return res.status(500).json({
+                success: false,
+                error: `Failed to export ${name}`
+            });
+        }
+        res.destroy(error);
+    }
+}
+
+/**
+ * GET /api/exports/usage
+ * Download usage_logs rows with project and key names and the pricing snapshot
+ * 
+ * Query:
+ *   format         csv | ndjson | parquet (default: csv)
+ *   start, end     dates (default: last 30 days; whole UTC days, end exclusive)
+ *   project, model, key, provider, user, tag
+ *                  filters (comma-separated values; project/key/user are UUIDs)
+ */
+router.get('/usage', authenticate, async (req, res) => {
+    const parsed = parseExportRequest(req.query, 'day');
+    if (!parsed.valid) {
+        return res.status(400).json({
+            success: false,
+            error: parsed.error
+        });
+    }
+
+    return sendExport(req, res, 'usage', parsed.query, parsed.format, exportService.streamUsage.bind(exportService));
+});
+
+/**
+ * GET /api/exports/report
+ * Download an aggregated report: one row per time bucket and group
+ * 
+ * Query:
+ *   format         csv | ndjson | parquet (default: csv)
+ *   start, end     dates or ISO timestamps (default: last 30 days; end exclusive)
+ *   granularity    hour | day | week | month (default: day)
+ *   group_by       any of project, model, key, provider, user, tag (comma-separated)
+ *   project, model, key, provider, user, tag
+ *                  filters (same as GET /api/analytics/query)
+ */
+router.get('/report', authenticate, async (req, res) => {
+    const parsed = parseExportRequest(req.query, req.query.granularity || 'day');
+    if (!parsed.valid) {
+        return res.status(400).json({
+            success: false,
+            error: parsed.error
+        });
+    }
+
+    return sendExport(req, res, 'report', parsed.query, parsed.format, exportService.streamReport.bind(exportService));
+});
+
+module.exports = router;
@@ -0,0 +1,341 @@
+const express = require('express');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const notificationService = require('../services/notificationService');
+
+const router = express.Router();
+
+// Channels hold webhook URLs and signing secrets: admins only
+router.use(authenticate, requireAdmin);
+
+// Validate UUID format
+const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Validate and collect the type-specific settings of a channel
+ * 
+ * - email: recipients (array or comma-separated string, up to 20)
+ * - slack / teams: webhook_url (https)
+ * - webhook: url (https), secret (optional, at least 16 characters)
+ * 
+ * Webhook hosts must resolve to public addresses unless exempted by
+ * NOTIFICATION_ALLOWED_HOSTS / NOTIFICATION_ALLOW_PRIVATE (see notificationService.isAllowedUrl).
+ * 
+ * @param {string} type - Channel type
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Only validate the fields present (updates)
+ * @returns {Promise<Object>} { config, secret } (only the provided settings) or { error }
+ */
+async function resolveChannelSettings(type, body, partial = false) {
+    const settings = {};
+
+    if (type === 'email') {
+        if (body.recipients !== undefined || !partial) {
+            const recipients = (Array.isArray(body.recipients) ? body.recipients : String(body.recipients || '').split(','))
+                .map(email => String(email).trim())
+                .filter(Boolean);
+
+            if (recipients.length === 0 || recipients.length > 20) {
+                return { error: 'recipients must list between 1 and 20 email addresses' };
+            }
+            const invalid = recipients.find(email => !emailRegex.test(email));
+            if (invalid) {
+                return { error: `Invalid email address: ${invalid}` };
+            }
+            settings.config = { recipients };
+        }
+    } else if (type === 'slack' || type === 'teams') {
+        if (body.webhook_url !== undefined || !partial) {
+            if (!(await notificationService.isAllowedUrl(body.webhook_url))) {
+                return { error: 'webhook_url must be an https incoming webhook URL on a public host' };
+            }
+            settings.secret = body.webhook_url;
+        }
+    } else if (type === 'webhook') {
+        if (body.url !== undefined || !partial) {
+            if (!(await notificationService.isAllowedUrl(body.url))) {
+                return { error: 'url must be an https URL on a public host' };
+            }
+            settings.config = { url: body.url };
+        }
+        if (body.secret !== undefined) {
+            if (typeof body.secret !== 'string' || body.secret.length < 16) {
+                return { error: 'secret must be at least 16 characters' };
+            }
+            settings.secret = body.secret;
+        }
+    }
+
+    return settings;
+}
+
+/**
+ * GET /api/notifications/channels
+ * List the organization's alert channels (Admin only)
+ */
+router.get('/channels', async (req, res) => {
+    try {
+        const channels = await notificationService.listChannels(req.user.organizationId);
+
+        return res.status(200).json({
+            success: true,
+            channels,
+            types: notificationService.getChannelTypes()
+        });
+
+    } catch (error) {
+        console.error('List notification channels route error:', error.message);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to fetch notification channels'
+        });
+    }
+});
+
+/**
+ * POST /api/notifications/channels
+ * Add an alert channel (Admin only)
+ * 
+ * Body:
+ * { "type": "email", "name": "Finance", "recipients": ["finance@acme.com"] }
+ * { "type": "slack", "name": "#ai-spend", "webhook_url": "https://hooks.slack.com/services/..." }
+ * { "type": "teams", "name": "FinOps", "webhook_url": "https://...webhook.office.com/..." }
+ * { "type": "webhook", "name": "Pager", "url": "https://example.com/hooks/spendai", "secret": "..." }
+ * 
+ * Webhooks without a secret get a generated one, returned once as signing_secret.
+ */
+router.post('/channels', async (req, res) => {
+    try {
+        const { type, name } = req.body;
+
+        if (!notificationService.getChannelTypes().includes(type)) {
+            return res.status(400).json({
+                success: false,
+                error: `type must be one of: ${notificationService.getChannelTypes().join(', ')}`
+            });
+        }
+
+        if (typeof name !== 'string' || name.trim().length === 0 || name.trim().length > 100) {
+            return res.status(400).json({
+                success: false,
+                error: 'name is required (at most 100 characters)'
+            });
+        }
+
+        const settings = await resolveChannelSettings(type, req.body);
+        if (settings.error) {
+            return res.status(400).json({
+                success: false,
+                error: settings.error
+            });
+        }
+
+        const channel = await notificationService.createChannel(req.user.organizationId, {
+            type,
+            name: name.trim(),
+            config: settings.config || {},
+            secret: settings.secret || null
+        }, req.user.id);
+
+        return res.status(201).json({
+            success: true,
+            channel
+        });
+
+    } catch (error) {
+        console.error('Create notification channel route error:', error.message);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to save notification channel'
+        });
+    }
+});
+
+/**
+ * PUT /api/notifications/channels/:id
+ * Update an alert channel (Admin only)
+ * 
+ * Body: any of name, is_active and the type's settings (see POST)
+ */
+router.put('/channels/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { name, is_active } = req.body;
+
+        if (!uuidRegex.test(id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid channel ID format'
+            });
+        }
+
+        if (name !== undefined && (typeof name !== 'string' || name.trim().length === 0 || name.trim().length > 100)) {
+            return res.status(400).json({
+                success: false,
+                error: 'name must be 1 to 100 characters'
+            });
+        }
+
+        if (is_active !== undefined && typeof is_active !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                error: 'is_active must be a boolean'
+            });
+        }
+
+        const existing = await notificationService.getChannel(id, req.user.organizationId);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'Notification channel not found'
+            });
+        }
+
+        const settings = await resolveChannelSettings(existing.type, req.body, true);
+        if (settings.error) {
+            return res.status(400).json({
+                success: false,
+                error: settings.error
+            });
+        }
+
+        const channel = await notificationService.updateChannel(id, req.user.organizationId, {
+            name: name !== undefined ? name.trim() : undefined,
+            is_active,
+            config: settings.config,
+            secret: settings.secret
+        });
+
+        return res.status(200).json({
+            success: true,
+            channel
+        });
+
+    } catch (error) {
+        console.error('Update notification channel route error:', error.message);
+
+        const statusCode = error.message === 'Notification channel not found' ? 404 : 500;
+
+        return res.status(statusCode).json({
+            success: false,
+            error: error.message || 'Failed to update notification channel'
+        });
+    }
+});
+
+/**
+ * DELETE /api/notifications/channels/:id
+ * Remove an alert channel and its delivery history (Admin only)
+ */
+router.delete('/channels/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!uuidRegex.test(id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid channel ID format'
+            });
+        }
+
+        const result = await notificationService.deleteChannel(id, req.user.organizationId);
+
+        return res.status(200).json(result);
+
+    } catch (error) {
+        console.error('Delete notification channel route error:', error.message);
+
+        const statusCode = error.message === 'Notification channel not found' ? 404 : 500;
+
+        return res.status(statusCode).json({
+            success: false,
+            error: error.message || 'Failed to delete notification channel'
+        });
+    }
+});
+
+/**
+ * POST /api/notifications/channels/:id/test
+ * Send a test notification now (Admin only)
+ * 
+ * Not retried: the response carries the outcome (status 'sent' or 'failed',
+ * last_error, response_status).
+ */
+router.post('/channels/:id/test', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!uuidRegex.test(id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid channel ID format'
+            });
+        }
+
+        const delivery = await notificationService.sendTestNotification(id, req.user.organizationId);
+
+        return res.status(200).json({
+            success: delivery.status === 'sent',
+            delivery,
+            error: delivery.status === 'sent' ? undefined : delivery.last_error
+        });
+
+    } catch (error) {
+        console.error('Test notification route error:', error.message);
+
+        const statusCode = error.message === 'Notification channel not found' ? 404 : 500;
+
+        return res.status(statusCode).json({
+            success: false,
+            error: error.message || 'Failed to send test notification'
+        });
+    }
+});
+
+/**
+ * GET /api/notifications/deliveries
+ * Recent deliveries with their status (Admin only)
+ * 
+ * Query: channel_id?, status? (pending, sent, failed), limit? (default 50, max 200)
+ */
+router.get('/deliveries', async (req, res) => {
+    try {
+        const { channel_id, status } = req.query;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+        if (channel_id && !uuidRegex.test(channel_id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid channel ID format'
+            });
+        }
+
+        if (status && !['pending', 'sent', 'failed'].includes(status)) {
+            return res.status(400).json({
+                success: false,
+                error: 'status must be pending, sent or failed'
+            });
+        }
+
+        const deliveries = await notificationService.listDeliveries(req.user.organizationId, {
+            channelId: channel_id || null,
+            status: status || null,
+            limit
+        });
+
+        return res.status(200).json({
+            success: true,
+            deliveries
+        });
+
+    } catch (error) {
+        console.error('List notification deliveries route error:', error.message);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to fetch notification deliveries'
+        });
+    }
+});
+
+module.exports = router;
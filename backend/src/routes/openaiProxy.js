@@ -4,6 +4,116 @@ const { proxyLimiter } = require('../middleware/rateLimit');
 
 const router = express.Router();
 
+/**
+ * Translate a proxy service error into an OpenAI-style error response
+ * 
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the proxy service
+ */
+function sendProxyError(res, error) {
+    // Handle specific errors
+    if (error.code === 'INVALID_MODEL' || error.message.includes('Unsupported model')) {
+        // Model validation error (400 Bad Request)
+        return res.status(400).json({
+            error: {
+                message: error.message,
+                type: 'invalid_request_error',
+                code: 'invalid_model'
+            }
+        });
+    } else if (error.code === 'BUDGET_EXCEEDED') {
+        // Budget exhausted with a 'block' policy (mirrors OpenAI's quota error)
+        return res.status(429).json({
+            error: {
+                message: error.message,
+                type: 'insufficient_quota',
+                code: 'budget_exceeded'
+            }
+        });
+    } else if (error.code === 'MAX_COST_EXCEEDED') {
+        // Worst-case cost above the proxy key's ceiling (400 Bad Request)
+        return res.status(400).json({
+            error: {
+                message: error.message,
+                type: 'invalid_request_error',
+                code: 'max_cost_exceeded'
+            }
+        });
+    } else if (error.code === 'MODEL_NOT_PRICED') {
+        // No catalog price effective for the model (400 Bad Request)
+        return res.status(400).json({
+            error: {
+                message: error.message,
+                type: 'invalid_request_error',
+                code: 'model_not_priced'
+            }
+        });
+    } else if (error.code === 'STREAMING_UNSUPPORTED') {
+        // Provider cannot stream (400 Bad Request)
+        return res.status(400).json({
+            error: {
+                message: error.message,
+                type: 'invalid_request_error',
+                code: 'streaming_unsupported'
+            }
+        });
+    } else if (error.code === 'FEATURE_UNSUPPORTED') {
+        // Provider adapter cannot translate tools, JSON mode, images... (400 Bad Request)
+        return res.status(400).json({
+            error: {
+                message: error.message,
+                type: 'invalid_request_error',
+                code: 'feature_unsupported'
+            }
+        });
+    } else if (error.message.includes('proxy key')) {
+        // Invalid/revoked proxy key
+        return res.status(401).json({
+            error: {
+                message: 'Invalid or revoked proxy key',
+                type: 'invalid_request_error',
+                code: 'invalid_api_key'
+            }
+        });
+    } else if (error.message.includes('not configured')) {
+        // Organization hasn't set up the provider's key
+        return res.status(500).json({
+            error: {
+                message: error.message,
+                type: 'server_error',
+                code: 'configuration_error'
+            }
+        });
+    } else if (error.message.includes('decrypt')) {
+        // Decryption error (corrupted key)
+        return res.status(500).json({
+            error: {
+                message: 'Failed to decrypt organization OpenAI key',
+                type: 'server_error',
+                code: 'decryption_error'
+            }
+        });
+    } else if (error.message.includes('timeout')) {
+        // Request timeout
+        return res.status(504).json({
+            error: {
+                message: 'OpenAI request timeout',
+                type: 'server_error',
+                code: 'timeout'
+            }
+        });
+    } else {
+        // Generic error
+        return res.status(500).json({
+            error: {
+                message: 'Internal proxy error',
+                type: 'server_error',
+                code: 'internal_error'
+            }
+        });
+    }
+}
+
 /**
  * POST /v1/chat/completions
  * 
@@ -12,6 +122,7 @@ const router = express.Router();
  * 
  * Headers:
  *   Authorization: Bearer <spendai_proxy_key>
+ *   x-spendai-tags: team:search, feature:autocomplete   (optional, for analytics)
  * 
  * Body:
  *   Same as OpenAI chat completions API
@@ -20,8 +131,14 @@ const router = express.Router();
  *     "messages": [{"role": "user", "content": "Hello"}]
  *   }
  * 
+ *   Other providers are selected by model:
+ *     "claude-3-5-sonnet-latest" or "anthropic/..."  -> Anthropic Messages API
+ *     "gemini-1.5-pro" or "google/..."               -> Google Gemini
+ *     "azure/gpt-4o"                                 -> Azure OpenAI deployment
+ * 
  * Response:
  *   Same as OpenAI API (transparent pass-through)
+ *   With "stream": true, server-sent events are piped through as they arrive
  *   
  * Security improvements:
  *   - Model validation (allowlist)
@@ -29,6 +146,9 @@ const router = express.Router();
  *   - Request ID tracing
  *   - Encrypted OpenAI keys
  *   - Proxy-key based rate limiting
+ *   - Budget enforcement (429 when blocked, x-spendai-downgraded-from when downgraded)
+ *   - Retry with backoff and per-project fallback models (x-spendai-failover-from when failed over)
+ *   - Opt-in response cache (temperature 0 or "x-spendai-cache: true"; x-spendai-cache: HIT|MISS)
  */
 router.post('/chat/completions', proxyLimiter, async (req, res) => {
     try {
@@ -66,7 +186,44 @@ router.post('/chat/completions', proxyLimiter, async (req, res) => {
             req.headers
         );
 
-        // 4. Return response with SpendAI request ID header
+        // Let clients know a budget policy swapped their model
+        if (result.metadata.downgraded_from) {
+            res.setHeader('x-spendai-downgraded-from', result.metadata.downgraded_from);
+        }
+
+        if (result.metadata.failed_over_from) {
+            res.setHeader('x-spendai-failover-from', result.metadata.failed_over_from);
+        }
+
+        if (result.cache) {
+            res.setHeader('x-spendai-cache', result.cache);
+        }
+
+        // 4. Streaming: pipe server-sent events through chunk by chunk
+        if (result.stream) {
+            res.setHeader('x-spendai-request-id', result.metadata.spendai_request_id);
+            res.setHeader('Content-Type', 'text/event-stream');
+            res.setHeader('Cache-Control', 'no-cache');
+            res.setHeader('Connection', 'keep-alive');
+            res.status(result.statusCode);
+            res.flushHeaders();
+
+            // Stop pulling from OpenAI if the client goes away
+            res.on('close', () => {
+                if (!res.writableEnded) {
+                    result.stream.destroy();
+                }
+            });
+
+            result.stream.on('error', (streamError) => {
+                console.error('Proxy stream error:', streamError.message);
+                res.end();
+            });
+
+            return result.stream.pipe(res);
+        }
+
+        // 5. Return response with SpendAI request ID header
         if (result.success) {
             // Success: return OpenAI response transparently
             // Add SpendAI request ID for tracing
@@ -80,63 +237,133 @@ router.post('/chat/completions', proxyLimiter, async (req, res) => {
 
     } catch (error) {
         console.error('Proxy route error:', error.message);
+        return sendProxyError(res, error);
+    }
+});
 
-        // Handle specific errors
-        if (error.code === 'INVALID_MODEL' || error.message.includes('Unsupported model')) {
-            // Model validation error (400 Bad Request)
-            return res.status(400).json({
-                error: {
-                    message: error.message,
-                    type: 'invalid_request_error',
-                    code: 'invalid_model'
-                }
-            });
-        } else if (error.message.includes('proxy key')) {
-            // Invalid/revoked proxy key
+/**
+ * POST /v1/embeddings
+ * 
+ * OpenAI-compatible embeddings endpoint
+ * 
+ * Headers:
+ *   Authorization: Bearer <spendai_proxy_key>
+ *   x-spendai-tags: team:search   (optional, for analytics)
+ * 
+ * Body:
+ *   Same as OpenAI embeddings API
+ *   {
+ *     "model": "text-embedding-3-small",
+ *     "input": "The food was delicious"
+ *   }
+ * 
+ * Response:
+ *   Same as OpenAI API (transparent pass-through)
+ *   Usage is logged with input tokens only
+ */
+router.post('/embeddings', proxyLimiter, async (req, res) => {
+    try {
+        // 1. Extract proxy key from Authorization header
+        const proxyKey = openaiProxyService.extractBearerToken(req.headers.authorization);
+
+        if (!proxyKey) {
             return res.status(401).json({
                 error: {
-                    message: 'Invalid or revoked proxy key',
+                    message: 'Missing or invalid Authorization header. Use: Authorization: Bearer <proxy_key>',
                     type: 'invalid_request_error',
                     code: 'invalid_api_key'
                 }
             });
-        } else if (error.message.includes('OpenAI API key not configured')) {
-            // Organization hasn't set up OpenAI key
-            return res.status(500).json({
-                error: {
-                    message: 'Organization OpenAI API key not configured',
-                    type: 'server_error',
-                    code: 'configuration_error'
-                }
-            });
-        } else if (error.message.includes('decrypt')) {
-            // Decryption error (corrupted key)
-            return res.status(500).json({
+        }
+
+        // 2. Validate request body
+        const validation = openaiProxyService.validateEmbeddingRequest(req.body);
+
+        if (!validation.valid) {
+            return res.status(400).json({
                 error: {
-                    message: 'Failed to decrypt organization OpenAI key',
-                    type: 'server_error',
-                    code: 'decryption_error'
+                    message: validation.error,
+                    type: 'invalid_request_error',
+                    code: 'invalid_request'
                 }
             });
-        } else if (error.message.includes('timeout')) {
-            // Request timeout
-            return res.status(504).json({
+        }
+
+        // 3. Proxy request to OpenAI
+        const result = await openaiProxyService.proxyEmbeddings(
+            proxyKey,
+            req.body,
+            req.headers
+        );
+
+        // 4. Pass the OpenAI response (success or error) through with request ID
+        res.setHeader('x-spendai-request-id', result.metadata.spendai_request_id);
+        return res.status(result.statusCode).json(result.response);
+
+    } catch (error) {
+        console.error('Embeddings route error:', error.message);
+        return sendProxyError(res, error);
+    }
+});
+
+/**
+ * POST /v1/spendai/estimate
+ * 
+ * Estimate the cost of a chat completion request without sending it
+ * 
+ * Headers:
+ *   Authorization: Bearer <spendai_proxy_key>
+ * 
+ * Body:
+ *   Same as /v1/chat/completions
+ * 
+ * Response:
+ *   {
+ *     "model": "gpt-4",
+ *     "provider": "openai",
+ *     "prompt_tokens": 12,
+ *     "max_completion_tokens": 4096,
+ *     "max_tokens_assumed": true,
+ *     "prompt_cost_usd": 0.00036,
+ *     "max_completion_cost_usd": 0.24576,
+ *     "max_total_cost_usd": 0.24612,
+ *     "max_cost_per_request_usd": 0.1,
+ *     "allowed": false
+ *   }
+ */
+router.post('/spendai/estimate', proxyLimiter, async (req, res) => {
+    try {
+        const proxyKey = openaiProxyService.extractBearerToken(req.headers.authorization);
+
+        if (!proxyKey) {
+            return res.status(401).json({
                 error: {
-                    message: 'OpenAI request timeout',
-                    type: 'server_error',
-                    code: 'timeout'
+                    message: 'Missing or invalid Authorization header. Use: Authorization: Bearer <proxy_key>',
+                    type: 'invalid_request_error',
+                    code: 'invalid_api_key'
                 }
             });
-        } else {
-            // Generic error
-            return res.status(500).json({
+        }
+
+        const validation = openaiProxyService.validateChatCompletionRequest(req.body);
+
+        if (!validation.valid) {
+            return res.status(400).json({
                 error: {
-                    message: 'Internal proxy error',
-                    type: 'server_error',
-                    code: 'internal_error'
+                    message: validation.error,
+                    type: 'invalid_request_error',
+                    code: 'invalid_request'
                 }
             });
         }
+
+        const estimate = await openaiProxyService.estimateChatCompletion(proxyKey, req.body);
+
+        return res.status(200).json(estimate);
+
+    } catch (error) {
+        console.error('Estimate route error:', error.message);
+        return sendProxyError(res, error);
     }
 });
 
@@ -154,8 +381,12 @@ router.get('/health', (req, res) => {
             model_validation: 'Allowlist',
             header_filtering: 'Whitelist'
         },
+        streaming: 'SSE',
+        providers: ['openai', 'anthropic', 'azure_openai', 'google'],
         endpoints: {
-            chat_completions: '/v1/chat/completions'
+            chat_completions: '/v1/chat/completions',
+            embeddings: '/v1/embeddings',
+            estimate: '/v1/spendai/estimate'
         }
     });
 });
@@ -0,0 +1,656 @@
+const express = require('express');
+const pricingService = require('../services/pricingService');
+const costRecalculationService = require('../services/costRecalculationService');
+const fxService = require('../services/fxService');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Validate UUID format
+const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Prices and FX rates are shared by every organization, so only the platform
+ * admins listed in PRICING_ADMIN_EMAILS (comma-separated) may change them.
+ * Organization admins are not enough; when the variable is unset nobody can.
+ */
+function requirePricingAdmin(req, res, next) {
+    const allowed = (process.env.PRICING_ADMIN_EMAILS || '')
+        .split(',')
+        .map(email => email.trim().toLowerCase())
+        .filter(Boolean);
+
+    if (!allowed.includes(String(req.user.email || '').toLowerCase())) {
+        return res.status(403).json({
+            success: false,
+            error: 'Pricing admin access required'
+        });
+    }
+
+    next();
+}
+
+/**
+ * GET /api/pricing
+ * List price versions
+ * 
+ * Query: provider?, model?, at? (ISO timestamp: only versions effective then)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { provider, model, at } = req.query;
+
+        if (at && Number.isNaN(Date.parse(at))) {
+            return res.status(400).json({
+                success: false,
+                error: 'at must be an ISO timestamp'
+            });
+        }
+
+        const prices = await pricingService.listPrices({
+            provider,
+            model,
+            at: at ? new Date(at).toISOString() : undefined
+        });
+
+        return res.status(200).json({
+            success: true,
+            prices
+        });
+
+    } catch (error) {
+        console.error('List prices route error:', error.message);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to fetch prices'
+        });
+    }
+});
+
+/**
+ * POST /api/pricing
+ * Add a price now or schedule a future price change (pricing admins only, see PRICING_ADMIN_EMAILS)
+ * 
+ * Body:
+ * {
+ *   "provider": "openai",
+ *   "model": "gpt-4o",
+ *   "promptPerMillion": 2.50,
+ *   "completionPerMillion": 10.00,
+ *   "cachedPromptPerMillion": 1.25,           // optional, default prompt rate
+ *   "audioPromptPerMillion": 40.00,           // optional, default prompt rate
+ *   "audioCompletionPerMillion": 80.00,       // optional, default completion rate
+ *   "reasoningPerMillion": 10.00,             // optional, default completion rate
+ *   "effectiveFrom": "2026-11-01T00:00:00Z"   // optional, default now
+ * }
+ */
+router.post('/', requireAdmin, requirePricingAdmin, async (req, res) => {
+    try {
+        const {
+            provider,
+            model,
+            promptPerMillion,
+            completionPerMillion,
+            cachedPromptPerMillion,
+            audioPromptPerMillion,
+            audioCompletionPerMillion,
+            reasoningPerMillion,
+            effectiveFrom
+        } = req.body;
+
+        if (!pricingService.getCatalogProviders().includes(provider)) {
+            return res.status(400).json({
+                success: false,
+                error: `provider must be one of: ${pricingService.getCatalogProviders().join(', ')}`
+            });
+        }
+
+        if (!model || typeof model !== 'string' || model.trim().length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'model is required'
+            });
+        }
+
+        for (const [field, value] of [['promptPerMillion', promptPerMillion], ['completionPerMillion', completionPerMillion]]) {
+            if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: `${field} must be a non-negative number (USD per 1M tokens)`
+                });
+            }
+        }
+
+        const categoryRates = {
+            cached_prompt: cachedPromptPerMillion,
+            audio_prompt: audioPromptPerMillion,
+            audio_completion: audioCompletionPerMillion,
+            reasoning: reasoningPerMillion
+        };
+
+        for (const [category, value] of Object.entries(categoryRates)) {
+            if (value !== undefined && value !== null && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `${category} rate must be a non-negative number (USD per 1M tokens)`
+                });
+            }
+        }
+
+        if (effectiveFrom !== undefined && Number.isNaN(Date.parse(effectiveFrom))) {
+            return res.status(400).json({
+                success: false,
+                error: 'effectiveFrom must be an ISO timestamp'
+            });
+        }
+
+        const price = await pricingService.schedulePrice({
+            provider,
+            model: model.trim(),
+            promptPerMillion,
+            completionPerMillion,
+            categoryRates,
+            effectiveFrom,
+            userId: req.user.id
+        });
+
+        return res.status(201).json({
+            success: true,
+            price
+        });
+
+    } catch (error) {
+        console.error('Schedule price route error:', error.message);
+
+        const statusCode = error.message.includes('already starts') ? 409 : 500;
+
+        return res.status(statusCode).json({
+            success: false,
+            error: error.message || 'Failed to save price'
+        });
+    }
+});
+
+/**
+ * POST /api/pricing/recalculations
+ * Re-price this organization's usage logs for a date range (Admin only)
+ * 
+ * Original costs and pricing snapshots are kept in the adjustment trail.
+ * Runs in the background: poll GET /api/pricing/recalculations/:id.
+ * 
+ * Body:
+ * {
+ *   "startDate": "2026-09-01T00:00:00Z",
+ *   "endDate": "2026-10-01T00:00:00Z",
+ *   "models": ["gpt-4o"],          // optional, default all models
+ *   "priceMode": "effective",      // 'effective' (at request time), 'current' or 'version'
+ *   "priceId": "uuid",             // required for 'version'
+ *   "dryRun": false                // optional: only compute totals
+ * }
+ */
+router.post('/recalculations', requireAdmin, async (req, res) => {
+    try {
+        const { startDate, endDate, models = [], priceId = null, dryRun = false } = req.body;
+        const priceMode = req.body.priceMode || (priceId ? 'version' : 'effective');
+
+        if (!startDate || !endDate || Number.isNaN(Date.parse(startDate)) || Number.isNaN(Date.parse(endDate))) {
+            return res.status(400).json({
+                success: false,
+                error: 'startDate and endDate must be ISO timestamps'
+            });
+        }
+
+        if (Date.parse(endDate) <= Date.parse(startDate)) {
+            return res.status(400).json({
+                success: false,
+                error: 'endDate must be after startDate'
+            });
+        }
+
+        if (!Array.isArray(models) || models.some(model => typeof model !== 'string' || model.trim().length === 0)) {
+            return res.status(400).json({
+                success: false,
+                error: 'models must be an array of model names'
+            });
+        }
+
+        if (!costRecalculationService.getPriceModes().includes(priceMode)) {
+            return res.status(400).json({
+                success: false,
+                error: `priceMode must be one of: ${costRecalculationService.getPriceModes().join(', ')}`
+            });
+        }
+
+        if (priceMode === 'version' && (!priceId || !uuidRegex.test(priceId))) {
+            return res.status(400).json({
+                success: false,
+                error: 'priceId is required for priceMode "version"'
+            });
+        }
+
+        const recalculation = await costRecalculationService.startRecalculation({
+            organizationId: req.user.organizationId,
+            userId: req.user.id,
+            startDate,
+            endDate,
+            models: models.map(model => model.trim()),
+            priceMode,
+            priceId: priceMode === 'version' ? priceId : null,
+            dryRun: dryRun === true
+        });
+
+        return res.status(202).json({
+            success: true,
+            recalculation
+        });
+
+    } catch (error) {
+        console.error('Start recalculation route error:', error.message);
+
+        let statusCode = 500;
+        if (error.message === 'Price not found') statusCode = 404;
+        else if (error.message.includes('already running')) statusCode = 409;
+
+        return res.status(statusCode).json({
+            success: false,
+            error: error.message || 'Failed to start recalculation'
+        });
+    }
+});
+
+/**
+ * GET /api/pricing/recalculations
+ * List this organization's recalculation jobs (Admin only)
+ */
+router.get('/recalculations', requireAdmin, async (req, res) => {
+    try {
+        const recalculations = await costRecalculationService.listRecalculations(req.user.organizationId);
+
+        return res.status(200).json({
+            success: true,
+            recalculations
+        });
+
+    } catch (error) {
+        console.error('List recalculations route error:', error.message);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to fetch recalculations'
+        });
+    }
+});
+
+/**
+ * GET /api/pricing/recalculations/:id
+ * Get a recalculation job with its adjustment trail (Admin only)
+ * 
+ * Query: limit? (max adjustments returned, default 100, max 1000)
+ */
+router.get('/recalculations/:id', requireAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!uuidRegex.test(id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid recalculation ID format'
+            });
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+        const result = await costRecalculationService.getRecalculation(id, req.user.organizationId, limit);
+
+        return res.status(200).json({
+            success: true,
+            ...result
+        });
+
+    } catch (error) {
+        console.error('Get recalculation route error:', error.message);
+
+        const statusCode = error.message === 'Recalculation not found' ? 404 : 500;
+
+        return res.status(statusCode).json({
+            success: false,
+            error: error.message || 'Failed to fetch recalculation'
+        });
+    }
+});
+
+/**
+ * GET /api/pricing/fx-rates
+ * List daily FX rates (units of currency per 1 USD)
+ * 
+ * Query: currency?, from? (YYYY-MM-DD), to? (YYYY-MM-DD)
+ */
+router.get('/fx-rates', async (req, res) => {
+    try {
+        const { from, to } = req.query;
+        const currency = req.query.currency ? String(req.query.currency).toUpperCase() : undefined;
+
+        for (const [field, value] of [['from', from], ['to', to]]) {
+            if (value && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `${field} must be a date (YYYY-MM-DD)`
+                });
+            }
+        }
+
+        const rates = await fxService.listRates({ currency, from, to });
+
+        return res.status(200).json({
+            success: true,
+            rates
+        });
+
+    } catch (error) {
+        console.error('List FX rates route error:', error.message);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to fetch FX rates'
+        });
+    }
+});
+
+/**
+ * POST /api/pricing/fx-rates
+ * Enter or load daily FX rates (pricing admins only, see PRICING_ADMIN_EMAILS); existing rates for a day are replaced
+ * 
+ * Body (entered): { "rates": [{ "date": "2026-10-01", "currency": "EUR", "rate": 0.92 }] }
+ * Body (file):    { "format": "csv" | "json", "content": "<file content>" }
+ * Or a raw CSV body (Content-Type: text/csv) with columns date, currency, rate
+ */
+router.post('/fx-rates', requireAdmin, requirePricingAdmin, express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), async (req, res) => {
+    try {
+        let rates;
+        let source = 'manual';
+
+        if (typeof req.body === 'string') {
+            rates = fxService.parseRatesFile('csv', req.body);
+            source = 'file';
+        } else if (req.body && req.body.content !== undefined) {
+            if (!['csv', 'json'].includes(req.body.format)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'format must be csv or json'
+                });
+            }
+            rates = fxService.parseRatesFile(req.body.format, req.body.content);
+            source = 'file';
+        } else {
+            rates = req.body ? req.body.rates : undefined;
+        }
+
+        const saved = await fxService.saveRates(rates, { source, userId: req.user.id });
+
+        return res.status(201).json({
+            success: true,
+            saved: saved.length,
+            rates: saved
+        });
+
+    } catch (error) {
+        console.error('Save FX rates route error:', error.message);
+
+        const statusCode = error.message.startsWith('Failed to') ? 500 : 400;
+
+        return res.status(statusCode).json({
+            success: false,
+            error: error.message || 'Failed to save FX rates'
+        });
+    }
+});
+
+/**
+ * GET /api/pricing/overrides
+ * List this organization's negotiated rates (Admin only)
+ */
+router.get('/overrides', requireAdmin, async (req, res) => {
+    try {
+        const overrides = await pricingService.listOrgOverrides(req.user.organizationId);
+
+        return res.status(200).json({
+            success: true,
+            overrides
+        });
+
+    } catch (error) {
+        console.error('List price overrides route error:', error.message);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to fetch price overrides'
+        });
+    }
+});
+
+/**
+ * POST /api/pricing/overrides
+ * Add a negotiated rate for this organization (Admin only)
+ * 
+ * Usage is charged at the override; the list price cost is kept alongside
+ * so the dashboard can report the savings.
+ * 
+ * Body (discount):
+ * {
+ *   "provider": "openai",
+ *   "model": "gpt-4o",                        // optional, omit for every model of the provider
+ *   "discountPercent": 15,
+ *   "effectiveFrom": "2026-11-01T00:00:00Z",  // optional, default now
+ *   "effectiveTo": "2027-11-01T00:00:00Z"     // optional, default open-ended
+ * }
+ * 
+ * Body (absolute rates, model required):
+ * {
+ *   "provider": "openai",
+ *   "model": "gpt-4o",
+ *   "promptPerMillion": 2.00,
+ *   "completionPerMillion": 8.00,
+ *   "cachedPromptPerMillion": 1.00,           // optional, same defaults as list prices
+ *   "audioPromptPerMillion": 32.00,
+ *   "audioCompletionPerMillion": 64.00,
+ *   "reasoningPerMillion": 8.00
+ * }
+ */
+router.post('/overrides', requireAdmin, async (req, res) => {
+    try {
+        const {
+            provider,
+            model,
+            discountPercent,
+            promptPerMillion,
+            completionPerMillion,
+            cachedPromptPerMillion,
+            audioPromptPerMillion,
+            audioCompletionPerMillion,
+            reasoningPerMillion,
+            effectiveFrom,
+            effectiveTo
+        } = req.body;
+
+        if (!pricingService.getCatalogProviders().includes(provider)) {
+            return res.status(400).json({
+                success: false,
+                error: `provider must be one of: ${pricingService.getCatalogProviders().join(', ')}`
+            });
+        }
+
+        if (model !== undefined && model !== null && (typeof model !== 'string' || model.trim().length === 0)) {
+            return res.status(400).json({
+                success: false,
+                error: 'model must be a model name (omit it to cover every model)'
+            });
+        }
+
+        const hasDiscount = discountPercent !== undefined && discountPercent !== null;
+        const hasRates = promptPerMillion !== undefined || completionPerMillion !== undefined;
+
+        if (hasDiscount === hasRates) {
+            return res.status(400).json({
+                success: false,
+                error: 'Provide either discountPercent or promptPerMillion and completionPerMillion'
+            });
+        }
+
+        const categoryRates = {
+            cached_prompt: cachedPromptPerMillion,
+            audio_prompt: audioPromptPerMillion,
+            audio_completion: audioCompletionPerMillion,
+            reasoning: reasoningPerMillion
+        };
+
+        if (hasDiscount) {
+            if (typeof discountPercent !== 'number' || !Number.isFinite(discountPercent) || discountPercent <= 0 || discountPercent > 100) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'discountPercent must be a number greater than 0 and at most 100'
+                });
+            }
+            if (Object.values(categoryRates).some(value => value !== undefined && value !== null)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Category rates can only be set with absolute rates'
+                });
+            }
+        } else {
+            if (!model) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Absolute rates require a model'
+                });
+            }
+
+            for (const [field, value] of [['promptPerMillion', promptPerMillion], ['completionPerMillion', completionPerMillion]]) {
+                if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `${field} must be a non-negative number (USD per 1M tokens)`
+                    });
+                }
+            }
+
+            for (const [category, value] of Object.entries(categoryRates)) {
+                if (value !== undefined && value !== null && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `${category} rate must be a non-negative number (USD per 1M tokens)`
+                    });
+                }
+            }
+        }
+
+        for (const [field, value] of [['effectiveFrom', effectiveFrom], ['effectiveTo', effectiveTo]]) {
+            if (value !== undefined && value !== null && Number.isNaN(Date.parse(value))) {
+                return res.status(400).json({
+                    success: false,
+                    error: `${field} must be an ISO timestamp`
+                });
+            }
+        }
+
+        if (effectiveTo && new Date(effectiveTo) <= new Date(effectiveFrom || Date.now())) {
+            return res.status(400).json({
+                success: false,
+                error: 'effectiveTo must be after effectiveFrom'
+            });
+        }
+
+        const override = await pricingService.createOrgOverride({
+            organizationId: req.user.organizationId,
+            provider,
+            model: model ? model.trim() : null,
+            discountPercent: hasDiscount ? discountPercent : null,
+            promptPerMillion: hasDiscount ? null : promptPerMillion,
+            completionPerMillion: hasDiscount ? null : completionPerMillion,
+            categoryRates: hasDiscount ? {} : categoryRates,
+            effectiveFrom,
+            effectiveTo,
+            userId: req.user.id
+        });
+
+        return res.status(201).json({
+            success: true,
+            override
+        });
+
+    } catch (error) {
+        console.error('Create price override route error:', error.message);
+
+        const statusCode = error.message.includes('already covers') ? 409 : 500;
+
+        return res.status(statusCode).json({
+            success: false,
+            error: error.message || 'Failed to save price override'
+        });
+    }
+});
+
+/**
+ * DELETE /api/pricing/overrides/:id
+ * Remove a negotiated rate (Admin only)
+ * Usage already logged keeps its cost; run a recalculation to re-price it.
+ */
+router.delete('/overrides/:id', requireAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!uuidRegex.test(id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid override ID format'
+            });
+        }
+
+        const result = await pricingService.deleteOrgOverride(id, req.user.organizationId);
+
+        return res.status(200).json(result);
+
+    } catch (error) {
+        console.error('Delete price override route error:', error.message);
+
+        const statusCode = error.message === 'Price override not found' ? 404 : 500;
+
+        return res.status(statusCode).json({
+            success: false,
+            error: error.message || 'Failed to delete price override'
+        });
+    }
+});
+
+/**
+ * DELETE /api/pricing/:id
+ * Cancel a scheduled (future) price change (pricing admins only)
+ */
+router.delete('/:id', requireAdmin, requirePricingAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!uuidRegex.test(id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid price ID format'
+            });
+        }
+
+        const result = await pricingService.deleteScheduledPrice(id);
+
+        return res.status(200).json(result);
+
+    } catch (error) {
+        console.error('Delete price route error:', error.message);
+
+        let statusCode = 500;
+        if (error.message === 'Price not found') statusCode = 404;
+        else if (error.message.includes('Only scheduled')) statusCode = 400;
+
+        return res.status(statusCode).json({
+            success: false,
+            error: error.message || 'Failed to delete price'
+        });
+    }
+});
+
+module.exports = router;
@@ -1,5 +1,6 @@
 const express = require('express');
 const projectService = require('../services/projectService');
+const openaiProxyService = require('../services/openaiProxyService');
 const { authenticate, requireAdmin } = require('../middleware/auth');
 
 const router = express.Router();
@@ -135,11 +136,14 @@ router.post('/', requireAdmin, async (req, res) => {
 /**
  * PUT /api/projects/:id
  * Update a project (Admin only)
+ * 
+ * Body: { name?, description?, cacheEnabled?, cacheTtlSeconds?, fallbackModels?, maxRetries? }
+ * fallbackModels is an ordered list of allowlisted models tried on upstream 429/5xx
  */
 router.put('/:id', requireAdmin, async (req, res) => {
     try {
         const { id } = req.params;
-        const { name, description } = req.body;
+        const { name, description, cacheEnabled, cacheTtlSeconds, fallbackModels, maxRetries } = req.body;
         const { organizationId } = req.user;
 
         // Validate UUID format
@@ -167,9 +171,54 @@ router.put('/:id', requireAdmin, async (req, res) => {
             }
         }
 
+        if (cacheEnabled !== undefined && typeof cacheEnabled !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                error: 'cacheEnabled must be a boolean'
+            });
+        }
+
+        if (cacheTtlSeconds !== undefined && (!Number.isInteger(cacheTtlSeconds) || cacheTtlSeconds <= 0)) {
+            return res.status(400).json({
+                success: false,
+                error: 'cacheTtlSeconds must be a positive integer'
+            });
+        }
+
+        if (fallbackModels !== undefined) {
+            if (!Array.isArray(fallbackModels) || fallbackModels.some(m => typeof m !== 'string')) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'fallbackModels must be an array of model names'
+                });
+            }
+
+            for (const model of fallbackModels) {
+                try {
+                    openaiProxyService.resolveRoute(model);
+                } catch (routeError) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `Invalid fallback model: ${routeError.message}`
+                    });
+                }
+            }
+        }
+
+        if (maxRetries !== undefined && (!Number.isInteger(maxRetries) || maxRetries < 0 || maxRetries > 5)) {
+            return res.status(400).json({
+                success: false,
+                error: 'maxRetries must be an integer between 0 and 5'
+            });
+        }
+
         const updates = {};
         if (name !== undefined) updates.name = name.trim();
         if (description !== undefined) updates.description = description.trim();
+        if (cacheEnabled !== undefined) updates.cache_enabled = cacheEnabled;
+        if (cacheTtlSeconds !== undefined) updates.cache_ttl_seconds = cacheTtlSeconds;
+        if (fallbackModels !== undefined) updates.fallback_models = fallbackModels;
+        if (maxRetries !== undefined) updates.max_retries = maxRetries;
 
         if (Object.keys(updates).length === 0) {
             return res.status(400).json({
@@ -0,0 +1,124 @@
+const express = require('express');
+const providerCredentialService = require('../services/providerCredentialService');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes require an authenticated admin (credentials are sensitive)
+router.use(authenticate, requireAdmin);
+
+/**
+ * GET /api/providers
+ * List configured provider credentials (keys masked)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { organizationId } = req.user;
+
+        const result = await providerCredentialService.listCredentials(organizationId);
+
+        return res.status(200).json(result);
+
+    } catch (error) {
+        console.error('List providers route error:', error.message);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to fetch provider credentials'
+        });
+    }
+});
+
+/**
+ * PUT /api/providers/:provider
+ * Create or replace a provider credential
+ * 
+ * Body:
+ * {
+ *   "api_key": "sk-...",
+ *   "base_url": "https://my-resource.openai.azure.com",   // Azure OpenAI (required)
+ *   "api_version": "2024-10-21",                          // Azure OpenAI (optional)
+ *   "deployments": { "gpt-4o": "prod-gpt4o" }             // Azure OpenAI (optional)
+ * }
+ */
+router.put('/:provider', async (req, res) => {
+    try {
+        const { provider } = req.params;
+        const { organizationId } = req.user;
+        const { api_key, base_url, api_version, deployments } = req.body;
+
+        if (!providerCredentialService.getSupportedProviders().includes(provider)) {
+            return res.status(400).json({
+                success: false,
+                error: `Unsupported provider. Supported providers: ${providerCredentialService.getSupportedProviders().join(', ')}`
+            });
+        }
+
+        if (!api_key || typeof api_key !== 'string' || api_key.trim().length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'api_key is required'
+            });
+        }
+
+        if (provider === 'azure_openai' && !base_url) {
+            return res.status(400).json({
+                success: false,
+                error: 'base_url (Azure resource endpoint) is required for azure_openai'
+            });
+        }
+
+        if (deployments !== undefined && (typeof deployments !== 'object' || Array.isArray(deployments) || deployments === null)) {
+            return res.status(400).json({
+                success: false,
+                error: 'deployments must be an object mapping model names to deployment names'
+            });
+        }
+
+        const result = await providerCredentialService.saveCredential(organizationId, provider, {
+            api_key: api_key.trim(),
+            base_url,
+            api_version,
+            deployments
+        });
+
+        return res.status(200).json(result);
+
+    } catch (error) {
+        console.error('Save provider route error:', error.message);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to save provider credentials'
+        });
+    }
+});
+
+/**
+ * DELETE /api/providers/:provider
+ * Remove a provider credential
+ */
+router.delete('/:provider', async (req, res) => {
+    try {
+        const { provider } = req.params;
+        const { organizationId } = req.user;
+
+        if (!providerCredentialService.getSupportedProviders().includes(provider)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Unsupported provider'
+            });
+        }
+
+        const result = await providerCredentialService.deleteCredential(organizationId, provider);
+
+        return res.status(200).json(result);
+
+    } catch (error) {
+        console.error('Delete provider route error:', error.message);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to delete provider credentials'
+        });
+    }
+});
+
+module.exports = router;
@@ -111,12 +111,13 @@ router.get('/:id', async (req, res) => {
  * Body:
  * {
  *   "projectId": "uuid",
- *   "name": "optional-key-name"
+ *   "name": "optional-key-name",
+ *   "maxCostPerRequestUsd": 0.50   // optional worst-case cost ceiling
  * }
  */
 router.post('/', requireAdmin, async (req, res) => {
     try {
-        const { projectId, name } = req.body;
+        const { projectId, name, maxCostPerRequestUsd } = req.body;
         const { organizationId, id: userId } = req.user;
 
         // Validation
@@ -144,11 +145,20 @@ router.post('/', requireAdmin, async (req, res) => {
             });
         }
 
+        if (maxCostPerRequestUsd !== undefined && maxCostPerRequestUsd !== null &&
+            (typeof maxCostPerRequestUsd !== 'number' || maxCostPerRequestUsd <= 0)) {
+            return res.status(400).json({
+                success: false,
+                error: 'maxCostPerRequestUsd must be a positive number'
+            });
+        }
+
         const result = await proxyKeyService.createProxyKey(
             organizationId,
             projectId,
             userId,
-            name ? name.trim() : ''
+            name ? name.trim() : '',
+            { max_cost_per_request_usd: maxCostPerRequestUsd }
         );
 
         return res.status(201).json(result);
@@ -162,6 +172,104 @@ router.post('/', requireAdmin, async (req, res) => {
     }
 });
 
+/**
+ * PUT /api/proxy-keys/:id/limits
+ * Set or clear spend limits on a proxy key (Admin only)
+ * 
+ * Body:
+ * {
+ *   "maxCostPerRequestUsd": 0.50   // null removes the limit
+ * }
+ */
+router.put('/:id/limits', requireAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { organizationId } = req.user;
+        const { maxCostPerRequestUsd } = req.body;
+
+        // Validate UUID format
+        const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+        if (!uuidRegex.test(id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid key ID format'
+            });
+        }
+
+        if (maxCostPerRequestUsd === undefined ||
+            (maxCostPerRequestUsd !== null && (typeof maxCostPerRequestUsd !== 'number' || maxCostPerRequestUsd <= 0))) {
+            return res.status(400).json({
+                success: false,
+                error: 'maxCostPerRequestUsd must be a positive number or null'
+            });
+        }
+
+        const result = await proxyKeyService.updateProxyKeyLimits(id, organizationId, {
+            max_cost_per_request_usd: maxCostPerRequestUsd
+        });
+
+        return res.status(200).json(result);
+
+    } catch (error) {
+        console.error('Update proxy key limits route error:', error);
+
+        const statusCode = error.message === 'Proxy key not found' ? 404 : 500;
+
+        return res.status(statusCode).json({
+            success: false,
+            error: error.message || 'Failed to update proxy key limits'
+        });
+    }
+});
+
+/**
+ * PUT /api/proxy-keys/:id/assignee
+ * Assign a proxy key to a user in the organization (Admin only)
+ * The user's budget then covers the key's spend (set via /api/budgets/users/:userId).
+ * 
+ * Body:
+ * {
+ *   "userId": "uuid"   // null unassigns the key
+ * }
+ */
+router.put('/:id/assignee', requireAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { organizationId } = req.user;
+        const { userId } = req.body;
+
+        // Validate UUID format
+        const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+        if (!uuidRegex.test(id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid key ID format'
+            });
+        }
+
+        if (userId === undefined || (userId !== null && !uuidRegex.test(userId))) {
+            return res.status(400).json({
+                success: false,
+                error: 'userId must be a user ID or null'
+            });
+        }
+
+        const result = await proxyKeyService.assignProxyKey(id, organizationId, userId);
+
+        return res.status(200).json(result);
+
+    } catch (error) {
+        console.error('Assign proxy key route error:', error);
+
+        const statusCode = ['Proxy key not found', 'User not found'].includes(error.message) ? 404 : 500;
+
+        return res.status(statusCode).json({
+            success: false,
+            error: error.message || 'Failed to assign proxy key'
+        });
+    }
+});
+
 /**
  * POST /api/proxy-keys/:id/revoke
  * Revoke (disable) a proxy key (Admin only)
@@ -196,4 +304,38 @@ router.post('/:id/revoke', requireAdmin, async (req, res) => {
     }
 });
 
+/**
+ * POST /api/proxy-keys/:id/reactivate
+ * Reactivate a key suspended by anomaly detection (Admin only)
+ */
+router.post('/:id/reactivate', requireAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { organizationId } = req.user;
+
+        // Validate UUID format
+        const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+        if (!uuidRegex.test(id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid key ID format'
+            });
+        }
+
+        const result = await proxyKeyService.reactivateProxyKey(id, organizationId);
+
+        return res.status(200).json(result);
+
+    } catch (error) {
+        console.error('Reactivate proxy key route error:', error);
+
+        const statusCode = error.message === 'Proxy key not found or not suspended' ? 404 : 500;
+
+        return res.status(statusCode).json({
+            success: false,
+            error: error.message || 'Failed to reactivate proxy key'
+        });
+    }
+});
+
 module.exports = router;
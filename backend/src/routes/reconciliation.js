@@ -0,0 +1,180 @@
+const express = require('express');
+const reconciliationService = require('../services/reconciliationService');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes require an admin (invoices are finance data)
+router.use(authenticate, requireAdmin);
+
+// Validate UUID format
+const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Raw CSV uploads (JSON bodies are parsed in server.js with the same limit)
+const csvBody = express.text({
+    type: ['text/csv', 'text/plain'],
+    limit: process.env.RECONCILIATION_MAX_UPLOAD || '10mb'
+});
+
+/**
+ * POST /api/reconciliation/imports
+ * Import an OpenAI usage or cost export
+ * 
+ * Either a raw CSV body (Content-Type: text/csv, ?filename=usage.csv) or JSON:
+ * {
+ *   "format": "csv" | "json",
+ *   "content": "<csv text>" | <export JSON>,
+ *   "filename": "usage-2026-09.csv"       // optional
+ * }
+ */
+router.post('/imports', csvBody, async (req, res) => {
+    try {
+        let format;
+        let content;
+        let filename;
+
+        if (typeof req.body === 'string') {
+            format = 'csv';
+            content = req.body;
+            filename = req.query.filename;
+        } else {
+            ({ format, content, filename } = req.body || {});
+        }
+
+        if (!['csv', 'json'].includes(format)) {
+            return res.status(400).json({
+                success: false,
+                error: 'format must be csv or json'
+            });
+        }
+
+        if (content === undefined || content === null || content === '') {
+            return res.status(400).json({
+                success: false,
+                error: 'content is required'
+            });
+        }
+
+        const result = await reconciliationService.importExport({
+            organizationId: req.user.organizationId,
+            userId: req.user.id,
+            format,
+            content,
+            filename: filename ? String(filename).slice(0, 255) : null
+        });
+
+        return res.status(201).json({
+            success: true,
+            ...result
+        });
+
+    } catch (error) {
+        console.error('Import export route error:', error.message);
+
+        const statusCode = error.message.startsWith('Failed to') ? 500 : 400;
+
+        return res.status(statusCode).json({
+            success: false,
+            error: error.message || 'Failed to import export'
+        });
+    }
+});
+
+/**
+ * GET /api/reconciliation/imports
+ * List imported exports
+ */
+router.get('/imports', async (req, res) => {
+    try {
+        const imports = await reconciliationService.listImports(req.user.organizationId);
+
+        return res.status(200).json({
+            success: true,
+            imports
+        });
+
+    } catch (error) {
+        console.error('List imports route error:', error.message);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to fetch imports'
+        });
+    }
+});
+
+/**
+ * GET /api/reconciliation/imports/:id/report
+ * Reconciliation report: export vs usage logs per day and model
+ * 
+ * Query: tolerance? (percent difference ignored, default 1)
+ */
+router.get('/imports/:id/report', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!uuidRegex.test(id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid import ID format'
+            });
+        }
+
+        const tolerancePct = req.query.tolerance !== undefined ? parseFloat(req.query.tolerance) : 1;
+        if (!Number.isFinite(tolerancePct) || tolerancePct < 0 || tolerancePct > 100) {
+            return res.status(400).json({
+                success: false,
+                error: 'tolerance must be a percentage between 0 and 100'
+            });
+        }
+
+        const report = await reconciliationService.getReconciliationReport(id, req.user.organizationId, { tolerancePct });
+
+        return res.status(200).json({
+            success: true,
+            ...report
+        });
+
+    } catch (error) {
+        console.error('Reconciliation report route error:', error.message);
+
+        const statusCode = error.message === 'Import not found' ? 404 : 500;
+
+        return res.status(statusCode).json({
+            success: false,
+            error: error.message || 'Failed to build reconciliation report'
+        });
+    }
+});
+
+/**
+ * DELETE /api/reconciliation/imports/:id
+ * Delete an import and its lines
+ */
+router.delete('/imports/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!uuidRegex.test(id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid import ID format'
+            });
+        }
+
+        const result = await reconciliationService.deleteImport(id, req.user.organizationId);
+
+        return res.status(200).json(result);
+
+    } catch (error) {
+        console.error('Delete import route error:', error.message);
+
+        const statusCode = error.message === 'Import not found' ? 404 : 500;
+
+        return res.status(statusCode).json({
+            success: false,
+            error: error.message || 'Failed to delete import'
+        });
+    }
+});
+
+module.exports = router;
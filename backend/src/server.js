@@ -27,7 +27,10 @@ const globalLimiter = rateLimit({
 });
 
 // Middleware
-app.use(cors());
+// Let the dashboard read export filenames
+app.use(cors({ exposedHeaders: ['Content-Disposition'] }));
+// Invoice exports can be large; everything else keeps the default body limit
+app.use('/api/reconciliation/imports', express.json({ limit: process.env.RECONCILIATION_MAX_UPLOAD || '10mb' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(globalLimiter);
@@ -66,6 +69,14 @@ const openaiProxyRoutes = require('./routes/openaiProxy');
 const analyticsRoutes = require('./routes/analytics');
 const budgetRoutes = require('./routes/budgets');
 const diagnosticRoutes = require('./routes/diagnostics');
+const providerRoutes = require('./routes/providers');
+const pricingRoutes = require('./routes/pricing');
+const reconciliationRoutes = require('./routes/reconciliation');
+const notificationRoutes = require('./routes/notifications');
+const notificationService = require('./services/notificationService');
+const anomalyRoutes = require('./routes/anomalies');
+const anomalyService = require('./services/anomalyService');
+const exportRoutes = require('./routes/exports');
 
 // API Routes
 app.use('/api/auth', authRoutes);
@@ -74,6 +85,12 @@ app.use('/api/proxy-keys', proxyKeyRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/budgets', budgetRoutes);
 app.use('/api/diagnostics', diagnosticRoutes);
+app.use('/api/providers', providerRoutes);
+app.use('/api/pricing', pricingRoutes);
+app.use('/api/reconciliation', reconciliationRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/anomalies', anomalyRoutes);
+app.use('/api/exports', exportRoutes);
 
 // OpenAI Proxy Routes (OpenAI-compatible endpoints)
 app.use('/v1', openaiProxyRoutes);
@@ -108,6 +125,10 @@ const server = app.listen(PORT, '0.0.0.0', () => {
     logger.info(`SpendAI Server started on port ${PORT}`, 'STARTUP');
     logger.info(`Environment: ${process.env.NODE_ENV}`, 'STARTUP');
     logger.info(`Server listening on 0.0.0.0:${PORT}`, 'STARTUP');
+
+    // Retry failed alert notifications and check for usage anomalies in the background
+    notificationService.startRetryWorker();
+    anomalyService.startWorker();
 });
 
 // Handle server errors
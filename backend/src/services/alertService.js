@@ -1,10 +1,13 @@
 const { supabaseAdmin } = require('../config/supabase');
+const { getBudgetPeriod } = require('../utils/budgetPeriod');
+const notificationService = require('./notificationService');
 
 /**
  * Alert Service
  * 
  * Handles storing and retrieving triggered spend alerts.
- * Uses unique constraints to ensure alerts only trigger once per month per threshold.
+ * Uses unique constraints to ensure alerts only trigger once per budget period per threshold.
+ * New alerts are sent to the organization's notification channels.
  */
 class AlertService {
 
@@ -12,18 +15,33 @@ class AlertService {
      * Record a triggered alert
      * 
      * @param {Object} params - Alert parameters
+     * @param {string} params.alert_type - 'threshold' (default), 'forecast' or 'anomaly'
+     * @param {number} params.projected_spend - Projected end-of-period spend (forecast alerts)
+     * @param {string} params.projected_exceed_date - Day the projection reaches the budget (forecast alerts)
+     * @param {Object} params.anomaly - { metric, observed, baseline, expected_max, key_suspended } (anomaly alerts)
+     * @param {string} params.period_start - Start of the budget period (default: current UTC month)
+     * @param {string} params.period_end - End of the budget period (exclusive)
      */
     async recordAlert(params) {
         const {
             organization_id,
             project_id,
+            proxy_key_id = null,
+            user_id = null,
             alert_level,
+            alert_type = 'threshold',
             threshold_percent,
             budget_amount,
-            actual_spend
+            actual_spend,
+            projected_spend = null,
+            projected_exceed_date = null,
+            anomaly = null,
+            currency = 'USD'
         } = params;
 
-        const month_year = new Date().toISOString().substring(0, 7); // 'YYYY-MM'
+        const period = params.period_start ? null : getBudgetPeriod();
+        const period_start = params.period_start || period.start.toISOString();
+        const period_end = params.period_end || (period ? period.end.toISOString() : null);
 
         try {
             const { data, error } = await supabaseAdmin
@@ -31,11 +49,23 @@ class AlertService {
                 .insert({
                     organization_id,
                     project_id,
+                    proxy_key_id,
+                    user_id,
                     alert_level,
+                    alert_type,
                     threshold_percent,
                     budget_amount,
                     actual_spend,
-                    month_year
+                    projected_spend,
+                    projected_exceed_date,
+                    anomaly_metric: anomaly ? anomaly.metric : null,
+                    observed_value: anomaly ? anomaly.observed : null,
+                    baseline_value: anomaly ? anomaly.baseline : null,
+                    expected_max: anomaly ? anomaly.expected_max : null,
+                    key_suspended: anomaly ? Boolean(anomaly.key_suspended) : false,
+                    currency,
+                    period_start,
+                    period_end
                 })
                 .select()
                 .single();
@@ -49,7 +79,19 @@ class AlertService {
                 throw error;
             }
 
-            console.log(`[ALERT] ${alert_level.toUpperCase()} budget crossed ${threshold_percent}% threshold: ${actual_spend}/${budget_amount}`);
+            if (alert_type === 'anomaly') {
+                console.log(`[ALERT] ${alert_level.toUpperCase()} ${anomaly.metric} anomaly: ${anomaly.observed} in the last hour (expected at most ${anomaly.expected_max})${anomaly.key_suspended ? ', key suspended' : ''}`);
+            } else if (alert_type === 'forecast') {
+                console.log(`[ALERT] ${alert_level.toUpperCase()} budget projected to exceed: ${projected_spend}/${budget_amount} ${currency} by period end`);
+            } else {
+                console.log(`[ALERT] ${alert_level.toUpperCase()} budget crossed ${threshold_percent}% threshold: ${actual_spend}/${budget_amount} ${currency}`);
+            }
+
+            // Deliver in the background; failures are retried by the notification worker
+            notificationService.dispatchAlert(data).catch(dispatchError => {
+                console.error('Alert notification error:', dispatchError.message);
+            });
+
             return { success: true, data };
         } catch (error) {
             console.error('Alert recording error:', error.message);
@@ -57,6 +99,61 @@ class AlertService {
         }
     }
 
+    /**
+     * Thresholds already recorded for a budget in a period
+     * 
+     * @param {Object} scope - { alert_level, organization_id, project_id, proxy_key_id, user_id }
+     * @param {string} periodStart - Start of the budget period
+     * @param {string} alertType - 'threshold' (default) or 'forecast'
+     * @returns {Promise<Set<number>>} Recorded threshold percents
+     */
+    async getRecordedThresholds(scope, periodStart, alertType = 'threshold') {
+        const levelColumns = {
+            organization: ['organization_id', scope.organization_id],
+            project: ['project_id', scope.project_id],
+            key: ['proxy_key_id', scope.proxy_key_id],
+            user: ['user_id', scope.user_id]
+        };
+        const [column, value] = levelColumns[scope.alert_level];
+
+        const { data, error } = await supabaseAdmin
+            .from('alerts')
+            .select('threshold_percent')
+            .eq('alert_level', scope.alert_level)
+            .eq('alert_type', alertType)
+            .eq(column, value)
+            .eq('period_start', new Date(periodStart).toISOString());
+
+        if (error) throw error;
+        return new Set(data.map(row => row.threshold_percent));
+    }
+
+    /**
+     * Whether an anomaly alert was recorded for a scope and metric since a time
+     * 
+     * @param {Object} scope - { alert_level, organization_id, project_id, proxy_key_id }
+     * @param {string} metric - 'spend', 'requests' or 'tokens'
+     * @param {Date} since - Start of the cooldown window
+     * @returns {Promise<boolean>}
+     */
+    async hasRecentAnomaly(scope, metric, since) {
+        const column = scope.alert_level === 'key' ? ['proxy_key_id', scope.proxy_key_id] : ['project_id', scope.project_id];
+
+        const { data, error } = await supabaseAdmin
+            .from('alerts')
+            .select('id')
+            .eq('organization_id', scope.organization_id)
+            .eq('alert_type', 'anomaly')
+            .eq('alert_level', scope.alert_level)
+            .eq('anomaly_metric', metric)
+            .eq(column[0], column[1])
+            .gte('created_at', since.toISOString())
+            .limit(1);
+
+        if (error) throw error;
+        return data.length > 0;
+    }
+
     /**
      * Get recently triggered alerts for an organization
      * 
@@ -68,7 +165,9 @@ class AlertService {
             .from('alerts')
             .select(`
         *,
-        projects (name)
+        projects (name),
+        proxy_keys (name),
+        users (email)
       `)
             .eq('organization_id', organizationId)
             .order('created_at', { ascending: false });
@@ -1,136 +1,206 @@
 const { supabaseAdmin } = require('../config/supabase');
+const fxService = require('./fxService');
+
+// Rows per page when reading aggregation functions
+const AGGREGATE_PAGE_SIZE = 1000;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// GET /api/analytics/query: dimension => analytics_query column
+const QUERY_DIMENSIONS = {
+    project: 'project_id',
+    model: 'model',
+    key: 'proxy_key_id',
+    provider: 'provider',
+    user: 'user_id',
+    tag: 'tag'
+};
+const UUID_DIMENSIONS = ['project', 'key', 'user'];
+const QUERY_GRANULARITIES = ['hour', 'day', 'week', 'month'];
+// Longest range per granularity (days)
+const MAX_QUERY_DAYS = { hour: 31, day: 366, week: 731, month: 1096 };
+const DEFAULT_QUERY_DAYS = 30;
+const DEFAULT_SERIES_LIMIT = 20;
+const MAX_SERIES_LIMIT = 100;
+const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
 /**
  * Analytics Service
  * 
  * Handles read-only aggregation queries on usage_logs table
  * Strict organization isolation is enforced
+ * 
+ * Spend totals (total_spend, month_to_date...) are in USD. Their _reporting
+ * counterparts hold the same totals in the organization's reporting currency
+ * (each cost converted at its day's FX rate), named in `currency`.
  */
 class AnalyticsService {
 
+    /**
+     * Statuses that represent served requests
+     * Failed and rejected rows (zero cost) are excluded from spend breakdowns
+     */
+    getBillableStatuses() {
+        return ['success', 'cache_hit', 'unpriced'];
+    }
+
+    /**
+     * Get the organization's reporting currency and a USD converter for it
+     * 
+     * @param {string} organizationId - Organization UUID
+     * @returns {Object} { currency, convert: (amountUsd, at) => amount }
+     */
+    async getReportingConverter(organizationId) {
+        const currency = await fxService.getOrgCurrency(organizationId);
+        const convert = await fxService.getConverter(currency);
+        return { currency, convert };
+    }
+
+    /**
+     * Read every row of an aggregation function, one page at a time
+     * 
+     * @param {string} fn - Function name
+     * @param {Object} params - Function arguments
+     * @returns {Promise<Array>} Rows
+     */
+    async fetchAggregate(fn, params) {
+        const rows = [];
+        let offset = 0;
+
+        for (;;) {
+            const { data, error } = await supabaseAdmin
+                .rpc(fn, params)
+                .range(offset, offset + AGGREGATE_PAGE_SIZE - 1);
+
+            if (error) throw error;
+
+            rows.push(...data);
+
+            if (data.length < AGGREGATE_PAGE_SIZE) break;
+            offset += AGGREGATE_PAGE_SIZE;
+        }
+
+        return rows;
+    }
+
     /**
      * Get total spend summary for an organization
      * Includes: MTD (Month to Date), Last 7 Days, Last 30 Days
+     * plus response cache savings (list cost avoided by cache hits)
      * 
      * @param {string} organizationId - Organization UUID
-     * @returns {Object} Spend summary
+     * @returns {Object} Spend summary (USD, plus _reporting fields in the reporting currency)
      */
     async getSpendSummary(organizationId) {
         const now = new Date();
+        const { currency, convert } = await this.getReportingConverter(organizationId);
         // Use UTC for start dates to ensure consistency across regions
         const startOfMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString();
         const last7Days = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000).toISOString();
         const last30Days = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000).toISOString();
 
-        // Query for all three time ranges
-        // For large datasets, these would be separate optimized queries or cached views
-
-        // MTD
-        const { data: mtdData, error: mtdError } = await supabaseAdmin
-            .from('usage_logs')
-            .select('cost_usd')
-            .eq('organization_id', organizationId)
-            .gte('created_at', startOfMonth);
-
-        // Last 7 Days
-        const { data: last7Data, error: last7Error } = await supabaseAdmin
-            .from('usage_logs')
-            .select('cost_usd')
-            .eq('organization_id', organizationId)
-            .gte('created_at', last7Days);
-
-        // Last 30 Days
-        const { data: last30Data, error: last30Error } = await supabaseAdmin
-            .from('usage_logs')
-            .select('cost_usd')
-            .eq('organization_id', organizationId)
-            .gte('created_at', last30Days);
-
-        if (mtdError || last7Error || last30Error) {
+        // Per-day totals of each range, from the hourly usage rollup
+        let mtdData, last7Data, last30Data;
+        try {
+            [mtdData, last7Data, last30Data] = await Promise.all(
+                [startOfMonth, last7Days, last30Days].map(since => this.fetchAggregate('usage_rollup_by_day', {
+                    p_organization_id: organizationId,
+                    p_from: since
+                }))
+            );
+        } catch (error) {
             throw new Error('Failed to fetch spend summary');
         }
 
-        const calculateSum = (data) => {
-            if (!data || data.length === 0) return 0;
-            const sum = data.reduce((acc, row) => acc + parseFloat(row.cost_usd || 0), 0);
+        // Each day is converted at its own FX rate
+        const calculateSum = (days, field = 'cost_usd', toCurrency = (amount) => amount) => {
+            const sum = days.reduce((acc, day) => acc + toCurrency(parseFloat(day[field] || 0), day.day), 0);
             return Math.round(sum * 1000000) / 1000000;
         };
 
-        return {
-            month_to_date: calculateSum(mtdData),
-            last_7_days: calculateSum(last7Data),
-            last_30_days: calculateSum(last30Data)
+        const totals = {
+            month_to_date: [mtdData, 'cost_usd'],
+            last_7_days: [last7Data, 'cost_usd'],
+            last_30_days: [last30Data, 'cost_usd'],
+            cache_savings_month_to_date: [mtdData, 'savings_usd'],
+            cache_savings_last_30_days: [last30Data, 'savings_usd'],
+            // Negotiated rate savings: list price cost minus the charged cost
+            negotiated_savings_month_to_date: [mtdData, 'negotiated_savings_usd'],
+            negotiated_savings_last_30_days: [last30Data, 'negotiated_savings_usd']
         };
+
+        const summary = { currency };
+        for (const [name, [days, field]] of Object.entries(totals)) {
+            summary[name] = calculateSum(days, field);
+            summary[`${name}_reporting`] = calculateSum(days, field, convert);
+        }
+        return summary;
     }
 
     /**
      * Get spend breakdown by project
      * 
      * @param {string} organizationId - Organization UUID
-     * @returns {Array} List of projects with spend
+     * @returns {Array} List of projects with spend (USD and reporting currency)
      */
     async getSpendByProject(organizationId) {
-        // Note: Supabase's simple JS client doesn't support complex GROUP BY well
-        // We'll fetch and aggregate, or use a RPC if performance becomes an issue
-        // For now, we fetch project names and join in-memory or via select
-
-        const { data, error } = await supabaseAdmin
-            .from('usage_logs')
-            .select(`
-        cost_usd,
-        project_id,
-        projects (name)
-      `)
-            .eq('organization_id', organizationId);
-
-        if (error) throw error;
-
-        const aggregation = data.reduce((acc, row) => {
+        const { currency, convert } = await this.getReportingConverter(organizationId);
+
+        const days = await this.fetchAggregate('analytics_project_spend_by_day', {
+            p_organization_id: organizationId,
+            p_billable_only: true
+        });
+
+        const aggregation = days.reduce((acc, row) => {
             const pid = row.project_id;
-            const pName = row.projects ? row.projects.name : 'Unknown Project';
 
             if (!acc[pid]) {
-                acc[pid] = { project_id: pid, project_name: pName, total_spend: 0, request_count: 0 };
+                acc[pid] = { project_id: pid, project_name: row.project_name || 'Unknown Project', total_spend: 0, total_spend_reporting: 0, request_count: 0, currency };
             }
 
             acc[pid].total_spend += parseFloat(row.cost_usd);
-            acc[pid].request_count += 1;
+            acc[pid].total_spend_reporting += convert(parseFloat(row.cost_usd), row.day);
+            acc[pid].request_count += parseInt(row.request_count, 10);
             return acc;
         }, {});
 
         return Object.values(aggregation).map(item => ({
             ...item,
-            total_spend: Math.round(item.total_spend * 1000000) / 1000000
+            total_spend: Math.round(item.total_spend * 1000000) / 1000000,
+            total_spend_reporting: Math.round(item.total_spend_reporting * 1000000) / 1000000
         })).sort((a, b) => b.total_spend - a.total_spend);
     }
 
     /**
-     * Get spend breakdown by model
+     * Get spend breakdown by model (and the provider that served it)
      * 
      * @param {string} organizationId - Organization UUID
-     * @returns {Array} List of models with spend
+     * @returns {Array} List of models with spend (USD and reporting currency)
      */
     async getSpendByModel(organizationId) {
-        const { data, error } = await supabaseAdmin
-            .from('usage_logs')
-            .select('model, cost_usd')
-            .eq('organization_id', organizationId);
+        const { currency, convert } = await this.getReportingConverter(organizationId);
 
-        if (error) throw error;
+        const days = await this.fetchAggregate('analytics_model_spend_by_day', {
+            p_organization_id: organizationId,
+            p_billable_only: true
+        });
 
-        const aggregation = data.reduce((acc, row) => {
-            const model = row.model;
-            if (!acc[model]) {
-                acc[model] = { model, total_spend: 0, request_count: 0 };
+        const aggregation = days.reduce((acc, row) => {
+            const key = `${row.provider}:${row.model}`;
+            if (!acc[key]) {
+                acc[key] = { model: row.model, provider: row.provider, total_spend: 0, total_spend_reporting: 0, request_count: 0, currency };
             }
-            acc[model].total_spend += parseFloat(row.cost_usd);
-            acc[model].request_count += 1;
+            acc[key].total_spend += parseFloat(row.cost_usd);
+            acc[key].total_spend_reporting += convert(parseFloat(row.cost_usd), row.day);
+            acc[key].request_count += parseInt(row.request_count, 10);
             return acc;
         }, {});
 
         return Object.values(aggregation).map(item => ({
             ...item,
-            total_spend: Math.round(item.total_spend * 1000000) / 1000000
+            total_spend: Math.round(item.total_spend * 1000000) / 1000000,
+            total_spend_reporting: Math.round(item.total_spend_reporting * 1000000) / 1000000
         })).sort((a, b) => b.total_spend - a.total_spend);
     }
 
@@ -138,29 +208,23 @@ class AnalyticsService {
      * Get daily spend over time (last 30 days)
      * 
      * @param {string} organizationId - Organization UUID
-     * @returns {Array} Daily spend data
+     * @returns {Array} Daily spend data (USD and reporting currency)
      */
     async getDailySpend(organizationId) {
         const now = new Date();
+        const { currency, convert } = await this.getReportingConverter(organizationId);
         const last30Days = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
 
-        const { data, error } = await supabaseAdmin
-            .from('usage_logs')
-            .select('cost_usd, created_at')
-            .eq('organization_id', organizationId)
-            .gte('created_at', last30Days.toISOString());
-
-        if (error) throw error;
+        const days = await this.fetchAggregate('usage_rollup_by_day', {
+            p_organization_id: organizationId,
+            p_from: last30Days.toISOString()
+        });
 
-        const aggregation = data.reduce((acc, row) => {
-            // Use UTC date as the key
-            const date = new Date(row.created_at).toISOString().split('T')[0];
-            if (!acc[date]) {
-                acc[date] = { date, total_spend: 0 };
-            }
-            acc[date].total_spend += parseFloat(row.cost_usd || 0);
-            return acc;
-        }, {});
+        // UTC date => row
+        const aggregation = {};
+        for (const row of days) {
+            aggregation[row.day] = row;
+        }
 
         const result = [];
         for (let i = 29; i >= 0; i--) {
@@ -168,16 +232,494 @@ class AnalyticsService {
             const d = new Date(now.getTime() - i * 24 * 60 * 60 * 1000);
             const dateStr = d.toISOString().split('T')[0];
 
+            const spend = aggregation[dateStr] ? parseFloat(aggregation[dateStr].cost_usd || 0) : 0;
+
             result.push({
                 date: dateStr,
-                total_spend: aggregation[dateStr]
-                    ? Math.round(aggregation[dateStr].total_spend * 1000000) / 1000000
-                    : 0
+                total_spend: Math.round(spend * 1000000) / 1000000,
+                total_spend_reporting: Math.round(convert(spend, dateStr) * 1000000) / 1000000,
+                currency
             });
         }
 
         return result;
     }
+
+    /**
+     * Start of the bucket containing a time (UTC; weeks start on Monday)
+     * 
+     * @param {Date} date - Time
+     * @param {string} granularity - hour, day, week or month
+     * @returns {Date} Bucket start
+     */
+    bucketStart(date, granularity) {
+        if (granularity === 'hour') {
+            return new Date(Math.floor(date.getTime() / HOUR_MS) * HOUR_MS);
+        }
+        if (granularity === 'month') {
+            return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+        }
+
+        const day = new Date(Math.floor(date.getTime() / DAY_MS) * DAY_MS);
+        if (granularity === 'week') {
+            return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+        }
+        return day;
+    }
+
+    /**
+     * Start of the bucket after the one starting at a time
+     * 
+     * @param {Date} start - Bucket start
+     * @param {string} granularity - hour, day, week or month
+     * @returns {Date} Next bucket start
+     */
+    nextBucket(start, granularity) {
+        if (granularity === 'hour') return new Date(start.getTime() + HOUR_MS);
+        if (granularity === 'day') return new Date(start.getTime() + DAY_MS);
+        if (granularity === 'week') return new Date(start.getTime() + 7 * DAY_MS);
+        return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+    }
+
+    /**
+     * Validate and normalize GET /api/analytics/query parameters
+     * 
+     * start/end are widened to whole buckets (end exclusive). Group-by and
+     * filters accept comma-separated lists (or repeated parameters).
+     * 
+     * @param {Object} params - Query string parameters
+     * @returns {Object} { valid, error?, query? }
+     */
+    parseQuery(params = {}) {
+        const list = (value) => {
+            if (value === undefined || value === null || value === '') return [];
+            return [].concat(value)
+                .flatMap(item => String(item).split(','))
+                .map(item => item.trim())
+                .filter(Boolean);
+        };
+
+        const granularity = params.granularity || 'day';
+        if (!QUERY_GRANULARITIES.includes(granularity)) {
+            return { valid: false, error: `granularity must be one of: ${QUERY_GRANULARITIES.join(', ')}` };
+        }
+
+        const groupBy = [...new Set(list(params.group_by))];
+        const unknown = groupBy.find(dimension => !QUERY_DIMENSIONS[dimension]);
+        if (unknown) {
+            return { valid: false, error: `Unknown group_by dimension: ${unknown} (use ${Object.keys(QUERY_DIMENSIONS).join(', ')})` };
+        }
+
+        const filters = {};
+        for (const dimension of Object.keys(QUERY_DIMENSIONS)) {
+            const values = [...new Set(list(params[dimension]))];
+            if (values.length === 0) continue;
+
+            if (UUID_DIMENSIONS.includes(dimension) && values.some(value => !uuidRegex.test(value))) {
+                return { valid: false, error: `${dimension} must be a UUID or comma-separated UUIDs` };
+            }
+            filters[dimension] = dimension === 'tag' ? values.map(value => value.toLowerCase()) : values;
+        }
+
+        const now = new Date();
+        const end = params.end ? new Date(params.end) : now;
+        const start = params.start ? new Date(params.start) : new Date(end.getTime() - DEFAULT_QUERY_DAYS * DAY_MS);
+
+        if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+            return { valid: false, error: 'start and end must be dates (YYYY-MM-DD) or ISO 8601 timestamps' };
+        }
+
+        const from = this.bucketStart(start, granularity);
+        const endBucket = this.bucketStart(end, granularity);
+        const to = endBucket.getTime() === end.getTime() ? endBucket : this.nextBucket(endBucket, granularity);
+
+        if (from >= to) {
+            return { valid: false, error: 'start must be before end' };
+        }
+
+        if (to.getTime() - from.getTime() > MAX_QUERY_DAYS[granularity] * DAY_MS) {
+            return { valid: false, error: `The range may span at most ${MAX_QUERY_DAYS[granularity]} days at ${granularity} granularity` };
+        }
+
+        const limit = params.limit !== undefined ? parseInt(params.limit, 10) : DEFAULT_SERIES_LIMIT;
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SERIES_LIMIT) {
+            return { valid: false, error: `limit must be an integer between 1 and ${MAX_SERIES_LIMIT}` };
+        }
+
+        return {
+            valid: true,
+            query: {
+                start: from.toISOString(),
+                end: to.toISOString(),
+                granularity,
+                group_by: groupBy,
+                filters,
+                limit
+            }
+        };
+    }
+
+    /**
+     * Names of the projects, keys and users referenced by query groups
+     * 
+     * @param {string} organizationId - Organization UUID
+     * @param {Array} groups - Group objects ({ project_id, proxy_key_id, user_id, ... })
+     * @returns {Object} { projects, keys, users } maps of id => name
+     */
+    async getGroupNames(organizationId, groups) {
+        const lookups = [
+            ['projects', 'project_id', 'projects', 'id, name', (row) => row.name],
+            ['keys', 'proxy_key_id', 'proxy_keys', 'id, name', (row) => row.name || 'Unnamed key'],
+            ['users', 'user_id', 'users', 'id, email', (row) => row.email]
+        ];
+
+        const names = {};
+        await Promise.all(lookups.map(async ([name, field, table, columns, label]) => {
+            names[name] = {};
+            const ids = [...new Set(groups.map(group => group[field]).filter(Boolean))];
+            if (ids.length === 0) return;
+
+            const { data, error } = await supabaseAdmin
+                .from(table)
+                .select(columns)
+                .eq('organization_id', organizationId)
+                .in('id', ids);
+
+            if (error) throw error;
+
+            for (const row of data) {
+                names[name][row.id] = label(row);
+            }
+        }));
+
+        return names;
+    }
+
+    /**
+     * Usage time series grouped by any of project, model, key, provider, user and tag
+     * 
+     * Flow:
+     * 1. Read per-hour or per-day rows from analytics_query (migration 027)
+     * 2. Convert each row at its UTC day's FX rate and fold it into its bucket
+     *    (weeks and months are built from days)
+     * 3. Keep the `limit` largest series by spend; the rest become one "other" series
+     * 4. Zero-fill every series over all buckets and add names
+     * 
+     * A request with several tags counts in each of its tag series; totals
+     * count it once.
+     * 
+     * @param {string} organizationId - Organization UUID
+     * @param {Object} query - Normalized query (see parseQuery)
+     * @returns {Object} { query, currency, buckets, series, totals }
+     */
+    async queryUsage(organizationId, query) {
+        const { currency, convert } = await this.getReportingConverter(organizationId);
+        const { granularity, group_by: groupBy, filters } = query;
+        const columns = groupBy.map(dimension => QUERY_DIMENSIONS[dimension]);
+
+        const fetchRows = (dimensions) => this.fetchAggregate('analytics_query', {
+            p_organization_id: organizationId,
+            p_from: query.start,
+            p_to: query.end,
+            p_hourly: granularity === 'hour',
+            p_group_by: dimensions,
+            p_project_ids: filters.project || null,
+            p_models: filters.model || null,
+            p_proxy_key_ids: filters.key || null,
+            p_providers: filters.provider || null,
+            p_user_ids: filters.user || null,
+            p_tags: filters.tag || null
+        });
+
+        // 1. Per-hour or per-day rows
+        const rows = await fetchRows(groupBy);
+
+        const emptyMetrics = () => ({
+            cost: 0,
+            requests: 0,
+            billable_requests: 0,
+            tokens_prompt: 0,
+            tokens_completion: 0,
+            cache_savings: 0
+        });
+
+        const addMetrics = (target, row) => {
+            const day = new Date(row.bucket).toISOString().split('T')[0];
+            target.cost += convert(parseFloat(row.cost_usd || 0), day);
+            target.cache_savings += convert(parseFloat(row.savings_usd || 0), day);
+            target.requests += parseInt(row.request_count, 10);
+            target.billable_requests += parseInt(row.billable_count, 10);
+            target.tokens_prompt += parseInt(row.tokens_prompt, 10);
+            target.tokens_completion += parseInt(row.tokens_completion, 10);
+        };
+
+        const sumMetrics = (target, metrics) => {
+            for (const field of Object.keys(target)) {
+                target[field] += metrics[field];
+            }
+        };
+
+        const roundMetrics = (metrics) => ({
+            ...metrics,
+            cost: Math.round(metrics.cost * 1000000) / 1000000,
+            cache_savings: Math.round(metrics.cache_savings * 1000000) / 1000000,
+            tokens_total: metrics.tokens_prompt + metrics.tokens_completion
+        });
+
+        const buckets = [];
+        for (let at = new Date(query.start); at < new Date(query.end); at = this.nextBucket(at, granularity)) {
+            buckets.push(at.toISOString());
+        }
+
+        // 2. Fold rows into series => bucket => metrics
+        const seriesByKey = new Map();
+        for (const row of rows) {
+            const group = {};
+            groupBy.forEach((dimension, i) => {
+                group[columns[i]] = row[columns[i]] === undefined ? null : row[columns[i]];
+            });
+            const key = JSON.stringify(group);
+
+            if (!seriesByKey.has(key)) {
+                seriesByKey.set(key, { group, points: new Map(), total: emptyMetrics() });
+            }
+
+            const series = seriesByKey.get(key);
+            const bucket = this.bucketStart(new Date(row.bucket), granularity).toISOString();
+            if (!series.points.has(bucket)) {
+                series.points.set(bucket, emptyMetrics());
+            }
+
+            addMetrics(series.points.get(bucket), row);
+            addMetrics(series.total, row);
+        }
+
+        // 3. Largest series first; the tail is merged into "other"
+        let series = [...seriesByKey.values()]
+            .sort((a, b) => b.total.cost - a.total.cost || b.total.requests - a.total.requests);
+
+        if (series.length > query.limit) {
+            const other = { group: null, other: true, points: new Map(), total: emptyMetrics() };
+            for (const item of series.slice(query.limit)) {
+                sumMetrics(other.total, item.total);
+                for (const [bucket, metrics] of item.points) {
+                    if (!other.points.has(bucket)) other.points.set(bucket, emptyMetrics());
+                    sumMetrics(other.points.get(bucket), metrics);
+                }
+            }
+            series = [...series.slice(0, query.limit), other];
+        }
+
+        // Tag series overlap: totals are read again without tag grouping
+        let totals = emptyMetrics();
+        if (groupBy.includes('tag')) {
+            for (const row of await fetchRows(groupBy.filter(dimension => dimension !== 'tag'))) {
+                addMetrics(totals, row);
+            }
+        } else {
+            for (const item of seriesByKey.values()) sumMetrics(totals, item.total);
+        }
+
+        // 4. Names and zero-filled points
+        const names = await this.getGroupNames(organizationId, series.filter(item => item.group).map(item => item.group));
+
+        const describe = (group) => {
+            if (!group) return { label: 'Other' };
+
+            const named = { ...group };
+            if ('project_id' in group) named.project_name = group.project_id ? names.projects[group.project_id] || 'Unknown Project' : null;
+            if ('proxy_key_id' in group) named.proxy_key_name = group.proxy_key_id ? names.keys[group.proxy_key_id] || 'Unknown Key' : null;
+            if ('user_id' in group) named.user_email = group.user_id ? names.users[group.user_id] || null : null;
+
+            const labels = groupBy.map(dimension => {
+                if (dimension === 'project') return named.project_name;
+                if (dimension === 'key') return named.proxy_key_name;
+                if (dimension === 'user') return named.user_email || (group.user_id ? 'Unknown User' : 'Unassigned');
+                if (dimension === 'tag') return group.tag || 'Untagged';
+                return group[QUERY_DIMENSIONS[dimension]];
+            });
+
+            return { ...named, label: labels.join(' / ') || 'All usage' };
+        };
+
+        return {
+            query,
+            currency,
+            buckets,
+            series: series.map(item => ({
+                group: describe(item.group),
+                points: buckets.map(bucket => ({
+                    bucket,
+                    ...roundMetrics(item.points.get(bucket) || emptyMetrics())
+                })),
+                total: roundMetrics(item.total)
+            })),
+            totals: roundMetrics(totals)
+        };
+    }
+
+    /**
+     * Get retry/failover statistics (last 30 days)
+     * 
+     * Failover rate is failed-over requests over all logged requests; cost
+     * delta compares what fallback models cost with what the requested
+     * models would have cost for the same tokens.
+     * 
+     * @param {string} organizationId - Organization UUID
+     * @returns {Object} Failover summary with per-route breakdown
+     */
+    async getFailoverStats(organizationId) {
+        const last30Days = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+
+        // Rows can stand for several requests (rate limit rejections), so sum the rollup
+        const days = await this.fetchAggregate('usage_rollup_by_day', {
+            p_organization_id: organizationId,
+            p_from: last30Days
+        });
+        const totalRequests = days.reduce((acc, day) => acc + parseInt(day.request_count, 10), 0);
+
+        // One row per failover route, and the retried request count (migration 010)
+        const routes = await this.fetchAggregate('analytics_failover_routes', {
+            p_organization_id: organizationId,
+            p_since: last30Days
+        });
+
+        const { data: retriedRequests, error: retriedError } = await supabaseAdmin
+            .rpc('analytics_retried_request_count', {
+                p_organization_id: organizationId,
+                p_since: last30Days
+            });
+
+        if (retriedError) {
+            throw new Error('Failed to fetch failover stats');
+        }
+
+        const round = (val) => Math.round(val * 1000000) / 1000000;
+
+        const failoverRequests = routes.reduce((acc, row) => acc + parseInt(row.request_count, 10), 0);
+        const costUsd = routes.reduce((acc, row) => acc + parseFloat(row.cost_usd || 0), 0);
+        const originalCostUsd = routes.reduce((acc, row) => acc + parseFloat(row.original_cost_usd || 0), 0);
+
+        return {
+            total_requests: totalRequests || 0,
+            retried_requests: parseInt(retriedRequests || 0, 10),
+            failover_requests: failoverRequests,
+            failover_rate: totalRequests ? round(failoverRequests / totalRequests) : 0,
+            cost_usd: round(costUsd),
+            original_cost_usd: round(originalCostUsd),
+            cost_delta_usd: round(costUsd - originalCostUsd),
+            routes: routes.map(row => ({
+                original_model: row.original_model,
+                model: row.model,
+                request_count: parseInt(row.request_count, 10),
+                cost_usd: round(parseFloat(row.cost_usd || 0)),
+                original_cost_usd: round(parseFloat(row.original_cost_usd || 0))
+            }))
+        };
+    }
+
+    /**
+     * Get request reliability (last 30 days)
+     * Outcome counts, error rate, top error codes and per-key breakdown
+     * 
+     * @param {string} organizationId - Organization UUID
+     * @returns {Object} Reliability summary
+     */
+    async getReliability(organizationId) {
+        const last30Days = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+
+        // One row per key, status and error code (migration 011)
+        const groups = await this.fetchAggregate('analytics_request_outcomes', {
+            p_organization_id: organizationId,
+            p_since: last30Days
+        });
+
+        const billable = this.getBillableStatuses();
+        const outcomes = { success: 0, cache_hit: 0, error: 0, rejected: 0, failed: 0 };
+        const errorCodes = {};
+        const keys = {};
+        let total = 0;
+
+        for (const row of groups) {
+            const status = row.status || 'success';
+            const count = parseInt(row.request_count, 10);
+            total += count;
+            outcomes[status] = (outcomes[status] || 0) + count;
+
+            if (row.error_code) {
+                errorCodes[row.error_code] = (errorCodes[row.error_code] || 0) + count;
+            }
+
+            const kid = row.proxy_key_id;
+            if (!keys[kid]) {
+                keys[kid] = {
+                    proxy_key_id: kid,
+                    key_name: row.key_name || null,
+                    request_count: 0,
+                    error_count: 0,
+                    rejected_count: 0,
+                    rate_limited_count: 0
+                };
+            }
+            keys[kid].request_count += count;
+            if (status === 'rejected') keys[kid].rejected_count += count;
+            else if (!billable.includes(status)) keys[kid].error_count += count;
+            if (row.error_code === 'rate_limit_exceeded') keys[kid].rate_limited_count += count;
+        }
+
+        const rate = (part, total) => total ? Math.round((part / total) * 10000) / 10000 : 0;
+        const unsuccessful = total - billable.reduce((acc, s) => acc + (outcomes[s] || 0), 0);
+
+        return {
+            total_requests: total,
+            outcomes,
+            error_rate: rate(unsuccessful, total),
+            error_codes: Object.entries(errorCodes)
+                .map(([error_code, count]) => ({ error_code, count }))
+                .sort((a, b) => b.count - a.count),
+            keys: Object.values(keys).map(k => ({
+                ...k,
+                error_rate: rate(k.error_count + k.rejected_count, k.request_count)
+            })).sort((a, b) => b.error_rate - a.error_rate)
+        };
+    }
+
+    /**
+     * Get p50/p95/p99 latency by model or project (last 30 days)
+     * 
+     * Only upstream-served successes count; cache hits and failures would
+     * skew provider latency. Time to first token covers streamed requests.
+     * Percentiles are interpolated in the database (migration 012).
+     * 
+     * @param {string} organizationId - Organization UUID
+     * @param {string} groupBy - 'model' or 'project'
+     * @returns {Array} Latency percentiles per group
+     */
+    async getLatencyPercentiles(organizationId, groupBy = 'model') {
+        const last30Days = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+
+        const groups = await this.fetchAggregate('analytics_latency_percentiles', {
+            p_organization_id: organizationId,
+            p_since: last30Days,
+            p_group_by: groupBy
+        });
+
+        const metrics = ['latency_ms', 'upstream_latency_ms', 'time_to_first_token_ms'];
+        const toMs = (value) => value === null || value === undefined ? null : Math.round(value);
+
+        return groups.map(row => {
+            const result = groupBy === 'project'
+                ? { project_id: row.project_id, project_name: row.project_name || 'Unknown Project' }
+                : { model: row.model, provider: row.provider };
+            result.request_count = parseInt(row.request_count, 10);
+
+            for (const metric of metrics) {
+                const [p50, p95, p99] = row[metric] || [];
+                result[metric] = { p50: toMs(p50), p95: toMs(p95), p99: toMs(p99) };
+            }
+            return result;
+        });
+    }
 }
 
 module.exports = new AnalyticsService();
@@ -0,0 +1,417 @@
+const { supabaseAdmin } = require('../config/supabase');
+const alertService = require('./alertService');
+const analyticsService = require('./analyticsService');
+const proxyKeyService = require('./proxyKeyService');
+
+const USAGE_PAGE_SIZE = 1000;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const METRICS = ['spend', 'requests', 'tokens'];
+
+/**
+ * Anomaly Service
+ * 
+ * Compares the last hour of spend (USD), requests and tokens of every proxy
+ * key and project with its hourly baseline over the previous
+ * ANOMALY_BASELINE_HOURS (hours without traffic count as zero). The last hour
+ * is an anomaly when it exceeds all of:
+ * - mean + sensitivity x standard deviation (organizations.anomaly_sensitivity)
+ * - mean x ANOMALY_MIN_RATIO
+ * - the metric's floor (ANOMALY_MIN_SPEND_USD, ANOMALY_MIN_REQUESTS, ANOMALY_MIN_TOKENS)
+ * 
+ * Anomalies record an alert (alert_type 'anomaly', at most one per scope and
+ * metric per ANOMALY_COOLDOWN_MS) and, when the organization opts in, suspend
+ * the offending key. Baselines are cached per organization until the hour
+ * changes; the worker runs every ANOMALY_CHECK_INTERVAL_MS.
+ */
+class AnomalyService {
+
+    constructor() {
+        this.baselines = new Map();
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * Detection bounds (override via environment)
+     */
+    getConfig() {
+        return {
+            baseline_hours: parseInt(process.env.ANOMALY_BASELINE_HOURS, 10) || 168,
+            min_ratio: parseFloat(process.env.ANOMALY_MIN_RATIO) || 3,
+            cooldown_ms: parseInt(process.env.ANOMALY_COOLDOWN_MS, 10) || 6 * HOUR_MS,
+            floors: {
+                spend: parseFloat(process.env.ANOMALY_MIN_SPEND_USD) || 5,
+                requests: parseInt(process.env.ANOMALY_MIN_REQUESTS, 10) || 200,
+                tokens: parseInt(process.env.ANOMALY_MIN_TOKENS, 10) || 200000
+            }
+        };
+    }
+
+    /**
+     * Get an organization's detection settings
+     * @param {string} organizationId
+     * @returns {Promise<Object>} { enabled, sensitivity, auto_suspend }
+     */
+    async getSettings(organizationId) {
+        const { data, error } = await supabaseAdmin
+            .from('organizations')
+            .select('anomaly_detection_enabled, anomaly_sensitivity, anomaly_auto_suspend')
+            .eq('id', organizationId)
+            .single();
+
+        if (error) throw error;
+
+        return {
+            enabled: data.anomaly_detection_enabled,
+            sensitivity: parseFloat(data.anomaly_sensitivity),
+            auto_suspend: data.anomaly_auto_suspend
+        };
+    }
+
+    /**
+     * Update an organization's detection settings
+     * @param {string} organizationId
+     * @param {Object} settings - Any of { enabled, sensitivity, auto_suspend }
+     * @returns {Promise<Object>} Updated settings
+     */
+    async updateSettings(organizationId, { enabled, sensitivity, auto_suspend }) {
+        const updates = {};
+        if (enabled !== undefined) updates.anomaly_detection_enabled = enabled;
+        if (sensitivity !== undefined) updates.anomaly_sensitivity = sensitivity;
+        if (auto_suspend !== undefined) updates.anomaly_auto_suspend = auto_suspend;
+
+        const { error } = await supabaseAdmin
+            .from('organizations')
+            .update(updates)
+            .eq('id', organizationId);
+
+        if (error) {
+            throw new Error(`Failed to update anomaly settings: ${error.message}`);
+        }
+
+        return this.getSettings(organizationId);
+    }
+
+    /**
+     * Read an organization's usage in [from, to), page by page
+     * @param {Function} onRow - Called with every usage_logs row
+     */
+    async scanUsage(organizationId, from, to, onRow) {
+        let offset = 0;
+
+        for (;;) {
+            const { data, error } = await supabaseAdmin
+                .from('usage_logs')
+                .select('project_id, proxy_key_id, cost_usd, tokens_total, request_count, created_at')
+                .eq('organization_id', organizationId)
+                .gte('created_at', from.toISOString())
+                .lt('created_at', to.toISOString())
+                .order('created_at', { ascending: true })
+                .order('id', { ascending: true }) // created_at ties must not shift rows between pages
+                .range(offset, offset + USAGE_PAGE_SIZE - 1);
+
+            if (error) throw error;
+
+            data.forEach(onRow);
+
+            if (data.length < USAGE_PAGE_SIZE) break;
+            offset += USAGE_PAGE_SIZE;
+        }
+    }
+
+    /**
+     * Scopes a usage row counts towards: its key and its project
+     */
+    getRowScopes(row) {
+        const scopes = [];
+        if (row.proxy_key_id) {
+            scopes.push({ id: `key:${row.proxy_key_id}`, alert_level: 'key', proxy_key_id: row.proxy_key_id, project_id: row.project_id });
+        }
+        if (row.project_id) {
+            scopes.push({ id: `project:${row.project_id}`, alert_level: 'project', proxy_key_id: null, project_id: row.project_id });
+        }
+        return scopes;
+    }
+
+    getRowValues(row) {
+        return {
+            spend: parseFloat(row.cost_usd || 0),
+            requests: row.request_count || 1,
+            tokens: parseInt(row.tokens_total || 0, 10)
+        };
+    }
+
+    /**
+     * Hourly baseline of every key and project of an organization
+     * 
+     * Covers the baseline_hours complete hours before the previous hour, so it
+     * never overlaps the last 60 minutes being checked. Read from the hourly
+     * usage rollup (migration 026); only the last 60 minutes scan usage_logs.
+     * 
+     * @param {string} organizationId
+     * @param {Date} now - Current time
+     * @returns {Promise<Object>} { hours, scopes: Map(scopeId => { spend: { sum, sumSq }, ... }) }
+     */
+    async getBaseline(organizationId, now = new Date()) {
+        const { baseline_hours: hours } = this.getConfig();
+        const end = Math.floor(now.getTime() / HOUR_MS) * HOUR_MS - HOUR_MS;
+
+        const cached = this.baselines.get(organizationId);
+        if (cached && cached.end === end && cached.hours === hours) {
+            return cached;
+        }
+
+        // 1. Sum every scope's usage per hour (hourly rollup, one row per hour, project and key)
+        const start = end - hours * HOUR_MS;
+        const hourly = new Map();
+
+        const rows = await analyticsService.fetchAggregate('analytics_query', {
+            p_organization_id: organizationId,
+            p_from: new Date(start).toISOString(),
+            p_to: new Date(end).toISOString(),
+            p_hourly: true,
+            p_group_by: ['project', 'key']
+        });
+
+        for (const row of rows) {
+            const hour = Math.floor((new Date(row.bucket).getTime() - start) / HOUR_MS);
+            const values = this.getRowValues({
+                ...row,
+                tokens_total: parseInt(row.tokens_prompt || 0, 10) + parseInt(row.tokens_completion || 0, 10)
+            });
+
+            for (const scope of this.getRowScopes(row)) {
+                if (!hourly.has(scope.id)) {
+                    hourly.set(scope.id, new Map());
+                }
+                const buckets = hourly.get(scope.id);
+                const bucket = buckets.get(hour) || { spend: 0, requests: 0, tokens: 0 };
+                METRICS.forEach(metric => { bucket[metric] += values[metric]; });
+                buckets.set(hour, bucket);
+            }
+        }
+
+        // 2. Reduce to sums and sums of squares (hours without usage add nothing)
+        const scopes = new Map();
+        for (const [scopeId, buckets] of hourly) {
+            const stats = {};
+            METRICS.forEach(metric => { stats[metric] = { sum: 0, sumSq: 0 }; });
+
+            for (const bucket of buckets.values()) {
+                METRICS.forEach(metric => {
+                    stats[metric].sum += bucket[metric];
+                    stats[metric].sumSq += bucket[metric] * bucket[metric];
+                });
+            }
+            scopes.set(scopeId, stats);
+        }
+
+        const baseline = { end, hours, scopes };
+        this.baselines.set(organizationId, baseline);
+        return baseline;
+    }
+
+    /**
+     * Highest hourly value that is not an anomaly
+     * 
+     * @param {Object} stats - { sum, sumSq } over `hours` hours (undefined = no usage)
+     * @param {number} hours - Baseline length
+     * @param {string} metric - 'spend', 'requests' or 'tokens'
+     * @param {number} sensitivity - Standard deviations above the mean
+     * @returns {Object} { mean, expected_max }
+     */
+    getLimit(stats, hours, metric, sensitivity) {
+        const { min_ratio: minRatio, floors } = this.getConfig();
+        const sum = stats ? stats.sum : 0;
+        const sumSq = stats ? stats.sumSq : 0;
+
+        const mean = sum / hours;
+        const std = Math.sqrt(Math.max(0, sumSq / hours - mean * mean));
+
+        return {
+            mean,
+            expected_max: Math.max(mean + sensitivity * std, mean * minRatio, floors[metric])
+        };
+    }
+
+    /**
+     * Check an organization's last hour of usage against its baseline
+     * 
+     * Steps:
+     * 1. Sum the last 60 minutes per key and project
+     * 2. Compare every metric with its limit
+     * 3. Skip scopes and metrics still in their cooldown
+     * 4. Suspend offending keys (if the organization opted in)
+     * 5. Record one alert per anomaly (notifications go out from alertService)
+     * 
+     * @param {Object} org - { id, anomaly_sensitivity, anomaly_auto_suspend }
+     * @param {Date} now - Current time
+     * @returns {Promise<Array>} Anomalies found
+     */
+    async detectForOrganization(org, now = new Date()) {
+        const config = this.getConfig();
+        const sensitivity = parseFloat(org.anomaly_sensitivity) || 4;
+        const windowStart = new Date(now.getTime() - HOUR_MS);
+
+        // 1. Last hour per scope
+        const current = new Map();
+        await this.scanUsage(org.id, windowStart, now, (row) => {
+            const values = this.getRowValues(row);
+            for (const scope of this.getRowScopes(row)) {
+                if (!current.has(scope.id)) {
+                    current.set(scope.id, { scope, spend: 0, requests: 0, tokens: 0 });
+                }
+                const totals = current.get(scope.id);
+                METRICS.forEach(metric => { totals[metric] += values[metric]; });
+            }
+        });
+
+        if (current.size === 0) {
+            return [];
+        }
+
+        const baseline = await this.getBaseline(org.id, now);
+        const anomalies = [];
+
+        // 2. Compare with the baseline
+        for (const [scopeId, totals] of current) {
+            const stats = baseline.scopes.get(scopeId);
+            const scopeAnomalies = [];
+
+            for (const metric of METRICS) {
+                const limit = this.getLimit(stats && stats[metric], baseline.hours, metric, sensitivity);
+                if (totals[metric] <= limit.expected_max) {
+                    continue;
+                }
+
+                // 3. Cooldown
+                const alertScope = {
+                    alert_level: totals.scope.alert_level,
+                    organization_id: org.id,
+                    project_id: totals.scope.project_id,
+                    proxy_key_id: totals.scope.proxy_key_id
+                };
+                if (await alertService.hasRecentAnomaly(alertScope, metric, new Date(now.getTime() - config.cooldown_ms))) {
+                    continue;
+                }
+
+                scopeAnomalies.push({
+                    scope: alertScope,
+                    metric,
+                    observed: Math.round(totals[metric] * 1000000) / 1000000,
+                    baseline: Math.round(limit.mean * 1000000) / 1000000,
+                    expected_max: Math.round(limit.expected_max * 1000000) / 1000000
+                });
+            }
+
+            if (scopeAnomalies.length === 0) {
+                continue;
+            }
+
+            // 4. Suspend the key once, whichever metrics spiked
+            let keySuspended = false;
+            if (org.anomaly_auto_suspend && totals.scope.alert_level === 'key') {
+                const first = scopeAnomalies[0];
+                const format = first.metric === 'spend' ? (value) => `$${value.toFixed(2)}` : (value) => `${Math.round(value)} ${first.metric}`;
+                try {
+                    const result = await proxyKeyService.suspendProxyKey(
+                        totals.scope.proxy_key_id,
+                        org.id,
+                        `Usage anomaly: ${format(first.observed)} in the last hour (expected at most ${format(first.expected_max)})`
+                    );
+                    keySuspended = result.suspended;
+                } catch (error) {
+                    console.error(`Anomaly suspension failed for key ${totals.scope.proxy_key_id}:`, error.message);
+                }
+            }
+
+            // 5. Record
+            for (const anomaly of scopeAnomalies) {
+                anomaly.key_suspended = keySuspended;
+                await alertService.recordAlert({
+                    ...anomaly.scope,
+                    alert_type: 'anomaly',
+                    anomaly: {
+                        metric: anomaly.metric,
+                        observed: anomaly.observed,
+                        baseline: anomaly.baseline,
+                        expected_max: anomaly.expected_max,
+                        key_suspended: keySuspended
+                    },
+                    currency: 'USD',
+                    period_start: windowStart.toISOString(),
+                    period_end: now.toISOString()
+                });
+                anomalies.push(anomaly);
+            }
+        }
+
+        return anomalies;
+    }
+
+    /**
+     * Run detection for every organization with it enabled (or just one)
+     * 
+     * @param {string} organizationId - Only this organization (optional)
+     * @returns {Promise<Array>} Anomalies found
+     */
+    async runDetection(organizationId = null) {
+        let query = supabaseAdmin
+            .from('organizations')
+            .select('id, anomaly_sensitivity, anomaly_auto_suspend')
+            .eq('anomaly_detection_enabled', true);
+
+        if (organizationId) {
+            query = query.eq('id', organizationId);
+        }
+
+        const { data: orgs, error } = await query;
+        if (error) throw error;
+
+        const now = new Date();
+        const anomalies = [];
+
+        // One organization's failure doesn't stop the others
+        for (const org of orgs) {
+            try {
+                anomalies.push(...await this.detectForOrganization(org, now));
+            } catch (error) {
+                console.error(`Anomaly detection failed for organization ${org.id}:`, error.message);
+            }
+        }
+
+        return anomalies;
+    }
+
+    /**
+     * Run runDetection periodically (ANOMALY_CHECK_INTERVAL_MS, default 10 minutes)
+     */
+    startWorker() {
+        if (this.timer) {
+            return;
+        }
+
+        const interval = parseInt(process.env.ANOMALY_CHECK_INTERVAL_MS, 10) || 10 * 60 * 1000;
+
+        this.timer = setInterval(async () => {
+            if (this.running) {
+                return;
+            }
+            this.running = true;
+            try {
+                await this.runDetection();
+            } catch (error) {
+                console.error('Anomaly detection error:', error.message);
+            } finally {
+                this.running = false;
+            }
+        }, interval);
+
+        // Don't keep the process alive just for detection
+        this.timer.unref();
+    }
+}
+
+module.exports = new AnomalyService();
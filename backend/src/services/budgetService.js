@@ -1,43 +1,117 @@
 const { supabaseAdmin } = require('../config/supabase');
 const alertService = require('./alertService');
+const forecastService = require('./forecastService');
+const fxService = require('./fxService');
+const proxyKeyService = require('./proxyKeyService');
+const { getBudgetPeriod, getPeriodSettings, getPeriodTypes } = require('../utils/budgetPeriod');
+
+const BUDGET_COLUMNS = 'monthly_budget, budget_currency, budget_policy, budget_downgrade_model, budget_period, budget_anchor_date, budget_period_days, budget_timezone, alert_thresholds';
 
 /**
  * Budget Service
  * 
- * Manages spend limits and threshold tracking for organizations and projects.
- * Integrates with usage logs to calculate real-time Month-to-Date (MTD) utilization.
+ * Manages spend limits and threshold tracking for organizations, projects,
+ * proxy keys and users (a user's spend is that of the keys assigned to them).
+ * Integrates with usage logs to calculate real-time spend for the current
+ * budget period (weekly, monthly, quarterly, annual or custom; see utils/budgetPeriod).
+ * 
+ * Each budget has its own currency; USD spend is converted with the FX rate
+ * of the day it was incurred before comparing.
+ * 
+ * Organization and project budgets also get an end-of-period forecast
+ * (see forecastService) and a "projected to exceed" alert.
  */
 class BudgetService {
 
     /**
-     * Get organization budget and MTD spend
+     * Enforcement policies a budget can use once exhausted
+     * - alert_only: record alerts, keep serving (default)
+     * - block: reject proxy requests
+     * - downgrade: rewrite requests to a cheaper configured model
+     */
+    getBudgetPolicies() {
+        return ['alert_only', 'block', 'downgrade'];
+    }
+
+    getBudgetPeriodTypes() {
+        return getPeriodTypes();
+    }
+
+    /**
+     * Build the column updates for a budget change
+     * @param {number} budgetAmount - Budget per period in budget currency
+     * @param {Object} policy - Optional { policy, downgrade_model }
+     * @param {string} currency - Budget currency (ISO 4217)
+     * @param {Object} period - Optional { type, anchor_date, days, timezone }
+     */
+    buildBudgetUpdate(budgetAmount, policy = {}, currency = 'USD', period = {}) {
+        const update = { monthly_budget: budgetAmount, budget_currency: currency };
+
+        if (policy.policy !== undefined) {
+            update.budget_policy = policy.policy;
+            update.budget_downgrade_model = policy.policy === 'downgrade' ? policy.downgrade_model : null;
+        }
+
+        if (period.type !== undefined) {
+            update.budget_period = period.type;
+            update.budget_anchor_date = period.anchor_date || null;
+            update.budget_period_days = period.type === 'custom' ? period.days : null;
+        }
+
+        if (period.timezone !== undefined) {
+            update.budget_timezone = period.timezone;
+        }
+
+        return update;
+    }
+
+    /**
+     * Current period of a budget row, in API shape
+     */
+    describePeriod(settings) {
+        const period = getBudgetPeriod(getPeriodSettings(settings));
+        return {
+            ...period,
+            start: period.start.toISOString(),
+            end: period.end.toISOString()
+        };
+    }
+
+    /**
+     * Get organization budget and spend in the current period
      */
     async getOrgBudget(organizationId) {
         // 1. Get budget setting
         const { data: org, error: orgError } = await supabaseAdmin
             .from('organizations')
-            .select('monthly_budget_usd')
+            .select(BUDGET_COLUMNS)
             .eq('id', organizationId)
             .single();
 
         if (orgError) throw orgError;
 
-        // 2. Calculate MTD spend
-        const mtdSpend = await this.calculateMTDSpend(organizationId);
+        // 2. Calculate period spend in the budget's currency
+        const period = this.describePeriod(org);
+        const spend = await this.calculatePeriodSpend(organizationId, null, org.budget_currency, period);
 
         return {
-            budget: org.monthly_budget_usd,
-            actual_spend: mtdSpend
+            budget: org.monthly_budget,
+            currency: org.budget_currency,
+            policy: org.budget_policy,
+            downgrade_model: org.budget_downgrade_model,
+            thresholds: org.alert_thresholds,
+            period,
+            actual_spend: spend
         };
     }
 
     /**
-     * Update organization budget
+     * Update organization budget (and optionally its enforcement policy)
      */
-    async updateOrgBudget(organizationId, budgetAmount) {
+    async updateOrgBudget(organizationId, budgetAmount, policy = {}, currency = 'USD', period = {}) {
         const { data, error } = await supabaseAdmin
             .from('organizations')
-            .update({ monthly_budget_usd: budgetAmount })
+            .update(this.buildBudgetUpdate(budgetAmount, policy, currency, period))
             .eq('id', organizationId)
             .select()
             .single();
@@ -47,32 +121,38 @@ class BudgetService {
     }
 
     /**
-     * Get project budget and MTD spend
+     * Get project budget and spend in the current period
      */
     async getProjectBudget(projectId) {
         const { data: project, error: pError } = await supabaseAdmin
             .from('projects')
-            .select('monthly_budget_usd, organization_id')
+            .select(`organization_id, ${BUDGET_COLUMNS}`)
             .eq('id', projectId)
             .single();
 
         if (pError) throw pError;
 
-        const mtdSpend = await this.calculateMTDSpend(project.organization_id, projectId);
+        const period = this.describePeriod(project);
+        const spend = await this.calculatePeriodSpend(project.organization_id, projectId, project.budget_currency, period);
 
         return {
-            budget: project.monthly_budget_usd,
-            actual_spend: mtdSpend
+            budget: project.monthly_budget,
+            currency: project.budget_currency,
+            policy: project.budget_policy,
+            downgrade_model: project.budget_downgrade_model,
+            thresholds: project.alert_thresholds,
+            period,
+            actual_spend: spend
         };
     }
 
     /**
-     * Update project budget
+     * Update project budget (and optionally its enforcement policy)
      */
-    async updateProjectBudget(projectId, budgetAmount) {
+    async updateProjectBudget(projectId, budgetAmount, policy = {}, currency = 'USD', period = {}) {
         const { data, error } = await supabaseAdmin
             .from('projects')
-            .update({ monthly_budget_usd: budgetAmount })
+            .update(this.buildBudgetUpdate(budgetAmount, policy, currency, period))
             .eq('id', projectId)
             .select()
             .single();
@@ -82,40 +162,331 @@ class BudgetService {
     }
 
     /**
-     * Calculate MTD Spend from usage_logs
+     * Get a proxy key's budget and spend in the current period
+     * 
+     * @param {Object} key - proxy_keys row with organization_id and budget columns
+     */
+    async getKeyBudget(key) {
+        const period = this.describePeriod(key);
+        const spend = await this.calculatePeriodSpend(key.organization_id, null, key.budget_currency, period, [key.id]);
+
+        return {
+            budget: key.monthly_budget,
+            currency: key.budget_currency,
+            policy: key.budget_policy,
+            downgrade_model: key.budget_downgrade_model,
+            thresholds: key.alert_thresholds,
+            period,
+            actual_spend: spend
+        };
+    }
+
+    /**
+     * Get a user's budget and the spend of their assigned keys in the current period
+     * 
+     * @param {string} userId 
+     * @param {Object} user - users row with budget columns (optional, fetched if omitted)
+     * @param {Array<string>} keyIds - The user's assigned key IDs (optional, fetched if omitted)
+     */
+    async getUserBudget(userId, user = null, keyIds = null) {
+        if (!user) {
+            const { data, error } = await supabaseAdmin
+                .from('users')
+                .select(`id, organization_id, ${BUDGET_COLUMNS}`)
+                .eq('id', userId)
+                .single();
+
+            if (error) throw error;
+            user = data;
+        }
+
+        if (!keyIds) {
+            keyIds = await proxyKeyService.getAssignedKeyIds(userId);
+        }
+        const period = this.describePeriod(user);
+        const spend = await this.calculatePeriodSpend(user.organization_id, null, user.budget_currency, period, keyIds);
+
+        return {
+            budget: user.monthly_budget,
+            currency: user.budget_currency,
+            policy: user.budget_policy,
+            downgrade_model: user.budget_downgrade_model,
+            thresholds: user.alert_thresholds,
+            period,
+            key_count: keyIds.length,
+            actual_spend: spend
+        };
+    }
+
+    /**
+     * List an organization's users with their budgets and spend
      * 
      * @param {string} organizationId 
-     * @param {string} projectId (Optional)
+     * @returns {Array} Users { id, email, role, ...budget }
      */
-    async calculateMTDSpend(organizationId, projectId = null) {
-        const now = new Date();
-        const startOfMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString();
+    async listUserBudgets(organizationId) {
+        const { data: users, error } = await supabaseAdmin
+            .from('users')
+            .select(`id, email, role, organization_id, ${BUDGET_COLUMNS}`)
+            .eq('organization_id', organizationId)
+            .order('email', { ascending: true });
 
-        let query = supabaseAdmin
-            .from('usage_logs')
-            .select('cost_usd')
+        if (error) throw error;
+
+        // Assigned keys of every user in one query
+        const { data: keys, error: keysError } = await supabaseAdmin
+            .from('proxy_keys')
+            .select('id, assigned_user_id')
+            .eq('organization_id', organizationId)
+            .not('assigned_user_id', 'is', null);
+
+        if (keysError) throw keysError;
+
+        const keysByUser = new Map(users.map(user => [user.id, []]));
+        for (const key of keys) {
+            if (keysByUser.has(key.assigned_user_id)) {
+                keysByUser.get(key.assigned_user_id).push(key.id);
+            }
+        }
+
+        // Users have their own period and currency: one spend lookup each, in parallel
+        return Promise.all(users.map(async (user) => ({
+            id: user.id,
+            email: user.email,
+            role: user.role,
+            ...(await this.getUserBudget(user.id, user, keysByUser.get(user.id)))
+        })));
+    }
+
+    /**
+     * Update a user's budget (and optionally its enforcement policy)
+     */
+    async updateUserBudget(userId, organizationId, budgetAmount, policy = {}, currency = 'USD', period = {}) {
+        const { data, error } = await supabaseAdmin
+            .from('users')
+            .update(this.buildBudgetUpdate(budgetAmount, policy, currency, period))
+            .eq('id', userId)
             .eq('organization_id', organizationId)
-            .gte('created_at', startOfMonth);
+            .select(`id, email, ${BUDGET_COLUMNS}`)
+            .single();
+
+        if (error) {
+            if (error.code === 'PGRST116') {
+                throw new Error('User not found');
+            }
+            throw error;
+        }
+        return data;
+    }
 
-        if (projectId) {
-            query = query.eq('project_id', projectId);
+    /**
+     * Calculate MTD Spend (calendar month, UTC)
+     * 
+     * @param {string} organizationId 
+     * @param {string} projectId (Optional)
+     * @param {string} currency - Currency to report in (default: USD)
+     */
+    async calculateMTDSpend(organizationId, projectId = null, currency = 'USD') {
+        return this.calculatePeriodSpend(organizationId, projectId, currency, getBudgetPeriod());
+    }
+
+    /**
+     * Calculate spend in a budget period
+     * 
+     * Reads the hourly usage rollup (migration 026) per UTC day, so the cost
+     * doesn't grow with the period's request count; only a period's partial
+     * first and last hour come from usage_logs.
+     * 
+     * @param {string} organizationId 
+     * @param {string} projectId (Optional)
+     * @param {string} currency - Currency to report in (default: USD)
+     * @param {Object} period - { start, end } (Date or ISO string, end exclusive)
+     * @param {Array<string>} proxyKeyIds - Only these proxy keys (optional)
+     */
+    async calculatePeriodSpend(organizationId, projectId = null, currency = 'USD', period = getBudgetPeriod(), proxyKeyIds = null) {
+        if (proxyKeyIds && proxyKeyIds.length === 0) {
+            return 0;
         }
 
-        const { data, error } = await query;
+        const convert = await fxService.getConverter(currency);
+
+        // One row per UTC day (periods are at most 366 days)
+        const { data, error } = await supabaseAdmin.rpc('usage_rollup_by_day', {
+            p_organization_id: organizationId,
+            p_from: new Date(period.start).toISOString(),
+            p_to: new Date(period.end).toISOString(),
+            p_project_id: projectId || null,
+            p_proxy_key_ids: proxyKeyIds || null
+        });
         if (error) throw error;
 
-        const total = data.reduce((acc, row) => acc + parseFloat(row.cost_usd || 0), 0);
+        const total = data.reduce((acc, day) => acc + convert(parseFloat(day.cost_usd || 0), day.day), 0);
         return Math.round(total * 1000000) / 1000000;
     }
 
+    /**
+     * End-of-period forecasts for the organization and each project
+     * 
+     * Budgets are forecast in their own currency; scopes without a budget
+     * in the reporting currency.
+     * 
+     * @param {string} organizationId 
+     * @returns {Object} { organization, projects: [{ project_id, project_name, ...forecast }] }
+     */
+    async getForecasts(organizationId) {
+        const [orgResult, projectsResult, reportingCurrency] = await Promise.all([
+            supabaseAdmin
+                .from('organizations')
+                .select(BUDGET_COLUMNS)
+                .eq('id', organizationId)
+                .single(),
+            supabaseAdmin
+                .from('projects')
+                .select(`id, name, ${BUDGET_COLUMNS}`)
+                .eq('organization_id', organizationId)
+                .order('name', { ascending: true }),
+            fxService.getOrgCurrency(organizationId)
+        ]);
+
+        if (orgResult.error) throw orgResult.error;
+        if (projectsResult.error) throw projectsResult.error;
+
+        const forecastRow = async (row, projectId) => {
+            const budget = parseFloat(row.monthly_budget || 0) > 0 ? parseFloat(row.monthly_budget) : null;
+            const currency = budget ? row.budget_currency : reportingCurrency;
+            const period = this.describePeriod(row);
+            const actual = await this.calculatePeriodSpend(organizationId, projectId, currency, period);
+            return forecastService.forecastBudget(organizationId, projectId, { budget, currency, period, actual_spend: actual });
+        };
+
+        const organization = await forecastRow(orgResult.data, null);
+
+        const projects = [];
+        for (const project of projectsResult.data) {
+            projects.push({
+                project_id: project.id,
+                project_name: project.name,
+                ...(await forecastRow(project, project.id))
+            });
+        }
+
+        return { organization, projects };
+    }
+
+    /**
+     * Pre-flight budget enforcement for a proxy request
+     * 
+     * Only budgets with a 'block' or 'downgrade' policy are evaluated, so
+     * alert-only organizations pay no extra query cost.
+     * 
+     * Precedence:
+     * 1. Any exhausted 'block' budget (key, user, project or org) blocks the request
+     * 2. Otherwise an exhausted 'downgrade' budget rewrites the model
+     *    (the most specific setting wins: key, user, project, organization)
+     * 
+     * @param {string} organizationId 
+     * @param {string} projectId 
+     * @param {Object} key - Verified proxy key with budget columns (optional)
+     * @returns {Object} { action: 'allow'|'block'|'downgrade', alert_level, budget, actual, currency, period, model }
+     */
+    async checkEnforcement(organizationId, projectId, key = null) {
+        const [orgResult, projectResult] = await Promise.all([
+            supabaseAdmin
+                .from('organizations')
+                .select(BUDGET_COLUMNS)
+                .eq('id', organizationId)
+                .single(),
+            supabaseAdmin
+                .from('projects')
+                .select(BUDGET_COLUMNS)
+                .eq('id', projectId)
+                .single()
+        ]);
+
+        if (orgResult.error) throw orgResult.error;
+        if (projectResult.error) throw projectResult.error;
+
+        const candidates = [];
+
+        if (key) {
+            candidates.push({ alert_level: 'key', settings: key, projectId: null, proxyKeyIds: [key.id] });
+
+            if (key.assigned_user_id) {
+                const { data: user, error: userError } = await supabaseAdmin
+                    .from('users')
+                    .select(BUDGET_COLUMNS)
+                    .eq('id', key.assigned_user_id)
+                    .single();
+
+                if (userError) throw userError;
+
+                if (this.isEnforced(user)) {
+                    const keyIds = await proxyKeyService.getAssignedKeyIds(key.assigned_user_id);
+                    candidates.push({ alert_level: 'user', settings: user, projectId: null, proxyKeyIds: keyIds });
+                }
+            }
+        }
+
+        candidates.push(
+            { alert_level: 'project', settings: projectResult.data, projectId },
+            { alert_level: 'organization', settings: orgResult.data, projectId: null }
+        );
+
+        const exhausted = [];
+        for (const candidate of candidates) {
+            const { settings } = candidate;
+
+            if (!this.isEnforced(settings)) {
+                continue;
+            }
+
+            const budget = parseFloat(settings.monthly_budget);
+            const period = this.describePeriod(settings);
+            const actual = await this.calculatePeriodSpend(organizationId, candidate.projectId, settings.budget_currency, period, candidate.proxyKeyIds);
+            if (actual >= budget) {
+                exhausted.push({
+                    alert_level: candidate.alert_level,
+                    policy: settings.budget_policy,
+                    model: settings.budget_downgrade_model,
+                    budget,
+                    actual,
+                    currency: settings.budget_currency,
+                    period: period.type
+                });
+            }
+        }
+
+        const blocking = exhausted.find(b => b.policy === 'block');
+        if (blocking) {
+            return { action: 'block', ...blocking };
+        }
+
+        const downgrade = exhausted.find(b => b.policy === 'downgrade' && b.model);
+        if (downgrade) {
+            return { action: 'downgrade', ...downgrade };
+        }
+
+        return { action: 'allow' };
+    }
+
+    /**
+     * Whether a budget row can block or downgrade requests
+     */
+    isEnforced(settings) {
+        return parseFloat(settings.monthly_budget || 0) > 0
+            && Boolean(settings.budget_policy)
+            && settings.budget_policy !== 'alert_only';
+    }
+
     /**
      * Check for budget threshold crossings and trigger alerts
      * This is called after each usage log entry.
      * 
      * @param {string} organizationId 
      * @param {string} projectId 
+     * @param {string} proxyKeyId - Key that made the request (optional; checks key and user budgets)
      */
-    async checkBudgets(organizationId, projectId) {
+    async checkBudgets(organizationId, projectId, proxyKeyId = null) {
         try {
             // 1. Check Organization Budget
             const orgData = await this.getOrgBudget(organizationId);
@@ -125,7 +496,16 @@ class BudgetService {
                     project_id: null,
                     alert_level: 'organization',
                     budget: orgData.budget,
-                    actual: orgData.actual_spend
+                    actual: orgData.actual_spend,
+                    currency: orgData.currency,
+                    period: orgData.period,
+                    thresholds: orgData.thresholds
+                });
+                await this.evaluateForecast({
+                    organization_id: organizationId,
+                    project_id: null,
+                    alert_level: 'organization',
+                    budgetData: orgData
                 });
             }
 
@@ -137,37 +517,231 @@ class BudgetService {
                     project_id: projectId,
                     alert_level: 'project',
                     budget: projectData.budget,
-                    actual: projectData.actual_spend
+                    actual: projectData.actual_spend,
+                    currency: projectData.currency,
+                    period: projectData.period,
+                    thresholds: projectData.thresholds
+                });
+                await this.evaluateForecast({
+                    organization_id: organizationId,
+                    project_id: projectId,
+                    alert_level: 'project',
+                    budgetData: projectData
+                });
+            }
+
+            if (!proxyKeyId) {
+                return;
+            }
+
+            // 3. Check Key Budget
+            const key = await proxyKeyService.getKeyBudgetSettings(proxyKeyId);
+            if (parseFloat(key.monthly_budget || 0) > 0) {
+                const keyData = await this.getKeyBudget(key);
+                await this.evaluateThresholds({
+                    organization_id: organizationId,
+                    project_id: key.project_id,
+                    proxy_key_id: key.id,
+                    alert_level: 'key',
+                    budget: keyData.budget,
+                    actual: keyData.actual_spend,
+                    currency: keyData.currency,
+                    period: keyData.period,
+                    thresholds: keyData.thresholds
                 });
             }
+
+            // 4. Check Budget of the User the Key is Assigned to
+            if (key.assigned_user_id) {
+                const userData = await this.getUserBudget(key.assigned_user_id);
+                if (userData.budget > 0) {
+                    await this.evaluateThresholds({
+                        organization_id: organizationId,
+                        project_id: null,
+                        user_id: key.assigned_user_id,
+                        alert_level: 'user',
+                        budget: userData.budget,
+                        actual: userData.actual_spend,
+                        currency: userData.currency,
+                        period: userData.period,
+                        thresholds: userData.thresholds
+                    });
+                }
+            }
         } catch (error) {
             console.error('Budget check processing failed:', error.message);
         }
     }
 
+    /**
+     * Record a "projected to exceed" alert for a budget
+     * 
+     * Fires once per period while spend is still under the budget, the
+     * forecast reaches it before the period ends and the forecast rests on
+     * enough history (a trend, not the fallback daily average).
+     * 
+     * @param {Object} params - { organization_id, project_id, alert_level, budgetData }
+     */
+    async evaluateForecast(params) {
+        const { budgetData } = params;
+
+        // A forecast problem must not stop the remaining budget checks
+        let forecast;
+        try {
+            forecast = await forecastService.forecastBudget(params.organization_id, params.project_id, budgetData);
+        } catch (error) {
+            console.error('Budget forecast failed:', error.message);
+            return;
+        }
+
+        if (!forecast.will_exceed || forecast.actual_to_date >= forecast.budget) {
+            return;
+        }
+
+        if (forecast.method !== 'linear' && forecast.method !== 'linear_dow') {
+            return;
+        }
+
+        const scope = {
+            organization_id: params.organization_id,
+            project_id: params.project_id,
+            proxy_key_id: null,
+            user_id: null,
+            alert_level: params.alert_level
+        };
+
+        const recorded = await alertService.getRecordedThresholds(scope, budgetData.period.start, 'forecast');
+        if (recorded.has(100)) {
+            return;
+        }
+
+        await alertService.recordAlert({
+            ...scope,
+            alert_type: 'forecast',
+            threshold_percent: 100,
+            budget_amount: forecast.budget,
+            actual_spend: forecast.actual_to_date,
+            projected_spend: forecast.projected_total,
+            projected_exceed_date: forecast.projected_exceed_date,
+            currency: forecast.currency,
+            period_start: budgetData.period.start,
+            period_end: budgetData.period.end
+        });
+    }
+
+    /**
+     * Default alert thresholds (percent of budget) for budgets without their own list
+     */
+    getDefaultThresholds() {
+        return [50, 75, 90, 100];
+    }
+
+    /**
+     * Validate and normalize a threshold list
+     * Whole percentages from 1 to 1000 (above 100 alerts on overspend), at most 20.
+     * 
+     * @param {Array} thresholds
+     * @returns {Object} { thresholds } sorted and de-duplicated, or { error }
+     */
+    normalizeThresholds(thresholds) {
+        if (!Array.isArray(thresholds) || thresholds.length === 0) {
+            return { error: 'thresholds must be a non-empty array of percentages' };
+        }
+
+        if (thresholds.length > 20) {
+            return { error: 'At most 20 thresholds are allowed' };
+        }
+
+        for (const t of thresholds) {
+            if (!Number.isInteger(t) || t < 1 || t > 1000) {
+                return { error: 'Each threshold must be a whole percentage between 1 and 1000' };
+            }
+        }
+
+        return { thresholds: Array.from(new Set(thresholds)).sort((a, b) => a - b) };
+    }
+
+    /**
+     * Set the alert thresholds of a budget
+     * 
+     * @param {string} level - 'organization', 'project', 'key' or 'user'
+     * @param {string} id - Row ID at that level
+     * @param {string} organizationId - Organization UUID (for verification)
+     * @param {Array<number>} thresholds - Normalized threshold list
+     * @returns {Object} { id, alert_thresholds }
+     */
+    async updateThresholds(level, id, organizationId, thresholds) {
+        const tables = { organization: 'organizations', project: 'projects', key: 'proxy_keys', user: 'users' };
+        const table = tables[level];
+        if (!table) {
+            throw new Error(`Invalid budget level: ${level}`);
+        }
+
+        let query = supabaseAdmin
+            .from(table)
+            .update({ alert_thresholds: thresholds })
+            .eq('id', id);
+
+        if (level !== 'organization') {
+            query = query.eq('organization_id', organizationId);
+        }
+
+        const { data, error } = await query
+            .select('id, alert_thresholds')
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!data) {
+            throw new Error('Budget not found');
+        }
+
+        return data;
+    }
+
     /**
      * Evaluate actual vs budget against thresholds
+     * 
+     * Every crossed threshold not yet recorded in this period gets an alert,
+     * lowest first, so a jump from 40% to 95% records 50, 75 and 90.
      */
     async evaluateThresholds(params) {
         const { budget, actual } = params;
-        const thresholds = [100, 90, 75, 50]; // Check high to low
+        const thresholds = (params.thresholds && params.thresholds.length > 0 ? params.thresholds : this.getDefaultThresholds())
+            .slice()
+            .sort((a, b) => a - b);
         const percentUsed = (actual / budget) * 100;
 
-        for (const t of thresholds) {
-            if (percentUsed >= t) {
-                // Trigger alert for the highest crossed threshold
-                await alertService.recordAlert({
-                    organization_id: params.organization_id,
-                    project_id: params.project_id,
-                    alert_level: params.alert_level,
-                    threshold_percent: t,
-                    budget_amount: budget,
-                    actual_spend: actual
-                });
-                // Once we find the highest threshold crossed, we stop 
-                // (the DB unique constraint also prevents lower ones being re-sent if already triggered)
-                break;
+        const crossed = thresholds.filter(t => percentUsed >= t);
+        if (crossed.length === 0) {
+            return;
+        }
+
+        const scope = {
+            organization_id: params.organization_id,
+            project_id: params.project_id,
+            proxy_key_id: params.proxy_key_id || null,
+            user_id: params.user_id || null,
+            alert_level: params.alert_level
+        };
+
+        // Skip thresholds already recorded this period (the DB unique
+        // constraint still guards against concurrent checks)
+        const recorded = await alertService.getRecordedThresholds(scope, params.period.start);
+
+        for (const t of crossed) {
+            if (recorded.has(t)) {
+                continue;
             }
+
+            await alertService.recordAlert({
+                ...scope,
+                threshold_percent: t,
+                budget_amount: budget,
+                actual_spend: actual,
+                currency: params.currency,
+                period_start: params.period.start,
+                period_end: params.period.end
+            });
         }
     }
 }
@@ -0,0 +1,55 @@
+/**
+ * In-Memory LRU Cache Store
+ * 
+ * Default backend for the response cache. Entries expire after their TTL
+ * and the least recently used entry is evicted once maxEntries is reached.
+ * 
+ * Store interface (implement the same async methods to plug in Redis etc.):
+ *   get(key) -> value | null
+ *   set(key, value, ttlSeconds)
+ *   delete(key)
+ */
+class MemoryCacheStore {
+
+    /**
+     * @param {Object} options
+     * @param {number} options.maxEntries - Maximum cached responses (default 1000)
+     */
+    constructor({ maxEntries = 1000 } = {}) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return null;
+        }
+
+        if (entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+
+        // Re-insert to mark as most recently used
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry.value;
+    }
+
+    async set(key, value, ttlSeconds) {
+        this.entries.delete(key);
+        this.entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+        // Map iterates in insertion order: the first key is the least recently used
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+}
+
+module.exports = MemoryCacheStore;
@@ -0,0 +1,118 @@
+const { getEncoding } = require('js-tiktoken');
+const pricingService = require('./pricingService');
+
+/**
+ * Cost Estimation Service
+ * 
+ * Estimates what a chat completion request could cost before it is forwarded:
+ * - Prompt tokens are counted with the OpenAI tokenizer (tiktoken)
+ * - Completion tokens are taken at their worst case (max_tokens)
+ * 
+ * Non-OpenAI models use the cl100k tokenizer as an approximation.
+ */
+class CostEstimationService {
+
+    constructor() {
+        // Encoders are large; load each one lazily and keep it
+        this.encoders = {};
+    }
+
+    /**
+     * Completion tokens assumed when the request sets no max_tokens
+     */
+    getDefaultMaxCompletionTokens() {
+        return 4096;
+    }
+
+    /**
+     * Pick the tiktoken encoding for a model
+     * @param {string} model - Model name
+     * @returns {string} Encoding name
+     */
+    getEncodingName(model) {
+        return model && model.startsWith('gpt-4o') ? 'o200k_base' : 'cl100k_base';
+    }
+
+    getEncoder(encodingName) {
+        if (!this.encoders[encodingName]) {
+            this.encoders[encodingName] = getEncoding(encodingName);
+        }
+        return this.encoders[encodingName];
+    }
+
+    /**
+     * Count prompt tokens for chat messages
+     * 
+     * Follows OpenAI's counting guidance: 3 tokens of overhead per message,
+     * 1 extra for a name, and 3 tokens priming the assistant reply.
+     * 
+     * @param {string} model - Model name
+     * @param {Array} messages - OpenAI chat messages
+     * @returns {number} Estimated prompt tokens
+     */
+    countPromptTokens(model, messages) {
+        const encoder = this.getEncoder(this.getEncodingName(model));
+        let tokens = 3;
+
+        for (const message of messages || []) {
+            tokens += 3;
+
+            const content = Array.isArray(message.content)
+                ? message.content.filter(part => part && part.type === 'text').map(part => part.text).join('\n')
+                : (message.content || '');
+
+            tokens += encoder.encode(String(content)).length;
+            tokens += encoder.encode(String(message.role || '')).length;
+
+            if (message.name) {
+                tokens += encoder.encode(String(message.name)).length + 1;
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Count the tokens of generated text
+     * @param {string} model - Model name
+     * @param {string} text - Completion text
+     * @returns {number} Estimated tokens
+     */
+    countTextTokens(model, text) {
+        return text ? this.getEncoder(this.getEncodingName(model)).encode(String(text)).length : 0;
+    }
+
+    /**
+     * Estimate worst-case cost of a chat completion request
+     * 
+     * @param {Object} requestBody - Chat completion request (model already resolved)
+     * @param {string} provider - Provider identifier (default: openai)
+     * @returns {Object} Estimate with token counts and USD costs
+     */
+    estimateChatCompletion(requestBody, provider = 'openai') {
+        const model = requestBody.model;
+        const promptTokens = this.countPromptTokens(model, requestBody.messages);
+
+        const requestedMax = requestBody.max_completion_tokens || requestBody.max_tokens;
+        const maxCompletionTokens = requestedMax || this.getDefaultMaxCompletionTokens();
+        const choices = requestBody.n && requestBody.n > 1 ? requestBody.n : 1;
+
+        const pricing = pricingService.getModelPricing(model, provider);
+        const promptCost = pricingService.calculateCost(model, promptTokens, 0, provider);
+        const completionCost = pricingService.calculateCost(model, 0, maxCompletionTokens * choices, provider);
+
+        return {
+            model,
+            provider,
+            priced: !!pricing,
+            prompt_tokens: promptTokens,
+            max_completion_tokens: maxCompletionTokens * choices,
+            max_tokens_assumed: !requestedMax,
+            prompt_cost_usd: promptCost,
+            max_completion_cost_usd: completionCost,
+            max_total_cost_usd: Math.round((promptCost + completionCost) * 1_000_000) / 1_000_000
+        };
+    }
+}
+
+module.exports = new CostEstimationService();
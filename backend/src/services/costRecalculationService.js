@@ -0,0 +1,495 @@
+const { supabaseAdmin } = require('../config/supabase');
+const pricingService = require('./pricingService');
+const budgetService = require('./budgetService');
+
+const BATCH_SIZE = 500;
+
+// A running job refreshes heartbeat_at after every batch; one that has not
+// for this long was abandoned (e.g. by a restart) and is marked failed
+const STALE_JOB_MS = 10 * 60 * 1000;
+
+/**
+ * Cost Recalculation Service
+ * 
+ * Re-prices usage_logs retroactively (e.g. a model that was logged as
+ * 'unpriced' before its price was added, or a price that was entered wrong).
+ * 
+ * The ledger stays auditable: before a usage log's cost is changed, its
+ * previous cost and pricing snapshot are written to usage_cost_adjustments,
+ * linked to the cost_recalculations job that made the change.
+ * 
+ * Only billed rows ('success' and 'unpriced') are re-priced. Cache hits,
+ * failed and rejected requests cost nothing regardless of price.
+ * 
+ * The organization's negotiated rates apply in 'effective' and 'current'
+ * mode; 'version' mode charges exactly the chosen list price version.
+ * 
+ * A job left 'running' by a process that died stops heartbeating and is
+ * marked failed before the next job starts (see failStaleRecalculations).
+ */
+class CostRecalculationService {
+
+    /**
+     * Price modes
+     * - effective: price effective at each request's timestamp (catalog as it is now)
+     * - current: price effective now, applied to every request
+     * - version: one specific model_prices row
+     */
+    getPriceModes() {
+        return ['effective', 'current', 'version'];
+    }
+
+    /**
+     * Start a recalculation job for an organization
+     * 
+     * The job row is created synchronously; re-pricing runs in the background.
+     * Poll getRecalculation for progress.
+     * 
+     * @param {Object} params
+     * @param {string} params.organizationId - Organization UUID
+     * @param {string} params.userId - Admin starting the job
+     * @param {string} params.startDate - ISO timestamp (inclusive)
+     * @param {string} params.endDate - ISO timestamp (exclusive)
+     * @param {Array<string>} params.models - Only these models (default: all)
+     * @param {string} params.priceMode - 'effective', 'current' or 'version'
+     * @param {string} params.priceId - model_prices UUID (required for 'version')
+     * @param {boolean} params.dryRun - Compute totals without changing usage logs
+     * @returns {Object} Created job
+     */
+    async startRecalculation({ organizationId, userId, startDate, endDate, models = [], priceMode = 'effective', priceId = null, dryRun = false }) {
+        // 1. Resolve the price version up front so a bad ID fails the request, not the job
+        let version = null;
+        if (priceMode === 'version') {
+            version = await pricingService.getPriceVersion(priceId);
+            if (!version) {
+                throw new Error('Price not found');
+            }
+        }
+
+        // 2. Only one job may change an organization's ledger at a time
+        // (enforced by a unique index on running, non-dry-run jobs)
+        if (!dryRun) {
+            await this.failStaleRecalculations(organizationId);
+        }
+
+        // 3. Create job
+        const { data: job, error } = await supabaseAdmin
+            .from('cost_recalculations')
+            .insert({
+                organization_id: organizationId,
+                requested_by: userId || null,
+                start_date: new Date(startDate).toISOString(),
+                end_date: new Date(endDate).toISOString(),
+                models,
+                price_mode: priceMode,
+                price_id: version ? version.id : null,
+                dry_run: dryRun,
+                status: 'running'
+            })
+            .select()
+            .single();
+
+        if (error) {
+            if (error.code === '23505') {
+                throw new Error('A recalculation is already running for this organization');
+            }
+            throw new Error(`Failed to create recalculation: ${error.message}`);
+        }
+
+        // 4. Run in the background (fire and forget)
+        this.runRecalculation(job, version).catch(err => {
+            console.error(`[recalc ${job.id}] Recalculation failed:`, err.message);
+        });
+
+        return job;
+    }
+
+    /**
+     * Re-price every matching usage log, batch by batch
+     * 
+     * Marks the job completed or failed. Adjustments already applied when a
+     * batch fails stay in place (each one has its trail entry).
+     * 
+     * @param {Object} job - cost_recalculations row
+     * @param {Object|null} version - Catalog entry for 'version' mode
+     */
+    async runRecalculation(job, version = null) {
+        const totals = { rows_scanned: 0, rows_adjusted: 0, cost_before_usd: 0, cost_after_usd: 0 };
+        const affectedProjects = new Set();
+
+        try {
+            await pricingService.refreshCatalog({ force: true });
+            await pricingService.refreshOrgOverrides(job.organization_id, { force: true });
+            const now = new Date();
+            let lastId = null;
+
+            for (;;) {
+                const rows = await this.fetchBatch(job, lastId);
+                if (rows.length === 0) {
+                    break;
+                }
+                lastId = rows[rows.length - 1].id;
+
+                for (const row of rows) {
+                    totals.rows_scanned++;
+
+                    const previousCost = parseFloat(row.cost_usd) || 0;
+                    const repriced = this.repriceRow(row, job, version, now);
+
+                    // No price available (still unpriced) or nothing changed
+                    const unchanged = repriced
+                        && repriced.cost_usd === previousCost
+                        && repriced.pricing.price_id === row.price_id
+                        && repriced.pricing.override_id === row.price_override_id;
+                    if (!repriced || unchanged) {
+                        totals.cost_before_usd += previousCost;
+                        totals.cost_after_usd += previousCost;
+                        continue;
+                    }
+
+                    if (!job.dry_run) {
+                        await this.applyAdjustment(job, row, repriced);
+                        affectedProjects.add(row.project_id);
+                    }
+
+                    totals.rows_adjusted++;
+                    totals.cost_before_usd += previousCost;
+                    totals.cost_after_usd += repriced.cost_usd;
+                }
+
+                await this.updateJob(job.id, totals);
+
+                if (rows.length < BATCH_SIZE) {
+                    break;
+                }
+            }
+
+            await this.updateJob(job.id, {
+                ...totals,
+                status: 'completed',
+                completed_at: new Date().toISOString()
+            });
+
+            console.log(`[recalc ${job.id}] ${job.dry_run ? 'Dry run' : 'Recalculation'} complete: ${totals.rows_adjusted}/${totals.rows_scanned} rows, $${totals.cost_before_usd.toFixed(6)} -> $${totals.cost_after_usd.toFixed(6)}`);
+
+        } catch (error) {
+            await this.updateJob(job.id, {
+                ...totals,
+                status: 'failed',
+                error_message: error.message,
+                completed_at: new Date().toISOString()
+            }).catch(err => {
+                console.error(`[recalc ${job.id}] Failed to mark job failed:`, err.message);
+            });
+            throw error;
+
+        } finally {
+            // Spend changed: re-evaluate budgets of every affected project (fire and forget)
+            for (const projectId of affectedProjects) {
+                budgetService.checkBudgets(job.organization_id, projectId).catch(err => {
+                    console.error(`[recalc ${job.id}] Budget check failed:`, err.message);
+                });
+            }
+        }
+    }
+
+    /**
+     * Fetch the next batch of billed usage logs in the job's scope
+     * Keyset pagination on id keeps batches stable while rows are updated.
+     */
+    async fetchBatch(job, afterId) {
+        let query = supabaseAdmin
+            .from('usage_logs')
+            .select(`
+          id,
+          project_id,
+          model,
+          provider,
+          requested_model,
+          original_model,
+          status,
+          tokens_prompt,
+          tokens_completion,
+          tokens_cached_prompt,
+          tokens_audio_prompt,
+          tokens_audio_completion,
+          tokens_reasoning,
+          cost_usd,
+          list_cost_usd,
+          price_id,
+          price_override_id,
+          price_prompt_per_million,
+          price_completion_per_million,
+          price_cached_prompt_per_million,
+          price_audio_prompt_per_million,
+          price_audio_completion_per_million,
+          price_reasoning_per_million,
+          created_at
+        `)
+            .eq('organization_id', job.organization_id)
+            .in('status', ['success', 'unpriced'])
+            .gte('created_at', job.start_date)
+            .lt('created_at', job.end_date)
+            .order('id', { ascending: true })
+            .limit(BATCH_SIZE);
+
+        if (job.models && job.models.length > 0) {
+            query = query.in('model', job.models);
+        }
+        if (afterId) {
+            query = query.gt('id', afterId);
+        }
+
+        const { data, error } = await query;
+
+        if (error) {
+            throw new Error(`Failed to fetch usage logs: ${error.message}`);
+        }
+
+        return data;
+    }
+
+    /**
+     * Price one usage log under the job's price mode
+     * 
+     * Like logUsage, an unknown response model falls back to the requested
+     * model (unless the request failed over to another model).
+     * 
+     * @param {Object} row - usage_logs row
+     * @param {Object} job - cost_recalculations row (price_mode, organization_id)
+     * @param {Object|null} version - Catalog entry for 'version' mode
+     * @param {Date} now - Job start time ('current' mode)
+     * @returns {Object|null} { cost_usd, list_cost_usd, pricing } or null if no price applies
+     */
+    repriceRow(row, job, version, now) {
+        const priceMode = job.price_mode;
+        const candidates = [row.model];
+        if (row.requested_model && row.requested_model !== row.model && !row.original_model) {
+            candidates.push(row.requested_model);
+        }
+
+        let pricing = null;
+        for (const model of candidates) {
+            if (priceMode === 'version') {
+                const matches = version.provider === pricingService.getPricingProvider(row.provider)
+                    && pricingService.getModelAliases(model).includes(version.model);
+                if (matches) {
+                    const rates = pricingService.resolveRates(version, version.id);
+                    pricing = { ...rates, override_id: null, list: rates };
+                }
+            } else {
+                const at = priceMode === 'current' ? now : new Date(row.created_at);
+                pricing = pricingService.getModelPricing(model, row.provider, at, job.organization_id);
+            }
+            if (pricing) break;
+        }
+
+        if (!pricing) {
+            return null;
+        }
+
+        const details = {
+            cached_prompt_tokens: row.tokens_cached_prompt,
+            audio_prompt_tokens: row.tokens_audio_prompt,
+            audio_completion_tokens: row.tokens_audio_completion,
+            reasoning_tokens: row.tokens_reasoning
+        };
+        const costAt = (rates) => {
+            const { prompt_cost, completion_cost } = pricingService.getCostComponents(
+                rates, row.tokens_prompt, row.tokens_completion, details
+            );
+            return Math.round((prompt_cost + completion_cost) * 1_000_000) / 1_000_000;
+        };
+
+        return {
+            cost_usd: costAt(pricing),
+            list_cost_usd: costAt(pricing.list),
+            pricing
+        };
+    }
+
+    /**
+     * Write the adjustment trail entry and update the usage log
+     * Both writes happen in one transaction (apply_cost_adjustment, migrations 015 and 018).
+     */
+    async applyAdjustment(job, row, repriced) {
+        const { pricing } = repriced;
+
+        const { error } = await supabaseAdmin.rpc('apply_cost_adjustment', {
+            p_adjustment: {
+                recalculation_id: job.id,
+                usage_log_id: row.id,
+                organization_id: job.organization_id,
+                previous_status: row.status,
+                previous_cost_usd: row.cost_usd,
+                previous_price_id: row.price_id,
+                previous_pricing: {
+                    override_id: row.price_override_id,
+                    list_cost_usd: row.list_cost_usd,
+                    prompt: row.price_prompt_per_million,
+                    completion: row.price_completion_per_million,
+                    cached_prompt: row.price_cached_prompt_per_million,
+                    audio_prompt: row.price_audio_prompt_per_million,
+                    audio_completion: row.price_audio_completion_per_million,
+                    reasoning: row.price_reasoning_per_million
+                },
+                new_cost_usd: repriced.cost_usd,
+                new_price_id: pricing.price_id,
+                new_pricing: {
+                    override_id: pricing.override_id,
+                    list_cost_usd: repriced.list_cost_usd,
+                    prompt: pricing.prompt,
+                    completion: pricing.completion,
+                    cached_prompt: pricing.cached_prompt,
+                    audio_prompt: pricing.audio_prompt,
+                    audio_completion: pricing.audio_completion,
+                    reasoning: pricing.reasoning
+                }
+            },
+            p_usage: {
+                cost_usd: repriced.cost_usd,
+                list_cost_usd: repriced.list_cost_usd,
+                price_override_id: pricing.override_id,
+                price_prompt_per_million: pricing.prompt,
+                price_completion_per_million: pricing.completion,
+                price_cached_prompt_per_million: pricing.cached_prompt,
+                price_audio_prompt_per_million: pricing.audio_prompt,
+                price_audio_completion_per_million: pricing.audio_completion,
+                price_reasoning_per_million: pricing.reasoning,
+                price_id: pricing.price_id
+            }
+        });
+
+        if (error) {
+            throw new Error(`Failed to apply cost adjustment: ${error.message}`);
+        }
+    }
+
+    /**
+     * Record a running job's progress (and heartbeat)
+     * 
+     * Only running jobs are updated: a job that was marked failed as stale
+     * stops at its next batch instead of overwriting that outcome.
+     */
+    async updateJob(jobId, fields) {
+        const round = (value) => Math.round(value * 1_000_000) / 1_000_000;
+
+        const { data, error } = await supabaseAdmin
+            .from('cost_recalculations')
+            .update({
+                ...fields,
+                cost_before_usd: round(fields.cost_before_usd),
+                cost_after_usd: round(fields.cost_after_usd),
+                heartbeat_at: new Date().toISOString()
+            })
+            .eq('id', jobId)
+            .eq('status', 'running')
+            .select('id');
+
+        if (error) {
+            throw new Error(`Failed to update recalculation: ${error.message}`);
+        }
+
+        if (data.length === 0) {
+            throw new Error('Recalculation is no longer running');
+        }
+    }
+
+    /**
+     * Mark an organization's running jobs without a recent heartbeat as failed
+     * 
+     * Adjustments they already applied stay in place with their trail entries;
+     * start a new recalculation over the same range to finish the work.
+     * 
+     * @param {string} organizationId - Organization UUID
+     * @returns {Promise<number>} Jobs marked failed
+     */
+    async failStaleRecalculations(organizationId) {
+        const now = new Date();
+
+        const { data, error } = await supabaseAdmin
+            .from('cost_recalculations')
+            .update({
+                status: 'failed',
+                error_message: `Interrupted: no progress for ${STALE_JOB_MS / 60000} minutes (server restarted?)`,
+                completed_at: now.toISOString()
+            })
+            .eq('organization_id', organizationId)
+            .eq('status', 'running')
+            .lt('heartbeat_at', new Date(now.getTime() - STALE_JOB_MS).toISOString())
+            .select('id');
+
+        if (error) {
+            throw new Error(`Failed to expire stale recalculations: ${error.message}`);
+        }
+
+        for (const job of data) {
+            console.warn(`[recalc ${job.id}] Marked failed: no heartbeat for ${STALE_JOB_MS / 60000} minutes`);
+        }
+
+        return data.length;
+    }
+
+    /**
+     * List recalculation jobs for an organization (newest first)
+     * 
+     * @param {string} organizationId - Organization UUID
+     * @returns {Array} Jobs
+     */
+    async listRecalculations(organizationId) {
+        await this.failStaleRecalculations(organizationId);
+
+        const { data, error } = await supabaseAdmin
+            .from('cost_recalculations')
+            .select('*')
+            .eq('organization_id', organizationId)
+            .order('created_at', { ascending: false })
+            .limit(50);
+
+        if (error) {
+            throw new Error(`Failed to fetch recalculations: ${error.message}`);
+        }
+
+        return data;
+    }
+
+    /**
+     * Get a recalculation job with its adjustment trail
+     * 
+     * @param {string} jobId - cost_recalculations UUID
+     * @param {string} organizationId - Organization UUID (for authorization)
+     * @param {number} limit - Max adjustments returned
+     * @returns {Object} { recalculation, adjustments }
+     */
+    async getRecalculation(jobId, organizationId, limit = 100) {
+        const { data: recalculation, error } = await supabaseAdmin
+            .from('cost_recalculations')
+            .select('*')
+            .eq('id', jobId)
+            .eq('organization_id', organizationId)
+            .maybeSingle();
+
+        if (error) {
+            throw new Error(`Failed to fetch recalculation: ${error.message}`);
+        }
+
+        if (!recalculation) {
+            throw new Error('Recalculation not found');
+        }
+
+        const { data: adjustments, error: trailError } = await supabaseAdmin
+            .from('usage_cost_adjustments')
+            .select('*')
+            .eq('recalculation_id', jobId)
+            .order('created_at', { ascending: true })
+            .limit(limit);
+
+        if (trailError) {
+            throw new Error(`Failed to fetch cost adjustments: ${trailError.message}`);
+        }
+
+        return { recalculation, adjustments };
+    }
+}
+
+module.exports = new CostRecalculationService();
@@ -0,0 +1,491 @@
+const { ParquetSchema, ParquetWriter } = require('@dsnp/parquetjs');
+const { supabaseAdmin } = require('../config/supabase');
+const analyticsService = require('./analyticsService');
+
+// Rows read per page (also the batch written per page)
+const EXPORT_PAGE_SIZE = 1000;
+
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+    parquet: { contentType: 'application/vnd.apache.parquet', extension: 'parquet' }
+};
+
+// Column type => Parquet field
+const PARQUET_TYPES = {
+    string: { type: 'UTF8', optional: true },
+    int: { type: 'INT64', optional: true },
+    double: { type: 'DOUBLE', optional: true },
+    timestamp: { type: 'TIMESTAMP_MILLIS', optional: true },
+    list: { type: 'UTF8', repeated: true }
+};
+
+// usage_logs export: output column, type and source (row => value)
+const USAGE_COLUMNS = [
+    ['created_at', 'timestamp'],
+    ['request_id', 'string'],
+    ['project_id', 'string'],
+    ['project_name', 'string', (row) => row.projects ? row.projects.name : null],
+    ['proxy_key_id', 'string'],
+    ['proxy_key_name', 'string', (row) => row.proxy_keys ? row.proxy_keys.name : null],
+    ['provider', 'string', (row) => row.provider || 'openai'],
+    ['model', 'string'],
+    ['requested_model', 'string'],
+    ['original_model', 'string'],
+    ['original_provider', 'string'],
+    ['status', 'string'],
+    ['request_count', 'int'],
+    ['tokens_prompt', 'int'],
+    ['tokens_completion', 'int'],
+    ['tokens_total', 'int'],
+    ['tokens_cached_prompt', 'int'],
+    ['tokens_audio_prompt', 'int'],
+    ['tokens_audio_completion', 'int'],
+    ['tokens_reasoning', 'int'],
+    ['cost_usd', 'double'],
+    ['list_cost_usd', 'double'],
+    ['original_cost_usd', 'double'],
+    ['savings_usd', 'double'],
+    ['currency', 'string'],
+    ['price_prompt_per_million', 'double'],
+    ['price_completion_per_million', 'double'],
+    ['price_cached_prompt_per_million', 'double'],
+    ['price_audio_prompt_per_million', 'double'],
+    ['price_audio_completion_per_million', 'double'],
+    ['price_reasoning_per_million', 'double'],
+    ['price_id', 'string'],
+    ['price_override_id', 'string'],
+    ['tags', 'list'],
+    ['latency_ms', 'int'],
+    ['upstream_latency_ms', 'int'],
+    ['time_to_first_token_ms', 'int'],
+    ['upstream_status', 'int'],
+    ['error_code', 'string'],
+    ['error_message', 'string']
+];
+
+// Aggregated report export (one row per bucket and group)
+const REPORT_COLUMNS = [
+    ['bucket', 'timestamp'],
+    ['project_id', 'string'],
+    ['project_name', 'string'],
+    ['model', 'string'],
+    ['proxy_key_id', 'string'],
+    ['proxy_key_name', 'string'],
+    ['provider', 'string'],
+    ['user_id', 'string'],
+    ['user_email', 'string'],
+    ['tag', 'string'],
+    ['requests', 'int'],
+    ['billable_requests', 'int'],
+    ['tokens_prompt', 'int'],
+    ['tokens_completion', 'int'],
+    ['tokens_total', 'int'],
+    ['cost_usd', 'double'],
+    ['cost', 'double'],
+    ['cache_savings', 'double'],
+    ['currency', 'string']
+];
+
+// Report columns that only apply when grouped by the dimension
+const REPORT_GROUP_COLUMNS = {
+    project: ['project_id', 'project_name'],
+    model: ['model'],
+    key: ['proxy_key_id', 'proxy_key_name'],
+    provider: ['provider'],
+    user: ['user_id', 'user_email'],
+    tag: ['tag']
+};
+
+/**
+ * Export Service
+ * 
+ * Streams usage_logs rows and aggregated reports as CSV, NDJSON or Parquet.
+ * Rows are read page by page and written as they arrive, so memory use does
+ * not grow with the size of the range.
+ */
+class ExportService {
+
+    /**
+     * Supported formats
+     * @returns {string[]}
+     */
+    getFormats() {
+        return Object.keys(EXPORT_FORMATS);
+    }
+
+    /**
+     * Content type and file extension of a format
+     * 
+     * @param {string} format - csv, ndjson or parquet
+     * @returns {Object} { contentType, extension }
+     */
+    getFormat(format) {
+        return EXPORT_FORMATS[format];
+    }
+
+    /**
+     * Escape a value for CSV (RFC 4180)
+     * 
+     * Text starting with =, +, -, @, tab or CR is prefixed with ' so
+     * spreadsheets do not run it as a formula (names, tags and error messages
+     * are user-controlled). Numeric and timestamp columns are written as is.
+     * 
+     * @param {*} value - Cell value
+     * @param {string} type - Column type (string, int, double, timestamp or list)
+     * @returns {string}
+     */
+    toCsvCell(value, type = 'string') {
+        if (value === null || value === undefined) return '';
+        if (Array.isArray(value)) value = value.join(';');
+        if (value instanceof Date) value = value.toISOString();
+
+        let text = String(value);
+        if ((type === 'string' || type === 'list') && /^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Create a writer for a format on an output stream
+     * 
+     * Nothing is written until the first rows (or close), so a query that
+     * fails before then leaves the response untouched for a JSON error.
+     * 
+     * @param {string} format - csv, ndjson or parquet
+     * @param {Array} columns - [name, type] pairs
+     * @param {Writable} output - Destination (e.g. the HTTP response)
+     * @returns {Promise<Object>} { writeRows(rows), close() }
+     */
+    async createWriter(format, columns, output) {
+        // Respect backpressure: wait for the stream to drain before the next page.
+        // A client that disconnects never drains, so close and error end the wait
+        // too; callers then see output.destroyed and stop.
+        const writeChunk = async (chunk) => {
+            if (output.write(chunk) || output.destroyed) return;
+
+            await new Promise((resolve) => {
+                const done = () => {
+                    output.off('drain', done);
+                    output.off('close', done);
+                    output.off('error', done);
+                    resolve();
+                };
+                output.on('drain', done);
+                output.on('close', done);
+                output.on('error', done);
+            });
+        };
+
+        if (format === 'parquet') {
+            const schema = new ParquetSchema(Object.fromEntries(
+                columns.map(([name, type]) => [name, PARQUET_TYPES[type]])
+            ));
+            // Opening writes the file header
+            let writer = null;
+            const open = async () => {
+                if (!writer) writer = await ParquetWriter.openStream(schema, output);
+                return writer;
+            };
+
+            return {
+                writeRows: async (rows) => {
+                    if (rows.length === 0) return;
+                    await open();
+                    for (const row of rows) {
+                        if (output.destroyed) return;
+                        await writer.appendRow(row);
+                    }
+                },
+                // Writes the footer and ends the output
+                close: async () => (await open()).close()
+            };
+        }
+
+        if (format === 'ndjson') {
+            return {
+                writeRows: async (rows) => {
+                    if (rows.length === 0) return;
+                    await writeChunk(rows.map(row => JSON.stringify(row)).join('\n') + '\n');
+                },
+                close: async () => output.end()
+            };
+        }
+
+        // Header row goes out with the first rows
+        let header = columns.map(([name]) => name).join(',') + '\r\n';
+        const takeHeader = () => {
+            const text = header;
+            header = '';
+            return text;
+        };
+
+        return {
+            writeRows: async (rows) => {
+                if (rows.length === 0) return;
+                await writeChunk(takeHeader() + rows.map(row =>
+                    columns.map(([name, type]) => this.toCsvCell(row[name], type)).join(',')
+                ).join('\r\n') + '\r\n');
+            },
+            close: async () => output.end(takeHeader())
+        };
+    }
+
+    /**
+     * Shape a row for a writer: typed values, nulls for missing values
+     * 
+     * @param {Array} columns - [name, type] pairs
+     * @param {Object} values - Column name => value
+     * @returns {Object} Row
+     */
+    toRow(columns, values) {
+        const row = {};
+        for (const [name, type] of columns) {
+            const value = values[name];
+
+            if (type === 'list') {
+                row[name] = Array.isArray(value) ? value : [];
+            } else if (value === null || value === undefined) {
+                row[name] = null;
+            } else if (type === 'timestamp') {
+                row[name] = new Date(value);
+            } else if (type === 'int') {
+                row[name] = parseInt(value, 10);
+            } else if (type === 'double') {
+                row[name] = parseFloat(value);
+            } else {
+                row[name] = String(value);
+            }
+        }
+        return row;
+    }
+
+    /**
+     * Proxy key IDs for the key and user filters of a query (null = no filter)
+     * 
+     * Usage rows carry no user; a user filter matches the keys assigned to the user.
+     * 
+     * @param {string} organizationId - Organization UUID
+     * @param {Object} filters - Parsed filters (see analyticsService.parseQuery)
+     * @returns {Promise<string[]|null>}
+     */
+    async resolveKeyFilter(organizationId, filters) {
+        if (!filters.user) {
+            return filters.key || null;
+        }
+
+        const { data, error } = await supabaseAdmin
+            .from('proxy_keys')
+            .select('id')
+            .eq('organization_id', organizationId)
+            .in('assigned_user_id', filters.user);
+
+        if (error) throw error;
+
+        const userKeys = data.map(key => key.id);
+        return filters.key ? filters.key.filter(id => userKeys.includes(id)) : userKeys;
+    }
+
+    /**
+     * Stream usage_logs rows (with project and key names and the pricing snapshot)
+     * 
+     * Flow:
+     * 1. Resolve key/user filters
+     * 2. Read pages ordered by (created_at, id), continuing after the last row
+     *    of the previous page (keyset pagination)
+     * 3. Write each page as it arrives; stop early if the client disconnects
+     * 
+     * @param {string} organizationId - Organization UUID
+     * @param {Object} query - Normalized query (analyticsService.parseQuery)
+     * @param {string} format - csv, ndjson or parquet
+     * @param {Writable} output - Destination
+     * @returns {Promise<number>} Rows written
+     */
+    async streamUsage(organizationId, query, format, output) {
+        const { filters } = query;
+        const keyIds = await this.resolveKeyFilter(organizationId, filters);
+
+        const columns = USAGE_COLUMNS.map(([name, type]) => [name, type]);
+        const writer = await this.createWriter(format, columns, output);
+        let written = 0;
+        let after = null;
+
+        // A user with no keys has no usage
+        while (!keyIds || keyIds.length > 0) {
+            let request = supabaseAdmin
+                .from('usage_logs')
+                .select('*, projects (name), proxy_keys (name)')
+                .eq('organization_id', organizationId)
+                .gte('created_at', query.start)
+                .lt('created_at', query.end)
+                .order('created_at', { ascending: true })
+                .order('id', { ascending: true })
+                .limit(EXPORT_PAGE_SIZE);
+
+            if (filters.project) request = request.in('project_id', filters.project);
+            if (filters.model) request = request.in('model', filters.model);
+            if (filters.provider) request = request.in('provider', filters.provider);
+            if (filters.tag) request = request.overlaps('tags', filters.tag);
+            if (keyIds) request = request.in('proxy_key_id', keyIds);
+            if (after) {
+                request = request.or(`created_at.gt."${after.created_at}",and(created_at.eq."${after.created_at}",id.gt.${after.id})`);
+            }
+
+            const { data, error } = await request;
+            if (error) throw error;
+
+            await writer.writeRows(data.map(row => this.toRow(columns, Object.fromEntries(
+                USAGE_COLUMNS.map(([name, , source]) => [name, source ? source(row) : row[name]])
+            ))));
+            written += data.length;
+
+            if (data.length < EXPORT_PAGE_SIZE || output.destroyed) break;
+            after = data[data.length - 1];
+        }
+
+        // An error before this point leaves the output open for the caller to destroy
+        if (!output.destroyed) {
+            await writer.close();
+        }
+
+        return written;
+    }
+
+    /**
+     * Stream an aggregated report: one row per bucket and group
+     * 
+     * Rows come from analytics_query ordered by time; hours and days are
+     * folded into weeks or months as they stream, one bucket at a time.
+     * Cost is reported in USD and in the organization's reporting currency.
+     * A request with several tags counts once per tag when grouped by tag.
+     * 
+     * @param {string} organizationId - Organization UUID
+     * @param {Object} query - Normalized query (analyticsService.parseQuery)
+     * @param {string} format - csv, ndjson or parquet
+     * @param {Writable} output - Destination
+     * @returns {Promise<number>} Rows written
+     */
+    async streamReport(organizationId, query, format, output) {
+        const { currency, convert } = await analyticsService.getReportingConverter(organizationId);
+        const { granularity, group_by: groupBy, filters } = query;
+
+        // Only the grouped dimensions get columns
+        const groupColumns = groupBy.flatMap(dimension => REPORT_GROUP_COLUMNS[dimension]);
+        const columns = REPORT_COLUMNS.filter(([name]) =>
+            !Object.values(REPORT_GROUP_COLUMNS).flat().includes(name) || groupColumns.includes(name)
+        );
+
+        const writer = await this.createWriter(format, columns, output);
+        const names = { projects: {}, keys: {}, users: {} };
+        let written = 0;
+        let current = null;
+
+        // Write the finished bucket, looking up names not seen before
+        const flush = async () => {
+            const groups = [...current.groups.values()];
+            const unnamed = groups.filter(group =>
+                (group.project_id && !(group.project_id in names.projects))
+                || (group.proxy_key_id && !(group.proxy_key_id in names.keys))
+                || (group.user_id && !(group.user_id in names.users))
+            );
+
+            if (unnamed.length > 0) {
+                const found = await analyticsService.getGroupNames(organizationId, unnamed);
+                for (const group of unnamed) {
+                    if (group.project_id) names.projects[group.project_id] = found.projects[group.project_id] || null;
+                    if (group.proxy_key_id) names.keys[group.proxy_key_id] = found.keys[group.proxy_key_id] || null;
+                    if (group.user_id) names.users[group.user_id] = found.users[group.user_id] || null;
+                }
+            }
+
+            await writer.writeRows(groups.map(group => this.toRow(columns, {
+                ...group,
+                bucket: current.bucket,
+                project_name: group.project_id ? names.projects[group.project_id] : null,
+                proxy_key_name: group.proxy_key_id ? names.keys[group.proxy_key_id] : null,
+                user_email: group.user_id ? names.users[group.user_id] : null,
+                tokens_total: group.tokens_prompt + group.tokens_completion,
+                cost_usd: Math.round(group.cost_usd * 1000000) / 1000000,
+                cost: Math.round(group.cost * 1000000) / 1000000,
+                cache_savings: Math.round(group.cache_savings * 1000000) / 1000000,
+                currency
+            })));
+            written += groups.length;
+        };
+
+        for (let offset = 0; ; offset += EXPORT_PAGE_SIZE) {
+            const { data, error } = await supabaseAdmin
+                .rpc('analytics_query', {
+                    p_organization_id: organizationId,
+                    p_from: query.start,
+                    p_to: query.end,
+                    p_hourly: granularity === 'hour',
+                    p_group_by: groupBy,
+                    p_project_ids: filters.project || null,
+                    p_models: filters.model || null,
+                    p_proxy_key_ids: filters.key || null,
+                    p_providers: filters.provider || null,
+                    p_user_ids: filters.user || null,
+                    p_tags: filters.tag || null
+                })
+                .range(offset, offset + EXPORT_PAGE_SIZE - 1);
+
+            if (error) throw error;
+
+            for (const row of data) {
+                const bucket = analyticsService.bucketStart(new Date(row.bucket), granularity).toISOString();
+                if (current && current.bucket !== bucket) {
+                    await flush();
+                    current = null;
+                }
+                if (!current) {
+                    current = { bucket, groups: new Map() };
+                }
+
+                const group = {};
+                for (const name of ['project_id', 'model', 'proxy_key_id', 'provider', 'user_id', 'tag']) {
+                    if (groupColumns.includes(name)) group[name] = row[name] === undefined ? null : row[name];
+                }
+                const key = JSON.stringify(group);
+
+                if (!current.groups.has(key)) {
+                    current.groups.set(key, {
+                        ...group,
+                        requests: 0,
+                        billable_requests: 0,
+                        tokens_prompt: 0,
+                        tokens_completion: 0,
+                        cost_usd: 0,
+                        cost: 0,
+                        cache_savings: 0
+                    });
+                }
+
+                // Each row is converted at its UTC day's FX rate
+                const day = new Date(row.bucket).toISOString().split('T')[0];
+                const totals = current.groups.get(key);
+                totals.requests += parseInt(row.request_count, 10);
+                totals.billable_requests += parseInt(row.billable_count, 10);
+                totals.tokens_prompt += parseInt(row.tokens_prompt, 10);
+                totals.tokens_completion += parseInt(row.tokens_completion, 10);
+                totals.cost_usd += parseFloat(row.cost_usd || 0);
+                totals.cost += convert(parseFloat(row.cost_usd || 0), day);
+                totals.cache_savings += convert(parseFloat(row.savings_usd || 0), day);
+            }
+
+            if (data.length < EXPORT_PAGE_SIZE || output.destroyed) break;
+        }
+
+        if (current && !output.destroyed) {
+            await flush();
+        }
+        if (!output.destroyed) {
+            await writer.close();
+        }
+
+        return written;
+    }
+}
+
+module.exports = new ExportService();
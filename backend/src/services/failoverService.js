@@ -0,0 +1,136 @@
+const { supabaseAdmin } = require('../config/supabase');
+
+/**
+ * Failover Service
+ * 
+ * Retry and fallback policy for upstream 429/5xx responses:
+ * - Exponential backoff with jitter, honoring retry-after / retry-after-ms
+ * - Ordered per-project fallback chain tried once the requested model gives up
+ * - Attempt log for requests that retried or failed over
+ */
+class FailoverService {
+
+    /**
+     * Upstream statuses worth retrying
+     * @param {number} status - HTTP status
+     * @returns {boolean}
+     */
+    isRetryableStatus(status) {
+        return status === 429 || status === 500 || status === 502 || status === 503 || status === 504;
+    }
+
+    /**
+     * Backoff bounds (override via environment)
+     */
+    getBackoffConfig() {
+        return {
+            base_delay_ms: parseInt(process.env.PROXY_RETRY_BASE_DELAY_MS, 10) || 500,
+            max_delay_ms: parseInt(process.env.PROXY_RETRY_MAX_DELAY_MS, 10) || 10000
+        };
+    }
+
+    /**
+     * Get a project's retry/fallback policy
+     * @param {string} projectId - Project UUID
+     * @returns {Object} { max_retries, fallback_models }
+     */
+    async getProjectPolicy(projectId) {
+        const { data, error } = await supabaseAdmin
+            .from('projects')
+            .select('max_retries, fallback_models')
+            .eq('id', projectId)
+            .single();
+
+        if (error) throw error;
+
+        return {
+            max_retries: data.max_retries ?? 2,
+            fallback_models: data.fallback_models || []
+        };
+    }
+
+    /**
+     * Parse retry-after-ms / retry-after (seconds or HTTP date) into milliseconds
+     * @param {Object} headers - Upstream response headers
+     * @returns {number|null} Delay in ms or null when absent
+     */
+    parseRetryAfter(headers = {}) {
+        const retryAfterMs = parseFloat(headers['retry-after-ms']);
+        if (Number.isFinite(retryAfterMs) && retryAfterMs >= 0) {
+            return Math.ceil(retryAfterMs);
+        }
+
+        const retryAfter = headers['retry-after'];
+        if (retryAfter === undefined) {
+            return null;
+        }
+
+        const seconds = parseFloat(retryAfter);
+        if (Number.isFinite(seconds) && seconds >= 0) {
+            return Math.ceil(seconds * 1000);
+        }
+
+        const date = Date.parse(retryAfter);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    /**
+     * Delay before the next retry of the same model
+     * 
+     * Returns null when the provider asks us to wait longer than max_delay_ms,
+     * in which case failing over beats blocking the client.
+     * 
+     * @param {Object} headers - Upstream response headers
+     * @param {number} retryNumber - 0-based retry index
+     * @returns {number|null} Delay in ms
+     */
+    getRetryDelay(headers, retryNumber) {
+        const { base_delay_ms, max_delay_ms } = this.getBackoffConfig();
+        const retryAfter = this.parseRetryAfter(headers);
+
+        if (retryAfter !== null) {
+            return retryAfter > max_delay_ms ? null : retryAfter;
+        }
+
+        const backoff = base_delay_ms * Math.pow(2, retryNumber);
+        const jitter = Math.random() * base_delay_ms;
+        return Math.min(max_delay_ms, Math.round(backoff + jitter));
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Persist the attempts of one proxied request
+     * @param {Object} context - { request_id, organization_id, project_id, proxy_key_id }
+     * @param {Array} attempts - Attempt records from the proxy loop
+     */
+    async recordAttempts(context, attempts) {
+        const rows = attempts.map((attempt, index) => ({
+            request_id: context.request_id,
+            organization_id: context.organization_id,
+            project_id: context.project_id,
+            proxy_key_id: context.proxy_key_id,
+            attempt_number: index + 1,
+            provider: attempt.provider,
+            model: attempt.model,
+            is_fallback: attempt.is_fallback,
+            status_code: attempt.status_code,
+            outcome: attempt.outcome,
+            error_code: attempt.error_code || null,
+            retry_after_ms: attempt.retry_after_ms,
+            latency_ms: attempt.latency_ms
+        }));
+
+        const { error } = await supabaseAdmin
+            .from('proxy_request_attempts')
+            .insert(rows);
+
+        if (error) {
+            throw new Error(`Failed to record proxy attempts: ${error.message}`);
+        }
+    }
+}
+
+module.exports = new FailoverService();
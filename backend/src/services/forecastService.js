@@ -0,0 +1,269 @@
+const analyticsService = require('./analyticsService');
+const fxService = require('./fxService');
+const { getLocalDateKey, getLocalDayStart } = require('../utils/budgetPeriod');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Seasonality needs at least two of each weekday
+const SEASONAL_MIN_DAYS = 14;
+
+/**
+ * Forecast Service
+ * 
+ * Projects end-of-period spend for a budget from its recent daily spend:
+ * a least-squares linear trend over the last FORECAST_HISTORY_DAYS complete
+ * days plus an additive day-of-week adjustment (weekday residuals of the
+ * trend, centred on zero). With less than FORECAST_MIN_HISTORY_DAYS days of
+ * spend the forecast falls back to the daily average.
+ * 
+ * Days are local to the budget's timezone. Daily history is summed from the
+ * hourly usage rollup (migration 026), cached per budget scope and reloaded
+ * after a TTL; the projection itself always uses the live spend to date.
+ */
+class ForecastService {
+
+    constructor() {
+        this.histories = new Map();
+        this.historiesLoading = new Map();
+    }
+
+    getHistoryDays() {
+        return parseInt(process.env.FORECAST_HISTORY_DAYS, 10) || 28;
+    }
+
+    getMinHistoryDays() {
+        return parseInt(process.env.FORECAST_MIN_HISTORY_DAYS, 10) || 7;
+    }
+
+    getHistoryTtlMs() {
+        return parseInt(process.env.FORECAST_CACHE_TTL_MS, 10) || 15 * 60 * 1000;
+    }
+
+    addDays(dateKey, days) {
+        return new Date(Date.parse(`${dateKey}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+    }
+
+    daysBetween(fromKey, toKey) {
+        return Math.round((Date.parse(`${toKey}T00:00:00Z`) - Date.parse(`${fromKey}T00:00:00Z`)) / DAY_MS);
+    }
+
+    weekday(dateKey) {
+        return new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+    }
+
+    /**
+     * Daily spend of a scope over the complete local days before today
+     * 
+     * @param {Object} scope - { organizationId, projectId, currency, timezone }
+     * @param {Date} now - Current time
+     * @returns {Promise<Array>} [{ date: 'YYYY-MM-DD', total }] oldest first
+     */
+    async getDailyHistory(scope, now = new Date()) {
+        const today = getLocalDateKey(now, scope.timezone);
+        const cacheKey = [scope.organizationId, scope.projectId || '', scope.currency, scope.timezone].join('|');
+
+        const cached = this.histories.get(cacheKey);
+        if (cached && cached.today === today && Date.now() - cached.loadedAt < this.getHistoryTtlMs()) {
+            return cached.days;
+        }
+
+        if (!this.historiesLoading.has(cacheKey)) {
+            this.historiesLoading.set(cacheKey, this.loadHistory(scope, today)
+                .then(days => {
+                    this.histories.set(cacheKey, { loadedAt: Date.now(), today, days });
+                    return days;
+                })
+                .finally(() => {
+                    this.historiesLoading.delete(cacheKey);
+                }));
+        }
+
+        return this.historiesLoading.get(cacheKey);
+    }
+
+    async loadHistory(scope, today) {
+        const historyDays = this.getHistoryDays();
+        const convert = await fxService.getConverter(scope.currency);
+
+        // Local day boundaries: days[i] covers [starts[i], starts[i + 1])
+        const days = [];
+        const starts = [];
+        for (let i = historyDays; i >= 0; i--) {
+            const date = this.addDays(today, -i);
+            starts.push(getLocalDayStart(date, scope.timezone).getTime());
+            if (i > 0) {
+                days.push({ date, total: 0 });
+            }
+        }
+
+        // Hourly rollup rows; in timezones with a sub-hour offset an hour
+        // counts towards the local day it starts in
+        const ceilHour = (time) => new Date(Math.ceil(time / HOUR_MS) * HOUR_MS).toISOString();
+        const hours = await analyticsService.fetchAggregate('analytics_query', {
+            p_organization_id: scope.organizationId,
+            p_from: ceilHour(starts[0]),
+            p_to: ceilHour(starts[starts.length - 1]),
+            p_hourly: true,
+            p_project_ids: scope.projectId ? [scope.projectId] : null
+        });
+
+        // Rows are in time order, so the day index only moves forward
+        let index = 0;
+        for (const row of hours) {
+            const at = new Date(row.bucket).getTime();
+            while (index < days.length - 1 && at >= starts[index + 1]) {
+                index++;
+            }
+            days[index].total += convert(parseFloat(row.cost_usd || 0), row.bucket);
+        }
+
+        return days;
+    }
+
+    /**
+     * Fit trend and day-of-week seasonality to daily totals
+     * 
+     * Leading days without spend are dropped so a new budget's empty history
+     * doesn't drag the trend down.
+     * 
+     * @param {Array} history - [{ date, total }] oldest first
+     * @returns {Object} { method, days, first_date, intercept, slope, seasonal[7] }
+     */
+    fitModel(history) {
+        const firstSpend = history.findIndex(day => day.total > 0);
+        const days = firstSpend === -1 ? [] : history.slice(firstSpend);
+        const n = days.length;
+        const seasonal = [0, 0, 0, 0, 0, 0, 0];
+
+        if (n === 0) {
+            return { method: 'none', days: 0, first_date: null, intercept: 0, slope: 0, seasonal };
+        }
+
+        const meanY = days.reduce((acc, day) => acc + day.total, 0) / n;
+
+        if (n < this.getMinHistoryDays()) {
+            return { method: 'average', days: n, first_date: days[0].date, intercept: meanY, slope: 0, seasonal };
+        }
+
+        // 1. Least-squares line over t = 0..n-1
+        const meanT = (n - 1) / 2;
+        let covariance = 0;
+        let variance = 0;
+        days.forEach((day, t) => {
+            covariance += (t - meanT) * (day.total - meanY);
+            variance += (t - meanT) * (t - meanT);
+        });
+        const slope = variance > 0 ? covariance / variance : 0;
+        const intercept = meanY - slope * meanT;
+
+        if (n < SEASONAL_MIN_DAYS) {
+            return { method: 'linear', days: n, first_date: days[0].date, intercept, slope, seasonal };
+        }
+
+        // 2. Mean residual per weekday, centred so the week sums to the trend
+        const sums = [0, 0, 0, 0, 0, 0, 0];
+        const counts = [0, 0, 0, 0, 0, 0, 0];
+        days.forEach((day, t) => {
+            const w = this.weekday(day.date);
+            sums[w] += day.total - (intercept + slope * t);
+            counts[w]++;
+        });
+        const means = sums.map((sum, w) => (counts[w] > 0 ? sum / counts[w] : 0));
+        const centre = means.reduce((acc, m) => acc + m, 0) / 7;
+
+        return {
+            method: 'linear_dow',
+            days: n,
+            first_date: days[0].date,
+            intercept,
+            slope,
+            seasonal: means.map(m => m - centre)
+        };
+    }
+
+    /**
+     * Predicted spend of a local day (never negative)
+     */
+    predict(model, dateKey) {
+        if (!model.first_date) {
+            return 0;
+        }
+
+        const t = this.daysBetween(model.first_date, dateKey);
+        return Math.max(0, model.intercept + model.slope * t + model.seasonal[this.weekday(dateKey)]);
+    }
+
+    /**
+     * Project a budget's spend to the end of its current period
+     * 
+     * Steps:
+     * 1. Fit the model to the scope's daily history
+     * 2. Add the rest of today (pro rata) and every remaining day of the period
+     *    to the spend to date
+     * 3. Find the first day the cumulative projection reaches the budget
+     * 
+     * @param {string} organizationId
+     * @param {string} projectId - Project UUID (null = whole organization)
+     * @param {Object} budgetData - { budget, currency, period, actual_spend } (see budgetService.getOrgBudget)
+     * @param {Date} now - Current time
+     * @returns {Promise<Object>} Forecast in the budget's currency
+     */
+    async forecastBudget(organizationId, projectId, budgetData, now = new Date()) {
+        const { period, currency } = budgetData;
+        const budget = parseFloat(budgetData.budget) > 0 ? parseFloat(budgetData.budget) : null;
+        const actual = parseFloat(budgetData.actual_spend) || 0;
+        const timezone = period.timezone || 'UTC';
+
+        const history = await this.getDailyHistory({ organizationId, projectId, currency, timezone }, now);
+        const model = this.fitModel(history);
+
+        const today = getLocalDateKey(now, timezone);
+        const endDate = getLocalDateKey(new Date(period.end), timezone);
+        const todayStart = getLocalDayStart(today, timezone).getTime();
+        const todayEnd = getLocalDayStart(this.addDays(today, 1), timezone).getTime();
+        const todayRemaining = Math.min(1, Math.max(0, (todayEnd - now.getTime()) / (todayEnd - todayStart)));
+
+        let cumulative = actual;
+        let exceedDate = budget !== null && actual >= budget ? today : null;
+        const daily = [];
+
+        for (let date = today; date < endDate; date = this.addDays(date, 1)) {
+            let projected = this.predict(model, date);
+            if (date === today) {
+                projected *= todayRemaining;
+            }
+
+            cumulative += projected;
+            daily.push({ date, projected: Math.round(projected * 1000000) / 1000000 });
+
+            if (budget !== null && exceedDate === null && cumulative >= budget) {
+                exceedDate = date;
+            }
+        }
+
+        const projectedTotal = Math.round(cumulative * 1000000) / 1000000;
+
+        return {
+            method: model.method,
+            history_days: model.days,
+            currency,
+            period: {
+                type: period.type,
+                timezone,
+                start: period.start,
+                end: period.end
+            },
+            budget,
+            actual_to_date: actual,
+            projected_remaining: Math.round((cumulative - actual) * 1000000) / 1000000,
+            projected_total: projectedTotal,
+            projected_percent: budget !== null ? Math.round((projectedTotal / budget) * 1000) / 10 : null,
+            will_exceed: budget !== null && projectedTotal >= budget,
+            projected_exceed_date: exceedDate,
+            daily
+        };
+    }
+}
+
+module.exports = new ForecastService();
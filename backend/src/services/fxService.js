@@ -0,0 +1,333 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { parseCsv, normalizeKey } = require('../utils/csv');
+
+const RATES_PAGE_SIZE = 1000;
+
+/**
+ * FX Service
+ * 
+ * Costs are recorded in USD. Amounts in other currencies are derived with
+ * the daily rates in fx_rates (units of currency per 1 USD); the latest
+ * rate on or before the day an amount was incurred applies (days before the
+ * first stored rate use the first rate).
+ * 
+ * Rates are cached in memory per currency and reloaded after a TTL.
+ */
+class FxService {
+
+    constructor() {
+        this.rates = new Map();
+        this.ratesLoading = new Map();
+    }
+
+    getBaseCurrency() {
+        return 'USD';
+    }
+
+    /**
+     * ISO 4217 code check (three upper-case letters)
+     */
+    isValidCurrency(currency) {
+        return typeof currency === 'string' && /^[A-Z]{3}$/.test(currency);
+    }
+
+    getRatesTtlMs() {
+        return parseInt(process.env.FX_RATES_TTL_MS, 10) || 5 * 60 * 1000;
+    }
+
+    /**
+     * Load a currency's rates when missing or stale
+     * Keeps the previous rates if the database can't be reached.
+     * 
+     * @param {string} currency - ISO 4217 code
+     * @param {Object} options
+     * @param {boolean} options.force - Reload even if the cache is fresh
+     */
+    async refreshRates(currency, { force = false } = {}) {
+        if (currency === this.getBaseCurrency()) {
+            return;
+        }
+
+        const cached = this.rates.get(currency);
+        if (cached && Date.now() - cached.loadedAt < this.getRatesTtlMs() && !force) {
+            return;
+        }
+
+        if (!this.ratesLoading.has(currency)) {
+            this.ratesLoading.set(currency, this.loadRates(currency)
+                .catch(error => {
+                    console.error(`Failed to load FX rates for ${currency}:`, error.message);
+                })
+                .finally(() => {
+                    this.ratesLoading.delete(currency);
+                }));
+        }
+
+        await this.ratesLoading.get(currency);
+    }
+
+    async loadRates(currency) {
+        const rows = [];
+        let offset = 0;
+
+        for (;;) {
+            const { data, error } = await supabaseAdmin
+                .from('fx_rates')
+                .select('rate_date, rate')
+                .eq('currency', currency)
+                .order('rate_date', { ascending: true })
+                .range(offset, offset + RATES_PAGE_SIZE - 1);
+
+            if (error) throw error;
+
+            rows.push(...data.map(row => ({ date: row.rate_date, rate: parseFloat(row.rate) })));
+
+            if (data.length < RATES_PAGE_SIZE) break;
+            offset += RATES_PAGE_SIZE;
+        }
+
+        this.rates.set(currency, { loadedAt: Date.now(), rows });
+    }
+
+    /**
+     * Get the rate (units per 1 USD) effective on a day
+     * Call refreshRates(currency) first.
+     * 
+     * @param {string} currency - ISO 4217 code
+     * @param {Date|string} at - Point in time (default: now)
+     * @returns {number} Rate
+     * @throws {Error} FX_RATE_MISSING when the currency has no rates
+     */
+    getRate(currency, at = new Date()) {
+        if (currency === this.getBaseCurrency()) {
+            return 1;
+        }
+
+        const day = new Date(at).toISOString().slice(0, 10);
+        const cached = this.rates.get(currency);
+        const rows = cached ? cached.rows : [];
+
+        // Binary search for the last rate on or before the day
+        let low = 0;
+        let high = rows.length - 1;
+        let found = null;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (rows[mid].date <= day) {
+                found = rows[mid];
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        if (!found && rows.length > 0) {
+            found = rows[0];
+        }
+
+        if (!found) {
+            const error = new Error(`No FX rates loaded for ${currency}`);
+            error.code = 'FX_RATE_MISSING';
+            throw error;
+        }
+
+        return found.rate;
+    }
+
+    /**
+     * Build a USD -> currency converter with rates loaded
+     * 
+     * @param {string} currency - Target currency
+     * @returns {Function} (amountUsd, at) => amount in currency (6 decimal places)
+     */
+    async getConverter(currency) {
+        await this.refreshRates(currency);
+
+        if (currency === this.getBaseCurrency()) {
+            return (amountUsd) => amountUsd;
+        }
+
+        return (amountUsd, at) => Math.round(amountUsd * this.getRate(currency, at) * 1_000_000) / 1_000_000;
+    }
+
+    /**
+     * Convert an amount in a currency to USD at a day's rate
+     */
+    async toUsd(amount, currency, at = new Date()) {
+        await this.refreshRates(currency);
+        return Math.round((amount / this.getRate(currency, at)) * 1_000_000) / 1_000_000;
+    }
+
+    /**
+     * Check that a currency can be used (USD, or has at least one rate)
+     */
+    async isSupportedCurrency(currency) {
+        if (currency === this.getBaseCurrency()) {
+            return true;
+        }
+        if (!this.isValidCurrency(currency)) {
+            return false;
+        }
+
+        await this.refreshRates(currency, { force: true });
+        const cached = this.rates.get(currency);
+        return Boolean(cached && cached.rows.length > 0);
+    }
+
+    /**
+     * Get an organization's reporting currency
+     */
+    async getOrgCurrency(organizationId) {
+        const { data, error } = await supabaseAdmin
+            .from('organizations')
+            .select('reporting_currency')
+            .eq('id', organizationId)
+            .single();
+
+        if (error) throw error;
+        return data.reporting_currency || this.getBaseCurrency();
+    }
+
+    /**
+     * Set an organization's reporting currency
+     * Existing budgets keep their own currency.
+     */
+    async setOrgCurrency(organizationId, currency) {
+        if (!(await this.isSupportedCurrency(currency))) {
+            throw new Error(`No FX rates loaded for ${currency}`);
+        }
+
+        const { data, error } = await supabaseAdmin
+            .from('organizations')
+            .update({ reporting_currency: currency })
+            .eq('id', organizationId)
+            .select('id, reporting_currency')
+            .single();
+
+        if (error) {
+            throw new Error(`Failed to update reporting currency: ${error.message}`);
+        }
+
+        return data;
+    }
+
+    /**
+     * List stored rates
+     * 
+     * @param {Object} filters
+     * @param {string} filters.currency - Only this currency
+     * @param {string} filters.from - First day (YYYY-MM-DD)
+     * @param {string} filters.to - Last day (YYYY-MM-DD)
+     * @returns {Array} Rates (newest first, max 1000)
+     */
+    async listRates({ currency, from, to } = {}) {
+        let query = supabaseAdmin
+            .from('fx_rates')
+            .select('*')
+            .order('rate_date', { ascending: false })
+            .order('currency', { ascending: true })
+            .limit(1000);
+
+        if (currency) query = query.eq('currency', currency);
+        if (from) query = query.gte('rate_date', from);
+        if (to) query = query.lte('rate_date', to);
+
+        const { data, error } = await query;
+
+        if (error) {
+            throw new Error(`Failed to fetch FX rates: ${error.message}`);
+        }
+
+        return data;
+    }
+
+    /**
+     * Parse an FX rate file
+     * 
+     * CSV with columns date, currency, rate (units per 1 USD), or JSON:
+     * [{ "date": "2026-10-01", "currency": "EUR", "rate": 0.92 }] or { "rates": [...] }
+     * 
+     * @param {string} format - 'csv' or 'json'
+     * @param {string|Object|Array} content - File content
+     * @returns {Array<Object>} Rates { date, currency, rate }
+     */
+    parseRatesFile(format, content) {
+        let rows;
+        if (format === 'csv') {
+            rows = parseCsv(content);
+        } else {
+            let parsed = content;
+            if (typeof content === 'string') {
+                try {
+                    parsed = JSON.parse(content);
+                } catch (error) {
+                    throw new Error('Invalid JSON rate file');
+                }
+            }
+            rows = Array.isArray(parsed) ? parsed : (parsed && parsed.rates);
+            if (!Array.isArray(rows)) {
+                throw new Error('JSON rate file must be an array of rates or { "rates": [...] }');
+            }
+            rows = rows.map(row => Object.fromEntries(Object.entries(row).map(([key, value]) => [normalizeKey(key), value])));
+        }
+
+        return rows.map(row => ({
+            date: row.date ?? row.rate_date,
+            currency: row.currency ?? row.quote_currency,
+            rate: row.rate ?? row.usd_rate
+        }));
+    }
+
+    /**
+     * Validate and store rates (existing rates for the same day are replaced)
+     * 
+     * @param {Array<Object>} rates - { date: 'YYYY-MM-DD', currency, rate }
+     * @param {Object} options
+     * @param {string} options.source - 'manual' or 'file'
+     * @param {string} options.userId - Admin saving the rates
+     * @returns {Array} Saved rates
+     */
+    async saveRates(rates, { source = 'manual', userId = null } = {}) {
+        if (!Array.isArray(rates) || rates.length === 0) {
+            throw new Error('At least one rate is required');
+        }
+
+        const rows = rates.map((entry, index) => {
+            const currency = String(entry.currency || '').trim().toUpperCase();
+            const rate = typeof entry.rate === 'number' ? entry.rate : parseFloat(entry.rate);
+            const date = String(entry.date || '').trim();
+
+            if (!this.isValidCurrency(currency) || currency === this.getBaseCurrency()) {
+                throw new Error(`Rate ${index + 1}: currency must be an ISO 4217 code other than USD`);
+            }
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(date))) {
+                throw new Error(`Rate ${index + 1}: date must be YYYY-MM-DD`);
+            }
+            if (!Number.isFinite(rate) || rate <= 0) {
+                throw new Error(`Rate ${index + 1}: rate must be a positive number (units per 1 USD)`);
+            }
+
+            return { rate_date: date, currency, rate, source, created_by: userId };
+        });
+
+        // A day listed twice keeps its last rate (one upsert can't touch a row twice)
+        const unique = Array.from(new Map(rows.map(row => [`${row.currency}|${row.rate_date}`, row])).values());
+
+        const { data, error } = await supabaseAdmin
+            .from('fx_rates')
+            .upsert(unique, { onConflict: 'currency,rate_date' })
+            .select();
+
+        if (error) {
+            throw new Error(`Failed to save FX rates: ${error.message}`);
+        }
+
+        for (const currency of new Set(unique.map(row => row.currency))) {
+            await this.refreshRates(currency, { force: true });
+        }
+
+        return data;
+    }
+}
+
+module.exports = new FxService();
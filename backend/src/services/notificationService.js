@@ -0,0 +1,884 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const { supabaseAdmin } = require('../config/supabase');
+const encryptionService = require('./encryptionService');
+
+const CHANNEL_TYPES = ['email', 'slack', 'teams', 'webhook'];
+
+// A delivery being sent is leased for this long; if the process dies
+// mid-send, the retry worker picks it up once the lease runs out
+const SEND_LEASE_MS = 5 * 60 * 1000;
+
+// Webhook targets must be public: loopback, private, link-local, CGNAT,
+// multicast and reserved ranges (incl. cloud metadata at 169.254.169.254)
+// are refused so channels cannot probe internal services (IPv4-mapped IPv6
+// addresses are matched against the IPv4 ranges)
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+    ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96],
+    ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6'));
+
+const isPublicAddress = (address) => {
+    const family = net.isIP(address);
+    return family !== 0 && !BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// Opt-in exceptions for self-hosted receivers (local HTTP endpoints, internal
+// Slack proxies): NOTIFICATION_ALLOWED_HOSTS lists hosts that may resolve to
+// private addresses and use http; NOTIFICATION_ALLOW_PRIVATE=true exempts all
+const isExemptHost = (hostname) => {
+    if (process.env.NOTIFICATION_ALLOW_PRIVATE === 'true') {
+        return true;
+    }
+    const allowedHosts = (process.env.NOTIFICATION_ALLOWED_HOSTS || '')
+        .split(',')
+        .map(host => host.trim().toLowerCase())
+        .filter(Boolean);
+    return allowedHosts.includes(hostname.toLowerCase());
+};
+
+// Re-check the address at connect time, so a host that resolved to a public
+// address when validated cannot be re-pointed at an internal one (DNS rebinding)
+const publicOnlyLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) return callback(error);
+        const addresses = Array.isArray(address) ? address : [{ address, family }];
+        if (!isExemptHost(hostname) && !addresses.every(entry => isPublicAddress(entry.address))) {
+            return callback(new Error(`${hostname} resolves to a private or reserved address`));
+        }
+        return callback(null, address, family);
+    });
+};
+const publicOnlyAgents = {
+    http: new http.Agent({ lookup: publicOnlyLookup }),
+    https: new https.Agent({ lookup: publicOnlyLookup })
+};
+
+const toNumber = (value) => (value !== null && value !== undefined ? Number(value) : null);
+
+const ANOMALY_METRIC_LABELS = {
+    spend: (value) => `$${value.toFixed(2)} spend`,
+    requests: (value) => `${Math.round(value)} requests`,
+    tokens: (value) => `${Math.round(value)} tokens`
+};
+
+const ALERT_SCOPE_LABELS = {
+    organization: () => 'Organization budget',
+    project: (alert) => `Project "${alert.project_name || 'Deleted project'}" budget`,
+    key: (alert) => `Proxy key "${alert.key_name || 'Deleted key'}" budget`,
+    user: (alert) => `Budget of ${alert.user_email || 'deleted user'}`
+};
+
+/**
+ * Notification Service
+ * 
+ * Sends alerts to the channels an organization has configured:
+ * - email: SMTP (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS, SMTP_FROM)
+ * - slack / teams: incoming webhook URL
+ * - webhook: JSON POST signed with HMAC-SHA256 (X-SpendAI-Signature: t=<unix>,v1=<hex>
+ *   over "<t>.<body>")
+ * 
+ * Every send is a notification_deliveries row. Failed sends are retried with
+ * exponential backoff by the retry worker until NOTIFICATION_MAX_ATTEMPTS.
+ */
+class NotificationService {
+    constructor() {
+        this.transporter = null;
+        this.retryTimer = null;
+        this.retrying = false;
+    }
+
+    /**
+     * Supported channel types
+     * @returns {Array<string>}
+     */
+    getChannelTypes() {
+        return CHANNEL_TYPES;
+    }
+
+    /**
+     * Retry bounds (override via environment)
+     */
+    getRetryConfig() {
+        return {
+            max_attempts: parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 5,
+            base_delay_ms: parseInt(process.env.NOTIFICATION_RETRY_BASE_DELAY_MS, 10) || 60000,
+            max_delay_ms: parseInt(process.env.NOTIFICATION_RETRY_MAX_DELAY_MS, 10) || 60 * 60 * 1000,
+            timeout_ms: parseInt(process.env.NOTIFICATION_TIMEOUT_MS, 10) || 10000
+        };
+    }
+
+    /**
+     * Delay before retrying a delivery that has failed `attempts` times
+     * @param {number} attempts - Attempts made so far (>= 1)
+     * @returns {number} Delay in ms
+     */
+    getRetryDelay(attempts) {
+        const { base_delay_ms, max_delay_ms } = this.getRetryConfig();
+        return Math.min(max_delay_ms, base_delay_ms * Math.pow(2, attempts - 1));
+    }
+
+    /**
+     * Whether a failed send is worth retrying
+     * Rejections by the receiver (HTTP 4xx, SMTP 5xx) and configuration
+     * errors are permanent; timeouts, network errors and server errors are not.
+     */
+    isRetryable(error) {
+        if (error.permanent) {
+            return false;
+        }
+
+        const status = error.response && error.response.status;
+        if (status) {
+            return status === 408 || status === 429 || status >= 500;
+        }
+
+        if (error.responseCode) {
+            return error.responseCode < 500;
+        }
+
+        return true;
+    }
+
+    /**
+     * Mask a Slack/Teams webhook URL for display
+     * Shows: {origin}/****{last 4 chars}
+     */
+    maskWebhookUrl(url) {
+        try {
+            return `${new URL(url).origin}/****${url.slice(-4)}`;
+        } catch (error) {
+            return '****';
+        }
+    }
+
+    /**
+     * Generate a signing secret for a generic webhook
+     */
+    generateSigningSecret() {
+        return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+    }
+
+    /**
+     * Signature header value for a webhook body
+     * @param {string} secret - Signing secret
+     * @param {number} timestamp - Unix seconds
+     * @param {string} body - Raw JSON body
+     * @returns {string} t=<timestamp>,v1=<hex HMAC-SHA256 of "<timestamp>.<body>">
+     */
+    signPayload(secret, timestamp, body) {
+        const signature = crypto
+            .createHmac('sha256', secret)
+            .update(`${timestamp}.${body}`)
+            .digest('hex');
+
+        return `t=${timestamp},v1=${signature}`;
+    }
+
+    /**
+     * Channel as returned by the API (secret replaced by a display target)
+     */
+    toPublicChannel(row) {
+        const config = row.config || {};
+        let target = null;
+
+        if (row.type === 'email') {
+            target = (config.recipients || []).join(', ');
+        } else if (row.type === 'webhook') {
+            target = config.url;
+        } else if (row.secret) {
+            target = this.maskWebhookUrl(encryptionService.decrypt(row.secret));
+        }
+
+        return {
+            id: row.id,
+            type: row.type,
+            name: row.name,
+            config,
+            target,
+            is_active: row.is_active,
+            created_at: row.created_at,
+            updated_at: row.updated_at
+        };
+    }
+
+    /**
+     * List an organization's channels
+     * @param {string} organizationId - Organization ID
+     * @returns {Promise<Array>}
+     */
+    async listChannels(organizationId) {
+        const { data, error } = await supabaseAdmin
+            .from('notification_channels')
+            .select('*')
+            .eq('organization_id', organizationId)
+            .order('created_at', { ascending: true });
+
+        if (error) throw error;
+        return data.map(row => this.toPublicChannel(row));
+    }
+
+    /**
+     * Get a channel row (including its encrypted secret)
+     * @param {string} channelId - Channel ID
+     * @param {string} organizationId - Organization ID (ownership check)
+     * @returns {Promise<Object|null>}
+     */
+    async getChannel(channelId, organizationId) {
+        const { data, error } = await supabaseAdmin
+            .from('notification_channels')
+            .select('*')
+            .eq('id', channelId)
+            .eq('organization_id', organizationId)
+            .maybeSingle();
+
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Add a channel
+     * 
+     * Generic webhooks get a generated signing secret unless one is given;
+     * it is returned once as signing_secret.
+     * 
+     * @param {string} organizationId - Organization ID
+     * @param {Object} channel - { type, name, config, secret }
+     * @param {string} userId - Creating admin
+     * @returns {Promise<Object>} Public channel (+ signing_secret for webhooks)
+     */
+    async createChannel(organizationId, { type, name, config, secret }, userId) {
+        let signingSecret = null;
+        if (type === 'webhook') {
+            signingSecret = secret || this.generateSigningSecret();
+            secret = signingSecret;
+        }
+
+        const { data, error } = await supabaseAdmin
+            .from('notification_channels')
+            .insert({
+                organization_id: organizationId,
+                type,
+                name,
+                config,
+                secret: secret ? encryptionService.encrypt(secret) : null,
+                created_by: userId
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        const channel = this.toPublicChannel(data);
+        if (signingSecret) {
+            channel.signing_secret = signingSecret;
+        }
+        return channel;
+    }
+
+    /**
+     * Update a channel's name, active flag, settings or secret
+     * @param {string} channelId - Channel ID
+     * @param {string} organizationId - Organization ID
+     * @param {Object} updates - { name?, is_active?, config?, secret? } (config merges)
+     * @returns {Promise<Object>} Public channel
+     */
+    async updateChannel(channelId, organizationId, updates) {
+        const existing = await this.getChannel(channelId, organizationId);
+        if (!existing) {
+            throw new Error('Notification channel not found');
+        }
+
+        const row = { updated_at: new Date().toISOString() };
+        if (updates.name !== undefined) row.name = updates.name;
+        if (updates.is_active !== undefined) row.is_active = updates.is_active;
+        if (updates.config !== undefined) row.config = { ...existing.config, ...updates.config };
+        if (updates.secret !== undefined) row.secret = encryptionService.encrypt(updates.secret);
+
+        const { data, error } = await supabaseAdmin
+            .from('notification_channels')
+            .update(row)
+            .eq('id', channelId)
+            .eq('organization_id', organizationId)
+            .select()
+            .single();
+
+        if (error) throw error;
+        return this.toPublicChannel(data);
+    }
+
+    /**
+     * Delete a channel (and its delivery history)
+     */
+    async deleteChannel(channelId, organizationId) {
+        const { data, error } = await supabaseAdmin
+            .from('notification_channels')
+            .delete()
+            .eq('id', channelId)
+            .eq('organization_id', organizationId)
+            .select('id');
+
+        if (error) throw error;
+        if (!data || data.length === 0) {
+            throw new Error('Notification channel not found');
+        }
+
+        return { success: true, message: 'Notification channel deleted' };
+    }
+
+    /**
+     * Recent deliveries of an organization
+     * @param {string} organizationId - Organization ID
+     * @param {Object} filters - { channelId, status, limit }
+     * @returns {Promise<Array>}
+     */
+    async listDeliveries(organizationId, { channelId = null, status = null, limit = 50 } = {}) {
+        let query = supabaseAdmin
+            .from('notification_deliveries')
+            .select(`
+        id, channel_id, alert_id, is_test, status, attempts, last_error,
+        response_status, next_attempt_at, sent_at, created_at,
+        notification_channels (name, type)
+      `)
+            .eq('organization_id', organizationId)
+            .order('created_at', { ascending: false })
+            .limit(limit);
+
+        if (channelId) query = query.eq('channel_id', channelId);
+        if (status) query = query.eq('status', status);
+
+        const { data, error } = await query;
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Message content of an alert
+     * @param {Object} alert - alerts row with projects / proxy_keys / users embeds
+     * @returns {Object} { event, subject, text, alert }
+     */
+    buildAlertPayload(alert) {
+        const details = {
+            id: alert.id,
+            alert_level: alert.alert_level,
+            alert_type: alert.alert_type || 'threshold',
+            organization_id: alert.organization_id,
+            project_id: alert.project_id || null,
+            project_name: alert.projects ? alert.projects.name : null,
+            proxy_key_id: alert.proxy_key_id || null,
+            key_name: alert.proxy_keys ? alert.proxy_keys.name : null,
+            user_id: alert.user_id || null,
+            user_email: alert.users ? alert.users.email : null,
+            threshold_percent: alert.threshold_percent,
+            budget_amount: toNumber(alert.budget_amount),
+            actual_spend: toNumber(alert.actual_spend),
+            projected_spend: toNumber(alert.projected_spend),
+            projected_exceed_date: alert.projected_exceed_date || null,
+            anomaly_metric: alert.anomaly_metric || null,
+            observed_value: toNumber(alert.observed_value),
+            baseline_value: toNumber(alert.baseline_value),
+            expected_max: toNumber(alert.expected_max),
+            key_suspended: Boolean(alert.key_suspended),
+            currency: alert.currency || 'USD',
+            period_start: alert.period_start,
+            period_end: alert.period_end || null,
+            created_at: alert.created_at
+        };
+
+        const scope = (ALERT_SCOPE_LABELS[details.alert_level] || ALERT_SCOPE_LABELS.organization)(details);
+        const periodStart = new Date(details.period_start).toISOString().slice(0, 16).replace('T', ' ');
+
+        if (details.alert_type === 'anomaly') {
+            const label = ANOMALY_METRIC_LABELS[details.anomaly_metric];
+            const subject = details.alert_level === 'key'
+                ? `Proxy key "${details.key_name || 'Deleted key'}"`
+                : `Project "${details.project_name || 'Deleted project'}"`;
+
+            return {
+                event: 'usage.anomaly',
+                subject: `[SpendAI] Unusual ${details.anomaly_metric} on ${subject}`,
+                text: `${subject} used ${label(details.observed_value)} in the hour to `
+                    + `${new Date(details.period_end).toISOString().slice(0, 16).replace('T', ' ')} UTC, `
+                    + `against a usual ${label(details.baseline_value)} per hour (anomaly above ${label(details.expected_max)}).`
+                    + (details.key_suspended ? ' The key has been suspended; an admin can reactivate it.' : ''),
+                alert: details
+            };
+        }
+
+        if (details.alert_type === 'forecast') {
+            return {
+                event: 'budget.forecast',
+                subject: `[SpendAI] ${scope} projected to exceed`,
+                text: `${scope} is projected to exceed its budget: `
+                    + `${details.projected_spend.toFixed(2)} ${details.currency} forecast by the end of the period `
+                    + `against a budget of ${details.budget_amount.toFixed(2)} (${details.actual_spend.toFixed(2)} spent so far)`
+                    + (details.projected_exceed_date ? `, reaching it around ${details.projected_exceed_date}.` : '.'),
+                alert: details
+            };
+        }
+
+        return {
+            event: 'budget.alert',
+            subject: `[SpendAI] ${scope} at ${details.threshold_percent}%`,
+            text: `${scope} has reached ${details.threshold_percent}% of its budget: `
+                + `${details.actual_spend.toFixed(2)} of ${details.budget_amount.toFixed(2)} ${details.currency} spent `
+                + `in the budget period starting ${periodStart} UTC.`,
+            alert: details
+        };
+    }
+
+    /**
+     * Send a newly recorded alert to every active channel of its organization
+     * Called (not awaited) by alertService.recordAlert.
+     * 
+     * @param {Object} alert - Inserted alerts row
+     * @returns {Promise<Array>} Deliveries after their first attempt
+     */
+    async dispatchAlert(alert) {
+        const { data: channels, error } = await supabaseAdmin
+            .from('notification_channels')
+            .select('*')
+            .eq('organization_id', alert.organization_id)
+            .eq('is_active', true);
+
+        if (error) throw error;
+        if (channels.length === 0) {
+            return [];
+        }
+
+        const { data: detailed, error: alertError } = await supabaseAdmin
+            .from('alerts')
+            .select(`
+        *,
+        projects (name),
+        proxy_keys (name),
+        users (email)
+      `)
+            .eq('id', alert.id)
+            .single();
+
+        if (alertError) throw alertError;
+
+        const payload = this.buildAlertPayload(detailed);
+        const deliveries = await this.createDeliveries(alert.organization_id, channels, {
+            alert_id: alert.id,
+            is_test: false,
+            payload
+        });
+
+        return Promise.all(deliveries.map(delivery => {
+            const channel = channels.find(c => c.id === delivery.channel_id);
+            return this.attemptDelivery(delivery, channel);
+        }));
+    }
+
+    /**
+     * Send a test message to a channel (active or not), without retries
+     * @param {string} channelId - Channel ID
+     * @param {string} organizationId - Organization ID
+     * @returns {Promise<Object>} Delivery with its status, error and response status
+     */
+    async sendTestNotification(channelId, organizationId) {
+        const channel = await this.getChannel(channelId, organizationId);
+        if (!channel) {
+            throw new Error('Notification channel not found');
+        }
+
+        const payload = {
+            event: 'test',
+            subject: '[SpendAI] Test notification',
+            text: `This is a test notification for the "${channel.name}" channel. `
+                + 'SpendAI budget alerts for your organization will be delivered here.',
+            alert: null
+        };
+
+        const [delivery] = await this.createDeliveries(organizationId, [channel], {
+            alert_id: null,
+            is_test: true,
+            payload
+        });
+
+        return this.attemptDelivery(delivery, channel);
+    }
+
+    /**
+     * Insert pending deliveries, leased to the caller for their first attempt
+     */
+    async createDeliveries(organizationId, channels, { alert_id, is_test, payload }) {
+        const leaseUntil = new Date(Date.now() + SEND_LEASE_MS).toISOString();
+
+        const { data, error } = await supabaseAdmin
+            .from('notification_deliveries')
+            .insert(channels.map(channel => ({
+                organization_id: organizationId,
+                channel_id: channel.id,
+                alert_id,
+                is_test,
+                payload,
+                status: 'pending',
+                next_attempt_at: leaseUntil
+            })))
+            .select();
+
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Send a delivery once and record the outcome
+     * 
+     * Steps:
+     * 1. Send through the channel's type
+     * 2. On success: status 'sent'
+     * 3. On failure: back to 'pending' with next_attempt_at when retryable and
+     *    attempts remain (never for tests), otherwise 'failed'
+     * 
+     * @param {Object} delivery - notification_deliveries row
+     * @param {Object} channel - notification_channels row
+     * @returns {Promise<Object>} Updated delivery
+     */
+    async attemptDelivery(delivery, channel) {
+        const attempts = delivery.attempts + 1;
+        const now = new Date();
+        let update;
+
+        try {
+            const result = await this.send(channel, delivery);
+            update = {
+                status: 'sent',
+                attempts,
+                last_error: null,
+                response_status: result.response_status || null,
+                next_attempt_at: null,
+                sent_at: now.toISOString()
+            };
+        } catch (error) {
+            const { max_attempts } = this.getRetryConfig();
+            const retry = !delivery.is_test && attempts < max_attempts && this.isRetryable(error);
+
+            update = {
+                status: retry ? 'pending' : 'failed',
+                attempts,
+                last_error: error.message,
+                response_status: (error.response && error.response.status) || error.responseCode || null,
+                next_attempt_at: retry ? new Date(now.getTime() + this.getRetryDelay(attempts)).toISOString() : null
+            };
+
+            console.error(`[NOTIFY] ${channel.type} delivery ${delivery.id} failed (attempt ${attempts}): ${error.message}`);
+        }
+
+        update.updated_at = now.toISOString();
+
+        const { error } = await supabaseAdmin
+            .from('notification_deliveries')
+            .update(update)
+            .eq('id', delivery.id);
+
+        if (error) {
+            console.error('Failed to update notification delivery:', error.message);
+        }
+
+        return { ...delivery, ...update };
+    }
+
+    /**
+     * Send a delivery's payload through its channel
+     * @returns {Promise<Object>} { response_status }
+     */
+    async send(channel, delivery) {
+        switch (channel.type) {
+            case 'email':
+                return this.sendEmail(channel, delivery.payload);
+            case 'slack':
+                return this.postJson(encryptionService.decrypt(channel.secret), this.buildSlackMessage(delivery.payload));
+            case 'teams':
+                return this.postJson(encryptionService.decrypt(channel.secret), this.buildTeamsMessage(delivery.payload));
+            case 'webhook':
+                return this.sendWebhook(channel, delivery);
+            default: {
+                const error = new Error(`Unsupported channel type: ${channel.type}`);
+                error.permanent = true;
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * SMTP transport (created on first use)
+     */
+    getTransporter() {
+        if (!process.env.SMTP_HOST) {
+            const error = new Error('SMTP is not configured (set SMTP_HOST)');
+            error.permanent = true;
+            throw error;
+        }
+
+        if (!this.transporter) {
+            this.transporter = nodemailer.createTransport({
+                host: process.env.SMTP_HOST,
+                port: parseInt(process.env.SMTP_PORT, 10) || 587,
+                secure: process.env.SMTP_SECURE === 'true',
+                auth: process.env.SMTP_USER
+                    ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                    : undefined,
+                connectionTimeout: this.getRetryConfig().timeout_ms
+            });
+        }
+
+        return this.transporter;
+    }
+
+    async sendEmail(channel, payload) {
+        const info = await this.getTransporter().sendMail({
+            from: process.env.SMTP_FROM || 'SpendAI <alerts@spendai.local>',
+            to: channel.config.recipients,
+            subject: payload.subject,
+            text: payload.text
+        });
+
+        // Accepted by the SMTP server (e.g. "250 OK")
+        return { response_status: parseInt(info.response, 10) || null };
+    }
+
+    buildSlackMessage(payload) {
+        return {
+            text: payload.subject,
+            blocks: [
+                { type: 'header', text: { type: 'plain_text', text: payload.subject.slice(0, 150) } },
+                { type: 'section', text: { type: 'mrkdwn', text: payload.text } }
+            ]
+        };
+    }
+
+    /**
+     * Teams incoming webhook / workflow message (Adaptive Card)
+     */
+    buildTeamsMessage(payload) {
+        const body = [
+            { type: 'TextBlock', text: payload.subject, weight: 'Bolder', size: 'Medium', wrap: true },
+            { type: 'TextBlock', text: payload.text, wrap: true }
+        ];
+
+        if (payload.alert && payload.alert.alert_type === 'anomaly') {
+            const { alert } = payload;
+            const label = ANOMALY_METRIC_LABELS[alert.anomaly_metric];
+            body.push({
+                type: 'FactSet',
+                facts: [
+                    { title: 'Last hour', value: label(alert.observed_value) },
+                    { title: 'Baseline', value: `${label(alert.baseline_value)} / hour` },
+                    { title: 'Key suspended', value: alert.key_suspended ? 'Yes' : 'No' }
+                ]
+            });
+        } else if (payload.alert && payload.alert.alert_type === 'forecast') {
+            const { alert } = payload;
+            body.push({
+                type: 'FactSet',
+                facts: [
+                    { title: 'Projected', value: `${alert.projected_spend.toFixed(2)} ${alert.currency}` },
+                    { title: 'Spend', value: `${alert.actual_spend.toFixed(2)} ${alert.currency}` },
+                    { title: 'Budget', value: `${alert.budget_amount.toFixed(2)} ${alert.currency}` }
+                ]
+            });
+        } else if (payload.alert) {
+            const { alert } = payload;
+            body.push({
+                type: 'FactSet',
+                facts: [
+                    { title: 'Threshold', value: `${alert.threshold_percent}%` },
+                    { title: 'Spend', value: `${alert.actual_spend.toFixed(2)} ${alert.currency}` },
+                    { title: 'Budget', value: `${alert.budget_amount.toFixed(2)} ${alert.currency}` }
+                ]
+            });
+        }
+
+        return {
+            type: 'message',
+            attachments: [{
+                contentType: 'application/vnd.microsoft.card.adaptive',
+                contentUrl: null,
+                content: {
+                    $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+                    type: 'AdaptiveCard',
+                    version: '1.4',
+                    body
+                }
+            }]
+        };
+    }
+
+    /**
+     * Whether notifications may be sent to a webhook URL
+     * 
+     * The URL must be https and its host must resolve only to public
+     * addresses, unless the host is exempt (NOTIFICATION_ALLOWED_HOSTS or
+     * NOTIFICATION_ALLOW_PRIVATE), which also permits http.
+     * 
+     * @param {string} value - URL
+     * @returns {Promise<boolean>}
+     */
+    async isAllowedUrl(value) {
+        let url;
+        try {
+            url = new URL(value);
+        } catch (error) {
+            return false;
+        }
+
+        const hostname = url.hostname.replace(/^\[|\]$/g, '');
+        if (isExemptHost(hostname)) {
+            return url.protocol === 'https:' || url.protocol === 'http:';
+        }
+
+        if (url.protocol !== 'https:') {
+            return false;
+        }
+
+        if (net.isIP(hostname)) {
+            return isPublicAddress(hostname);
+        }
+
+        try {
+            const addresses = await dns.promises.lookup(hostname, { all: true });
+            return addresses.length > 0 && addresses.every(entry => isPublicAddress(entry.address));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async postJson(url, message, headers = {}) {
+        if (!(await this.isAllowedUrl(url))) {
+            const error = new Error('Webhook URL must be https and resolve to a public address (see NOTIFICATION_ALLOWED_HOSTS)');
+            error.permanent = true;
+            throw error;
+        }
+
+        const response = await axios.post(url, message, {
+            headers: { 'Content-Type': 'application/json', ...headers },
+            timeout: this.getRetryConfig().timeout_ms,
+            maxRedirects: 0,
+            httpAgent: publicOnlyAgents.http,
+            httpsAgent: publicOnlyAgents.https
+        });
+
+        return { response_status: response.status };
+    }
+
+    /**
+     * POST the payload to a generic webhook, signed with the channel secret
+     * Receivers verify HMAC-SHA256(secret, "<t>.<raw body>") and should reject
+     * stale timestamps. X-SpendAI-Delivery is stable across retries.
+     */
+    async sendWebhook(channel, delivery) {
+        const body = JSON.stringify({
+            id: delivery.id,
+            event: delivery.payload.event,
+            created_at: delivery.created_at,
+            subject: delivery.payload.subject,
+            text: delivery.payload.text,
+            alert: delivery.payload.alert
+        });
+        const timestamp = Math.floor(Date.now() / 1000);
+
+        return this.postJson(channel.config.url, body, {
+            'User-Agent': 'SpendAI-Webhooks/1.0',
+            'X-SpendAI-Event': delivery.payload.event,
+            'X-SpendAI-Delivery': delivery.id,
+            'X-SpendAI-Signature': this.signPayload(encryptionService.decrypt(channel.secret), timestamp, body)
+        });
+    }
+
+    /**
+     * Retry pending deliveries that are due
+     * 
+     * Each delivery is claimed by moving its next_attempt_at forward, so
+     * several server instances never send the same retry twice.
+     * 
+     * @returns {Promise<number>} Deliveries attempted
+     */
+    async retryDueDeliveries() {
+        const now = new Date();
+
+        const { data, error } = await supabaseAdmin
+            .from('notification_deliveries')
+            .select('*, notification_channels (*)')
+            .eq('status', 'pending')
+            .lte('next_attempt_at', now.toISOString())
+            .order('next_attempt_at', { ascending: true })
+            .limit(50);
+
+        if (error) throw error;
+
+        let attempted = 0;
+        for (const row of data) {
+            const { notification_channels: channel, ...delivery } = row;
+
+            const { data: claimed, error: claimError } = await supabaseAdmin
+                .from('notification_deliveries')
+                .update({ next_attempt_at: new Date(now.getTime() + SEND_LEASE_MS).toISOString() })
+                .eq('id', delivery.id)
+                .eq('status', 'pending')
+                .eq('next_attempt_at', delivery.next_attempt_at)
+                .select('id');
+
+            if (claimError) throw claimError;
+            if (!claimed || claimed.length === 0) {
+                continue;
+            }
+
+            if (!channel || !channel.is_active) {
+                await supabaseAdmin
+                    .from('notification_deliveries')
+                    .update({ status: 'failed', last_error: 'Channel disabled', next_attempt_at: null, updated_at: now.toISOString() })
+                    .eq('id', delivery.id);
+                continue;
+            }
+
+            await this.attemptDelivery(delivery, channel);
+            attempted++;
+        }
+
+        return attempted;
+    }
+
+    /**
+     * Run retryDueDeliveries periodically (NOTIFICATION_RETRY_INTERVAL_MS, default 60s)
+     */
+    startRetryWorker() {
+        if (this.retryTimer) {
+            return;
+        }
+
+        const interval = parseInt(process.env.NOTIFICATION_RETRY_INTERVAL_MS, 10) || 60000;
+
+        this.retryTimer = setInterval(async () => {
+            if (this.retrying) {
+                return;
+            }
+            this.retrying = true;
+            try {
+                await this.retryDueDeliveries();
+            } catch (error) {
+                console.error('Notification retry error:', error.message);
+            } finally {
+                this.retrying = false;
+            }
+        }, interval);
+
+        // Don't keep the process alive just for retries
+        this.retryTimer.unref();
+    }
+}
+
+module.exports = new NotificationService();
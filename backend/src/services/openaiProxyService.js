@@ -1,18 +1,32 @@
 const axios = require('axios');
 const crypto = require('crypto');
+const { Transform, pipeline } = require('stream');
 const proxyKeyService = require('./proxyKeyService');
 const encryptionService = require('./encryptionService');
 const usageLoggingService = require('./usageLoggingService');
+const providerCredentialService = require('./providerCredentialService');
+const providerRegistry = require('./providers');
+const budgetService = require('./budgetService');
+const costEstimationService = require('./costEstimationService');
+const responseCacheService = require('./responseCacheService');
+const pricingService = require('./pricingService');
+const failoverService = require('./failoverService');
 const { supabaseAdmin } = require('../config/supabase');
 
+// Request tags (x-spendai-tags) used for analytics grouping and filtering
+const MAX_REQUEST_TAGS = 10;
+const TAG_PATTERN = /^[a-z0-9][a-z0-9_.:\/-]{0,63}$/;
+
 /**
  * OpenAI Proxy Service
  * 
- * Handles proxying requests to OpenAI API with transparent pass-through.
- * Validates proxy keys and uses organization's OpenAI API key.
+ * Handles proxying OpenAI-compatible requests with transparent pass-through.
+ * Validates proxy keys and uses organization's provider credentials.
+ * Chat completions can be routed to Anthropic, Azure OpenAI or Google
+ * through the provider adapters in ./providers.
  * 
  * Security features:
- * - Encrypts OpenAI keys at rest (AES-256-GCM)
+ * - Encrypts provider keys at rest (AES-256-GCM)
  * - Validates models against allowlist
  * - Whitelists headers before forwarding
  * - Generates request IDs for tracing
@@ -24,30 +38,31 @@ class OpenAIProxyService {
      * Prevents invalid models from breaking cost tracking in Phase 6
      */
     getSupportedModels() {
+        return providerRegistry.getAdapter('openai').getSupportedModels();
+    }
+
+    /**
+     * Supported OpenAI embedding models (allowlist for /v1/embeddings)
+     */
+    getSupportedEmbeddingModels() {
         return [
-            'gpt-3.5-turbo',
-            'gpt-3.5-turbo-0125',
-            'gpt-3.5-turbo-1106',
-            'gpt-4',
-            'gpt-4-0613',
-            'gpt-4-turbo',
-            'gpt-4-turbo-preview',
-            'gpt-4o',
-            'gpt-4o-mini'
+            'text-embedding-3-small',
+            'text-embedding-3-large',
+            'text-embedding-ada-002'
         ];
     }
 
     /**
      * Validate model name against allowlist
      * @param {string} model - Model name from request
+     * @param {Array<string>} supportedModels - Allowlist (defaults to chat models)
      * @returns {Object} Validation result
      */
-    validateModel(model) {
+    validateModel(model, supportedModels = this.getSupportedModels()) {
         if (!model || typeof model !== 'string') {
             return { valid: false, error: 'model is required' };
         }
 
-        const supportedModels = this.getSupportedModels();
         if (!supportedModels.includes(model)) {
             return {
                 valid: false,
@@ -90,6 +105,33 @@ class OpenAIProxyService {
         return null;
     }
 
+    /**
+     * Parse request tags from the x-spendai-tags header
+     * 
+     * Comma-separated, e.g. "team:search, feature:autocomplete". Tags are
+     * lowercased and trimmed; invalid tags are dropped and at most
+     * MAX_REQUEST_TAGS are kept.
+     * 
+     * @param {Object} requestHeaders - Original request headers
+     * @returns {string[]} Tags (empty if none)
+     */
+    extractTags(requestHeaders = {}) {
+        const header = requestHeaders['x-spendai-tags'];
+        if (!header || typeof header !== 'string') {
+            return [];
+        }
+
+        const tags = [];
+        for (const raw of header.split(',')) {
+            const tag = raw.trim().toLowerCase();
+            if (TAG_PATTERN.test(tag) && !tags.includes(tag)) {
+                tags.push(tag);
+            }
+            if (tags.length === MAX_REQUEST_TAGS) break;
+        }
+        return tags;
+    }
+
     /**
      * Get organization's OpenAI API key (decrypted)
      * 
@@ -166,16 +208,362 @@ class OpenAIProxyService {
     }
 
     /**
-     * Proxy a chat completion request to OpenAI
+     * Get the organization's decrypted credential for a provider
+     * 
+     * OpenAI keys come from organizations.openai_api_key; other providers
+     * from provider_credentials.
+     * 
+     * @param {string} organizationId - Organization ID
+     * @param {string} provider - Provider identifier
+     * @returns {Object} Credential with at least { api_key }
+     */
+    async getProviderCredential(organizationId, provider) {
+        if (provider === 'openai') {
+            return { api_key: await this.getOrganizationOpenAIKey(organizationId) };
+        }
+        return await providerCredentialService.getCredential(organizationId, provider);
+    }
+
+    /**
+     * Resolve a requested model to a provider route and validate it
+     * 
+     * @param {string} requestedModel - Model from the request (may carry a provider prefix)
+     * @returns {Object} { provider, model, adapter }
+     * @throws {Error} INVALID_MODEL if the provider or model is not supported
+     */
+    resolveRoute(requestedModel) {
+        const route = providerRegistry.resolveModel(requestedModel);
+        if (!route) {
+            const error = new Error(`Unsupported model: ${requestedModel}. Unknown provider prefix`);
+            error.code = 'INVALID_MODEL';
+            throw error;
+        }
+
+        const modelValidation = this.validateModel(route.model, route.adapter.getSupportedModels());
+        if (!modelValidation.valid) {
+            const error = new Error(modelValidation.error);
+            error.code = 'INVALID_MODEL';
+            throw error;
+        }
+
+        return route;
+    }
+
+    /**
+     * Run the pre-flight budget check
+     * 
+     * Fails open: if budgets can't be read, the request is allowed
+     * (alerts still fire after logging) rather than taking traffic down.
+     * 
+     * @param {string} organizationId 
+     * @param {string} projectId 
+     * @param {string} requestId 
+     * @param {Object} key - Verified proxy key (key and user budgets)
+     * @returns {Object} Enforcement decision from budgetService.checkEnforcement
+     */
+    async checkBudgetEnforcement(organizationId, projectId, requestId, key = null) {
+        try {
+            return await budgetService.checkEnforcement(organizationId, projectId, key);
+        } catch (enforcementError) {
+            console.error(`[${requestId}] Budget enforcement check failed:`, enforcementError.message);
+            return { action: 'allow' };
+        }
+    }
+
+    /**
+     * Reject a request whose worst-case cost exceeds the key's ceiling
+     * 
+     * @param {Object} key - Verified proxy key (with max_cost_per_request_usd)
+     * @param {Object} requestBody - Chat completion request (model resolved)
+     * @param {string} provider - Provider identifier
+     * @throws {Error} MAX_COST_EXCEEDED
+     */
+    enforceMaxCost(key, requestBody, provider) {
+        if (!key.max_cost_per_request_usd) {
+            return;
+        }
+
+        const limit = parseFloat(key.max_cost_per_request_usd);
+        const estimate = costEstimationService.estimateChatCompletion(requestBody, provider);
+
+        if (estimate.max_total_cost_usd > limit) {
+            const error = new Error(
+                `Estimated worst-case cost $${estimate.max_total_cost_usd} exceeds this key's limit of $${limit} per request ` +
+                `(${estimate.prompt_tokens} prompt tokens, up to ${estimate.max_completion_tokens} completion tokens on ${requestBody.model})`
+            );
+            error.code = 'MAX_COST_EXCEEDED';
+            throw error;
+        }
+    }
+
+    /**
+     * Estimate the cost of a chat completion request without forwarding it
+     * 
+     * @param {string} proxyKey - SpendAI proxy key
+     * @param {Object} requestBody - OpenAI chat completion request
+     * @returns {Object} Estimate plus whether the key's cost limit would allow it
+     */
+    async estimateChatCompletion(proxyKey, requestBody) {
+        const keyValidation = await proxyKeyService.verifyProxyKey(proxyKey);
+
+        if (!keyValidation.success || !keyValidation.key) {
+            throw new Error('Invalid or revoked proxy key');
+        }
+
+        await pricingService.refreshCatalog();
+        const { provider, model } = this.resolveRoute(requestBody.model);
+        this.ensurePriced(model, provider);
+        const estimate = costEstimationService.estimateChatCompletion({ ...requestBody, model }, provider);
+
+        const limit = keyValidation.key.max_cost_per_request_usd
+            ? parseFloat(keyValidation.key.max_cost_per_request_usd)
+            : null;
+
+        return {
+            ...estimate,
+            max_cost_per_request_usd: limit,
+            allowed: limit === null || estimate.max_total_cost_usd <= limit
+        };
+    }
+
+    /**
+     * Reject models without a price effective now, so no request is logged at $0
+     * 
+     * @param {string} model - Resolved model
+     * @param {string} provider - Provider identifier
+     * @throws {Error} MODEL_NOT_PRICED
+     */
+    ensurePriced(model, provider) {
+        if (!pricingService.hasPricing(model, provider)) {
+            const error = new Error(`No price is configured for model: ${model} (${provider})`);
+            error.code = 'MODEL_NOT_PRICED';
+            throw error;
+        }
+    }
+
+    /**
+     * Build the ordered routes to try: the requested model, then the project's
+     * fallback chain. Fallbacks outside the allowlist are skipped.
+     * 
+     * Fails open to a single attempt when the policy can't be read.
+     * 
+     * @param {Object} primaryRoute - Resolved route for the requested model
+     * @param {string} projectId - Project UUID
+     * @param {string} requestId - SpendAI request ID (for logging)
+     * @returns {Object} { routes, max_retries }
+     */
+    async buildRouteChain(primaryRoute, projectId, requestId) {
+        let policy;
+        try {
+            policy = await failoverService.getProjectPolicy(projectId);
+        } catch (error) {
+            console.error(`[${requestId}] Failover policy lookup failed (no retries):`, error.message);
+            return { routes: [primaryRoute], max_retries: 0 };
+        }
+
+        const routes = [primaryRoute];
+        for (const fallbackModel of policy.fallback_models) {
+            try {
+                const fallback = this.resolveRoute(fallbackModel);
+                this.ensurePriced(fallback.model, fallback.provider);
+                if (!routes.some(r => r.provider === fallback.provider && r.model === fallback.model)) {
+                    routes.push(fallback);
+                }
+            } catch (error) {
+                console.warn(`[${requestId}] Skipping fallback model ${fallbackModel}: ${error.message}`);
+            }
+        }
+
+        return { routes, max_retries: policy.max_retries };
+    }
+
+    /**
+     * Forward a request along a route chain
+     * 
+     * Each route is retried on 429/5xx up to maxRetries times (exponential
+     * backoff, retry-after honored) before moving to the next route. Transport
+     * errors (timeouts, resets, DNS failures) are retried the same way. The last
+     * upstream response is returned when every route gives up; if the last
+     * attempt was a transport error, it is rethrown with the attempts attached
+     * (error.attempts).
+     * 
+     * @param {Object} params
+     * @returns {Object} { response, route, attempts, started_at } (started_at of the returned attempt)
+     */
+    async forwardWithFailover({ requestId, organizationId, keyRecord, routes, maxRetries, openaiBody, requestHeaders, isStream }) {
+        const attempts = [];
+        let last = null;
+
+        for (let i = 0; i < routes.length; i++) {
+            const route = routes[i];
+            const isFallback = i > 0;
+            const body = { ...openaiBody, model: route.model };
+
+            // Fallbacks must support the request, pass the same cost guard
+            // and have credentials configured
+            let credential;
+            if (isFallback) {
+                try {
+                    if (isStream && !route.adapter.supportsStreaming()) {
+                        throw new Error('streaming not supported');
+                    }
+                    const unsupportedFeature = route.adapter.getUnsupportedFeature(body);
+                    if (unsupportedFeature) {
+                        throw new Error(`${unsupportedFeature} not supported`);
+                    }
+                    this.enforceMaxCost(keyRecord, body, route.provider);
+                    credential = await this.getProviderCredential(organizationId, route.provider);
+                } catch (error) {
+                    console.warn(`[${requestId}] Skipping fallback ${route.provider}/${route.model}: ${error.message}`);
+                    attempts.push({
+                        provider: route.provider,
+                        model: route.model,
+                        is_fallback: true,
+                        status_code: null,
+                        outcome: 'skipped',
+                        retry_after_ms: null,
+                        latency_ms: null
+                    });
+                    continue;
+                }
+            } else {
+                credential = await this.getProviderCredential(organizationId, route.provider);
+            }
+
+            // Streaming requests ask for a final usage chunk so they can be costed
+            const upstream = route.adapter.buildRequest(
+                isStream ? this.buildStreamingRequestBody(body) : body,
+                credential,
+                requestHeaders
+            );
+
+            for (let retry = 0; ; retry++) {
+                // Release the previous (discarded) stream before trying again
+                if (last && last.response && isStream) {
+                    last.response.data.destroy();
+                }
+
+                const startedAt = Date.now();
+                let response = null;
+                let transportError = null;
+                try {
+                    response = await axios.post(upstream.url, upstream.body, {
+                        headers: upstream.headers,
+                        timeout: 60000, // 60 second timeout
+                        validateStatus: (status) => status < 600, // Don't throw on 4xx/5xx
+                        responseType: isStream ? 'stream' : 'json'
+                    });
+                } catch (error) {
+                    // Timeout, connection reset, DNS failure...: retryable like a 5xx
+                    transportError = error;
+                }
+
+                const attempt = {
+                    provider: route.provider,
+                    model: route.model,
+                    is_fallback: isFallback,
+                    status_code: response ? response.status : null,
+                    outcome: response && response.status === 200 ? 'success' : 'failed',
+                    error_code: transportError ? (transportError.code || 'network_error') : null,
+                    retry_after_ms: response ? failoverService.parseRetryAfter(response.headers) : null,
+                    latency_ms: Date.now() - startedAt
+                };
+                attempts.push(attempt);
+                last = { response, error: transportError, route, attempt, started_at: startedAt };
+
+                if (response && !failoverService.isRetryableStatus(response.status)) {
+                    return { response, route, attempts, started_at: startedAt };
+                }
+
+                const headers = response ? response.headers : {};
+                const delay = retry < maxRetries ? failoverService.getRetryDelay(headers, retry) : null;
+                if (delay === null) {
+                    attempt.outcome = 'failed_over';
+                    break;
+                }
+
+                attempt.outcome = 'retried';
+                const reason = response ? `returned ${response.status}` : `failed (${attempt.error_code})`;
+                console.warn(`[${requestId}] ${route.provider}/${route.model} ${reason}, retrying in ${delay}ms`);
+                await failoverService.sleep(delay);
+            }
+        }
+
+        // Every route gave up: pass the last upstream error through
+        last.attempt.outcome = 'failed';
+        if (last.error) {
+            last.error.attempts = attempts;
+            throw last.error;
+        }
+        return { response: last.response, route: last.route, attempts, started_at: last.started_at };
+    }
+
+    /**
+     * Persist the attempt trail of a request that retried or failed over
+     * (fire-and-forget, never blocks the response)
+     * @param {Object} context - { request_id, organization_id, project_id, proxy_key_id }
+     * @param {Array} attempts - Attempts from forwardWithFailover
+     */
+    recordAttempts(context, attempts) {
+        if (attempts.length <= 1) {
+            return;
+        }
+
+        failoverService.recordAttempts(context, attempts).catch(err => {
+            console.error(`[${context.request_id}] Failed to record attempts:`, err.message);
+        });
+    }
+
+    /**
+     * Resolve the response cache entry for a request, if caching applies
+     * 
+     * Fails open: cache errors never block the request.
+     * 
+     * @param {string} projectId - Project UUID
+     * @param {Object} requestBody - Chat completion request (model resolved)
+     * @param {Object} requestHeaders - Original request headers
+     * @param {string} requestId - SpendAI request ID (for logging)
+     * @returns {Object|null} { key, ttl_seconds, hit } or null when not cacheable
+     */
+    async lookupResponseCache(projectId, requestBody, requestHeaders, requestId) {
+        if (!responseCacheService.isCacheableRequest(requestBody, requestHeaders)) {
+            return null;
+        }
+
+        try {
+            const settings = await responseCacheService.getProjectSettings(projectId);
+            if (!settings.enabled) {
+                return null;
+            }
+
+            const key = responseCacheService.buildCacheKey(projectId, requestBody);
+            const hit = await responseCacheService.get(key);
+
+            return { key, ttl_seconds: settings.ttl_seconds, hit };
+        } catch (error) {
+            console.error(`[${requestId}] Response cache lookup failed (bypassing cache):`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Proxy a chat completion request to OpenAI or another provider
      * 
      * Flow:
      * 1. Generate request ID
      * 2. Validate proxy key
-     * 3. Validate model
-     * 4. Get organization's OpenAI key (decrypt)
-     * 5. Build whitelisted headers
-     * 6. Forward request to OpenAI
-     * 7. Return response with request ID
+     * 3. Resolve provider from model and validate model (allowlist + effective price)
+     *    and features (requests the adapter cannot translate are refused)
+     *    3b. Enforce exhausted budgets (block or downgrade)
+     *    3c. Reject requests above the key's max cost per request
+     *    3d. Serve identical cacheable requests from the response cache
+     * 4. Get organization's provider credential (decrypt)
+     * 5. Translate request via the provider adapter (whitelisted headers)
+     * 6. Forward request (streamed when body.stream is true), retrying
+     *    429/5xx with backoff and failing over along the project's fallback chain
+     * 7. Translate response back to OpenAI format
+     * 8. Log usage with provider
+     * 9. Return response with request ID
      * 
      * @param {string} proxyKey - SpendAI proxy key
      * @param {Object} requestBody - OpenAI chat completion request
@@ -185,6 +573,8 @@ class OpenAIProxyService {
     async proxyChatCompletion(proxyKey, requestBody, requestHeaders = {}) {
         // 1. Generate unique request ID for tracing
         const requestId = this.generateRequestId();
+        const startedAt = Date.now();
+        let requestContext = null;
 
         try {
             // 2. Validate proxy key
@@ -196,31 +586,299 @@ class OpenAIProxyService {
 
             const { organization_id, project_id, id: keyId } = keyValidation.key;
 
-            // 3. Validate model (allowlist check)
-            const modelValidation = this.validateModel(requestBody.model);
+            // Attribution for outcome logging (failures are logged from here on)
+            requestContext = {
+                request_id: requestId,
+                organization_id,
+                project_id,
+                proxy_key_id: keyId,
+                model: requestBody.model,
+                tags: this.extractTags(requestHeaders),
+                started_at: startedAt
+            };
+
+            // 3. Resolve provider and validate model (per-provider allowlist)
+            let route = this.resolveRoute(requestBody.model);
+
+            // 3b. Pre-flight budget enforcement (block or downgrade exhausted budgets)
+            const enforcement = await this.checkBudgetEnforcement(organization_id, project_id, requestId, keyValidation.key);
+            let downgradedFrom = null;
+
+            if (enforcement.action === 'block') {
+                const error = new Error(
+                    `SpendAI ${enforcement.alert_level} budget exhausted (${enforcement.actual} of ${enforcement.budget} ${enforcement.currency} this ${enforcement.period} period)`
+                );
+                error.code = 'BUDGET_EXCEEDED';
+                throw error;
+            }
+
+            if (enforcement.action === 'downgrade' && enforcement.model !== requestBody.model) {
+                downgradedFrom = requestBody.model;
+                route = this.resolveRoute(enforcement.model);
+                console.warn(`[${requestId}] ${enforcement.alert_level} budget exhausted: downgrading ${downgradedFrom} -> ${enforcement.model}`);
+            }
+
+            const { provider, model, adapter } = route;
+
+            // Prices come from the catalog effective now; unpriced models are refused
+            await pricingService.refreshCatalog();
+            this.ensurePriced(model, provider);
+
+            // 3c. Per-key worst-case cost guard
+            this.enforceMaxCost(keyValidation.key, { ...requestBody, model }, provider);
+
+            const isStream = requestBody.stream === true;
+            if (isStream && !adapter.supportsStreaming()) {
+                const error = new Error(`Streaming is not supported for provider: ${provider}`);
+                error.code = 'STREAMING_UNSUPPORTED';
+                throw error;
+            }
+
+            const unsupportedFeature = adapter.getUnsupportedFeature(requestBody);
+            if (unsupportedFeature) {
+                const error = new Error(`Request uses ${unsupportedFeature}, which is not supported for provider: ${provider}`);
+                error.code = 'FEATURE_UNSUPPORTED';
+                throw error;
+            }
+
+            const openaiBody = { ...requestBody, model };
+
+            // 3d. Response cache (opt-in per project, deterministic requests only)
+            const cache = await this.lookupResponseCache(project_id, openaiBody, requestHeaders, requestId);
+
+            if (cache && cache.hit) {
+                try {
+                    await usageLoggingService.logFromOpenAIResponse({
+                        request_id: requestId,
+                        organization_id,
+                        project_id,
+                        proxy_key_id: keyId,
+                        provider: cache.hit.provider,
+                        openaiResponse: cache.hit.response,
+                        cache_hit: true,
+                        requested_model: requestBody.model,
+                        tags: requestContext.tags,
+                        latency_ms: Date.now() - startedAt,
+                        requested_at: new Date(startedAt)
+                    });
+                } catch (loggingError) {
+                    console.error(`[${requestId}] Usage logging failed:`, loggingError.message);
+                }
+
+                return {
+                    success: true,
+                    response: cache.hit.response,
+                    statusCode: 200,
+                    headers: {},
+                    cache: 'HIT',
+                    metadata: {
+                        spendai_request_id: requestId,
+                        organization_id,
+                        project_id,
+                        proxy_key_id: keyId,
+                        provider: cache.hit.provider,
+                        downgraded_from: downgradedFrom,
+                        cache_hit: true,
+                        timestamp: new Date().toISOString(),
+                        openai_request_id: null
+                    }
+                };
+            }
+
+            // 4-6. Forward to the provider, retrying 429/5xx and failing over
+            // along the project's fallback chain (allowlist and cost guard still apply)
+            const chain = await this.buildRouteChain(route, project_id, requestId);
+            const attemptContext = {
+                request_id: requestId,
+                organization_id,
+                project_id,
+                proxy_key_id: keyId
+            };
+            let forwarded;
+            try {
+                forwarded = await this.forwardWithFailover({
+                    requestId,
+                    organizationId: organization_id,
+                    keyRecord: keyValidation.key,
+                    routes: chain.routes,
+                    maxRetries: chain.max_retries,
+                    openaiBody,
+                    requestHeaders,
+                    isStream
+                });
+            } catch (error) {
+                // Every route failed at the transport level: keep the attempt trail
+                this.recordAttempts(attemptContext, error.attempts || []);
+                throw error;
+            }
+
+            const upstreamResponse = forwarded.response;
+            const served = forwarded.route;
+            const failedOverFrom = served.model !== model ? { model, provider } : null;
+
+            this.recordAttempts(attemptContext, forwarded.attempts);
+
+            if (isStream) {
+                return await this.handleStreamingResponse(upstreamResponse, {
+                    request_id: requestId,
+                    organization_id,
+                    project_id,
+                    proxy_key_id: keyId,
+                    provider: served.provider,
+                    model: served.model,
+                    adapter: served.adapter,
+                    downgraded_from: downgradedFrom,
+                    failed_over_from: failedOverFrom,
+                    attempts: forwarded.attempts.length,
+                    requested_model: requestBody.model,
+                    messages: requestBody.messages,
+                    tags: requestContext.tags,
+                    started_at: startedAt,
+                    upstream_started_at: forwarded.started_at,
+                    stripUsageChunk: !this.clientRequestedUsage(requestBody)
+                });
+            }
+
+            // 7. Translate the response back to OpenAI format
+            const responseBody = upstreamResponse.status === 200
+                ? served.adapter.transformResponse(upstreamResponse.data, served.model)
+                : served.adapter.transformError(upstreamResponse.data);
+
+            // 8. Log usage for successful responses only (synchronous)
+            if (upstreamResponse.status === 200) {
+                try {
+                    await usageLoggingService.logFromOpenAIResponse({
+                        request_id: requestId,
+                        organization_id,
+                        project_id,
+                        proxy_key_id: keyId,
+                        provider: served.provider,
+                        openaiResponse: responseBody,
+                        original_model: failedOverFrom ? failedOverFrom.model : null,
+                        original_provider: failedOverFrom ? failedOverFrom.provider : null,
+                        requested_model: requestBody.model,
+                        tags: requestContext.tags,
+                        latency_ms: Date.now() - startedAt,
+                        upstream_latency_ms: forwarded.attempts[forwarded.attempts.length - 1].latency_ms,
+                        requested_at: new Date(startedAt)
+                    });
+                } catch (loggingError) {
+                    // Log error but don't fail the request
+                    // Usage logging failure should not block the client
+                    console.error(`[${requestId}] Usage logging failed:`, loggingError.message);
+                    // Continue and return response to client
+                }
+
+                if (cache) {
+                    responseCacheService.set(cache.key, { response: responseBody, provider: served.provider }, cache.ttl_seconds).catch(err => {
+                        console.error(`[${requestId}] Response cache store failed:`, err.message);
+                    });
+                }
+            } else {
+                // Upstream error: record the outcome (zero cost)
+                await this.logFailedRequest(requestContext, {
+                    provider: served.provider,
+                    status: 'error',
+                    upstream_status: upstreamResponse.status,
+                    ...this.getUpstreamError(responseBody)
+                });
+            }
+
+            // 9. Return OpenAI-format response with request ID
+            return {
+                success: true,
+                response: responseBody,
+                statusCode: upstreamResponse.status,
+                headers: upstreamResponse.headers,
+                cache: cache ? 'MISS' : null,
+                metadata: {
+                    spendai_request_id: requestId,
+                    organization_id,
+                    project_id,
+                    proxy_key_id: keyId,
+                    provider: served.provider,
+                    downgraded_from: downgradedFrom,
+                    failed_over_from: failedOverFrom ? failedOverFrom.model : null,
+                    attempts: forwarded.attempts.length,
+                    cache_hit: false,
+                    timestamp: new Date().toISOString(),
+                    openai_request_id: upstreamResponse.headers['x-request-id'] || null
+                }
+            };
+
+        } catch (error) {
+            if (requestContext) {
+                await this.logFailedRequest(requestContext, this.classifyProxyError(error));
+            }
+            return this.handleProxyError(error, requestId);
+        }
+    }
+
+    /**
+     * Proxy an embeddings request to OpenAI
+     * 
+     * Flow mirrors proxyChatCompletion:
+     * 1. Generate request ID
+     * 2. Validate proxy key
+     * 3. Validate model against the embedding allowlist
+     * 4. Get organization's OpenAI key (decrypt)
+     * 5. Forward request to OpenAI
+     * 6. Log usage (input tokens only) and return response with request ID
+     * 
+     * @param {string} proxyKey - SpendAI proxy key
+     * @param {Object} requestBody - OpenAI embeddings request
+     * @param {Object} requestHeaders - Original request headers
+     * @returns {Object} OpenAI response with metadata
+     */
+    async proxyEmbeddings(proxyKey, requestBody, requestHeaders = {}) {
+        // 1. Generate unique request ID for tracing
+        const requestId = this.generateRequestId();
+        const startedAt = Date.now();
+        let requestContext = null;
+
+        try {
+            // 2. Validate proxy key
+            const keyValidation = await proxyKeyService.verifyProxyKey(proxyKey);
+
+            if (!keyValidation.success || !keyValidation.key) {
+                throw new Error('Invalid or revoked proxy key');
+            }
+
+            const { organization_id, project_id, id: keyId } = keyValidation.key;
+
+            requestContext = {
+                request_id: requestId,
+                organization_id,
+                project_id,
+                proxy_key_id: keyId,
+                model: requestBody.model,
+                tags: this.extractTags(requestHeaders),
+                started_at: startedAt
+            };
+
+            // 3. Validate model (embedding allowlist check)
+            const modelValidation = this.validateModel(requestBody.model, this.getSupportedEmbeddingModels());
             if (!modelValidation.valid) {
                 const error = new Error(modelValidation.error);
                 error.code = 'INVALID_MODEL';
                 throw error;
             }
 
+            await pricingService.refreshCatalog();
+            this.ensurePriced(requestBody.model, 'openai');
+
             // 4. Get organization's OpenAI API key (decrypted)
             const openaiApiKey = await this.getOrganizationOpenAIKey(organization_id);
 
-            // 5. Prepare request to OpenAI
-            const openaiURL = `${this.getOpenAIBaseURL()}/v1/chat/completions`;
-
-            // 6. Build whitelisted headers (security: drop dangerous headers)
-            const forwardHeaders = this.buildForwardHeaders(requestHeaders, openaiApiKey);
-
-            // 7. Forward request to OpenAI
-            const openaiResponse = await axios.post(openaiURL, requestBody, {
-                headers: forwardHeaders,
+            // 5. Forward request to OpenAI with whitelisted headers
+            const upstreamStartedAt = Date.now();
+            const openaiResponse = await axios.post(`${this.getOpenAIBaseURL()}/v1/embeddings`, requestBody, {
+                headers: this.buildForwardHeaders(requestHeaders, openaiApiKey),
                 timeout: 60000, // 60 second timeout
                 validateStatus: (status) => status < 600, // Don't throw on 4xx/5xx
             });
 
-            // 8. Log usage for successful responses only (synchronous)
+            // 6. Log usage for successful responses only (prompt tokens, zero completion)
             if (openaiResponse.status === 200) {
                 try {
                     await usageLoggingService.logFromOpenAIResponse({
@@ -228,17 +886,25 @@ class OpenAIProxyService {
                         organization_id,
                         project_id,
                         proxy_key_id: keyId,
-                        openaiResponse: openaiResponse.data
+                        openaiResponse: openaiResponse.data,
+                        requested_model: requestBody.model,
+                        tags: requestContext.tags,
+                        latency_ms: Date.now() - startedAt,
+                        upstream_latency_ms: Date.now() - upstreamStartedAt,
+                        requested_at: new Date(startedAt)
                     });
                 } catch (loggingError) {
-                    // Log error but don't fail the request
                     // Usage logging failure should not block the client
                     console.error(`[${requestId}] Usage logging failed:`, loggingError.message);
-                    // Continue and return response to client
                 }
+            } else {
+                await this.logFailedRequest(requestContext, {
+                    status: 'error',
+                    upstream_status: openaiResponse.status,
+                    ...this.getUpstreamError(openaiResponse.data)
+                });
             }
 
-            // 9. Return OpenAI response with request ID
             return {
                 success: true,
                 response: openaiResponse.data,
@@ -255,39 +921,459 @@ class OpenAIProxyService {
             };
 
         } catch (error) {
-            // Log error with request ID for tracing
-            console.error(`[${requestId}] Proxy error:`, error.message);
+            if (requestContext) {
+                await this.logFailedRequest(requestContext, this.classifyProxyError(error));
+            }
+            return this.handleProxyError(error, requestId);
+        }
+    }
 
-            // Handle specific error types
-            if (error.code === 'INVALID_MODEL') {
-                // Model validation error
-                throw error;
-            } else if (error.response) {
-                // OpenAI returned an error response
-                return {
-                    success: false,
-                    error: 'OpenAI API error',
-                    response: error.response.data,
-                    statusCode: error.response.status,
-                    headers: error.response.headers,
-                    metadata: {
-                        spendai_request_id: requestId
+    /**
+     * Map a proxy error to a logged outcome
+     * 
+     * Error codes mirror the ones the route returns to the client.
+     * 
+     * @param {Error} error - Error thrown while proxying
+     * @returns {Object} { status, upstream_status, error_code, error_message }
+     */
+    classifyProxyError(error) {
+        const rejections = {
+            INVALID_MODEL: 'invalid_model',
+            STREAMING_UNSUPPORTED: 'streaming_unsupported',
+            FEATURE_UNSUPPORTED: 'feature_unsupported',
+            BUDGET_EXCEEDED: 'budget_exceeded',
+            MAX_COST_EXCEEDED: 'max_cost_exceeded',
+            MODEL_NOT_PRICED: 'model_not_priced'
+        };
+
+        if (rejections[error.code]) {
+            return { status: 'rejected', error_code: rejections[error.code], error_message: error.message };
+        }
+
+        if (error.response) {
+            return {
+                status: 'error',
+                upstream_status: error.response.status,
+                ...this.getUpstreamError(error.response.data)
+            };
+        }
+
+        let errorCode = 'internal_error';
+        if (error.code === 'ECONNABORTED') {
+            errorCode = 'timeout';
+        } else if (error.message.includes('not configured')) {
+            errorCode = 'configuration_error';
+        } else if (error.message.includes('decrypt')) {
+            errorCode = 'decryption_error';
+        } else if (error.code) {
+            errorCode = String(error.code).toLowerCase();
+        }
+
+        return { status: 'failed', error_code: errorCode, error_message: error.message };
+    }
+
+    /**
+     * Pull the error code and message out of an OpenAI-format error body
+     * @param {Object} body - Error response body
+     * @returns {Object} { error_code, error_message }
+     */
+    getUpstreamError(body) {
+        const error = body && body.error;
+        return {
+            error_code: error ? String(error.code || error.type || 'upstream_error') : 'upstream_error',
+            error_message: error && error.message ? error.message : null
+        };
+    }
+
+    /**
+     * Record a failed or rejected request (zero cost)
+     * 
+     * Never throws: outcome logging must not change what the client receives.
+     * 
+     * @param {Object} context - { request_id, organization_id, project_id, proxy_key_id, model, tags, started_at }
+     * @param {Object} outcome - { status, provider?, upstream_status?, error_code, error_message }
+     */
+    async logFailedRequest(context, outcome) {
+        try {
+            await usageLoggingService.logFailedRequest({
+                request_id: context.request_id,
+                organization_id: context.organization_id,
+                project_id: context.project_id,
+                proxy_key_id: context.proxy_key_id,
+                model: context.model,
+                tags: context.tags,
+                latency_ms: context.started_at ? Date.now() - context.started_at : null,
+                ...outcome
+            });
+        } catch (loggingError) {
+            console.error(`[${context.request_id}] Failure logging failed:`, loggingError.message);
+        }
+    }
+
+    /**
+     * Record requests turned away by the proxy rate limiter
+     * 
+     * The key is verified first so only rows for real keys are written.
+     * One row covers every rejection of the key and model in a limiter window.
+     * 
+     * @param {string} proxyKey - SpendAI proxy key from the Authorization header
+     * @param {string} model - Requested model (if any)
+     * @param {number} count - Requests rejected (default: 1)
+     */
+    async logRateLimitedRequest(proxyKey, model, count = 1) {
+        const keyValidation = await proxyKeyService.verifyProxyKey(proxyKey);
+        if (!keyValidation.success || !keyValidation.key) {
+            return;
+        }
+
+        const { organization_id, project_id, id: keyId } = keyValidation.key;
+
+        await this.logFailedRequest({
+            request_id: this.generateRequestId(),
+            organization_id,
+            project_id,
+            proxy_key_id: keyId,
+            model
+        }, {
+            status: 'rejected',
+            error_code: 'rate_limit_exceeded',
+            error_message: 'Proxy rate limit exceeded',
+            request_count: count
+        });
+    }
+
+    /**
+     * Map a proxy failure to a pass-through result or a normalized error
+     * 
+     * @param {Error} error - Error raised while proxying
+     * @param {string} requestId - SpendAI request ID
+     * @returns {Object} Pass-through result when OpenAI returned an error response
+     * @throws {Error} Normalized error for the route to translate
+     */
+    handleProxyError(error, requestId) {
+        // Log error with request ID for tracing
+        console.error(`[${requestId}] Proxy error:`, error.message);
+
+        // Handle specific error types
+        if (['INVALID_MODEL', 'STREAMING_UNSUPPORTED', 'FEATURE_UNSUPPORTED', 'BUDGET_EXCEEDED', 'MAX_COST_EXCEEDED', 'MODEL_NOT_PRICED'].includes(error.code)) {
+            // Request validation error
+            throw error;
+        } else if (error.response) {
+            // OpenAI returned an error response
+            return {
+                success: false,
+                error: 'OpenAI API error',
+                response: error.response.data,
+                statusCode: error.response.status,
+                headers: error.response.headers,
+                metadata: {
+                    spendai_request_id: requestId
+                }
+            };
+        } else if (error.code === 'ECONNABORTED') {
+            // Request timeout
+            throw new Error('OpenAI request timeout');
+        } else if (error.message.includes('proxy key')) {
+            // Proxy key validation error
+            throw error;
+        } else if (error.message.includes('decrypt')) {
+            // Decryption error
+            throw new Error('Failed to decrypt organization OpenAI key');
+        } else if (error.message.includes('not configured')) {
+            // Missing provider credential
+            throw error;
+        } else {
+            // Other errors
+            throw new Error('Proxy request failed');
+        }
+    }
+
+    /**
+     * Check whether the client itself asked for the streaming usage chunk
+     * @param {Object} requestBody - Original request body
+     * @returns {boolean} True if stream_options.include_usage was set by the client
+     */
+    clientRequestedUsage(requestBody) {
+        return !!(requestBody.stream_options && requestBody.stream_options.include_usage === true);
+    }
+
+    /**
+     * Build the upstream body for a streaming request
+     * 
+     * Injects stream_options.include_usage so OpenAI sends a final chunk
+     * with token usage. Other stream_options are preserved.
+     * 
+     * @param {Object} requestBody - Original request body
+     * @returns {Object} Request body to forward to OpenAI
+     */
+    buildStreamingRequestBody(requestBody) {
+        return {
+            ...requestBody,
+            stream_options: {
+                ...(requestBody.stream_options || {}),
+                include_usage: true
+            }
+        };
+    }
+
+    /**
+     * Read an upstream stream fully and parse it as JSON
+     * Used for error responses to streaming requests (OpenAI replies with plain JSON)
+     * 
+     * @param {Stream} stream - Upstream response stream
+     * @returns {Object|string} Parsed body, or raw text if not JSON
+     */
+    async readStreamBody(stream) {
+        const chunks = [];
+        for await (const chunk of stream) {
+            chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+        }
+
+        const text = Buffer.concat(chunks).toString('utf8');
+        try {
+            return JSON.parse(text);
+        } catch (e) {
+            return text;
+        }
+    }
+
+    /**
+     * Create a transform stream that passes server-sent events through
+     * event by event while capturing the usage chunk
+     * 
+     * onComplete runs exactly once: when upstream ends, or when the stream is
+     * destroyed first (client disconnect, upstream error) with aborted = true.
+     * 
+     * @param {Object} options
+     * @param {boolean} options.stripUsageChunk - Drop the usage-only chunk (client didn't ask for it)
+     * @param {Function} options.onComplete - Called with the last usage chunk (or null) and
+     *   { first_token_at, aborted, completion_text }
+     * @returns {Transform} SSE pass-through transform
+     */
+    createSSEUsageTransform({ stripUsageChunk, onComplete }) {
+        let buffer = '';
+        let usageChunk = null;
+        let firstTokenAt = null;
+        let completionText = '';
+        let completed = false;
+
+        const complete = (aborted) => {
+            if (completed) return;
+            completed = true;
+            onComplete(usageChunk, { first_token_at: firstTokenAt, aborted, completion_text: completionText });
+        };
+
+        const processEvent = (event) => {
+            const dataLine = event.split(/\r?\n/).find(line => line.startsWith('data:'));
+            const payload = dataLine ? dataLine.slice(5).trim() : null;
+
+            if (!payload || payload === '[DONE]') {
+                return event;
+            }
+
+            try {
+                const chunk = JSON.parse(payload);
+
+                // First chunk carrying generated content (text or tool calls)
+                if (firstTokenAt === null && Array.isArray(chunk.choices) && chunk.choices.some(
+                    c => c.delta && (c.delta.content || c.delta.tool_calls || c.delta.function_call)
+                )) {
+                    firstTokenAt = Date.now();
+                }
+
+                // Generated text, kept to estimate usage if the usage chunk never arrives
+                for (const choice of Array.isArray(chunk.choices) ? chunk.choices : []) {
+                    const delta = choice.delta || {};
+                    if (typeof delta.content === 'string') completionText += delta.content;
+                    if (delta.function_call && delta.function_call.arguments) completionText += delta.function_call.arguments;
+                    for (const call of Array.isArray(delta.tool_calls) ? delta.tool_calls : []) {
+                        if (call.function && call.function.arguments) completionText += call.function.arguments;
                     }
-                };
-            } else if (error.code === 'ECONNABORTED') {
-                // Request timeout
-                throw new Error('OpenAI request timeout');
-            } else if (error.message.includes('proxy key')) {
-                // Proxy key validation error
-                throw error;
-            } else if (error.message.includes('decrypt')) {
-                // Decryption error
-                throw new Error('Failed to decrypt organization OpenAI key');
-            } else {
-                // Other errors
-                throw new Error('Proxy request failed');
+                }
+
+                if (chunk.usage) {
+                    usageChunk = chunk;
+
+                    // The usage chunk has no choices; hide it from clients that didn't opt in
+                    if (stripUsageChunk && Array.isArray(chunk.choices) && chunk.choices.length === 0) {
+                        return null;
+                    }
+                }
+            } catch (e) {
+                // Not JSON: pass through untouched
+            }
+
+            return event;
+        };
+
+        const transform = new Transform({
+            transform(chunk, encoding, callback) {
+                buffer += chunk.toString('utf8');
+
+                const events = buffer.split(/\r?\n\r?\n/);
+                buffer = events.pop();
+
+                for (const event of events) {
+                    const output = processEvent(event);
+                    if (output !== null) {
+                        this.push(`${output}\n\n`);
+                    }
+                }
+
+                callback();
+            },
+
+            flush(callback) {
+                if (buffer.trim()) {
+                    const output = processEvent(buffer);
+                    if (output !== null) {
+                        this.push(`${output}\n\n`);
+                    }
+                }
+
+                complete(false);
+                callback();
+            }
+        });
+
+        // Destroyed before the end: flush never runs
+        transform.on('close', () => complete(true));
+
+        return transform;
+    }
+
+    /**
+     * Estimate the usage of a stream that ended without a usage chunk
+     * 
+     * Prompt tokens are counted from the request messages and completion
+     * tokens from the text streamed so far (see costEstimationService).
+     * 
+     * @param {string} model - Serving model
+     * @param {Array} messages - Request messages
+     * @param {string} completionText - Content streamed to the client
+     * @returns {Object} OpenAI-format response with an estimated usage object
+     */
+    estimateStreamUsage(model, messages, completionText) {
+        const promptTokens = costEstimationService.countPromptTokens(model, messages);
+        const completionTokens = costEstimationService.countTextTokens(model, completionText);
+
+        return {
+            model,
+            usage: {
+                prompt_tokens: promptTokens,
+                completion_tokens: completionTokens,
+                total_tokens: promptTokens + completionTokens
             }
+        };
+    }
+
+    /**
+     * Handle a streaming (SSE) response from OpenAI (or Azure OpenAI)
+     * 
+     * Flow:
+     * 1. Non-200 responses are buffered and returned as JSON (same as buffered requests)
+     * 2. 200 responses are piped through an SSE transform chunk by chunk
+     * 3. When the stream ends, the final usage chunk is logged for costing;
+     *    without one (client disconnected, provider sent none) usage is estimated
+     * 
+     * @param {Object} openaiResponse - Axios response with a stream body
+     * @param {Object} context - Logging context (request IDs, provider, model, adapter)
+     * @returns {Object} Result with a readable `stream` on success
+     */
+    async handleStreamingResponse(openaiResponse, context) {
+        const { request_id, organization_id, project_id, proxy_key_id, provider, model, adapter, stripUsageChunk } = context;
+
+        const metadata = {
+            spendai_request_id: request_id,
+            organization_id,
+            project_id,
+            proxy_key_id,
+            provider,
+            downgraded_from: context.downgraded_from || null,
+            failed_over_from: context.failed_over_from ? context.failed_over_from.model : null,
+            attempts: context.attempts || 1,
+            timestamp: new Date().toISOString(),
+            openai_request_id: openaiResponse.headers['x-request-id'] || null
+        };
+
+        if (openaiResponse.status !== 200) {
+            const errorBody = adapter.transformError(await this.readStreamBody(openaiResponse.data));
+
+            await this.logFailedRequest({ ...context, model: context.requested_model || model }, {
+                provider,
+                status: 'error',
+                upstream_status: openaiResponse.status,
+                ...this.getUpstreamError(errorBody)
+            });
+
+            return {
+                success: true,
+                response: errorBody,
+                statusCode: openaiResponse.status,
+                headers: openaiResponse.headers,
+                metadata
+            };
         }
+
+        const transform = this.createSSEUsageTransform({
+            stripUsageChunk,
+            onComplete: (usageChunk, timing) => {
+                const completedAt = Date.now();
+                let openaiUsage;
+                let errorCode = null;
+
+                if (usageChunk) {
+                    openaiUsage = adapter.transformResponse(usageChunk, model);
+                } else {
+                    // Upstream tokens were still spent: cost an estimate rather than nothing
+                    errorCode = timing.aborted ? 'stream_aborted' : 'usage_missing';
+                    console.warn(`[${request_id}] No usage chunk in stream (${errorCode}): logging estimated usage.`);
+                    try {
+                        openaiUsage = this.estimateStreamUsage(model, context.messages, timing.completion_text);
+                    } catch (estimateError) {
+                        console.error(`[${request_id}] Usage estimation failed:`, estimateError.message);
+                        return;
+                    }
+                }
+
+                // Usage logging failure should not affect the (already sent) stream
+                usageLoggingService.logFromOpenAIResponse({
+                    request_id,
+                    organization_id,
+                    project_id,
+                    proxy_key_id,
+                    provider,
+                    openaiResponse: openaiUsage,
+                    error_code: errorCode,
+                    original_model: context.failed_over_from ? context.failed_over_from.model : null,
+                    original_provider: context.failed_over_from ? context.failed_over_from.provider : null,
+                    requested_model: context.requested_model || model,
+                    tags: context.tags,
+                    latency_ms: context.started_at ? completedAt - context.started_at : null,
+                    upstream_latency_ms: context.upstream_started_at ? completedAt - context.upstream_started_at : null,
+                    time_to_first_token_ms: context.started_at && timing.first_token_at
+                        ? timing.first_token_at - context.started_at
+                        : null,
+                    requested_at: context.started_at ? new Date(context.started_at) : null
+                }).catch(loggingError => {
+                    console.error(`[${request_id}] Usage logging failed:`, loggingError.message);
+                });
+            }
+        });
+
+        pipeline(openaiResponse.data, transform, (err) => {
+            if (err) {
+                console.error(`[${request_id}] Stream error:`, err.message);
+            }
+        });
+
+        return {
+            success: true,
+            stream: transform,
+            statusCode: openaiResponse.status,
+            headers: openaiResponse.headers,
+            metadata
+        };
     }
 
     /**
@@ -314,6 +1400,35 @@ class OpenAIProxyService {
 
         return { valid: true };
     }
+
+    /**
+     * Validate embeddings request body
+     * @param {Object} body - Request body
+     * @returns {Object} Validation result
+     */
+    validateEmbeddingRequest(body) {
+        if (!body) {
+            return { valid: false, error: 'Request body is required' };
+        }
+
+        if (!body.model) {
+            return { valid: false, error: 'model is required' };
+        }
+
+        if (body.input === undefined || body.input === null || body.input === '') {
+            return { valid: false, error: 'input is required' };
+        }
+
+        if (Array.isArray(body.input) && body.input.length === 0) {
+            return { valid: false, error: 'input cannot be empty' };
+        }
+
+        if (typeof body.input !== 'string' && !Array.isArray(body.input)) {
+            return { valid: false, error: 'input must be a string or an array' };
+        }
+
+        return { valid: true };
+    }
 }
 
 module.exports = new OpenAIProxyService();
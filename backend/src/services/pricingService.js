@@ -1,22 +1,344 @@
+const { supabaseAdmin } = require('../config/supabase');
+
 /**
  * Pricing Service
  * 
- * Maintains static pricing for OpenAI models
- * Calculates USD cost based on token usage
+ * Prices live in the versioned model_prices catalog (effective_from /
+ * effective_to per provider and model) and are cached in memory.
+ * Cost is calculated with the price effective at the request timestamp.
+ * 
+ * The static tables below are the catalog seed (migration 013) and are only
+ * used until the catalog has been loaded from the database.
  * 
- * Pricing as of January 2026 (update as needed)
- * Source: OpenAI pricing page
+ * Token categories: cached prompt, audio prompt, audio completion and
+ * reasoning tokens are subsets of prompt/completion tokens with their own
+ * rates (falling back to the prompt or completion rate when unset).
+ * 
+ * Negotiated rates: organizations can have price overrides (a percentage
+ * discount or absolute per-model rates, with effective dates) in
+ * org_price_overrides. They apply when an organization ID is passed.
  */
 class PricingService {
 
+    constructor() {
+        this.catalog = null;
+        this.catalogLoadedAt = 0;
+        this.catalogLoading = null;
+        this.orgOverrides = new Map();
+        this.orgOverridesLoading = new Map();
+    }
+
+    /**
+     * Providers with their own price lists (Azure OpenAI uses OpenAI prices)
+     */
+    getCatalogProviders() {
+        return ['openai', 'anthropic', 'google'];
+    }
+
+    /**
+     * Map a routing provider to the provider whose prices apply
+     * @param {string} provider - Provider identifier
+     * @returns {string} Catalog provider
+     */
+    getPricingProvider(provider = 'openai') {
+        return this.getCatalogProviders().includes(provider) ? provider : 'openai';
+    }
+
+    /**
+     * How long the in-memory catalog is reused before reloading
+     */
+    getCatalogTtlMs() {
+        return parseInt(process.env.PRICING_CATALOG_TTL_MS, 10) || 5 * 60 * 1000;
+    }
+
     /**
-     * Get pricing table for all supported models
+     * Load the catalog from model_prices when it is missing or stale
+     * 
+     * Keeps serving the previous catalog (or the static seed) if the
+     * database can't be reached.
+     * 
+     * @param {Object} options
+     * @param {boolean} options.force - Reload even if the cache is fresh
+     */
+    async refreshCatalog({ force = false } = {}) {
+        const fresh = this.catalog && Date.now() - this.catalogLoadedAt < this.getCatalogTtlMs();
+        if (fresh && !force) {
+            return;
+        }
+
+        if (!this.catalogLoading) {
+            this.catalogLoading = this.loadCatalog()
+                .catch(error => {
+                    console.error('Failed to load pricing catalog:', error.message);
+                })
+                .finally(() => {
+                    this.catalogLoading = null;
+                });
+        }
+
+        await this.catalogLoading;
+    }
+
+    async loadCatalog() {
+        const { data, error } = await supabaseAdmin
+            .from('model_prices')
+            .select(`
+          id,
+          provider,
+          model,
+          prompt_per_million,
+          completion_per_million,
+          cached_prompt_per_million,
+          audio_prompt_per_million,
+          audio_completion_per_million,
+          reasoning_per_million,
+          effective_from,
+          effective_to
+        `)
+            .order('effective_from', { ascending: true });
+
+        if (error) throw error;
+
+        this.catalog = data.map(row => this.toCatalogEntry(row));
+        this.catalogLoadedAt = Date.now();
+    }
+
+    /**
+     * Convert a model_prices row to an in-memory catalog entry
+     * (numeric rates, effective window in epoch ms)
+     */
+    toCatalogEntry(row) {
+        const rate = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+        return {
+            id: row.id,
+            provider: row.provider,
+            model: row.model,
+            prompt: parseFloat(row.prompt_per_million),
+            completion: parseFloat(row.completion_per_million),
+            cached_prompt: rate(row.cached_prompt_per_million),
+            audio_prompt: rate(row.audio_prompt_per_million),
+            audio_completion: rate(row.audio_completion_per_million),
+            reasoning: rate(row.reasoning_per_million),
+            effective_from: new Date(row.effective_from).getTime(),
+            effective_to: row.effective_to ? new Date(row.effective_to).getTime() : null
+        };
+    }
+
+    /**
+     * Get a single price version as a catalog entry
+     * 
+     * @param {string} priceId - model_prices UUID
+     * @returns {Object|null} Catalog entry, or null if not found
+     */
+    async getPriceVersion(priceId) {
+        const { data, error } = await supabaseAdmin
+            .from('model_prices')
+            .select('*')
+            .eq('id', priceId)
+            .maybeSingle();
+
+        if (error) {
+            throw new Error(`Failed to fetch price: ${error.message}`);
+        }
+
+        return data ? this.toCatalogEntry(data) : null;
+    }
+
+    /**
+     * Load an organization's price overrides when missing or stale
+     * Keeps the previous overrides if the database can't be reached.
+     * 
+     * @param {string} organizationId - Organization UUID
+     * @param {Object} options
+     * @param {boolean} options.force - Reload even if the cache is fresh
+     */
+    async refreshOrgOverrides(organizationId, { force = false } = {}) {
+        if (!organizationId) {
+            return;
+        }
+
+        const cached = this.orgOverrides.get(organizationId);
+        if (cached && Date.now() - cached.loadedAt < this.getCatalogTtlMs() && !force) {
+            return;
+        }
+
+        if (!this.orgOverridesLoading.has(organizationId)) {
+            this.orgOverridesLoading.set(organizationId, this.loadOrgOverrides(organizationId)
+                .catch(error => {
+                    console.error(`Failed to load price overrides for ${organizationId}:`, error.message);
+                })
+                .finally(() => {
+                    this.orgOverridesLoading.delete(organizationId);
+                }));
+        }
+
+        await this.orgOverridesLoading.get(organizationId);
+    }
+
+    async loadOrgOverrides(organizationId) {
+        const { data, error } = await supabaseAdmin
+            .from('org_price_overrides')
+            .select('*')
+            .eq('organization_id', organizationId)
+            .order('effective_from', { ascending: true });
+
+        if (error) throw error;
+
+        const rate = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+        this.orgOverrides.set(organizationId, {
+            loadedAt: Date.now(),
+            rows: data.map(row => ({
+                id: row.id,
+                provider: row.provider,
+                model: row.model,
+                discount_percent: rate(row.discount_percent),
+                prompt: rate(row.prompt_per_million),
+                completion: rate(row.completion_per_million),
+                cached_prompt: rate(row.cached_prompt_per_million),
+                audio_prompt: rate(row.audio_prompt_per_million),
+                audio_completion: rate(row.audio_completion_per_million),
+                reasoning: rate(row.reasoning_per_million),
+                effective_from: new Date(row.effective_from).getTime(),
+                effective_to: row.effective_to ? new Date(row.effective_to).getTime() : null
+            }))
+        });
+    }
+
+    /**
+     * Find the override effective for a model
+     * A model-specific override wins over a provider-wide one (model NULL).
+     * 
+     * @returns {Object|null} Override row
+     */
+    findOrgOverride(organizationId, model, provider, at) {
+        const cached = this.orgOverrides.get(organizationId);
+        if (!cached) {
+            return null;
+        }
+
+        const pricingProvider = this.getPricingProvider(provider);
+        const effective = cached.rows.filter(r => r.provider === pricingProvider && this.isEffective(r, at));
+
+        for (const alias of this.getModelAliases(model)) {
+            const row = effective.find(r => r.model === alias);
+            if (row) {
+                return row;
+            }
+        }
+
+        return effective.find(r => r.model === null) || null;
+    }
+
+    /**
+     * Get the prices effective at a point in time for a provider
      * 
      * Prices are in USD per 1M tokens
+     * Azure OpenAI is billed at OpenAI list prices
      * 
+     * @param {string} provider - Provider identifier (default: openai)
+     * @param {Date} at - Point in time (default: now)
+     * @returns {Object} Pricing table { model: { prompt, completion, ...category rates } }
+     */
+    getPricingTable(provider = 'openai', at = new Date()) {
+        if (!this.catalog) {
+            return this.getDefaultPricingTable(provider);
+        }
+
+        const pricingProvider = this.getPricingProvider(provider);
+        const table = {};
+        for (const row of this.catalog) {
+            if (row.provider === pricingProvider && this.isEffective(row, at)) {
+                const { prompt, completion, cached_prompt, audio_prompt, audio_completion, reasoning } = row;
+                table[row.model] = { prompt, completion, cached_prompt, audio_prompt, audio_completion, reasoning };
+            }
+        }
+        return table;
+    }
+
+    /**
+     * Static seed prices (used until the catalog is loaded)
+     * 
+     * @param {string} provider - Provider identifier (default: openai)
      * @returns {Object} Pricing table
      */
-    getPricingTable() {
+    getDefaultPricingTable(provider = 'openai') {
+        switch (provider) {
+            case 'anthropic':
+                return this.getAnthropicPricingTable();
+            case 'google':
+                return this.getGooglePricingTable();
+            default:
+                return this.getOpenAIPricingTable();
+        }
+    }
+
+    /**
+     * Anthropic Claude pricing (USD per 1M tokens)
+     */
+    getAnthropicPricingTable() {
+        return {
+            'claude-3-5-sonnet-latest': {
+                prompt: 3.00,      // $3 per 1M input tokens
+                completion: 15.00,  // $15 per 1M output tokens
+                cached_prompt: 0.30 // $0.30 per 1M cached input tokens (cache reads)
+            },
+            'claude-3-5-sonnet-20241022': {
+                prompt: 3.00,
+                completion: 15.00,
+                cached_prompt: 0.30
+            },
+            'claude-3-5-haiku-latest': {
+                prompt: 0.80,
+                completion: 4.00,
+                cached_prompt: 0.08
+            },
+            'claude-3-5-haiku-20241022': {
+                prompt: 0.80,
+                completion: 4.00,
+                cached_prompt: 0.08
+            },
+            'claude-3-opus-20240229': {
+                prompt: 15.00,
+                completion: 75.00,
+                cached_prompt: 1.50
+            },
+            'claude-3-haiku-20240307': {
+                prompt: 0.25,
+                completion: 1.25,
+                cached_prompt: 0.03
+            }
+        };
+    }
+
+    /**
+     * Google Gemini pricing (USD per 1M tokens, prompts up to 128k tokens)
+     */
+    getGooglePricingTable() {
+        return {
+            'gemini-1.5-pro': {
+                prompt: 1.25,
+                completion: 5.00,
+                cached_prompt: 0.3125
+            },
+            'gemini-1.5-flash': {
+                prompt: 0.075,
+                completion: 0.30,
+                cached_prompt: 0.01875
+            },
+            'gemini-2.0-flash': {
+                prompt: 0.10,
+                completion: 0.40,
+                cached_prompt: 0.025
+            }
+        };
+    }
+
+    /**
+     * OpenAI pricing (USD per 1M tokens)
+     */
+    getOpenAIPricingTable() {
         return {
             // GPT-3.5 Turbo models
             'gpt-3.5-turbo': {
@@ -55,96 +377,285 @@ class PricingService {
             // GPT-4o models (optimized)
             'gpt-4o': {
                 prompt: 5.00,      // $5 per 1M input tokens
-                completion: 15.00  // $15 per 1M output tokens
+                completion: 15.00,  // $15 per 1M output tokens
+                cached_prompt: 2.50 // $2.50 per 1M cached input tokens
             },
             'gpt-4o-mini': {
                 prompt: 0.15,      // $0.15 per 1M input tokens
-                completion: 0.60   // $0.60 per 1M output tokens
+                completion: 0.60,   // $0.60 per 1M output tokens
+                cached_prompt: 0.075 // $0.075 per 1M cached input tokens
+            },
+
+            // Embedding models (input-only, no completion tokens)
+            'text-embedding-3-small': {
+                prompt: 0.02,      // $0.02 per 1M input tokens
+                completion: 0.00
+            },
+            'text-embedding-3-large': {
+                prompt: 0.13,      // $0.13 per 1M input tokens
+                completion: 0.00
+            },
+            'text-embedding-ada-002': {
+                prompt: 0.10,      // $0.10 per 1M input tokens
+                completion: 0.00
             }
         };
     }
 
+    /**
+     * Check whether a catalog row is effective at a point in time
+     * effective_from is inclusive, effective_to exclusive
+     */
+    isEffective(row, at) {
+        const time = new Date(at).getTime();
+        return row.effective_from <= time && (row.effective_to === null || time < row.effective_to);
+    }
+
+    /**
+     * Candidate catalog names for a model
+     * Dated snapshots (e.g. gpt-4o-2024-08-06) fall back to their base model
+     * 
+     * @param {string} model - Model name as reported by the provider
+     * @returns {Array<string>}
+     */
+    getModelAliases(model) {
+        const aliases = [model];
+        const base = model.replace(/-\d{4}-\d{2}-\d{2}$/, '');
+        if (base !== model) {
+            aliases.push(base);
+        }
+        return aliases;
+    }
+
+    /**
+     * Fill unset category rates from the prompt/completion rates
+     * 
+     * @param {Object} rates - Catalog or seed rates
+     * @param {string|null} priceId - model_prices UUID
+     * @returns {Object} Rates for every token category
+     */
+    resolveRates(rates, priceId) {
+        const pick = (value, fallback) => (value === null || value === undefined ? fallback : value);
+
+        return {
+            prompt: rates.prompt,
+            completion: rates.completion,
+            cached_prompt: pick(rates.cached_prompt, rates.prompt),
+            audio_prompt: pick(rates.audio_prompt, rates.prompt),
+            audio_completion: pick(rates.audio_completion, rates.completion),
+            reasoning: pick(rates.reasoning, rates.completion),
+            price_id: priceId
+        };
+    }
+
+    /**
+     * Get list pricing for a specific model (catalog only, no overrides)
+     * 
+     * @param {string} model - Model name
+     * @param {string} provider - Provider identifier (default: openai)
+     * @param {Date} at - Request timestamp (default: now)
+     * @returns {Object|null} Rates per token category plus price_id, or null
+     */
+    getListPricing(model, provider = 'openai', at = new Date()) {
+        if (!model) {
+            return null;
+        }
+
+        if (!this.catalog) {
+            const pricingTable = this.getDefaultPricingTable(provider);
+            const alias = this.getModelAliases(model).find(name => pricingTable[name]);
+            return alias ? this.resolveRates(pricingTable[alias], null) : null;
+        }
+
+        const pricingProvider = this.getPricingProvider(provider);
+        for (const alias of this.getModelAliases(model)) {
+            const row = this.catalog.find(r =>
+                r.provider === pricingProvider && r.model === alias && this.isEffective(r, at)
+            );
+            if (row) {
+                return this.resolveRates(row, row.id);
+            }
+        }
+
+        return null;
+    }
+
     /**
      * Get pricing for a specific model
      * 
+     * With an organization ID, that organization's negotiated rates apply
+     * (call refreshOrgOverrides first). The list rates are returned in
+     * `list` so the list-price cost can be stored next to the charged cost.
+     * 
      * @param {string} model - Model name
-     * @returns {Object|null} Pricing object {prompt, completion} or null
+     * @param {string} provider - Provider identifier (default: openai)
+     * @param {Date} at - Request timestamp (default: now)
+     * @param {string} organizationId - Apply this organization's overrides (optional)
+     * @returns {Object|null} Rates per token category plus price_id, override_id and list, or null
      */
-    getModelPricing(model) {
-        const pricingTable = this.getPricingTable();
-        return pricingTable[model] || null;
+    getModelPricing(model, provider = 'openai', at = new Date(), organizationId = null) {
+        const list = this.getListPricing(model, provider, at);
+        const override = organizationId && model ? this.findOrgOverride(organizationId, model, provider, at) : null;
+
+        if (!override) {
+            return list ? { ...list, override_id: null, list } : null;
+        }
+
+        if (override.discount_percent !== null) {
+            // A discount needs a list price to discount
+            if (!list) {
+                return null;
+            }
+            const factor = 1 - override.discount_percent / 100;
+            const discounted = {};
+            for (const category of ['prompt', 'completion', 'cached_prompt', 'audio_prompt', 'audio_completion', 'reasoning']) {
+                discounted[category] = list[category] * factor;
+            }
+            return { ...discounted, price_id: list.price_id, override_id: override.id, list };
+        }
+
+        const rates = this.resolveRates(override, list ? list.price_id : null);
+        return { ...rates, override_id: override.id, list: list || rates };
     }
 
     /**
      * Calculate cost in USD for a request
      * 
      * Formula:
-     *   prompt_cost = (prompt_tokens / 1,000,000) * price_per_1M_prompt_tokens
-     *   completion_cost = (completion_tokens / 1,000,000) * price_per_1M_completion_tokens
+     *   prompt_cost = text_prompt * prompt_rate + cached * cached_rate + audio_in * audio_prompt_rate
+     *   completion_cost = text_completion * completion_rate + reasoning * reasoning_rate + audio_out * audio_completion_rate
      *   total_cost = prompt_cost + completion_cost
+     * (all token counts / 1,000,000; rates per 1M tokens)
      * 
      * @param {string} model - Model name
      * @param {number} promptTokens - Number of prompt tokens
      * @param {number} completionTokens - Number of completion tokens
+     * @param {string} provider - Provider identifier (default: openai)
+     * @param {Date} at - Request timestamp (default: now)
+     * @param {Object} details - Token categories (cached_prompt_tokens, audio_prompt_tokens,
+     *                           audio_completion_tokens, reasoning_tokens)
+     * @param {string} organizationId - Apply this organization's negotiated rates (optional)
      * @returns {number} Cost in USD (6 decimal places)
      */
-    calculateCost(model, promptTokens, completionTokens) {
-        const pricing = this.getModelPricing(model);
+    calculateCost(model, promptTokens, completionTokens, provider = 'openai', at = new Date(), details = {}, organizationId = null) {
+        const pricing = this.getModelPricing(model, provider, at, organizationId);
 
         if (!pricing) {
             console.warn(`No pricing found for model: ${model}. Returning $0.00`);
             return 0.00;
         }
 
-        // Calculate cost per token type
-        const promptCost = (promptTokens / 1_000_000) * pricing.prompt;
-        const completionCost = (completionTokens / 1_000_000) * pricing.completion;
+        const { prompt_cost, completion_cost } = this.getCostComponents(pricing, promptTokens, completionTokens, details);
 
         // Total cost
-        const totalCost = promptCost + completionCost;
+        const totalCost = prompt_cost + completion_cost;
 
         // Round to 6 decimal places for precision
         return Math.round(totalCost * 1_000_000) / 1_000_000;
     }
 
+    /**
+     * Split tokens into categories and price each one
+     * 
+     * Category counts are clamped so they never exceed the totals they belong to.
+     * 
+     * @param {Object} pricing - Resolved rates from getModelPricing
+     * @param {number} promptTokens - Number of prompt tokens
+     * @param {number} completionTokens - Number of completion tokens
+     * @param {Object} details - Token categories
+     * @returns {Object} Token split and unrounded costs
+     */
+    getCostComponents(pricing, promptTokens, completionTokens, details = {}) {
+        const count = (value) => Math.max(0, value || 0);
+
+        const cached = Math.min(count(details.cached_prompt_tokens), promptTokens);
+        const audioPrompt = Math.min(count(details.audio_prompt_tokens), promptTokens - cached);
+        const textPrompt = promptTokens - cached - audioPrompt;
+
+        const reasoning = Math.min(count(details.reasoning_tokens), completionTokens);
+        const audioCompletion = Math.min(count(details.audio_completion_tokens), completionTokens - reasoning);
+        const textCompletion = completionTokens - reasoning - audioCompletion;
+
+        const perMillion = (tokens, rate) => (tokens / 1_000_000) * rate;
+
+        const costs = {
+            text_prompt: perMillion(textPrompt, pricing.prompt),
+            cached_prompt: perMillion(cached, pricing.cached_prompt),
+            audio_prompt: perMillion(audioPrompt, pricing.audio_prompt),
+            text_completion: perMillion(textCompletion, pricing.completion),
+            reasoning: perMillion(reasoning, pricing.reasoning),
+            audio_completion: perMillion(audioCompletion, pricing.audio_completion)
+        };
+
+        return {
+            tokens: {
+                text_prompt: textPrompt,
+                cached_prompt: cached,
+                audio_prompt: audioPrompt,
+                text_completion: textCompletion,
+                reasoning,
+                audio_completion: audioCompletion
+            },
+            costs,
+            prompt_cost: costs.text_prompt + costs.cached_prompt + costs.audio_prompt,
+            completion_cost: costs.text_completion + costs.reasoning + costs.audio_completion
+        };
+    }
+
     /**
      * Get breakdown of cost calculation (for debugging/auditing)
      * 
      * @param {string} model - Model name
      * @param {number} promptTokens - Number of prompt tokens
      * @param {number} completionTokens - Number of completion tokens
+     * @param {string} provider - Provider identifier (default: openai)
+     * @param {Date} at - Request timestamp (default: now)
+     * @param {Object} details - Token categories (see calculateCost)
+     * @param {string} organizationId - Apply this organization's negotiated rates (optional)
      * @returns {Object} Cost breakdown
      */
-    getCostBreakdown(model, promptTokens, completionTokens) {
-        const pricing = this.getModelPricing(model);
+    getCostBreakdown(model, promptTokens, completionTokens, provider = 'openai', at = new Date(), details = {}, organizationId = null) {
+        const pricing = this.getModelPricing(model, provider, at, organizationId);
 
         if (!pricing) {
             return {
                 model,
+                provider,
                 error: 'No pricing found',
                 total_cost_usd: 0.00
             };
         }
 
-        const promptCost = (promptTokens / 1_000_000) * pricing.prompt;
-        const completionCost = (completionTokens / 1_000_000) * pricing.completion;
-        const totalCost = promptCost + completionCost;
+        const components = this.getCostComponents(pricing, promptTokens, completionTokens, details);
+        const totalCost = components.prompt_cost + components.completion_cost;
+        const round = (value) => Math.round(value * 1_000_000) / 1_000_000;
 
         return {
             model,
+            provider,
             pricing: {
+                price_id: pricing.price_id,
+                override_id: pricing.override_id,
                 prompt_per_1m: pricing.prompt,
-                completion_per_1m: pricing.completion
+                completion_per_1m: pricing.completion,
+                cached_prompt_per_1m: pricing.cached_prompt,
+                audio_prompt_per_1m: pricing.audio_prompt,
+                audio_completion_per_1m: pricing.audio_completion,
+                reasoning_per_1m: pricing.reasoning
             },
             usage: {
                 prompt_tokens: promptTokens,
                 completion_tokens: completionTokens,
-                total_tokens: promptTokens + completionTokens
+                total_tokens: promptTokens + completionTokens,
+                ...components.tokens
             },
             costs: {
-                prompt_cost_usd: Math.round(promptCost * 1_000_000) / 1_000_000,
-                completion_cost_usd: Math.round(completionCost * 1_000_000) / 1_000_000,
-                total_cost_usd: Math.round(totalCost * 1_000_000) / 1_000_000
+                prompt_cost_usd: round(components.prompt_cost),
+                completion_cost_usd: round(components.completion_cost),
+                ...Object.fromEntries(
+                    Object.entries(components.costs).map(([category, cost]) => [`${category}_cost_usd`, round(cost)])
+                ),
+                total_cost_usd: round(totalCost)
             }
         };
     }
@@ -153,19 +664,281 @@ class PricingService {
      * Validate that pricing exists for a model
      * 
      * @param {string} model - Model name
+     * @param {string} provider - Provider identifier (default: openai)
+     * @param {Date} at - Point in time (default: now)
      * @returns {boolean} True if pricing exists
      */
-    hasPricing(model) {
-        return this.getModelPricing(model) !== null;
+    hasPricing(model, provider = 'openai', at = new Date()) {
+        return this.getModelPricing(model, provider, at) !== null;
     }
 
     /**
      * Get all models with pricing
      * 
+     * @param {string} provider - Provider identifier (default: openai)
      * @returns {Array<string>} List of model names
      */
-    getSupportedModels() {
-        return Object.keys(this.getPricingTable());
+    getSupportedModels(provider = 'openai') {
+        return Object.keys(this.getPricingTable(provider));
+    }
+
+    /**
+     * List catalog price versions
+     * 
+     * @param {Object} filters
+     * @param {string} filters.provider - Only this provider
+     * @param {string} filters.model - Only this model
+     * @param {string} filters.at - Only versions effective at this timestamp
+     * @returns {Array} Price versions
+     */
+    async listPrices({ provider, model, at } = {}) {
+        let query = supabaseAdmin
+            .from('model_prices')
+            .select('*')
+            .order('provider', { ascending: true })
+            .order('model', { ascending: true })
+            .order('effective_from', { ascending: true });
+
+        if (provider) query = query.eq('provider', provider);
+        if (model) query = query.eq('model', model);
+        if (at) {
+            query = query
+                .lte('effective_from', at)
+                .or(`effective_to.is.null,effective_to.gt."${at}"`);
+        }
+
+        const { data, error } = await query;
+
+        if (error) {
+            throw new Error(`Failed to fetch prices: ${error.message}`);
+        }
+
+        return data;
+    }
+
+    /**
+     * Add or schedule a price version
+     * 
+     * The version effective at effectiveFrom is closed at that moment and the
+     * new one runs until the next scheduled version (or indefinitely).
+     * 
+     * @param {Object} params
+     * @param {string} params.provider - 'openai', 'anthropic' or 'google'
+     * @param {string} params.model - Model name
+     * @param {number} params.promptPerMillion - USD per 1M prompt tokens
+     * @param {number} params.completionPerMillion - USD per 1M completion tokens
+     * @param {Object} params.categoryRates - Optional { cached_prompt, audio_prompt, audio_completion, reasoning }
+     * @param {string} params.effectiveFrom - ISO timestamp (default: now)
+     * @param {string} params.userId - Admin creating the version
+     * @returns {Object} Created price version
+     */
+    async schedulePrice({ provider, model, promptPerMillion, completionPerMillion, categoryRates = {}, effectiveFrom, userId }) {
+        const from = effectiveFrom ? new Date(effectiveFrom).toISOString() : new Date().toISOString();
+
+        // Insert and close the superseded version in one transaction (migration 013)
+        const { data, error } = await supabaseAdmin.rpc('schedule_model_price', {
+            p_price: {
+                provider,
+                model,
+                prompt_per_million: promptPerMillion,
+                completion_per_million: completionPerMillion,
+                cached_prompt_per_million: categoryRates.cached_prompt ?? null,
+                audio_prompt_per_million: categoryRates.audio_prompt ?? null,
+                audio_completion_per_million: categoryRates.audio_completion ?? null,
+                reasoning_per_million: categoryRates.reasoning ?? null,
+                effective_from: from,
+                created_by: userId || null
+            }
+        });
+
+        if (error) {
+            if (error.code === '23505') {
+                throw new Error('A price version already starts at that time');
+            }
+            throw new Error(`Failed to save price: ${error.message}`);
+        }
+
+        await this.refreshCatalog({ force: true });
+
+        return data;
+    }
+
+    /**
+     * Delete a scheduled (not yet effective) price version
+     * The preceding version is extended to cover its window again.
+     * 
+     * @param {string} priceId - model_prices UUID
+     * @returns {Object} Success status
+     */
+    async deleteScheduledPrice(priceId) {
+        const { data: version, error: fetchError } = await supabaseAdmin
+            .from('model_prices')
+            .select('*')
+            .eq('id', priceId)
+            .single();
+
+        if (fetchError || !version) {
+            throw new Error('Price not found');
+        }
+
+        if (new Date(version.effective_from).getTime() <= Date.now()) {
+            throw new Error('Only scheduled (future) prices can be deleted');
+        }
+
+        const { error: extendError } = await supabaseAdmin
+            .from('model_prices')
+            .update({ effective_to: version.effective_to })
+            .eq('provider', version.provider)
+            .eq('model', version.model)
+            .eq('effective_to', version.effective_from);
+
+        if (extendError) {
+            throw new Error(`Failed to extend previous price: ${extendError.message}`);
+        }
+
+        const { error } = await supabaseAdmin
+            .from('model_prices')
+            .delete()
+            .eq('id', priceId);
+
+        if (error) {
+            throw new Error(`Failed to delete price: ${error.message}`);
+        }
+
+        await this.refreshCatalog({ force: true });
+
+        return { success: true };
+    }
+
+    /**
+     * List an organization's negotiated price overrides
+     * 
+     * @param {string} organizationId - Organization UUID
+     * @returns {Array} Overrides (oldest first)
+     */
+    async listOrgOverrides(organizationId) {
+        const { data, error } = await supabaseAdmin
+            .from('org_price_overrides')
+            .select('*')
+            .eq('organization_id', organizationId)
+            .order('provider', { ascending: true })
+            .order('effective_from', { ascending: true });
+
+        if (error) {
+            throw new Error(`Failed to fetch price overrides: ${error.message}`);
+        }
+
+        return data;
+    }
+
+    /**
+     * Add a negotiated price override for an organization
+     * 
+     * Either discountPercent (applied to every list rate) or absolute rates
+     * (promptPerMillion + completionPerMillion, optional category rates).
+     * Overrides for the same provider and model may not overlap in time.
+     * 
+     * @param {Object} params
+     * @param {string} params.organizationId - Organization UUID
+     * @param {string} params.provider - 'openai', 'anthropic' or 'google'
+     * @param {string|null} params.model - Model name, or null for every model of the provider
+     * @param {number} params.discountPercent - Percentage off list price
+     * @param {number} params.promptPerMillion - Absolute USD per 1M prompt tokens
+     * @param {number} params.completionPerMillion - Absolute USD per 1M completion tokens
+     * @param {Object} params.categoryRates - Optional { cached_prompt, audio_prompt, audio_completion, reasoning }
+     * @param {string} params.effectiveFrom - ISO timestamp (default: now)
+     * @param {string} params.effectiveTo - ISO timestamp (optional, open-ended if omitted)
+     * @param {string} params.userId - Admin creating the override
+     * @returns {Object} Created override
+     */
+    async createOrgOverride({ organizationId, provider, model = null, discountPercent = null, promptPerMillion = null, completionPerMillion = null, categoryRates = {}, effectiveFrom, effectiveTo = null, userId }) {
+        const from = effectiveFrom ? new Date(effectiveFrom).toISOString() : new Date().toISOString();
+        const to = effectiveTo ? new Date(effectiveTo).toISOString() : null;
+
+        // 1. Reject overlapping windows for the same provider and model
+        let query = supabaseAdmin
+            .from('org_price_overrides')
+            .select('id, effective_from, effective_to')
+            .eq('organization_id', organizationId)
+            .eq('provider', provider);
+
+        query = model ? query.eq('model', model) : query.is('model', null);
+
+        const { data: existing, error: fetchError } = await query;
+
+        if (fetchError) {
+            throw new Error(`Failed to fetch price overrides: ${fetchError.message}`);
+        }
+
+        const fromTime = new Date(from).getTime();
+        const toTime = to ? new Date(to).getTime() : Infinity;
+        const overlapping = existing.some(row => {
+            const rowFrom = new Date(row.effective_from).getTime();
+            const rowTo = row.effective_to ? new Date(row.effective_to).getTime() : Infinity;
+            return rowFrom < toTime && fromTime < rowTo;
+        });
+
+        if (overlapping) {
+            throw new Error('An override for this model already covers part of that period');
+        }
+
+        // 2. Insert
+        const { data, error } = await supabaseAdmin
+            .from('org_price_overrides')
+            .insert({
+                organization_id: organizationId,
+                provider,
+                model,
+                discount_percent: discountPercent,
+                prompt_per_million: promptPerMillion,
+                completion_per_million: completionPerMillion,
+                cached_prompt_per_million: categoryRates.cached_prompt ?? null,
+                audio_prompt_per_million: categoryRates.audio_prompt ?? null,
+                audio_completion_per_million: categoryRates.audio_completion ?? null,
+                reasoning_per_million: categoryRates.reasoning ?? null,
+                effective_from: from,
+                effective_to: to,
+                created_by: userId || null
+            })
+            .select()
+            .single();
+
+        if (error) {
+            throw new Error(`Failed to save price override: ${error.message}`);
+        }
+
+        await this.refreshOrgOverrides(organizationId, { force: true });
+
+        return data;
+    }
+
+    /**
+     * Delete a negotiated price override
+     * Usage already logged keeps the cost it was charged.
+     * 
+     * @param {string} overrideId - org_price_overrides UUID
+     * @param {string} organizationId - Organization UUID (for authorization)
+     * @returns {Object} Success status
+     */
+    async deleteOrgOverride(overrideId, organizationId) {
+        const { data, error } = await supabaseAdmin
+            .from('org_price_overrides')
+            .delete()
+            .eq('id', overrideId)
+            .eq('organization_id', organizationId)
+            .select('id');
+
+        if (error) {
+            throw new Error(`Failed to delete price override: ${error.message}`);
+        }
+
+        if (!data || data.length === 0) {
+            throw new Error('Price override not found');
+        }
+
+        await this.refreshOrgOverrides(organizationId, { force: true });
+
+        return { success: true };
     }
 }
 
@@ -57,7 +57,19 @@ class ProjectService {
           created_at,
           updated_at,
           created_by,
-          monthly_budget_usd,
+          monthly_budget,
+          budget_currency,
+          budget_policy,
+          budget_downgrade_model,
+          budget_period,
+          budget_anchor_date,
+          budget_period_days,
+          budget_timezone,
+          alert_thresholds,
+          cache_enabled,
+          cache_ttl_seconds,
+          fallback_models,
+          max_retries,
           creator:created_by (
             id,
             email,
@@ -101,7 +113,19 @@ class ProjectService {
           updated_at,
           created_by,
           organization_id,
-          monthly_budget_usd,
+          monthly_budget,
+          budget_currency,
+          budget_policy,
+          budget_downgrade_model,
+          budget_period,
+          budget_anchor_date,
+          budget_period_days,
+          budget_timezone,
+          alert_thresholds,
+          cache_enabled,
+          cache_ttl_seconds,
+          fallback_models,
+          max_retries,
           creator:created_by (
             id,
             email,
@@ -119,15 +143,17 @@ class ProjectService {
                 throw new Error(`Failed to fetch project: ${error.message}`);
             }
 
-            // 2. Get MTD Spend
+            // 2. Get spend in the current budget period (in the project budget's currency)
             const budgetService = require('./budgetService');
-            const mtdSpend = await budgetService.calculateMTDSpend(organizationId, projectId);
+            const budgetPeriod = budgetService.describePeriod(data);
+            const periodSpend = await budgetService.calculatePeriodSpend(organizationId, projectId, data.budget_currency, budgetPeriod);
 
             return {
                 success: true,
                 project: {
                     ...data,
-                    mtd_spend: mtdSpend
+                    current_period: budgetPeriod,
+                    period_spend: periodSpend
                 }
             };
 
@@ -141,12 +167,12 @@ class ProjectService {
      * Update a project
      * @param {string} projectId - Project ID
      * @param {string} organizationId - Organization ID (for verification)
-     * @param {Object} updates - Fields to update (name, description)
+     * @param {Object} updates - Fields to update (name, description, cache and failover settings)
      * @returns {Object} Updated project
      */
     async updateProject(projectId, organizationId, updates) {
         try {
-            const allowedFields = ['name', 'description'];
+            const allowedFields = ['name', 'description', 'cache_enabled', 'cache_ttl_seconds', 'fallback_models', 'max_retries'];
             const updateData = {};
 
             // Filter only allowed fields
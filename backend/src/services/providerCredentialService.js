@@ -0,0 +1,234 @@
+const { supabaseAdmin } = require('../config/supabase');
+const encryptionService = require('./encryptionService');
+
+/**
+ * Provider Credential Service
+ * 
+ * Stores per-organization credentials for LLM providers.
+ * 
+ * - OpenAI keys live in organizations.openai_api_key (existing column)
+ * - Anthropic, Azure OpenAI and Google keys live in provider_credentials
+ * 
+ * All API keys are encrypted at rest with AES-256-GCM and only
+ * decrypted in memory right before a proxied request.
+ */
+class ProviderCredentialService {
+
+    /**
+     * Providers that can hold credentials
+     * @returns {Array<string>}
+     */
+    getSupportedProviders() {
+        return ['openai', 'anthropic', 'azure_openai', 'google'];
+    }
+
+    /**
+     * Mask an API key for display
+     * Shows: ****{last 4 chars}
+     */
+    maskApiKey(apiKey) {
+        if (!apiKey || apiKey.length < 4) {
+            return '****';
+        }
+        return `****${apiKey.slice(-4)}`;
+    }
+
+    /**
+     * Decrypt a stored key (tolerates legacy plaintext keys)
+     * @param {string} storedKey - Encrypted (or legacy plaintext) key
+     * @returns {string} Plaintext key
+     */
+    decryptKey(storedKey) {
+        if (encryptionService.isEncrypted(storedKey)) {
+            return encryptionService.decrypt(storedKey);
+        }
+        return storedKey;
+    }
+
+    /**
+     * Get a decrypted credential for a non-OpenAI provider
+     * 
+     * @param {string} organizationId - Organization ID
+     * @param {string} provider - 'anthropic', 'azure_openai' or 'google'
+     * @returns {Object} { api_key, base_url, api_version, deployments }
+     */
+    async getCredential(organizationId, provider) {
+        const { data, error } = await supabaseAdmin
+            .from('provider_credentials')
+            .select('api_key, base_url, api_version, deployments')
+            .eq('organization_id', organizationId)
+            .eq('provider', provider)
+            .maybeSingle();
+
+        if (error) {
+            throw new Error(`Failed to fetch organization ${provider} credentials`);
+        }
+
+        if (!data || !data.api_key) {
+            throw new Error(`Organization ${provider} credentials not configured`);
+        }
+
+        try {
+            return {
+                api_key: this.decryptKey(data.api_key),
+                base_url: data.base_url,
+                api_version: data.api_version,
+                deployments: data.deployments || {}
+            };
+        } catch (decryptError) {
+            console.error(`Failed to decrypt ${provider} key:`, decryptError.message);
+            throw new Error(`Failed to decrypt organization ${provider} API key`);
+        }
+    }
+
+    /**
+     * List configured providers for an organization (keys masked)
+     * 
+     * @param {string} organizationId - Organization ID
+     * @returns {Object} List of configured providers
+     */
+    async listCredentials(organizationId) {
+        try {
+            const { data: org, error: orgError } = await supabaseAdmin
+                .from('organizations')
+                .select('openai_api_key')
+                .eq('id', organizationId)
+                .single();
+
+            if (orgError) {
+                throw new Error(`Failed to fetch organization: ${orgError.message}`);
+            }
+
+            const { data, error } = await supabaseAdmin
+                .from('provider_credentials')
+                .select('provider, api_key, base_url, api_version, deployments, updated_at')
+                .eq('organization_id', organizationId)
+                .order('provider', { ascending: true });
+
+            if (error) {
+                throw new Error(`Failed to fetch provider credentials: ${error.message}`);
+            }
+
+            const providers = [];
+
+            if (org.openai_api_key) {
+                providers.push({
+                    provider: 'openai',
+                    masked_key: this.maskApiKey(this.decryptKey(org.openai_api_key))
+                });
+            }
+
+            for (const row of data || []) {
+                providers.push({
+                    provider: row.provider,
+                    masked_key: this.maskApiKey(this.decryptKey(row.api_key)),
+                    base_url: row.base_url,
+                    api_version: row.api_version,
+                    deployments: row.deployments || {},
+                    updated_at: row.updated_at
+                });
+            }
+
+            return {
+                success: true,
+                providers
+            };
+
+        } catch (error) {
+            console.error('List provider credentials error:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Create or replace a provider credential
+     * 
+     * @param {string} organizationId - Organization ID
+     * @param {string} provider - Provider identifier
+     * @param {Object} credential - { api_key, base_url, api_version, deployments }
+     * @returns {Object} Masked credential
+     */
+    async saveCredential(organizationId, provider, credential) {
+        try {
+            const encryptedKey = encryptionService.encrypt(credential.api_key);
+
+            if (provider === 'openai') {
+                const { error } = await supabaseAdmin
+                    .from('organizations')
+                    .update({ openai_api_key: encryptedKey })
+                    .eq('id', organizationId);
+
+                if (error) {
+                    throw new Error(`Failed to save OpenAI key: ${error.message}`);
+                }
+            } else {
+                const { error } = await supabaseAdmin
+                    .from('provider_credentials')
+                    .upsert({
+                        organization_id: organizationId,
+                        provider,
+                        api_key: encryptedKey,
+                        base_url: credential.base_url || null,
+                        api_version: credential.api_version || null,
+                        deployments: credential.deployments || {}
+                    }, { onConflict: 'organization_id,provider' });
+
+                if (error) {
+                    throw new Error(`Failed to save ${provider} credentials: ${error.message}`);
+                }
+            }
+
+            return {
+                success: true,
+                provider: {
+                    provider,
+                    masked_key: this.maskApiKey(credential.api_key),
+                    base_url: credential.base_url || null,
+                    api_version: credential.api_version || null,
+                    deployments: credential.deployments || {}
+                }
+            };
+
+        } catch (error) {
+            console.error('Save provider credential error:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove a provider credential
+     * 
+     * @param {string} organizationId - Organization ID
+     * @param {string} provider - Provider identifier
+     * @returns {Object} Success confirmation
+     */
+    async deleteCredential(organizationId, provider) {
+        try {
+            const { error } = provider === 'openai'
+                ? await supabaseAdmin
+                    .from('organizations')
+                    .update({ openai_api_key: null })
+                    .eq('id', organizationId)
+                : await supabaseAdmin
+                    .from('provider_credentials')
+                    .delete()
+                    .eq('organization_id', organizationId)
+                    .eq('provider', provider);
+
+            if (error) {
+                throw new Error(`Failed to delete ${provider} credentials: ${error.message}`);
+            }
+
+            return {
+                success: true,
+                message: `${provider} credentials removed`
+            };
+
+        } catch (error) {
+            console.error('Delete provider credential error:', error.message);
+            throw error;
+        }
+    }
+}
+
+module.exports = new ProviderCredentialService();
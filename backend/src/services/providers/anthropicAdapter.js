@@ -0,0 +1,115 @@
+const BaseProviderAdapter = require('./baseAdapter');
+const pricingService = require('../pricingService');
+
+/**
+ * Anthropic Adapter
+ * 
+ * Translates OpenAI chat completions to the Anthropic Messages API:
+ * - system messages become the top-level `system` prompt
+ * - max_tokens is required by Anthropic (defaults to 1024)
+ * - text-only: tools, response_format, n > 1 and non-text content are refused
+ * - usage.input_tokens/output_tokens map to prompt/completion tokens
+ *   (prompt cache reads are reported as prompt_tokens_details.cached_tokens)
+ */
+class AnthropicAdapter extends BaseProviderAdapter {
+
+    constructor() {
+        super('anthropic');
+    }
+
+    getSupportedModels() {
+        return Object.keys(pricingService.getPricingTable('anthropic'));
+    }
+
+    getApiVersion() {
+        return '2023-06-01';
+    }
+
+    getUnsupportedFeature(requestBody) {
+        return this.findUntranslatedFeature(requestBody, [
+            'tools', 'tool_choice', 'functions', 'function_call', 'response_format', 'n'
+        ]);
+    }
+
+    buildRequest(requestBody, credential, requestHeaders) {
+        const systemPrompts = [];
+        const messages = [];
+
+        for (const message of requestBody.messages) {
+            if (message.role === 'system' || message.role === 'developer') {
+                systemPrompts.push(this.contentToText(message.content));
+            } else {
+                messages.push({
+                    role: message.role === 'assistant' ? 'assistant' : 'user',
+                    content: this.contentToText(message.content)
+                });
+            }
+        }
+
+        const body = {
+            model: requestBody.model,
+            messages,
+            max_tokens: requestBody.max_tokens || requestBody.max_completion_tokens || 1024
+        };
+
+        if (systemPrompts.length > 0) body.system = systemPrompts.join('\n\n');
+        if (requestBody.temperature !== undefined) body.temperature = requestBody.temperature;
+        if (requestBody.top_p !== undefined) body.top_p = requestBody.top_p;
+        if (requestBody.stop) {
+            body.stop_sequences = Array.isArray(requestBody.stop) ? requestBody.stop : [requestBody.stop];
+        }
+
+        return {
+            url: `${(credential.base_url || 'https://api.anthropic.com').replace(/\/+$/, '')}/v1/messages`,
+            body,
+            headers: {
+                ...this.buildPassthroughHeaders(requestHeaders),
+                'x-api-key': credential.api_key,
+                'anthropic-version': this.getApiVersion()
+            }
+        };
+    }
+
+    mapStopReason(stopReason) {
+        const mapping = {
+            end_turn: 'stop',
+            stop_sequence: 'stop',
+            max_tokens: 'length',
+            tool_use: 'tool_calls'
+        };
+        return mapping[stopReason] || 'stop';
+    }
+
+    transformResponse(data, model) {
+        const text = (data.content || [])
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('');
+
+        // input_tokens excludes prompt-cache reads and writes; OpenAI's prompt_tokens includes them
+        const usage = data.usage || {};
+        const cachedTokens = usage.cache_read_input_tokens || 0;
+        const promptTokens = (usage.input_tokens || 0) + cachedTokens + (usage.cache_creation_input_tokens || 0);
+        const completionTokens = usage.output_tokens || 0;
+
+        return {
+            id: data.id,
+            object: 'chat.completion',
+            created: Math.floor(Date.now() / 1000),
+            model,
+            choices: [{
+                index: 0,
+                message: { role: 'assistant', content: text },
+                finish_reason: this.mapStopReason(data.stop_reason)
+            }],
+            usage: {
+                prompt_tokens: promptTokens,
+                completion_tokens: completionTokens,
+                total_tokens: promptTokens + completionTokens,
+                prompt_tokens_details: { cached_tokens: cachedTokens }
+            }
+        };
+    }
+}
+
+module.exports = new AnthropicAdapter();
@@ -0,0 +1,66 @@
+const BaseProviderAdapter = require('./baseAdapter');
+const openaiAdapter = require('./openaiAdapter');
+
+/**
+ * Azure OpenAI Adapter
+ * 
+ * Azure speaks the OpenAI format but routes by deployment name:
+ *   {endpoint}/openai/deployments/{deployment}/chat/completions?api-version=...
+ * 
+ * The credential's `deployments` map translates model names to deployments;
+ * unmapped models use the model name as the deployment name.
+ */
+class AzureOpenAIAdapter extends BaseProviderAdapter {
+
+    constructor() {
+        super('azure_openai');
+    }
+
+    supportsStreaming() {
+        return true;
+    }
+
+    getSupportedModels() {
+        return openaiAdapter.getSupportedModels();
+    }
+
+    getDefaultApiVersion() {
+        return '2024-10-21';
+    }
+
+    buildRequest(requestBody, credential, requestHeaders) {
+        if (!credential.base_url) {
+            throw new Error('Organization azure_openai credentials not configured: missing endpoint');
+        }
+
+        const endpoint = credential.base_url.replace(/\/+$/, '');
+        const deployment = (credential.deployments && credential.deployments[requestBody.model]) || requestBody.model;
+        const apiVersion = credential.api_version || this.getDefaultApiVersion();
+
+        return {
+            url: `${endpoint}/openai/deployments/${encodeURIComponent(deployment)}/chat/completions?api-version=${encodeURIComponent(apiVersion)}`,
+            body: requestBody,
+            headers: {
+                ...this.buildPassthroughHeaders(requestHeaders),
+                'api-key': credential.api_key
+            }
+        };
+    }
+
+    /**
+     * Azure errors are already in OpenAI format
+     */
+    transformError(data) {
+        return data;
+    }
+
+    /**
+     * Azure reports the underlying model version (e.g. gpt-4o-2024-08-06);
+     * report the requested model so costing matches the pricing table
+     */
+    transformResponse(data, model) {
+        return { ...data, model };
+    }
+}
+
+module.exports = new AzureOpenAIAdapter();
@@ -0,0 +1,163 @@
+/**
+ * Base Provider Adapter
+ * 
+ * Adapters translate OpenAI-format chat completion requests into a provider's
+ * native API call, and translate the provider's response back into the
+ * OpenAI chat completion format (including the `usage` object used for costing).
+ */
+class BaseProviderAdapter {
+
+    /**
+     * @param {string} name - Provider identifier stored in usage_logs.provider
+     */
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Whether the provider's streaming format can be passed through as OpenAI SSE
+     * @returns {boolean}
+     */
+    supportsStreaming() {
+        return false;
+    }
+
+    /**
+     * Models accepted for this provider (allowlist)
+     * @returns {Array<string>}
+     */
+    getSupportedModels() {
+        return [];
+    }
+
+    /**
+     * Whitelist safe client headers to forward upstream
+     * 
+     * Security: only Accept and User-Agent are forwarded; auth headers are
+     * always set by the adapter from the organization's credential.
+     * 
+     * @param {Object} requestHeaders - Original request headers
+     * @returns {Object} Whitelisted headers
+     */
+    buildPassthroughHeaders(requestHeaders = {}) {
+        const headers = { 'Content-Type': 'application/json' };
+        const allowedHeaders = ['accept', 'user-agent'];
+
+        for (const header of allowedHeaders) {
+            if (requestHeaders[header]) {
+                const headerName = header.split('-').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join('-');
+                headers[headerName] = requestHeaders[header];
+            }
+        }
+
+        return headers;
+    }
+
+    /**
+     * Flatten OpenAI message content (string or content parts) into text
+     * @param {string|Array|null} content - OpenAI message content
+     * @returns {string} Plain text
+     */
+    contentToText(content) {
+        if (typeof content === 'string') {
+            return content;
+        }
+
+        if (Array.isArray(content)) {
+            return content
+                .filter(part => part && part.type === 'text')
+                .map(part => part.text)
+                .join('\n');
+        }
+
+        return '';
+    }
+
+    /**
+     * Find a request feature the adapter cannot translate
+     * 
+     * Requests using one are refused instead of being silently degraded
+     * (OpenAI-compatible providers support everything).
+     * 
+     * @param {Object} requestBody - OpenAI-format request
+     * @returns {string|null} Name of the first unsupported feature, or null
+     */
+    getUnsupportedFeature(requestBody) {
+        return null;
+    }
+
+    /**
+     * First of `fields` set on the request, or a message the text-only
+     * translation cannot carry (tool calls and results, images, audio, files)
+     * 
+     * @param {Object} requestBody - OpenAI-format request
+     * @param {Array<string>} fields - Request fields the adapter does not translate
+     * @returns {string|null} Name of the unsupported feature, or null
+     */
+    findUntranslatedFeature(requestBody, fields) {
+        for (const field of fields) {
+            const value = requestBody[field];
+            if (value === undefined || value === null) continue;
+            // Values that match the default behavior are harmless
+            if (field === 'n' && value === 1) continue;
+            if (field === 'response_format' && value.type === 'text') continue;
+            return field;
+        }
+
+        for (const message of requestBody.messages || []) {
+            if (message.role === 'tool' || message.role === 'function' || message.tool_calls || message.function_call) {
+                return 'tool messages';
+            }
+            if (Array.isArray(message.content) && message.content.some(part => !part || part.type !== 'text')) {
+                return 'non-text content';
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Build the upstream request
+     * 
+     * @param {Object} requestBody - OpenAI-format request (model already resolved)
+     * @param {Object} credential - Decrypted provider credential
+     * @param {Object} requestHeaders - Original request headers
+     * @returns {Object} { url, body, headers }
+     */
+    buildRequest(requestBody, credential, requestHeaders) {
+        throw new Error(`buildRequest not implemented for provider: ${this.name}`);
+    }
+
+    /**
+     * Translate a successful provider response into OpenAI format
+     * 
+     * @param {Object} data - Provider response body
+     * @param {string} model - Resolved model name
+     * @returns {Object} OpenAI chat completion response
+     */
+    transformResponse(data, model) {
+        return data;
+    }
+
+    /**
+     * Translate a provider error body into OpenAI's { error: {...} } shape
+     * 
+     * @param {Object} data - Provider error body
+     * @returns {Object} OpenAI-style error body
+     */
+    transformError(data) {
+        if (data && data.error && typeof data.error.message === 'string') {
+            return {
+                error: {
+                    message: data.error.message,
+                    type: data.error.type || data.error.status || 'api_error',
+                    code: data.error.code || null
+                }
+            };
+        }
+
+        return data;
+    }
+}
+
+module.exports = BaseProviderAdapter;
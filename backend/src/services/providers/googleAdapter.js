@@ -0,0 +1,123 @@
+const BaseProviderAdapter = require('./baseAdapter');
+const pricingService = require('../pricingService');
+
+/**
+ * Google Gemini Adapter
+ * 
+ * Translates OpenAI chat completions to the Gemini generateContent API:
+ * - assistant messages use the `model` role
+ * - system messages become `systemInstruction`
+ * - n maps to candidateCount, JSON mode to responseMimeType; tools,
+ *   JSON schemas and non-text content are refused
+ * - usageMetadata maps to prompt/completion tokens
+ *   (cached content and thinking tokens map to cached/reasoning token details)
+ */
+class GoogleAdapter extends BaseProviderAdapter {
+
+    constructor() {
+        super('google');
+    }
+
+    getSupportedModels() {
+        return Object.keys(pricingService.getPricingTable('google'));
+    }
+
+    getUnsupportedFeature(requestBody) {
+        const format = requestBody.response_format;
+        if (format && format.type !== 'text' && format.type !== 'json_object') {
+            return 'response_format';
+        }
+
+        return this.findUntranslatedFeature(requestBody, ['tools', 'tool_choice', 'functions', 'function_call']);
+    }
+
+    buildRequest(requestBody, credential, requestHeaders) {
+        const systemPrompts = [];
+        const contents = [];
+
+        for (const message of requestBody.messages) {
+            if (message.role === 'system' || message.role === 'developer') {
+                systemPrompts.push(this.contentToText(message.content));
+            } else {
+                contents.push({
+                    role: message.role === 'assistant' ? 'model' : 'user',
+                    parts: [{ text: this.contentToText(message.content) }]
+                });
+            }
+        }
+
+        const generationConfig = {};
+        if (requestBody.temperature !== undefined) generationConfig.temperature = requestBody.temperature;
+        if (requestBody.top_p !== undefined) generationConfig.topP = requestBody.top_p;
+        if (requestBody.n !== undefined) generationConfig.candidateCount = requestBody.n;
+        if (requestBody.max_tokens || requestBody.max_completion_tokens) {
+            generationConfig.maxOutputTokens = requestBody.max_tokens || requestBody.max_completion_tokens;
+        }
+        if (requestBody.response_format && requestBody.response_format.type === 'json_object') {
+            generationConfig.responseMimeType = 'application/json';
+        }
+        if (requestBody.stop) {
+            generationConfig.stopSequences = Array.isArray(requestBody.stop) ? requestBody.stop : [requestBody.stop];
+        }
+
+        const body = { contents, generationConfig };
+        if (systemPrompts.length > 0) {
+            body.systemInstruction = { parts: [{ text: systemPrompts.join('\n\n') }] };
+        }
+
+        const baseURL = (credential.base_url || 'https://generativelanguage.googleapis.com').replace(/\/+$/, '');
+
+        return {
+            url: `${baseURL}/v1beta/models/${encodeURIComponent(requestBody.model)}:generateContent`,
+            body,
+            headers: {
+                ...this.buildPassthroughHeaders(requestHeaders),
+                'x-goog-api-key': credential.api_key
+            }
+        };
+    }
+
+    mapFinishReason(finishReason) {
+        const mapping = {
+            STOP: 'stop',
+            MAX_TOKENS: 'length',
+            SAFETY: 'content_filter',
+            RECITATION: 'content_filter'
+        };
+        return mapping[finishReason] || 'stop';
+    }
+
+    transformResponse(data, model) {
+        const choices = (data.candidates || []).map((candidate, index) => ({
+            index,
+            message: {
+                role: 'assistant',
+                content: ((candidate.content && candidate.content.parts) || []).map(part => part.text || '').join('')
+            },
+            finish_reason: this.mapFinishReason(candidate.finishReason)
+        }));
+
+        // Thinking tokens are billed as output but reported outside candidatesTokenCount
+        const usage = data.usageMetadata || {};
+        const promptTokens = usage.promptTokenCount || 0;
+        const reasoningTokens = usage.thoughtsTokenCount || 0;
+        const completionTokens = (usage.candidatesTokenCount || 0) + reasoningTokens;
+
+        return {
+            id: data.responseId || `gemini-${Date.now()}`,
+            object: 'chat.completion',
+            created: Math.floor(Date.now() / 1000),
+            model,
+            choices,
+            usage: {
+                prompt_tokens: promptTokens,
+                completion_tokens: completionTokens,
+                total_tokens: promptTokens + completionTokens,
+                prompt_tokens_details: { cached_tokens: usage.cachedContentTokenCount || 0 },
+                completion_tokens_details: { reasoning_tokens: reasoningTokens }
+            }
+        };
+    }
+}
+
+module.exports = new GoogleAdapter();
@@ -0,0 +1,87 @@
+const openaiAdapter = require('./openaiAdapter');
+const azureOpenAIAdapter = require('./azureOpenAIAdapter');
+const anthropicAdapter = require('./anthropicAdapter');
+const googleAdapter = require('./googleAdapter');
+
+/**
+ * Provider Registry
+ * 
+ * Resolves a requested model to a provider adapter.
+ * 
+ * Model routing:
+ * - Explicit prefix: "anthropic/claude-3-5-sonnet-latest", "azure/gpt-4o", "google/gemini-1.5-pro"
+ * - Otherwise inferred: "claude-*" -> anthropic, "gemini-*" -> google, everything else -> openai
+ */
+class ProviderRegistry {
+
+    constructor() {
+        this.adapters = {
+            openai: openaiAdapter,
+            azure_openai: azureOpenAIAdapter,
+            anthropic: anthropicAdapter,
+            google: googleAdapter
+        };
+
+        // Accepted model prefixes -> provider
+        this.prefixes = {
+            openai: 'openai',
+            azure: 'azure_openai',
+            azure_openai: 'azure_openai',
+            anthropic: 'anthropic',
+            google: 'google',
+            gemini: 'google'
+        };
+    }
+
+    /**
+     * List supported provider identifiers
+     * @returns {Array<string>}
+     */
+    getProviders() {
+        return Object.keys(this.adapters);
+    }
+
+    /**
+     * Get adapter for a provider
+     * @param {string} provider - Provider identifier
+     * @returns {BaseProviderAdapter|null}
+     */
+    getAdapter(provider) {
+        return this.adapters[provider] || null;
+    }
+
+    /**
+     * Resolve a requested model to { provider, model, adapter }
+     * 
+     * @param {string} requestedModel - Model from the request body
+     * @returns {Object|null} Route, or null if the prefix is unknown
+     */
+    resolveModel(requestedModel) {
+        if (!requestedModel || typeof requestedModel !== 'string') {
+            return null;
+        }
+
+        let provider;
+        let model = requestedModel;
+
+        const slashIndex = requestedModel.indexOf('/');
+        if (slashIndex > 0) {
+            provider = this.prefixes[requestedModel.slice(0, slashIndex).toLowerCase()];
+            model = requestedModel.slice(slashIndex + 1);
+
+            if (!provider) {
+                return null;
+            }
+        } else if (model.startsWith('claude-')) {
+            provider = 'anthropic';
+        } else if (model.startsWith('gemini-')) {
+            provider = 'google';
+        } else {
+            provider = 'openai';
+        }
+
+        return { provider, model, adapter: this.adapters[provider] };
+    }
+}
+
+module.exports = new ProviderRegistry();
@@ -0,0 +1,55 @@
+const BaseProviderAdapter = require('./baseAdapter');
+
+/**
+ * OpenAI Adapter
+ * 
+ * Requests are already in OpenAI format, so this is a transparent pass-through.
+ */
+class OpenAIAdapter extends BaseProviderAdapter {
+
+    constructor() {
+        super('openai');
+    }
+
+    supportsStreaming() {
+        return true;
+    }
+
+    /**
+     * Supported OpenAI models (allowlist)
+     * Prevents invalid models from breaking cost tracking
+     */
+    getSupportedModels() {
+        return [
+            'gpt-3.5-turbo',
+            'gpt-3.5-turbo-0125',
+            'gpt-3.5-turbo-1106',
+            'gpt-4',
+            'gpt-4-0613',
+            'gpt-4-turbo',
+            'gpt-4-turbo-preview',
+            'gpt-4o',
+            'gpt-4o-mini'
+        ];
+    }
+
+    /**
+     * OpenAI errors are already in OpenAI format
+     */
+    transformError(data) {
+        return data;
+    }
+
+    buildRequest(requestBody, credential, requestHeaders) {
+        return {
+            url: 'https://api.openai.com/v1/chat/completions',
+            body: requestBody,
+            headers: {
+                ...this.buildPassthroughHeaders(requestHeaders),
+                'Authorization': `Bearer ${credential.api_key}`
+            }
+        };
+    }
+}
+
+module.exports = new OpenAIAdapter();
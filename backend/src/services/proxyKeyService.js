@@ -1,8 +1,24 @@
 const crypto = require('crypto');
 const { supabaseAdmin } = require('../config/supabase');
 
+// Key budget settings (same shape as organization and project budgets)
+const KEY_BUDGET_COLUMNS = `
+          assigned_user_id,
+          monthly_budget,
+          budget_currency,
+          budget_policy,
+          budget_downgrade_model,
+          budget_period,
+          budget_anchor_date,
+          budget_period_days,
+          budget_timezone,
+          alert_thresholds`;
+
 /**
  * ProxyKeyService handles all proxy API key operations
+ * 
+ * Keys can have their own budget and be assigned to a user (whose budget
+ * covers all of their keys); spend is calculated by budgetService.
  */
 class ProxyKeyService {
 
@@ -60,15 +76,25 @@ class ProxyKeyService {
         return `sk-****${last4}`;
     }
 
+    /**
+     * Cheap shape check (no lookup): could this be a key from generateKeyValue?
+     * @param {string} keyValue - Bearer token
+     * @returns {boolean}
+     */
+    hasKeyFormat(keyValue) {
+        return typeof keyValue === 'string' && /^sk-spendai-[0-9a-f]{64}$/.test(keyValue);
+    }
+
     /**
      * Create a new proxy API key
      * @param {string} organizationId - Organization ID
      * @param {string} projectId - Project ID
      * @param {string} userId - User ID creating the key
      * @param {string} name - Optional name for the key
+     * @param {Object} limits - Optional { max_cost_per_request_usd }
      * @returns {Object} Created key with full key value (only shown once)
      */
-    async createProxyKey(organizationId, projectId, userId, name = '') {
+    async createProxyKey(organizationId, projectId, userId, name = '', limits = {}) {
         try {
             // Generate unique key value
             const keyValue = this.generateKeyValue();
@@ -84,7 +110,8 @@ class ProxyKeyService {
                     key_value: keyHash,  // ⚠️ Store HASH only
                     name: name || masked,
                     is_active: true,
-                    created_by: userId
+                    created_by: userId,
+                    max_cost_per_request_usd: limits.max_cost_per_request_usd || null
                 })
                 .select(`
           id,
@@ -94,7 +121,8 @@ class ProxyKeyService {
           is_active,
           created_at,
           revoked_at,
-          created_by
+          created_by,
+          max_cost_per_request_usd
         `)
                 .single();
 
@@ -131,16 +159,24 @@ class ProxyKeyService {
                 .from('proxy_keys')
                 .select(`
           id,
+          organization_id,
           project_id,
           name,
           is_active,
           created_at,
           revoked_at,
+          suspended_at,
+          suspended_reason,
           created_by,
+          max_cost_per_request_usd,${KEY_BUDGET_COLUMNS},
           creator:created_by (
             id,
             email,
             role
+          ),
+          assignee:assigned_user_id (
+            id,
+            email
           )
         `)
                 .eq('project_id', projectId)
@@ -151,11 +187,16 @@ class ProxyKeyService {
                 throw new Error(`Failed to fetch proxy keys: ${error.message}`);
             }
 
-            // Add masked display to each key
-            const keysWithMask = (data || []).map(key => ({
-                ...key,
-                masked: key.name.startsWith('sk-****') ? key.name : `sk-****${key.id.slice(-4)}`
-            }));
+            // Add masked display and, for keys with a budget, spend in the current period
+            const budgetService = require('./budgetService');
+            const keysWithMask = [];
+            for (const key of data || []) {
+                keysWithMask.push({
+                    ...key,
+                    masked: key.name.startsWith('sk-****') ? key.name : `sk-****${key.id.slice(-4)}`,
+                    budget_status: parseFloat(key.monthly_budget || 0) > 0 ? await budgetService.getKeyBudget(key) : null
+                });
+            }
 
             return {
                 success: true,
@@ -185,8 +226,11 @@ class ProxyKeyService {
           is_active,
           created_at,
           revoked_at,
+          suspended_at,
+          suspended_reason,
           organization_id,
           created_by,
+          max_cost_per_request_usd,${KEY_BUDGET_COLUMNS},
           creator:created_by (
             id,
             email,
@@ -256,6 +300,271 @@ class ProxyKeyService {
         }
     }
 
+    /**
+     * Suspend an active proxy key (e.g. on a usage anomaly)
+     * The key stops authenticating like a revoked key, but can be reactivated.
+     * @param {string} keyId - Key ID
+     * @param {string} organizationId - Organization ID (for verification)
+     * @param {string} reason - Why the key was suspended
+     * @returns {Object} { success, suspended } (false if the key was not active)
+     */
+    async suspendProxyKey(keyId, organizationId, reason) {
+        try {
+            const { data, error } = await supabaseAdmin
+                .from('proxy_keys')
+                .update({
+                    is_active: false,
+                    suspended_at: new Date().toISOString(),
+                    suspended_reason: reason
+                })
+                .eq('id', keyId)
+                .eq('organization_id', organizationId)
+                .eq('is_active', true)
+                .select('id');
+
+            if (error) {
+                throw new Error(`Failed to suspend proxy key: ${error.message}`);
+            }
+
+            return {
+                success: true,
+                suspended: data.length > 0
+            };
+
+        } catch (error) {
+            console.error('Suspend proxy key error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Reactivate a suspended proxy key (revoked keys stay revoked)
+     * @param {string} keyId - Key ID
+     * @param {string} organizationId - Organization ID (for verification)
+     * @returns {Object} Updated key
+     */
+    async reactivateProxyKey(keyId, organizationId) {
+        try {
+            const { data, error } = await supabaseAdmin
+                .from('proxy_keys')
+                .update({
+                    is_active: true,
+                    suspended_at: null,
+                    suspended_reason: null
+                })
+                .eq('id', keyId)
+                .eq('organization_id', organizationId)
+                .is('revoked_at', null)
+                .not('suspended_at', 'is', null)
+                .select('id, name, is_active, suspended_at')
+                .maybeSingle();
+
+            if (error) {
+                throw new Error(`Failed to reactivate proxy key: ${error.message}`);
+            }
+
+            if (!data) {
+                throw new Error('Proxy key not found or not suspended');
+            }
+
+            return {
+                success: true,
+                message: 'Proxy key reactivated',
+                key: data
+            };
+
+        } catch (error) {
+            console.error('Reactivate proxy key error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update spend limits on a proxy key
+     * @param {string} keyId - Key ID
+     * @param {string} organizationId - Organization ID (for verification)
+     * @param {Object} limits - { max_cost_per_request_usd } (null removes the limit)
+     * @returns {Object} Updated key
+     */
+    async updateProxyKeyLimits(keyId, organizationId, limits) {
+        try {
+            const { data, error } = await supabaseAdmin
+                .from('proxy_keys')
+                .update({
+                    max_cost_per_request_usd: limits.max_cost_per_request_usd
+                })
+                .eq('id', keyId)
+                .eq('organization_id', organizationId)
+                .select(`
+          id,
+          project_id,
+          name,
+          is_active,
+          max_cost_per_request_usd
+        `)
+                .single();
+
+            if (error) {
+                if (error.code === 'PGRST116') {
+                    throw new Error('Proxy key not found');
+                }
+                throw new Error(`Failed to update proxy key limits: ${error.message}`);
+            }
+
+            return {
+                success: true,
+                key: data
+            };
+
+        } catch (error) {
+            console.error('Update proxy key limits error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Set a proxy key's budget (and optionally its enforcement policy and period)
+     * @param {string} keyId - Key ID
+     * @param {string} organizationId - Organization ID (for verification)
+     * @param {number} budgetAmount - Budget per period in budget currency (0 removes it)
+     * @param {Object} policy - Optional { policy, downgrade_model }
+     * @param {string} currency - Budget currency (ISO 4217)
+     * @param {Object} period - Optional { type, anchor_date, days, timezone }
+     * @returns {Object} Updated key
+     */
+    async updateProxyKeyBudget(keyId, organizationId, budgetAmount, policy = {}, currency = 'USD', period = {}) {
+        try {
+            const budgetService = require('./budgetService');
+
+            const { data, error } = await supabaseAdmin
+                .from('proxy_keys')
+                .update(budgetService.buildBudgetUpdate(budgetAmount, policy, currency, period))
+                .eq('id', keyId)
+                .eq('organization_id', organizationId)
+                .select(`
+          id,
+          project_id,
+          name,
+          is_active,${KEY_BUDGET_COLUMNS}
+        `)
+                .single();
+
+            if (error) {
+                if (error.code === 'PGRST116') {
+                    throw new Error('Proxy key not found');
+                }
+                throw new Error(`Failed to update proxy key budget: ${error.message}`);
+            }
+
+            return {
+                success: true,
+                key: data
+            };
+
+        } catch (error) {
+            console.error('Update proxy key budget error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Assign a proxy key to a user (their user budget then covers the key)
+     * @param {string} keyId - Key ID
+     * @param {string} organizationId - Organization ID (for verification)
+     * @param {string|null} userId - User in the organization, or null to unassign
+     * @returns {Object} Updated key
+     */
+    async assignProxyKey(keyId, organizationId, userId) {
+        try {
+            if (userId) {
+                const { data: user, error: userError } = await supabaseAdmin
+                    .from('users')
+                    .select('id')
+                    .eq('id', userId)
+                    .eq('organization_id', organizationId)
+                    .maybeSingle();
+
+                if (userError) {
+                    throw new Error(`Failed to fetch user: ${userError.message}`);
+                }
+                if (!user) {
+                    throw new Error('User not found');
+                }
+            }
+
+            const { data, error } = await supabaseAdmin
+                .from('proxy_keys')
+                .update({ assigned_user_id: userId })
+                .eq('id', keyId)
+                .eq('organization_id', organizationId)
+                .select(`
+          id,
+          project_id,
+          name,
+          assigned_user_id
+        `)
+                .single();
+
+            if (error) {
+                if (error.code === 'PGRST116') {
+                    throw new Error('Proxy key not found');
+                }
+                throw new Error(`Failed to assign proxy key: ${error.message}`);
+            }
+
+            return {
+                success: true,
+                key: data
+            };
+
+        } catch (error) {
+            console.error('Assign proxy key error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a key's budget settings (internal: budget checks after logging)
+     * @param {string} keyId - Key ID
+     * @returns {Object} Key row with organization, project and budget columns
+     */
+    async getKeyBudgetSettings(keyId) {
+        const { data, error } = await supabaseAdmin
+            .from('proxy_keys')
+            .select(`
+          id,
+          organization_id,
+          project_id,${KEY_BUDGET_COLUMNS}
+        `)
+            .eq('id', keyId)
+            .single();
+
+        if (error) {
+            throw new Error(`Failed to fetch proxy key budget: ${error.message}`);
+        }
+
+        return data;
+    }
+
+    /**
+     * IDs of every key assigned to a user (revoked keys included: their
+     * spend still counts toward the current period)
+     * @param {string} userId - User ID
+     * @returns {Array<string>} Key IDs
+     */
+    async getAssignedKeyIds(userId) {
+        const { data, error } = await supabaseAdmin
+            .from('proxy_keys')
+            .select('id')
+            .eq('assigned_user_id', userId);
+
+        if (error) {
+            throw new Error(`Failed to fetch assigned keys: ${error.message}`);
+        }
+
+        return data.map(key => key.id);
+    }
+
     /**
    * Verify a proxy key value (for future proxy requests)
    * 
@@ -282,7 +591,8 @@ class ProxyKeyService {
           project_id,
           key_value,
           is_active,
-          revoked_at
+          revoked_at,
+          max_cost_per_request_usd,${KEY_BUDGET_COLUMNS}
         `)
                 .eq('is_active', true);
 
@@ -333,7 +643,18 @@ class ProxyKeyService {
                     id: matchedKey.id,
                     organization_id: matchedKey.organization_id,
                     project_id: matchedKey.project_id,
-                    is_active: matchedKey.is_active
+                    is_active: matchedKey.is_active,
+                    max_cost_per_request_usd: matchedKey.max_cost_per_request_usd,
+                    assigned_user_id: matchedKey.assigned_user_id,
+                    monthly_budget: matchedKey.monthly_budget,
+                    budget_currency: matchedKey.budget_currency,
+                    budget_policy: matchedKey.budget_policy,
+                    budget_downgrade_model: matchedKey.budget_downgrade_model,
+                    budget_period: matchedKey.budget_period,
+                    budget_anchor_date: matchedKey.budget_anchor_date,
+                    budget_period_days: matchedKey.budget_period_days,
+                    budget_timezone: matchedKey.budget_timezone,
+                    alert_thresholds: matchedKey.alert_thresholds
                 }
             };
 
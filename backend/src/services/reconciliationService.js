@@ -0,0 +1,653 @@
+const { supabaseAdmin } = require('../config/supabase');
+const pricingService = require('./pricingService');
+const { parseCsv, normalizeKey } = require('../utils/csv');
+
+const LEDGER_PAGE_SIZE = 1000;
+const INSERT_BATCH_SIZE = 500;
+
+/**
+ * Reconciliation Service
+ * 
+ * Imports OpenAI usage/billing exports and diffs them against usage_logs
+ * per UTC day and model, so finance can explain why SpendAI's total
+ * doesn't match the invoice.
+ * 
+ * Accepted exports (CSV or JSON):
+ * - Usage API / dashboard usage export (input_tokens, output_tokens, num_model_requests, ...)
+ * - Costs API / dashboard cost export (amount_value or cost per line_item)
+ * - Legacy activity export (n_context_tokens_total, n_generated_tokens_total, cost)
+ * 
+ * Model names are compared by base model (dated snapshots such as
+ * gpt-4o-2024-08-06 reconcile against gpt-4o).
+ */
+class ReconciliationService {
+
+    /**
+     * Column names recognised in exports, by field (first match wins)
+     * Headers are matched case-insensitively with spaces and dashes as underscores.
+     */
+    getFieldAliases() {
+        return {
+            date: ['date', 'day', 'usage_date', 'start_time', 'start_time_iso', 'timestamp'],
+            model: ['model', 'snapshot_id', 'model_id', 'line_item'],
+            requests: ['num_model_requests', 'n_requests', 'requests'],
+            tokens_prompt: ['input_tokens', 'prompt_tokens', 'n_context_tokens_total', 'context_tokens'],
+            tokens_completion: ['output_tokens', 'completion_tokens', 'n_generated_tokens_total', 'generated_tokens'],
+            tokens_cached_prompt: ['input_cached_tokens', 'cached_tokens', 'cached_prompt_tokens'],
+            cost_usd: ['cost_usd', 'cost', 'amount_value', 'amount', 'usd'],
+            currency: ['amount_currency', 'currency']
+        };
+    }
+
+    /**
+     * Import an export file for an organization
+     * 
+     * Flow:
+     * 1. Parse CSV/JSON into rows
+     * 2. Aggregate rows per day and model
+     * 3. Store the import and its lines
+     * 
+     * @param {Object} params
+     * @param {string} params.organizationId - Organization UUID
+     * @param {string} params.userId - Admin importing the file
+     * @param {string} params.format - 'csv' or 'json'
+     * @param {string|Object} params.content - File content (JSON may be pre-parsed)
+     * @param {string} params.filename - Original file name (optional)
+     * @returns {Object} { import, skipped_rows }
+     */
+    async importExport({ organizationId, userId, format, content, filename = null }) {
+        // 1. Parse
+        const rows = format === 'csv' ? parseCsv(content) : this.flattenJsonExport(content);
+
+        // 2. Aggregate
+        const { lines, skipped } = this.aggregateRows(rows);
+
+        if (lines.length === 0) {
+            throw new Error('Export contains no usable rows (need a date, a model, and tokens or cost)');
+        }
+
+        const dates = lines.map(line => line.usage_date).sort();
+        const costs = lines.filter(line => line.cost_usd !== null);
+        const totalCost = costs.length > 0
+            ? Math.round(costs.reduce((sum, line) => sum + line.cost_usd, 0) * 1_000_000) / 1_000_000
+            : null;
+
+        // 3. Store
+        const { data: invoiceImport, error } = await supabaseAdmin
+            .from('invoice_imports')
+            .insert({
+                organization_id: organizationId,
+                provider: 'openai',
+                source_format: format,
+                filename,
+                period_start: dates[0],
+                period_end: dates[dates.length - 1],
+                line_count: lines.length,
+                total_cost_usd: totalCost,
+                imported_by: userId || null
+            })
+            .select()
+            .single();
+
+        if (error) {
+            throw new Error(`Failed to save import: ${error.message}`);
+        }
+
+        for (let i = 0; i < lines.length; i += INSERT_BATCH_SIZE) {
+            const batch = lines.slice(i, i + INSERT_BATCH_SIZE).map(line => ({
+                ...line,
+                import_id: invoiceImport.id,
+                organization_id: organizationId
+            }));
+
+            const { error: linesError } = await supabaseAdmin
+                .from('invoice_import_lines')
+                .insert(batch);
+
+            if (linesError) {
+                // Don't leave a partial import behind
+                await supabaseAdmin.from('invoice_imports').delete().eq('id', invoiceImport.id);
+                throw new Error(`Failed to save import lines: ${linesError.message}`);
+            }
+        }
+
+        return {
+            import: invoiceImport,
+            skipped_rows: skipped
+        };
+    }
+
+    /**
+     * Flatten a JSON export into rows
+     * 
+     * Accepts a plain array of rows, { data: [rows] }, or Usage/Costs API
+     * pages ({ data: [{ start_time, results: [...] }] }, or an array of pages).
+     * 
+     * @param {string|Object|Array} content - JSON text or parsed JSON
+     * @returns {Array<Object>} Rows keyed by normalized field name
+     */
+    flattenJsonExport(content) {
+        let parsed = content;
+        if (typeof content === 'string') {
+            try {
+                parsed = JSON.parse(content);
+            } catch (error) {
+                throw new Error('Invalid JSON export');
+            }
+        }
+
+        const pages = Array.isArray(parsed) && parsed.some(item => item && Array.isArray(item.data)) ? parsed : [parsed];
+        const rows = [];
+
+        for (const page of pages) {
+            const items = Array.isArray(page) ? page : (page && Array.isArray(page.data) ? page.data : null);
+            if (!items) {
+                throw new Error('JSON export must be an array of rows or an object with a data array');
+            }
+
+            for (const item of items) {
+                if (item && Array.isArray(item.results)) {
+                    // Usage/Costs API bucket: results inherit the bucket's start time
+                    for (const result of item.results) {
+                        rows.push(this.normalizeJsonRow({ start_time: item.start_time, ...result }));
+                    }
+                } else if (item && typeof item === 'object') {
+                    rows.push(this.normalizeJsonRow(item));
+                }
+            }
+        }
+
+        return rows;
+    }
+
+    normalizeJsonRow(item) {
+        const row = {};
+        for (const [key, value] of Object.entries(item)) {
+            // Costs API: amount: { value, currency }
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                for (const [subKey, subValue] of Object.entries(value)) {
+                    row[normalizeKey(`${key}_${subKey}`)] = subValue;
+                }
+            } else {
+                row[normalizeKey(key)] = value;
+            }
+        }
+        return row;
+    }
+
+    /**
+     * Map rows to export lines and sum them per day and model
+     * 
+     * Rows without a date or model are skipped; non-USD amounts are rejected.
+     * 
+     * @param {Array<Object>} rows - Normalized rows
+     * @returns {Object} { lines, skipped }
+     */
+    aggregateRows(rows) {
+        const aliases = this.getFieldAliases();
+        const pick = (row, field) => {
+            const key = aliases[field].find(name => row[name] !== undefined && row[name] !== null && row[name] !== '');
+            return key ? row[key] : null;
+        };
+        const number = (value) => {
+            if (value === null) return null;
+            const parsed = parseFloat(String(value).replace(/[$,]/g, ''));
+            return Number.isFinite(parsed) ? parsed : null;
+        };
+
+        const byKey = new Map();
+        let skipped = 0;
+
+        for (const row of rows) {
+            const usageDate = this.toUsageDate(pick(row, 'date'));
+            const rawModel = pick(row, 'model');
+            // Costs exports name line items "gpt-4o-2024-08-06, input"
+            const model = rawModel ? String(rawModel).split(',')[0].trim() : null;
+
+            const currency = pick(row, 'currency');
+            if (currency && String(currency).toLowerCase() !== 'usd') {
+                throw new Error(`Only USD exports are supported (found ${currency})`);
+            }
+
+            const values = {
+                requests: number(pick(row, 'requests')),
+                tokens_prompt: number(pick(row, 'tokens_prompt')),
+                tokens_completion: number(pick(row, 'tokens_completion')),
+                tokens_cached_prompt: number(pick(row, 'tokens_cached_prompt')),
+                cost_usd: number(pick(row, 'cost_usd'))
+            };
+
+            if (!usageDate || !model || Object.values(values).every(value => value === null)) {
+                skipped++;
+                continue;
+            }
+
+            const key = `${usageDate}|${model}`;
+            if (!byKey.has(key)) {
+                byKey.set(key, {
+                    usage_date: usageDate,
+                    model,
+                    requests: null,
+                    tokens_prompt: null,
+                    tokens_completion: null,
+                    tokens_cached_prompt: null,
+                    cost_usd: null
+                });
+            }
+
+            const line = byKey.get(key);
+            for (const [field, value] of Object.entries(values)) {
+                if (value !== null) {
+                    line[field] = (line[field] || 0) + value;
+                }
+            }
+        }
+
+        const lines = Array.from(byKey.values()).map(line => ({
+            ...line,
+            cost_usd: line.cost_usd === null ? null : Math.round(line.cost_usd * 1_000_000) / 1_000_000
+        }));
+
+        return { lines, skipped };
+    }
+
+    /**
+     * Convert an export timestamp to a UTC day (YYYY-MM-DD)
+     * Numbers are Unix seconds (Usage/Costs API bucket start times).
+     */
+    toUsageDate(value) {
+        if (value === null || value === undefined || value === '') {
+            return null;
+        }
+
+        const date = /^\d+(\.\d+)?$/.test(String(value))
+            ? new Date(parseFloat(value) * 1000)
+            : new Date(value);
+
+        return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+    }
+
+    /**
+     * Base model used to match export lines with usage logs
+     */
+    getBaseModel(model) {
+        const aliases = pricingService.getModelAliases(model);
+        return aliases[aliases.length - 1];
+    }
+
+    /**
+     * List imports for an organization (newest first)
+     */
+    async listImports(organizationId) {
+        const { data, error } = await supabaseAdmin
+            .from('invoice_imports')
+            .select('*')
+            .eq('organization_id', organizationId)
+            .order('created_at', { ascending: false });
+
+        if (error) {
+            throw new Error(`Failed to fetch imports: ${error.message}`);
+        }
+
+        return data;
+    }
+
+    /**
+     * Delete an import and its lines
+     */
+    async deleteImport(importId, organizationId) {
+        const { data, error } = await supabaseAdmin
+            .from('invoice_imports')
+            .delete()
+            .eq('id', importId)
+            .eq('organization_id', organizationId)
+            .select('id');
+
+        if (error) {
+            throw new Error(`Failed to delete import: ${error.message}`);
+        }
+
+        if (!data || data.length === 0) {
+            throw new Error('Import not found');
+        }
+
+        return { success: true };
+    }
+
+    /**
+     * Build the reconciliation report for an import
+     * 
+     * Every (day, base model) present in the export or the ledger becomes a
+     * line with the issues found:
+     * - unproxied: billed by OpenAI, never seen by SpendAI
+     * - not_invoiced: logged by SpendAI, absent from the export
+     * - usage_drift: token counts differ (extra invoice tokens bypassed the proxy)
+     * - pricing_mismatch: invoice cost differs from the invoice tokens priced at
+     *   the ledger's snapshot rates (or the ledger logged the model as unpriced)
+     * - cost_drift: cost differs with no token data to explain it
+     * 
+     * @param {string} importId - invoice_imports UUID
+     * @param {string} organizationId - Organization UUID
+     * @param {Object} options
+     * @param {number} options.tolerancePct - Relative difference ignored (default 1%)
+     * @returns {Object} { import, summary, lines }
+     */
+    async getReconciliationReport(importId, organizationId, { tolerancePct = 1 } = {}) {
+        // 1. Load import and lines
+        const { data: invoiceImport, error } = await supabaseAdmin
+            .from('invoice_imports')
+            .select('*')
+            .eq('id', importId)
+            .eq('organization_id', organizationId)
+            .maybeSingle();
+
+        if (error) {
+            throw new Error(`Failed to fetch import: ${error.message}`);
+        }
+
+        if (!invoiceImport) {
+            throw new Error('Import not found');
+        }
+
+        const invoiceLines = await this.getInvoiceLines(importId);
+
+        // 2. Aggregate both sides per day and base model
+        await pricingService.refreshCatalog();
+        const invoice = this.groupInvoiceLines(invoiceLines);
+        const ledger = await this.getLedgerTotals(organizationId, invoiceImport.period_start, invoiceImport.period_end);
+
+        // 3. Compare
+        const keys = Array.from(new Set([...invoice.keys(), ...ledger.keys()])).sort();
+        const lines = keys.map(key => this.compareLine(key, invoice.get(key) || null, ledger.get(key) || null, tolerancePct));
+
+        return {
+            import: invoiceImport,
+            summary: this.summarize(lines),
+            lines
+        };
+    }
+
+    groupInvoiceLines(invoiceLines) {
+        const grouped = new Map();
+
+        for (const line of invoiceLines) {
+            const key = `${line.usage_date}|${this.getBaseModel(line.model)}`;
+            if (!grouped.has(key)) {
+                grouped.set(key, {
+                    models: [],
+                    requests: null,
+                    tokens_prompt: null,
+                    tokens_completion: null,
+                    tokens_cached_prompt: null,
+                    cost_usd: null
+                });
+            }
+
+            const group = grouped.get(key);
+            group.models.push(line.model);
+            for (const field of ['requests', 'tokens_prompt', 'tokens_completion', 'tokens_cached_prompt', 'cost_usd']) {
+                if (line[field] !== null && line[field] !== undefined) {
+                    group[field] = (group[field] || 0) + parseFloat(line[field]);
+                }
+            }
+        }
+
+        return grouped;
+    }
+
+    /**
+     * All lines of an import, read page by page (an export spans days x models)
+     */
+    async getInvoiceLines(importId) {
+        const lines = [];
+        let offset = 0;
+
+        for (;;) {
+            const { data, error } = await supabaseAdmin
+                .from('invoice_import_lines')
+                .select('*')
+                .eq('import_id', importId)
+                .order('usage_date', { ascending: true })
+                .order('model', { ascending: true })
+                .range(offset, offset + LEDGER_PAGE_SIZE - 1);
+
+            if (error) {
+                throw new Error(`Failed to fetch import lines: ${error.message}`);
+            }
+
+            lines.push(...data);
+
+            if (data.length < LEDGER_PAGE_SIZE) {
+                break;
+            }
+            offset += LEDGER_PAGE_SIZE;
+        }
+
+        return lines;
+    }
+
+    /**
+     * Sum billed OpenAI usage logs per UTC day and base model
+     * 
+     * Cache hits never reached OpenAI and are excluded. Snapshot rates are
+     * accumulated token-weighted so invoice tokens can be re-priced with them.
+     */
+    async getLedgerTotals(organizationId, periodStart, periodEnd) {
+        const end = new Date(`${periodEnd}T00:00:00Z`);
+        end.setUTCDate(end.getUTCDate() + 1);
+
+        const grouped = new Map();
+        let offset = 0;
+
+        for (;;) {
+            const { data, error } = await supabaseAdmin
+                .from('usage_logs')
+                .select(`
+          created_at,
+          model,
+          status,
+          tokens_prompt,
+          tokens_completion,
+          tokens_cached_prompt,
+          cost_usd,
+          price_prompt_per_million,
+          price_completion_per_million,
+          price_cached_prompt_per_million
+        `)
+                .eq('organization_id', organizationId)
+                .eq('provider', 'openai')
+                .in('status', ['success', 'unpriced'])
+                .gte('created_at', `${periodStart}T00:00:00Z`)
+                .lt('created_at', end.toISOString())
+                .order('created_at', { ascending: true })
+                .order('id', { ascending: true }) // created_at ties must not shift rows between pages
+                .range(offset, offset + LEDGER_PAGE_SIZE - 1);
+
+            if (error) {
+                throw new Error(`Failed to fetch usage logs: ${error.message}`);
+            }
+
+            for (const log of data) {
+                const key = `${new Date(log.created_at).toISOString().slice(0, 10)}|${this.getBaseModel(log.model)}`;
+                if (!grouped.has(key)) {
+                    grouped.set(key, {
+                        models: new Set(),
+                        requests: 0,
+                        unpriced_requests: 0,
+                        tokens_prompt: 0,
+                        tokens_completion: 0,
+                        tokens_cached_prompt: 0,
+                        cost_usd: 0,
+                        rates: { prompt: [0, 0], completion: [0, 0], cached_prompt: [0, 0] }
+                    });
+                }
+
+                const group = grouped.get(key);
+                const cached = log.tokens_cached_prompt || 0;
+                group.models.add(log.model);
+                group.requests++;
+                group.tokens_prompt += log.tokens_prompt;
+                group.tokens_completion += log.tokens_completion;
+                group.tokens_cached_prompt += cached;
+                group.cost_usd += parseFloat(log.cost_usd) || 0;
+
+                if (log.status === 'unpriced') {
+                    group.unpriced_requests++;
+                    continue;
+                }
+
+                // [token-weighted rate sum, tokens]; cached tokens fall back to the prompt rate
+                const addRate = (category, tokens, rate) => {
+                    if (rate === null || rate === undefined || tokens <= 0) return;
+                    group.rates[category][0] += tokens * parseFloat(rate);
+                    group.rates[category][1] += tokens;
+                };
+                addRate('prompt', log.tokens_prompt - cached, log.price_prompt_per_million);
+                addRate('completion', log.tokens_completion, log.price_completion_per_million);
+                addRate('cached_prompt', cached, log.price_cached_prompt_per_million ?? log.price_prompt_per_million);
+            }
+
+            if (data.length < LEDGER_PAGE_SIZE) {
+                break;
+            }
+            offset += LEDGER_PAGE_SIZE;
+        }
+
+        return grouped;
+    }
+
+    /**
+     * Rates to price invoice tokens with: the ledger's snapshot rates for that
+     * day and model, else the catalog price effective that day
+     */
+    getComparisonRates(usageDate, baseModel, ledgerLine) {
+        const average = ([weighted, tokens]) => (tokens > 0 ? weighted / tokens : null);
+        const snapshot = ledgerLine ? {
+            prompt: average(ledgerLine.rates.prompt),
+            completion: average(ledgerLine.rates.completion),
+            cached_prompt: average(ledgerLine.rates.cached_prompt)
+        } : {};
+
+        const catalog = pricingService.getModelPricing(baseModel, 'openai', new Date(`${usageDate}T12:00:00Z`));
+
+        if (snapshot.prompt === null && snapshot.completion === null && !catalog) {
+            return null;
+        }
+
+        const rates = {
+            prompt: snapshot.prompt ?? (catalog ? catalog.prompt : 0),
+            completion: snapshot.completion ?? (catalog ? catalog.completion : 0)
+        };
+        rates.cached_prompt = snapshot.cached_prompt ?? (catalog ? catalog.cached_prompt : rates.prompt);
+
+        return pricingService.resolveRates(rates, null);
+    }
+
+    compareLine(key, invoiceLine, ledgerLine, tolerancePct) {
+        const [usageDate, model] = key.split('|');
+        const round = (value) => (value === null ? null : Math.round(value * 1_000_000) / 1_000_000);
+        const differs = (a, b, absolute) => Math.abs(a - b) > Math.max(absolute, Math.abs(a) * tolerancePct / 100);
+
+        const invoiceTokens = invoiceLine && invoiceLine.tokens_prompt !== null
+            ? invoiceLine.tokens_prompt + (invoiceLine.tokens_completion || 0)
+            : null;
+        const ledgerTokens = ledgerLine ? ledgerLine.tokens_prompt + ledgerLine.tokens_completion : 0;
+        const ledgerCost = ledgerLine ? ledgerLine.cost_usd : 0;
+        const invoiceCost = invoiceLine ? invoiceLine.cost_usd : null;
+
+        // What the invoice tokens cost at the rates SpendAI used
+        let expectedCost = null;
+        const rates = invoiceTokens !== null ? this.getComparisonRates(usageDate, model, ledgerLine) : null;
+        if (rates) {
+            const { prompt_cost, completion_cost } = pricingService.getCostComponents(
+                rates,
+                invoiceLine.tokens_prompt,
+                invoiceLine.tokens_completion || 0,
+                { cached_prompt_tokens: invoiceLine.tokens_cached_prompt || 0 }
+            );
+            expectedCost = prompt_cost + completion_cost;
+        }
+
+        const issues = [];
+        if (!ledgerLine) {
+            issues.push('unproxied');
+        } else if (!invoiceLine) {
+            issues.push('not_invoiced');
+        } else {
+            if (invoiceTokens !== null && differs(invoiceTokens, ledgerTokens, 0)) {
+                issues.push('usage_drift');
+            }
+            if ((invoiceCost !== null && expectedCost !== null && differs(invoiceCost, expectedCost, 0.01))
+                || ledgerLine.unpriced_requests > 0) {
+                issues.push('pricing_mismatch');
+            }
+            if (invoiceCost !== null && invoiceTokens === null && differs(invoiceCost, ledgerCost, 0.01)) {
+                issues.push('cost_drift');
+            }
+        }
+
+        return {
+            date: usageDate,
+            model,
+            status: issues[0] || 'matched',
+            issues,
+            invoice: invoiceLine ? {
+                models: invoiceLine.models,
+                requests: invoiceLine.requests,
+                prompt_tokens: invoiceLine.tokens_prompt,
+                completion_tokens: invoiceLine.tokens_completion,
+                cached_prompt_tokens: invoiceLine.tokens_cached_prompt,
+                cost_usd: round(invoiceCost)
+            } : null,
+            ledger: ledgerLine ? {
+                models: Array.from(ledgerLine.models),
+                requests: ledgerLine.requests,
+                unpriced_requests: ledgerLine.unpriced_requests,
+                prompt_tokens: ledgerLine.tokens_prompt,
+                completion_tokens: ledgerLine.tokens_completion,
+                cached_prompt_tokens: ledgerLine.tokens_cached_prompt,
+                cost_usd: round(ledgerCost)
+            } : null,
+            token_drift: invoiceTokens !== null ? invoiceTokens - ledgerTokens : null,
+            cost_drift_usd: invoiceCost !== null ? round(invoiceCost - ledgerCost) : null,
+            expected_invoice_cost_usd: round(expectedCost),
+            pricing_drift_usd: invoiceCost !== null && expectedCost !== null ? round(invoiceCost - expectedCost) : null
+        };
+    }
+
+    summarize(lines) {
+        const round = (value) => Math.round(value * 1_000_000) / 1_000_000;
+        const summary = {
+            invoice_cost_usd: 0,
+            ledger_cost_usd: 0,
+            drift_usd: 0,
+            unproxied_cost_usd: 0,
+            pricing_mismatch_usd: 0,
+            lines_by_status: {}
+        };
+
+        for (const line of lines) {
+            const invoiceCost = line.invoice ? (line.invoice.cost_usd ?? line.expected_invoice_cost_usd ?? 0) : 0;
+            summary.invoice_cost_usd += invoiceCost;
+            summary.ledger_cost_usd += line.ledger ? line.ledger.cost_usd : 0;
+            summary.lines_by_status[line.status] = (summary.lines_by_status[line.status] || 0) + 1;
+
+            if (line.issues.includes('unproxied')) {
+                summary.unproxied_cost_usd += invoiceCost;
+            }
+            if (line.issues.includes('pricing_mismatch') && line.pricing_drift_usd !== null) {
+                summary.pricing_mismatch_usd += line.pricing_drift_usd;
+            }
+        }
+
+        summary.drift_usd = summary.invoice_cost_usd - summary.ledger_cost_usd;
+
+        for (const field of ['invoice_cost_usd', 'ledger_cost_usd', 'drift_usd', 'unproxied_cost_usd', 'pricing_mismatch_usd']) {
+            summary[field] = round(summary[field]);
+        }
+
+        return summary;
+    }
+}
+
+module.exports = new ReconciliationService();
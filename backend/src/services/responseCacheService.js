@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/supabase');
+const MemoryCacheStore = require('./cache/memoryCacheStore');
+
+/**
+ * Response Cache Service
+ * 
+ * Opt-in exact-match cache for chat completions.
+ * 
+ * A request is cacheable when:
+ * - its project has cache_enabled = true
+ * - it is not streamed
+ * - temperature is 0, or the client sends `x-spendai-cache: true`
+ * 
+ * Cache keys are a SHA-256 of project + model + messages + sampling params,
+ * so responses are never shared across projects or organizations.
+ */
+class ResponseCacheService {
+
+    constructor() {
+        this.store = new MemoryCacheStore({
+            maxEntries: parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES, 10) || 1000
+        });
+    }
+
+    /**
+     * Replace the cache backend (must implement get/set/delete)
+     * @param {Object} store - Cache store
+     */
+    setStore(store) {
+        this.store = store;
+    }
+
+    /**
+     * Request fields that change the completion and therefore the cache key
+     */
+    getKeyFields() {
+        return [
+            'model', 'messages', 'temperature', 'top_p', 'n', 'max_tokens', 'max_completion_tokens',
+            'stop', 'presence_penalty', 'frequency_penalty', 'logit_bias', 'seed',
+            'tools', 'tool_choice', 'functions', 'function_call', 'response_format'
+        ];
+    }
+
+    /**
+     * Check whether the client asked for (or allowed) caching
+     * @param {Object} requestBody - Chat completion request
+     * @param {Object} requestHeaders - Original request headers
+     * @returns {boolean}
+     */
+    isCacheableRequest(requestBody, requestHeaders = {}) {
+        if (requestBody.stream === true) {
+            return false;
+        }
+
+        const header = String(requestHeaders['x-spendai-cache'] || '').toLowerCase();
+        if (header === 'false' || header === 'no-cache') {
+            return false;
+        }
+
+        return requestBody.temperature === 0 || header === 'true';
+    }
+
+    /**
+     * Build the cache key for a request
+     * @param {string} projectId - Project UUID
+     * @param {Object} requestBody - Chat completion request (model resolved)
+     * @returns {string} Cache key
+     */
+    buildCacheKey(projectId, requestBody) {
+        const keyMaterial = { project_id: projectId };
+        for (const field of this.getKeyFields()) {
+            if (requestBody[field] !== undefined) {
+                keyMaterial[field] = requestBody[field];
+            }
+        }
+
+        const hash = crypto.createHash('sha256').update(JSON.stringify(keyMaterial)).digest('hex');
+        return `chat:${hash}`;
+    }
+
+    /**
+     * Get a project's cache settings
+     * @param {string} projectId - Project UUID
+     * @returns {Object} { enabled, ttl_seconds }
+     */
+    async getProjectSettings(projectId) {
+        const { data, error } = await supabaseAdmin
+            .from('projects')
+            .select('cache_enabled, cache_ttl_seconds')
+            .eq('id', projectId)
+            .single();
+
+        if (error) throw error;
+
+        return {
+            enabled: !!data.cache_enabled,
+            ttl_seconds: data.cache_ttl_seconds || 3600
+        };
+    }
+
+    /**
+     * Look up a cached response
+     * @returns {Object|null} Cached { response, provider } or null
+     */
+    async get(cacheKey) {
+        return await this.store.get(cacheKey);
+    }
+
+    /**
+     * Store a response
+     * @param {string} cacheKey - Cache key
+     * @param {Object} entry - { response, provider }
+     * @param {number} ttlSeconds - Time to live
+     */
+    async set(cacheKey, entry, ttlSeconds) {
+        await this.store.set(cacheKey, entry, ttlSeconds);
+    }
+}
+
+module.exports = new ResponseCacheService();
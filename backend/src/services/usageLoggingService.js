@@ -5,8 +5,9 @@ const budgetService = require('./budgetService');
 /**
  * Usage Logging Service
  * 
- * Logs successful OpenAI API usage for cost tracking and analytics
+ * Logs OpenAI API usage for cost tracking and analytics
  * Creates finance-grade ledger entries with immutable records
+ * Failed and rejected requests are logged with zero cost for reliability reporting
  */
 class UsageLoggingService {
 
@@ -16,8 +17,11 @@ class UsageLoggingService {
      * Requirements:
      * - Only log successful responses
      * - Extract tokens from OpenAI response
-     * - Calculate cost using pricing service
+     * - Calculate cost using the price effective at the request timestamp
+     *   (the organization's negotiated rates when it has any)
+     * - Store the list-price cost next to the charged cost
      * - Store pricing snapshot (for audit trail)
+     * - Never record a silent $0: unpriced models are logged with status 'unpriced'
      * - Store explicit currency
      * - Write synchronously (no background jobs)
      * - One row per request (no aggregation)
@@ -28,9 +32,24 @@ class UsageLoggingService {
      * @param {string} params.project_id - Project UUID
      * @param {string} params.proxy_key_id - Proxy key UUID
      * @param {string} params.model - Model name (e.g., gpt-4)
+     * @param {string} params.provider - Provider identifier (default: openai)
      * @param {number} params.prompt_tokens - Number of prompt tokens
      * @param {number} params.completion_tokens - Number of completion tokens
      * @param {number} params.total_tokens - Total tokens (for validation)
+     * @param {number} params.cached_prompt_tokens - Prompt tokens served from the provider cache
+     * @param {number} params.audio_prompt_tokens - Audio input tokens
+     * @param {number} params.audio_completion_tokens - Audio output tokens
+     * @param {number} params.reasoning_tokens - Reasoning tokens
+     * @param {boolean} params.cache_hit - Served from the response cache (cost 0, savings recorded)
+     * @param {string} params.original_model - Requested model when a fallback model served the request
+     * @param {string} params.original_provider - Provider of the requested model
+     * @param {string} params.requested_model - Model as sent by the client
+     * @param {number} params.latency_ms - Total proxy latency
+     * @param {number} params.upstream_latency_ms - Time spent waiting on the provider
+     * @param {number} params.time_to_first_token_ms - Streaming only: time to first token
+     * @param {string[]} params.tags - Request tags (x-spendai-tags header)
+     * @param {Date} params.requested_at - When the proxy received the request (default: now)
+     * @param {string} params.error_code - Why tokens were estimated (stream_aborted, usage_missing)
      * @returns {Object} Created usage log entry
      */
     async logUsage(params) {
@@ -40,9 +59,24 @@ class UsageLoggingService {
             project_id,
             proxy_key_id,
             model,
+            provider = 'openai',
             prompt_tokens,
             completion_tokens,
-            total_tokens
+            total_tokens,
+            cached_prompt_tokens = 0,
+            audio_prompt_tokens = 0,
+            audio_completion_tokens = 0,
+            reasoning_tokens = 0,
+            cache_hit = false,
+            original_model = null,
+            original_provider = null,
+            requested_model = null,
+            latency_ms = null,
+            upstream_latency_ms = null,
+            time_to_first_token_ms = null,
+            tags = [],
+            requested_at = null,
+            error_code = null
         } = params;
 
         // Validate required fields
@@ -59,21 +93,53 @@ class UsageLoggingService {
         }
 
         try {
-            // 1. Calculate cost
-            const cost_usd = pricingService.calculateCost(model, prompt_tokens, completion_tokens);
+            // 1. Resolve the price effective at the request timestamp (negotiated rates first)
+            // Unknown response model names fall back to the model the client requested
+            await pricingService.refreshCatalog();
+            await pricingService.refreshOrgOverrides(organization_id);
+            const pricedAt = requested_at ? new Date(requested_at) : new Date();
 
-            // 2. Get pricing snapshot for audit trail
-            const pricing = pricingService.getModelPricing(model);
+            let pricedModel = model;
+            let pricing = pricingService.getModelPricing(model, provider, pricedAt, organization_id);
+            if (!pricing && requested_model && requested_model !== model && !original_model) {
+                pricedModel = requested_model;
+                pricing = pricingService.getModelPricing(requested_model, provider, pricedAt, organization_id);
+            }
+
+            if (!pricing) {
+                console.error(`[${request_id}] No price effective for ${provider}/${model}: logging as unpriced`);
+            }
+
+            // 2. Calculate cost (each token category at its own rate)
+            // Cache hits cost nothing; the avoided cost is recorded as savings
+            const details = { cached_prompt_tokens, audio_prompt_tokens, audio_completion_tokens, reasoning_tokens };
+            const round = (value) => Math.round(value * 1_000_000) / 1_000_000;
+            const costAt = (rates) => {
+                const { prompt_cost, completion_cost } = pricingService.getCostComponents(rates, prompt_tokens, completion_tokens, details);
+                return round(prompt_cost + completion_cost);
+            };
+            const charged_cost_usd = pricing ? costAt(pricing) : 0;
+            const cost_usd = cache_hit ? 0 : charged_cost_usd;
+            const savings_usd = cache_hit ? charged_cost_usd : 0;
+            const list_cost_usd = pricing && !cache_hit ? costAt(pricing.list) : 0;
+
+            // Failover: what the same tokens would have cost on the requested model
+            const original_cost_usd = original_model
+                ? pricingService.calculateCost(original_model, prompt_tokens, completion_tokens, original_provider || provider, pricedAt, details, organization_id)
+                : null;
+
+            // Pricing snapshot for audit trail
             const price_prompt_per_million = pricing ? pricing.prompt : null;
             const price_completion_per_million = pricing ? pricing.completion : null;
+            const categoryRate = (category) => (pricing ? pricing[category] : null);
 
             // Log cost breakdown for auditing (only in development)
             if (process.env.NODE_ENV === 'development') {
-                const breakdown = pricingService.getCostBreakdown(model, prompt_tokens, completion_tokens);
+                const breakdown = pricingService.getCostBreakdown(pricedModel, prompt_tokens, completion_tokens, provider, pricedAt, details, organization_id);
                 console.log(`[${request_id}] Cost breakdown:`, JSON.stringify(breakdown, null, 2));
             }
 
-            // 3. Insert usage log with pricing snapshot and currency
+            // 3. Insert usage log with pricing snapshot and currency (timestamped at request time)
             const { data, error } = await supabaseAdmin
                 .from('usage_logs')
                 .insert({
@@ -82,17 +148,40 @@ class UsageLoggingService {
                     project_id,
                     proxy_key_id,
                     model,
-                    provider: 'openai',
+                    provider,
                     tokens_prompt: prompt_tokens,
                     tokens_completion: completion_tokens,
+                    tokens_cached_prompt: cached_prompt_tokens,
+                    tokens_audio_prompt: audio_prompt_tokens,
+                    tokens_audio_completion: audio_completion_tokens,
+                    tokens_reasoning: reasoning_tokens,
                     // tokens_total is a generated column in DB
                     cost_usd,
                     // Refinement: Store exact prices used
                     price_prompt_per_million,
                     price_completion_per_million,
+                    price_cached_prompt_per_million: categoryRate('cached_prompt'),
+                    price_audio_prompt_per_million: categoryRate('audio_prompt'),
+                    price_audio_completion_per_million: categoryRate('audio_completion'),
+                    price_reasoning_per_million: categoryRate('reasoning'),
+                    price_id: pricing ? pricing.price_id : null,
+                    price_override_id: pricing ? pricing.override_id : null,
+                    list_cost_usd,
                     // Refinement: Explicit currency
                     currency: 'USD',
-                    status: 'success'
+                    status: cache_hit ? 'cache_hit' : (pricing ? 'success' : 'unpriced'),
+                    savings_usd,
+                    original_model,
+                    original_provider: original_model ? (original_provider || provider) : null,
+                    original_cost_usd,
+                    requested_model: requested_model || model,
+                    upstream_status: cache_hit ? null : 200,
+                    error_code,
+                    latency_ms,
+                    upstream_latency_ms,
+                    time_to_first_token_ms,
+                    tags: tags || [],
+                    created_at: pricedAt.toISOString()
                 })
                 .select()
                 .single();
@@ -103,10 +192,18 @@ class UsageLoggingService {
                 throw new Error(`Failed to log usage: ${error.message}`);
             }
 
-            console.log(`[${request_id}] Usage logged: ${model}, ${total_tokens} tokens, $${cost_usd.toFixed(6)}`);
+            console.log(`[${request_id}] Usage logged: ${provider}/${model}, ${total_tokens} tokens, $${cost_usd.toFixed(6)}${cache_hit ? ` (cache hit, saved $${savings_usd.toFixed(6)})` : ''}`);
+
+            // Cache hits add no spend, so budgets cannot have moved
+            if (cache_hit) {
+                return {
+                    success: true,
+                    log: data
+                };
+            }
 
             // 4. Check budgets and trigger alerts (fire and forget)
-            budgetService.checkBudgets(organization_id, project_id).catch(err => {
+            budgetService.checkBudgets(organization_id, project_id, proxy_key_id).catch(err => {
                 console.error(`[${request_id}] Budget check failed:`, err.message);
             });
 
@@ -132,11 +229,16 @@ class UsageLoggingService {
      *   "usage": {
      *     "prompt_tokens": 10,
      *     "completion_tokens": 20,
-     *     "total_tokens": 30
+     *     "total_tokens": 30,
+     *     "prompt_tokens_details": { "cached_tokens": 0, "audio_tokens": 0 },
+     *     "completion_tokens_details": { "reasoning_tokens": 0, "audio_tokens": 0 }
      *   },
      *   ...
      * }
      * 
+     * Embeddings responses carry only prompt_tokens and total_tokens.
+     * Token details are optional and default to 0.
+     * 
      * @param {Object} openaiResponse - OpenAI API response
      * @returns {Object|null} Extracted usage data or null if missing
      */
@@ -158,8 +260,9 @@ class UsageLoggingService {
         }
 
         // Extract token counts
+        // Embedding responses only report prompt tokens; record zero completion tokens
         const prompt_tokens = usage.prompt_tokens;
-        const completion_tokens = usage.completion_tokens;
+        const completion_tokens = usage.completion_tokens === undefined ? 0 : usage.completion_tokens;
         const total_tokens = usage.total_tokens;
 
         // Validate
@@ -167,11 +270,20 @@ class UsageLoggingService {
             return null;
         }
 
+        // Token categories billed at their own rates (subsets of the totals above)
+        const promptDetails = usage.prompt_tokens_details || {};
+        const completionDetails = usage.completion_tokens_details || {};
+        const count = (value) => (typeof value === 'number' && value > 0 ? value : 0);
+
         return {
             model,
             prompt_tokens,
             completion_tokens,
-            total_tokens
+            total_tokens,
+            cached_prompt_tokens: count(promptDetails.cached_tokens),
+            audio_prompt_tokens: count(promptDetails.audio_tokens),
+            audio_completion_tokens: count(completionDetails.audio_tokens),
+            reasoning_tokens: count(completionDetails.reasoning_tokens)
         };
     }
 
@@ -185,7 +297,18 @@ class UsageLoggingService {
      * @param {string} params.organization_id - Organization UUID
      * @param {string} params.project_id - Project UUID
      * @param {string} params.proxy_key_id - Proxy key UUID
-     * @param {Object} params.openaiResponse - Full OpenAI response
+     * @param {string} params.provider - Provider identifier (default: openai)
+     * @param {Object} params.openaiResponse - Full OpenAI-format response
+     * @param {boolean} params.cache_hit - Served from the response cache
+     * @param {string} params.original_model - Requested model when a fallback model served the request
+     * @param {string} params.original_provider - Provider of the requested model
+     * @param {string} params.requested_model - Model as sent by the client
+     * @param {number} params.latency_ms - Total proxy latency
+     * @param {number} params.upstream_latency_ms - Time spent waiting on the provider
+     * @param {number} params.time_to_first_token_ms - Streaming only: time to first token
+     * @param {string[]} params.tags - Request tags (x-spendai-tags header)
+     * @param {Date} params.requested_at - When the proxy received the request
+     * @param {string} params.error_code - Why tokens were estimated (streams without usage)
      * @returns {Object|null} Created usage log entry or null if skipped
      */
     async logFromOpenAIResponse(params) {
@@ -194,7 +317,18 @@ class UsageLoggingService {
             organization_id,
             project_id,
             proxy_key_id,
-            openaiResponse
+            provider = 'openai',
+            openaiResponse,
+            cache_hit = false,
+            original_model = null,
+            original_provider = null,
+            requested_model = null,
+            latency_ms = null,
+            upstream_latency_ms = null,
+            time_to_first_token_ms = null,
+            tags = [],
+            requested_at = null,
+            error_code = null
         } = params;
 
         // Extract usage data from response
@@ -212,12 +346,107 @@ class UsageLoggingService {
             organization_id,
             project_id,
             proxy_key_id,
+            provider,
             model: usage.model,
             prompt_tokens: usage.prompt_tokens,
             completion_tokens: usage.completion_tokens,
-            total_tokens: usage.total_tokens
+            total_tokens: usage.total_tokens,
+            cached_prompt_tokens: usage.cached_prompt_tokens,
+            audio_prompt_tokens: usage.audio_prompt_tokens,
+            audio_completion_tokens: usage.audio_completion_tokens,
+            reasoning_tokens: usage.reasoning_tokens,
+            cache_hit,
+            original_model,
+            original_provider,
+            requested_model,
+            latency_ms,
+            upstream_latency_ms,
+            time_to_first_token_ms,
+            tags,
+            requested_at,
+            error_code
         });
     }
+
+    /**
+     * Log a failed or rejected proxy request
+     * 
+     * Rows carry zero tokens and zero cost so they never affect spend totals
+     * or budgets; they exist for error-rate and reliability reporting.
+     * 
+     * @param {Object} params - Logging parameters
+     * @param {string} params.request_id - SpendAI request ID
+     * @param {string} params.organization_id - Organization UUID
+     * @param {string} params.project_id - Project UUID
+     * @param {string} params.proxy_key_id - Proxy key UUID
+     * @param {string} params.model - Model requested by the client
+     * @param {string} params.provider - Provider identifier (default: openai)
+     * @param {string} params.status - 'error', 'rejected' or 'failed'
+     * @param {number} params.upstream_status - Provider HTTP status (null if never called)
+     * @param {string} params.error_code - Provider or SpendAI error code
+     * @param {string} params.error_message - Error message
+     * @param {number} params.latency_ms - Total proxy latency
+     * @param {string[]} params.tags - Request tags (x-spendai-tags header)
+     * @param {number} params.request_count - Requests the row stands for (default: 1)
+     * @returns {Object} Created usage log entry
+     */
+    async logFailedRequest(params) {
+        const {
+            request_id,
+            organization_id,
+            project_id,
+            proxy_key_id,
+            model,
+            provider = 'openai',
+            status,
+            upstream_status = null,
+            error_code = null,
+            error_message = null,
+            latency_ms = null,
+            tags = [],
+            request_count = 1
+        } = params;
+
+        if (!request_id || !organization_id || !project_id || !proxy_key_id || !status) {
+            throw new Error('Missing required fields for failure logging');
+        }
+
+        const { data, error } = await supabaseAdmin
+            .from('usage_logs')
+            .insert({
+                request_id,
+                organization_id,
+                project_id,
+                proxy_key_id,
+                model: model || 'unknown',
+                provider,
+                tokens_prompt: 0,
+                tokens_completion: 0,
+                cost_usd: 0,
+                currency: 'USD',
+                status,
+                requested_model: model || null,
+                upstream_status,
+                error_code,
+                error_message: error_message ? String(error_message).slice(0, 1000) : null,
+                latency_ms,
+                tags: tags || [],
+                request_count
+            })
+            .select()
+            .single();
+
+        if (error) {
+            throw new Error(`Failed to log failed request: ${error.message}`);
+        }
+
+        console.log(`[${request_id}] Failed request logged: ${status}${error_code ? ` (${error_code})` : ''}`);
+
+        return {
+            success: true,
+            log: data
+        };
+    }
 }
 
 module.exports = new UsageLoggingService();
@@ -69,6 +69,21 @@ async function runSmokeTests() {
         console.log(`      Successfully triggered ${tooMany.length} rate-limit blocks.`);
     });
 
+    // FX rates are shared by every organization: an organization admin who is
+    // not listed in PRICING_ADMIN_EMAILS must be refused.
+    // Set SMOKE_ORG_ADMIN_TOKEN to the access token of such an admin to run it.
+    if (process.env.SMOKE_ORG_ADMIN_TOKEN) {
+        await run('FX Rates Require Pricing Admin', async () => {
+            const res = await axios.post(`${API_BASE}/api/pricing/fx-rates`, {
+                rates: [{ date: '2026-01-01', currency: 'EUR', rate: 0.9 }]
+            }, {
+                headers: { 'Authorization': `Bearer ${process.env.SMOKE_ORG_ADMIN_TOKEN}` },
+                validateStatus: () => true
+            });
+            if (res.status !== 403) throw new Error(`Expected 403, got ${res.status}`);
+        });
+    }
+
     console.log(`\nRESULTS: ${passed}/${total} passed`);
     if (failed > 0) process.exit(1);
 }
@@ -0,0 +1,216 @@
+/**
+ * Budget period helpers
+ * 
+ * A budget period is described by:
+ * - type: 'weekly', 'monthly', 'quarterly', 'annual' or 'custom'
+ * - anchor_date: a day a period starts on (YYYY-MM-DD). Weekly periods start
+ *   on the anchor's weekday, monthly on its day of month, quarterly and annual
+ *   on its month and day (e.g. 2026-04-01 for an April financial year).
+ *   Custom periods are budget_period_days long, starting on the anchor.
+ * - timezone: IANA zone the period boundaries (local midnight) are in
+ * 
+ * Boundaries are returned as UTC instants so they can be compared with
+ * usage_logs.created_at directly.
+ */
+
+const PERIOD_TYPES = ['weekly', 'monthly', 'quarterly', 'annual', 'custom'];
+
+// Months per period for calendar-based types
+const PERIOD_MONTHS = { monthly: 1, quarterly: 3, annual: 12 };
+
+// Defaults when no anchor is set: weeks start on Monday, months on the 1st,
+// quarters and years on January 1st
+const DEFAULT_ANCHOR = '2024-01-01';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function getPeriodTypes() {
+    return PERIOD_TYPES;
+}
+
+function isValidTimezone(timezone) {
+    if (typeof timezone !== 'string' || timezone.length === 0) {
+        return false;
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function isValidAnchorDate(anchorDate) {
+    return typeof anchorDate === 'string'
+        && /^\d{4}-\d{2}-\d{2}$/.test(anchorDate)
+        && !Number.isNaN(Date.parse(anchorDate));
+}
+
+/**
+ * Local calendar date of an instant in a timezone
+ * @returns {Object} { year, month (1-12), day }
+ */
+function getLocalDate(at, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric'
+    }).formatToParts(at);
+
+    const value = (type) => parseInt(parts.find(p => p.type === type).value, 10);
+    return { year: value('year'), month: value('month'), day: value('day') };
+}
+
+/**
+ * Offset of a timezone from UTC at an instant, in milliseconds
+ */
+function getTimezoneOffset(at, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(at);
+
+    const value = (type) => parseInt(parts.find(p => p.type === type).value, 10);
+    const asUtc = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'));
+    return asUtc - Math.floor(at.getTime() / 1000) * 1000;
+}
+
+/**
+ * UTC instant of local midnight on a day in a timezone
+ * Date.UTC normalizes out-of-range months and days (e.g. month 13).
+ */
+function getLocalMidnight(year, month, day, timezone) {
+    const guess = Date.UTC(year, month - 1, day);
+    let instant = guess - getTimezoneOffset(new Date(guess), timezone);
+    // Re-check at the candidate instant in case a DST change falls in between
+    instant = guess - getTimezoneOffset(new Date(instant), timezone);
+    return new Date(instant);
+}
+
+function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * Start day of the month-based period with index monthIndex (year * 12 + month - 1)
+ * The anchor day is clamped to the month's length (31st -> 30th, 28th/29th).
+ */
+function getMonthPeriodStart(monthIndex, anchorDay) {
+    const year = Math.floor(monthIndex / 12);
+    const month = monthIndex - year * 12 + 1;
+    return { year, month, day: Math.min(anchorDay, daysInMonth(year, month)) };
+}
+
+/**
+ * Get the budget period containing an instant
+ * 
+ * @param {Object} settings
+ * @param {string} settings.type - Period type (default: monthly)
+ * @param {string} settings.anchor_date - YYYY-MM-DD a period starts on (optional except for custom)
+ * @param {number} settings.days - Period length in days (custom only)
+ * @param {string} settings.timezone - IANA timezone (default: UTC)
+ * @param {Date} at - Point in time (default: now)
+ * @returns {Object} { type, timezone, anchor_date, days, start: Date, end: Date (exclusive) }
+ */
+function getBudgetPeriod(settings = {}, at = new Date()) {
+    const type = settings.type || 'monthly';
+    const timezone = settings.timezone || 'UTC';
+    const anchorDate = settings.anchor_date || DEFAULT_ANCHOR;
+
+    if (!PERIOD_TYPES.includes(type)) {
+        throw new Error(`Invalid budget period: ${type}`);
+    }
+
+    const [anchorYear, anchorMonth, anchorDay] = anchorDate.split('-').map(Number);
+    const today = getLocalDate(new Date(at), timezone);
+
+    let start;
+    let end;
+
+    if (PERIOD_MONTHS[type]) {
+        const step = PERIOD_MONTHS[type];
+        const anchorIndex = anchorYear * 12 + anchorMonth - 1;
+        const todayIndex = today.year * 12 + today.month - 1;
+
+        let k = Math.floor((todayIndex - anchorIndex) / step);
+        let startDay = getMonthPeriodStart(anchorIndex + k * step, anchorDay);
+
+        // Still before this month's start day: the period began a step earlier
+        if (today.year === startDay.year && today.month === startDay.month && today.day < startDay.day) {
+            k -= 1;
+            startDay = getMonthPeriodStart(anchorIndex + k * step, anchorDay);
+        }
+
+        const endDay = getMonthPeriodStart(anchorIndex + (k + 1) * step, anchorDay);
+        start = getLocalMidnight(startDay.year, startDay.month, startDay.day, timezone);
+        end = getLocalMidnight(endDay.year, endDay.month, endDay.day, timezone);
+    } else {
+        const length = type === 'weekly' ? 7 : parseInt(settings.days, 10);
+        if (!Number.isInteger(length) || length <= 0) {
+            throw new Error('Custom budget periods need a length in days');
+        }
+
+        // Whole days between the anchor and today (both as local calendar days)
+        const anchorDayNumber = Date.UTC(anchorYear, anchorMonth - 1, anchorDay) / DAY_MS;
+        const todayDayNumber = Date.UTC(today.year, today.month - 1, today.day) / DAY_MS;
+        const k = Math.floor((todayDayNumber - anchorDayNumber) / length);
+
+        const startOffset = k * length;
+        start = getLocalMidnight(anchorYear, anchorMonth, anchorDay + startOffset, timezone);
+        end = getLocalMidnight(anchorYear, anchorMonth, anchorDay + startOffset + length, timezone);
+    }
+
+    return {
+        type,
+        timezone,
+        anchor_date: settings.anchor_date || null,
+        days: type === 'custom' ? parseInt(settings.days, 10) : null,
+        start,
+        end
+    };
+}
+
+/**
+ * Local calendar date of an instant as YYYY-MM-DD
+ */
+function getLocalDateKey(at, timezone = 'UTC') {
+    const { year, month, day } = getLocalDate(new Date(at), timezone);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * UTC instant a local day (YYYY-MM-DD) starts at in a timezone
+ */
+function getLocalDayStart(dateKey, timezone = 'UTC') {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return getLocalMidnight(year, month, day, timezone);
+}
+
+/**
+ * Read period settings from an organizations / projects row
+ */
+function getPeriodSettings(row) {
+    return {
+        type: row.budget_period || 'monthly',
+        anchor_date: row.budget_anchor_date || null,
+        days: row.budget_period_days || null,
+        timezone: row.budget_timezone || 'UTC'
+    };
+}
+
+module.exports = {
+    getPeriodTypes,
+    isValidTimezone,
+    isValidAnchorDate,
+    getBudgetPeriod,
+    getPeriodSettings,
+    getLocalDateKey,
+    getLocalDayStart
+};
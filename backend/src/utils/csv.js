@@ -0,0 +1,78 @@
+/**
+ * CSV helpers for imported files (provider exports, FX rate files)
+ */
+
+/**
+ * Normalize a header or field name: lower case, spaces and dashes as underscores
+ * @param {string} key
+ * @returns {string}
+ */
+function normalizeKey(key) {
+    return String(key).trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, escaped quotes, CRLF)
+ * 
+ * @param {string} text - CSV content with a header row
+ * @returns {Array<Object>} Rows keyed by normalized header
+ */
+function parseCsv(text) {
+    if (typeof text !== 'string') {
+        throw new Error('CSV content must be text');
+    }
+
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    const nonEmpty = records.filter(r => r.some(value => value.trim() !== ''));
+    if (nonEmpty.length < 2) {
+        throw new Error('CSV must have a header row and at least one data row');
+    }
+
+    const headers = nonEmpty[0].map(header => normalizeKey(header.replace(/^\uFEFF/, '')));
+
+    return nonEmpty.slice(1).map(values =>
+        Object.fromEntries(headers.map((header, i) => [header, values[i] !== undefined ? values[i].trim() : '']))
+    );
+}
+
+module.exports = {
+    parseCsv,
+    normalizeKey
+};
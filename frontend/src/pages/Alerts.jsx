@@ -3,6 +3,38 @@ import { useNavigate } from 'react-router-dom';
 import { authService, budgetService } from '../services/api';
 import './Alerts.css';
 
+const ALERT_LEVEL_LABELS = {
+    organization: 'Organization',
+    project: 'Project',
+    key: 'Proxy Key',
+    user: 'User'
+};
+
+const ANOMALY_METRIC_LABELS = {
+    spend: 'Spend',
+    requests: 'Request',
+    tokens: 'Token'
+};
+
+const getAlertClass = (alert) => {
+    if (alert.alert_type === 'anomaly') return 'anomaly';
+    if (alert.alert_type === 'forecast') return 'forecast';
+    return `threshold-${alert.threshold_percent}`;
+};
+
+const getAlertBadge = (alert) => {
+    if (alert.alert_type === 'anomaly') return '⚡';
+    if (alert.alert_type === 'forecast') return '📈';
+    return `${alert.threshold_percent}%`;
+};
+
+const getAlertTitle = (alert) => {
+    const level = ALERT_LEVEL_LABELS[alert.alert_level] || 'Project';
+    if (alert.alert_type === 'anomaly') return `${level} ${ANOMALY_METRIC_LABELS[alert.anomaly_metric] || 'Usage'} Spike`;
+    if (alert.alert_type === 'forecast') return `${level} Budget Projected to Exceed`;
+    return `${level} Budget Threshold Crossed`;
+};
+
 function Alerts() {
     const navigate = useNavigate();
     const [user, setUser] = useState(null);
@@ -34,14 +66,19 @@ function Alerts() {
         }
     };
 
-    const formatCurrency = (val) => {
+    const formatCurrency = (val, currency = 'USD') => {
         return new Intl.NumberFormat('en-US', {
             style: 'currency',
-            currency: 'USD',
+            currency,
             minimumFractionDigits: 2
         }).format(val);
     };
 
+    const formatAnomalyValue = (metric, value) => {
+        if (metric === 'spend') return formatCurrency(value);
+        return `${Math.round(value).toLocaleString('en-US')} ${metric}`;
+    };
+
     const formatDate = (dateStr) => {
         return new Date(dateStr).toLocaleString('en-US', {
             month: 'short',
@@ -78,28 +115,48 @@ function Alerts() {
                 <div className="container narrow">
                     <div className="page-header">
                         <h1>Security & Spend Alerts</h1>
-                        <p>History of triggered budget threshold notifications.</p>
+                        <p>History of triggered budget threshold, forecast and usage anomaly notifications.</p>
                     </div>
 
                     <div className="alert-list">
                         {alerts.map(alert => (
-                            <div key={alert.id} className={`alert-item glass fade-in threshold-${alert.threshold_percent}`}>
+                            <div key={alert.id} className={`alert-item glass fade-in ${getAlertClass(alert)}`}>
                                 <div className="alert-badge">
-                                    {alert.threshold_percent}%
+                                    {getAlertBadge(alert)}
                                 </div>
                                 <div className="alert-content">
                                     <div className="alert-title">
-                                        {alert.alert_level === 'organization' ? 'Organization' : 'Project'} Budget Threshold Crossed
+                                        {getAlertTitle(alert)}
                                     </div>
                                     <div className="alert-meta">
-                                        {alert.alert_level === 'project' && (
+                                        {(alert.alert_level === 'project' || alert.alert_level === 'key') && (
                                             <span className="alert-project">Project: {alert.projects?.name || 'Deleted Project'}</span>
                                         )}
+                                        {alert.alert_level === 'key' && (
+                                            <span className="alert-project">Key: {alert.proxy_keys?.name || 'Deleted Key'}</span>
+                                        )}
+                                        {alert.alert_level === 'user' && (
+                                            <span className="alert-project">User: {alert.users?.email || 'Deleted User'}</span>
+                                        )}
                                         <span className="alert-date">{formatDate(alert.created_at)}</span>
                                     </div>
+                                    {alert.alert_type === 'anomaly' ? (
+                                        <div className="alert-details">
+                                            <strong>{formatAnomalyValue(alert.anomaly_metric, alert.observed_value)}</strong> in the hour to {formatDate(alert.period_end)}, against a usual <strong>{formatAnomalyValue(alert.anomaly_metric, alert.baseline_value)}</strong> per hour (anomaly above {formatAnomalyValue(alert.anomaly_metric, alert.expected_max)}).
+                                            {alert.key_suspended && ' The key was suspended automatically.'}
+                                        </div>
+                                    ) : alert.alert_type === 'forecast' ? (
+                                        <div className="alert-details">
+                                            Spend is projected to reach <strong>{formatCurrency(alert.projected_spend, alert.currency)}</strong> against a <strong>{formatCurrency(alert.budget_amount, alert.currency)}</strong> budget by the end of the period
+                                            {alert.projected_exceed_date && `, crossing it around ${new Date(`${alert.projected_exceed_date}T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' })}`}
+                                            {` (${formatCurrency(alert.actual_spend, alert.currency)} spent when forecast).`}
+                                        </div>
+                                    ) : (
                                     <div className="alert-details">
-                                        MTD Spend reached <strong>{formatCurrency(alert.actual_spend)}</strong> of <strong>{formatCurrency(alert.budget_amount)}</strong> budget.
+                                        Spend reached <strong>{formatCurrency(alert.actual_spend, alert.currency)}</strong> of <strong>{formatCurrency(alert.budget_amount, alert.currency)}</strong> budget
+                                        {alert.period_start && ` for the period starting ${new Date(alert.period_start).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`}.
                                     </div>
+                                    )}
                                 </div>
                                 <div className="alert-status">
                                     <span className="status-dot"></span>
@@ -1,8 +1,127 @@
 import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { authService, budgetService, projectService } from '../services/api';
+import { authService, budgetService, projectService, notificationService, anomalyService } from '../services/api';
 import './BudgetSettings.css';
 
+const POLICY_OPTIONS = [
+    { value: 'alert_only', label: 'Alert only' },
+    { value: 'block', label: 'Block requests' },
+    { value: 'downgrade', label: 'Downgrade model' }
+];
+
+const PERIOD_OPTIONS = [
+    { value: 'weekly', label: 'Weekly' },
+    { value: 'monthly', label: 'Monthly' },
+    { value: 'quarterly', label: 'Quarterly' },
+    { value: 'annual', label: 'Annual' },
+    { value: 'custom', label: 'Custom (days)' }
+];
+
+const DEFAULT_PERIOD = { period: 'monthly', anchor_date: '', period_days: '', timezone: 'UTC' };
+
+const DEFAULT_THRESHOLDS = [50, 75, 90, 100];
+
+const CHANNEL_OPTIONS = [
+    { value: 'email', label: 'Email', placeholder: 'finance@acme.com, ops@acme.com' },
+    { value: 'slack', label: 'Slack', placeholder: 'https://hooks.slack.com/services/...' },
+    { value: 'teams', label: 'Microsoft Teams', placeholder: 'https://...webhook.office.com/...' },
+    { value: 'webhook', label: 'Webhook (signed)', placeholder: 'https://example.com/hooks/spendai' }
+];
+
+const DEFAULT_CHANNEL = { type: 'email', name: '', target: '' };
+
+/**
+ * Convert channel form state to the API's channel fields
+ */
+function toChannelPayload(value) {
+    const target = value.target.trim();
+    const settings = {
+        email: { recipients: target },
+        slack: { webhook_url: target },
+        teams: { webhook_url: target },
+        webhook: { url: target }
+    };
+    return { type: value.type, name: value.name.trim(), ...settings[value.type] };
+}
+
+/**
+ * Period type, anchor date, custom length and timezone inputs for one budget
+ */
+function PeriodFields({ value, onChange, disabled }) {
+    const update = (field, fieldValue) => onChange({ ...value, [field]: fieldValue });
+
+    return (
+        <>
+            <select
+                className="policy-select"
+                value={value.period}
+                onChange={(e) => update('period', e.target.value)}
+                disabled={disabled}
+            >
+                {PERIOD_OPTIONS.map(o => (
+                    <option key={o.value} value={o.value}>{o.label}</option>
+                ))}
+            </select>
+            <input
+                type="date"
+                className="period-anchor-input"
+                title="A day a period starts on (e.g. April 1st for an April financial year)"
+                value={value.anchor_date}
+                onChange={(e) => update('anchor_date', e.target.value)}
+                disabled={disabled}
+            />
+            {value.period === 'custom' && (
+                <input
+                    type="number"
+                    min="1"
+                    max="366"
+                    className="period-days-input"
+                    placeholder="Days"
+                    value={value.period_days}
+                    onChange={(e) => update('period_days', e.target.value)}
+                    disabled={disabled}
+                />
+            )}
+            <input
+                type="text"
+                className="period-timezone-input"
+                placeholder="UTC"
+                title="IANA timezone, e.g. Europe/London"
+                value={value.timezone}
+                onChange={(e) => update('timezone', e.target.value)}
+                disabled={disabled}
+            />
+        </>
+    );
+}
+
+/**
+ * Convert period form state to the API's budget fields
+ */
+function toPeriodPayload(value) {
+    return {
+        period: value.period,
+        anchor_date: value.anchor_date || null,
+        period_days: value.period === 'custom' ? parseInt(value.period_days, 10) : undefined,
+        timezone: value.timezone || 'UTC'
+    };
+}
+
+/**
+ * One-line summary of a budget's end-of-period forecast
+ */
+function describeForecast(forecast) {
+    const projected = `Projected ${forecast.projected_total.toFixed(2)} ${forecast.currency} by period end (${forecast.projected_percent}% of budget)`;
+    if (!forecast.will_exceed) {
+        return projected;
+    }
+    if (!forecast.projected_exceed_date) {
+        return `${projected}, over budget`;
+    }
+    const date = new Date(`${forecast.projected_exceed_date}T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+    return `${projected}, reaching the budget around ${date}`;
+}
+
 function BudgetSettings() {
     const navigate = useNavigate();
     const [user, setUser] = useState(null);
@@ -10,8 +129,31 @@ function BudgetSettings() {
     const [saving, setSaving] = useState(false);
 
     const [orgBudget, setOrgBudget] = useState('');
+    const [orgCurrency, setOrgCurrency] = useState('USD');
+    const [reportingCurrency, setReportingCurrency] = useState('USD');
+    const [currencyInput, setCurrencyInput] = useState('USD');
+    const [orgPolicy, setOrgPolicy] = useState({ policy: 'alert_only', downgrade_model: '' });
+    const [orgPeriod, setOrgPeriod] = useState(DEFAULT_PERIOD);
+    const [orgCurrentPeriod, setOrgCurrentPeriod] = useState(null);
+    const [orgForecast, setOrgForecast] = useState(null);
+    const [projectForecasts, setProjectForecasts] = useState({});
     const [projects, setProjects] = useState([]);
     const [projectBudgets, setProjectBudgets] = useState({});
+    const [projectPolicies, setProjectPolicies] = useState({});
+    const [projectCurrencies, setProjectCurrencies] = useState({});
+    const [projectPeriods, setProjectPeriods] = useState({});
+    const [users, setUsers] = useState([]);
+    const [userBudgets, setUserBudgets] = useState({});
+    const [userPolicies, setUserPolicies] = useState({});
+    const [userPeriods, setUserPeriods] = useState({});
+    // Alert thresholds per budget, keyed 'org', 'project:<id>' or 'user:<id>'
+    const [thresholds, setThresholds] = useState({});
+    const [thresholdTarget, setThresholdTarget] = useState('org');
+    const [thresholdInput, setThresholdInput] = useState(DEFAULT_THRESHOLDS.join(', '));
+    const [channels, setChannels] = useState([]);
+    const [deliveries, setDeliveries] = useState([]);
+    const [channelForm, setChannelForm] = useState(DEFAULT_CHANNEL);
+    const [anomalySettings, setAnomalySettings] = useState({ enabled: true, sensitivity: 4, auto_suspend: false });
 
     const [message, setMessage] = useState(null);
 
@@ -24,28 +166,104 @@ function BudgetSettings() {
         const userData = authService.getUser();
         setUser(userData);
         loadBudgets();
+        loadAnomalySettings();
+        if (userData?.role === 'admin') {
+            loadChannels();
+        }
     }, [navigate]);
 
     const loadBudgets = async () => {
         try {
             setLoading(true);
-            const [summary, projectsData] = await Promise.all([
+            const [summary, projectsData, usersData] = await Promise.all([
                 budgetService.getSummary(),
-                projectService.getProjects()
+                projectService.getProjects(),
+                budgetService.getUserBudgets()
             ]);
 
+            // Budgets keep their own currency; new budgets use the reporting currency
+            const reporting = summary.success ? summary.data.reporting_currency || 'USD' : 'USD';
+            setReportingCurrency(reporting);
+            setCurrencyInput(reporting);
+
+            const loadedThresholds = {};
+
             if (summary.success) {
-                setOrgBudget(summary.data.organization.budget || '');
+                const org = summary.data.organization;
+                loadedThresholds.org = org.thresholds || DEFAULT_THRESHOLDS;
+                setOrgBudget(org.budget || '');
+                setOrgCurrency(org.budget ? org.currency : reporting);
+                setOrgPolicy({
+                    policy: org.policy || 'alert_only',
+                    downgrade_model: org.downgrade_model || ''
+                });
+                if (org.period) {
+                    setOrgPeriod({
+                        period: org.period.type,
+                        anchor_date: org.period.anchor_date || '',
+                        period_days: org.period.days || '',
+                        timezone: org.period.timezone
+                    });
+                    setOrgCurrentPeriod(org.period);
+                }
+                setOrgForecast(org.forecast || null);
+                const forecasts = {};
+                (summary.data.project_forecasts || []).forEach(f => {
+                    forecasts[f.project_id] = f;
+                });
+                setProjectForecasts(forecasts);
             }
 
             if (projectsData.success) {
-                setProjects(projectsData.data);
+                setProjects(projectsData.projects);
                 const budgets = {};
-                projectsData.data.forEach(p => {
-                    budgets[p.id] = p.monthly_budget_usd || '';
+                const policies = {};
+                const currencies = {};
+                const periods = {};
+                projectsData.projects.forEach(p => {
+                    loadedThresholds[`project:${p.id}`] = p.alert_thresholds || DEFAULT_THRESHOLDS;
+                    budgets[p.id] = p.monthly_budget || '';
+                    currencies[p.id] = p.monthly_budget ? p.budget_currency : reporting;
+                    policies[p.id] = {
+                        policy: p.budget_policy || 'alert_only',
+                        downgrade_model: p.budget_downgrade_model || ''
+                    };
+                    periods[p.id] = {
+                        period: p.budget_period || 'monthly',
+                        anchor_date: p.budget_anchor_date || '',
+                        period_days: p.budget_period_days || '',
+                        timezone: p.budget_timezone || 'UTC'
+                    };
                 });
                 setProjectBudgets(budgets);
+                setProjectPolicies(policies);
+                setProjectCurrencies(currencies);
+                setProjectPeriods(periods);
             }
+
+            if (usersData.success) {
+                setUsers(usersData.data);
+                const budgets = {};
+                const policies = {};
+                const periods = {};
+                usersData.data.forEach(u => {
+                    loadedThresholds[`user:${u.id}`] = u.thresholds || DEFAULT_THRESHOLDS;
+                    budgets[u.id] = u.budget || '';
+                    policies[u.id] = u.policy || 'alert_only';
+                    periods[u.id] = {
+                        period: u.period.type,
+                        anchor_date: u.period.anchor_date || '',
+                        period_days: u.period.days || '',
+                        timezone: u.period.timezone
+                    };
+                });
+                setUserBudgets(budgets);
+                setUserPolicies(policies);
+                setUserPeriods(periods);
+            }
+
+            setThresholds(loadedThresholds);
+            setThresholdInput((loadedThresholds[thresholdTarget] || DEFAULT_THRESHOLDS).join(', '));
         } catch (error) {
             console.error('Error loading budgets:', error);
             setMessage({ type: 'error', text: 'Failed to load budget settings.' });
@@ -54,18 +272,124 @@ function BudgetSettings() {
         }
     };
 
+    const loadAnomalySettings = async () => {
+        try {
+            const response = await anomalyService.getSettings();
+            if (response.success) setAnomalySettings(response.settings);
+        } catch (error) {
+            console.error('Error loading anomaly settings:', error);
+        }
+    };
+
+    const handleAnomalySubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setMessage(null);
+        try {
+            const response = await anomalyService.updateSettings({
+                enabled: anomalySettings.enabled,
+                sensitivity: parseFloat(anomalySettings.sensitivity),
+                auto_suspend: anomalySettings.auto_suspend
+            });
+            if (response.success) {
+                setAnomalySettings(response.settings);
+                setMessage({ type: 'success', text: 'Anomaly detection settings updated successfully.' });
+            }
+        } catch (error) {
+            setMessage({ type: 'error', text: error.response?.data?.error || 'Failed to update anomaly detection settings.' });
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const loadChannels = async () => {
+        try {
+            const [channelsData, deliveriesData] = await Promise.all([
+                notificationService.getChannels(),
+                notificationService.getDeliveries({ limit: 10 })
+            ]);
+            if (channelsData.success) setChannels(channelsData.channels);
+            if (deliveriesData.success) setDeliveries(deliveriesData.deliveries);
+        } catch (error) {
+            console.error('Error loading notification channels:', error);
+        }
+    };
+
+    const handleChannelSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setMessage(null);
+        try {
+            const response = await notificationService.createChannel(toChannelPayload(channelForm));
+            if (response.success) {
+                const secret = response.channel.signing_secret;
+                setMessage({
+                    type: 'success',
+                    text: secret
+                        ? `Channel added. Signing secret (shown once): ${secret}`
+                        : 'Channel added. Send a test notification to check it.'
+                });
+                setChannelForm(DEFAULT_CHANNEL);
+                loadChannels();
+            }
+        } catch (error) {
+            setMessage({ type: 'error', text: error.response?.data?.error || 'Failed to add channel.' });
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const toggleChannel = async (channel) => {
+        setMessage(null);
+        try {
+            const response = await notificationService.updateChannel(channel.id, { is_active: !channel.is_active });
+            if (response.success) {
+                setChannels(prev => prev.map(c => (c.id === channel.id ? response.channel : c)));
+            }
+        } catch (error) {
+            setMessage({ type: 'error', text: error.response?.data?.error || 'Failed to update channel.' });
+        }
+    };
+
+    const testChannel = async (channel) => {
+        setMessage(null);
+        try {
+            const response = await notificationService.testChannel(channel.id);
+            setMessage(response.success
+                ? { type: 'success', text: `Test notification sent to ${channel.name}.` }
+                : { type: 'error', text: `Test notification failed: ${response.error}` });
+        } catch (error) {
+            setMessage({ type: 'error', text: error.response?.data?.error || 'Failed to send test notification.' });
+        } finally {
+            loadChannels();
+        }
+    };
+
+    const deleteChannel = async (channel) => {
+        if (!window.confirm(`Delete the "${channel.name}" channel?`)) return;
+        setMessage(null);
+        try {
+            await notificationService.deleteChannel(channel.id);
+            loadChannels();
+        } catch (error) {
+            setMessage({ type: 'error', text: error.response?.data?.error || 'Failed to delete channel.' });
+        }
+    };
+
     const handleOrgBudgetSubmit = async (e) => {
         e.preventDefault();
         setSaving(true);
         setMessage(null);
         try {
             const amount = orgBudget === '' ? 0 : parseFloat(orgBudget);
-            const response = await budgetService.updateOrgBudget(amount);
+            const response = await budgetService.updateOrgBudget(amount, orgPolicy, orgCurrency, toPeriodPayload(orgPeriod));
             if (response.success) {
                 setMessage({ type: 'success', text: 'Organization budget updated successfully.' });
+                const summary = await budgetService.getSummary();
+                if (summary.success) setOrgCurrentPeriod(summary.data.organization.period);
             }
         } catch (error) {
-            setMessage({ type: 'error', text: 'Failed to update organization budget.' });
+            setMessage({ type: 'error', text: error.response?.data?.error || 'Failed to update organization budget.' });
         } finally {
             setSaving(false);
         }
@@ -78,16 +402,93 @@ function BudgetSettings() {
         }));
     };
 
+    const handleProjectPolicyChange = (projectId, field, value) => {
+        setProjectPolicies(prev => ({
+            ...prev,
+            [projectId]: { ...prev[projectId], [field]: value }
+        }));
+    };
+
+    const handleProjectPeriodChange = (projectId, value) => {
+        setProjectPeriods(prev => ({
+            ...prev,
+            [projectId]: value
+        }));
+    };
+
     const saveProjectBudget = async (projectId) => {
         setMessage(null);
         try {
             const amount = projectBudgets[projectId] === '' ? 0 : parseFloat(projectBudgets[projectId]);
-            const response = await budgetService.updateProjectBudget(projectId, amount);
+            const response = await budgetService.updateProjectBudget(projectId, amount, projectPolicies[projectId], projectCurrencies[projectId], toPeriodPayload(projectPeriods[projectId] || DEFAULT_PERIOD));
             if (response.success) {
                 setMessage({ type: 'success', text: 'Project budget updated successfully.' });
             }
         } catch (error) {
-            setMessage({ type: 'error', text: 'Failed to update project budget.' });
+            setMessage({ type: 'error', text: error.response?.data?.error || 'Failed to update project budget.' });
+        }
+    };
+
+    const saveUserBudget = async (userId) => {
+        setMessage(null);
+        try {
+            const amount = userBudgets[userId] === '' ? 0 : parseFloat(userBudgets[userId]);
+            const existing = users.find(u => u.id === userId);
+            const currency = existing?.budget ? existing.currency : reportingCurrency;
+            const response = await budgetService.updateUserBudget(userId, amount, { policy: userPolicies[userId] }, currency, toPeriodPayload(userPeriods[userId] || DEFAULT_PERIOD));
+            if (response.success) {
+                setMessage({ type: 'success', text: 'User budget updated successfully.' });
+            }
+        } catch (error) {
+            setMessage({ type: 'error', text: error.response?.data?.error || 'Failed to update user budget.' });
+        }
+    };
+
+    const handleThresholdTargetChange = (target) => {
+        setThresholdTarget(target);
+        setThresholdInput((thresholds[target] || DEFAULT_THRESHOLDS).join(', '));
+    };
+
+    const handleThresholdSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setMessage(null);
+        try {
+            const values = thresholdInput
+                .split(',')
+                .map(v => v.trim().replace('%', ''))
+                .filter(v => v !== '')
+                .map(Number);
+
+            const [level, id] = thresholdTarget === 'org' ? ['org', null] : thresholdTarget.split(':');
+            const response = await budgetService.updateThresholds(level, id, values);
+            if (response.success) {
+                setThresholds(prev => ({ ...prev, [thresholdTarget]: response.data.alert_thresholds }));
+                setThresholdInput(response.data.alert_thresholds.join(', '));
+                setMessage({ type: 'success', text: 'Alert thresholds updated successfully.' });
+            }
+        } catch (error) {
+            setMessage({ type: 'error', text: error.response?.data?.error || 'Failed to update alert thresholds.' });
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleCurrencySubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setMessage(null);
+        try {
+            const currency = currencyInput.trim().toUpperCase();
+            const response = await budgetService.updateReportingCurrency(currency);
+            if (response.success) {
+                setReportingCurrency(currency);
+                setMessage({ type: 'success', text: `Reporting currency set to ${currency}. Existing budgets keep their currency.` });
+            }
+        } catch (error) {
+            setMessage({ type: 'error', text: error.response?.data?.error || 'Failed to update reporting currency.' });
+        } finally {
+            setSaving(false);
         }
     };
 
@@ -119,7 +520,7 @@ function BudgetSettings() {
             <main className="dashboard-main">
                 <div className="container narrow">
                     <div className="page-header">
-                        <h1>Budget & Alerts <span className="badge badge-secondary">Advisory</span></h1>
+                        <h1>Budget & Alerts</h1>
                         <p>Configure spend limits and threshold notifications.</p>
                     </div>
 
@@ -132,19 +533,46 @@ function BudgetSettings() {
                     <div className="info-box-large fade-in">
                         <span className="info-icon">💡</span>
                         <div className="info-content">
-                            <h3>Soft Governance Mode</h3>
-                            <p>Budgets in SpendAI are currently <strong>advisory</strong>. Exceeding a budget will trigger alerts but will <strong>not</strong> block your API requests or disable keys. This ensures business continuity while maintaining spend visibility.</p>
+                            <h3>Enforcement Policies</h3>
+                            <p>Each budget has a policy for when it is exhausted. <strong>Alert only</strong> records alerts and keeps serving requests. <strong>Block</strong> rejects proxy requests with a 429 error. <strong>Downgrade</strong> rewrites requests to a cheaper model you choose.</p>
                         </div>
                     </div>
 
+                    <section className="settings-section glass fade-in">
+                        <div className="section-header">
+                            <h2>Reporting Currency</h2>
+                            <p>Analytics and new budgets use this currency. Costs are converted from USD at each day's FX rate.</p>
+                        </div>
+                        <form onSubmit={handleCurrencySubmit} className="budget-form">
+                            <div className="form-group-inline">
+                                <input
+                                    type="text"
+                                    maxLength={3}
+                                    placeholder="USD"
+                                    value={currencyInput}
+                                    onChange={(e) => setCurrencyInput(e.target.value.toUpperCase())}
+                                    disabled={!isAdmin || saving}
+                                    className="input-large"
+                                />
+                                <button
+                                    type="submit"
+                                    className="btn btn-primary"
+                                    disabled={!isAdmin || saving || currencyInput === reportingCurrency}
+                                >
+                                    Save Currency
+                                </button>
+                            </div>
+                        </form>
+                    </section>
+
                     <section className="settings-section glass fade-in">
                         <div className="section-header">
                             <h2>Organization Budget</h2>
-                            <p>Global monthly spend limit for all projects.</p>
+                            <p>Global spend limit per budget period for all projects.</p>
                         </div>
                         <form onSubmit={handleOrgBudgetSubmit} className="budget-form">
                             <div className="form-group-inline">
-                                <div className="input-prefix">$</div>
+                                <div className="input-prefix">{orgCurrency}</div>
                                 <input
                                     type="number"
                                     step="0.01"
@@ -163,6 +591,44 @@ function BudgetSettings() {
                                     {saving ? 'Saving...' : 'Save Global Budget'}
                                 </button>
                             </div>
+                            <div className="policy-row">
+                                <label className="policy-label" htmlFor="orgPolicy">When exhausted</label>
+                                <select
+                                    id="orgPolicy"
+                                    className="policy-select"
+                                    value={orgPolicy.policy}
+                                    onChange={(e) => setOrgPolicy({ ...orgPolicy, policy: e.target.value })}
+                                    disabled={!isAdmin || saving}
+                                >
+                                    {POLICY_OPTIONS.map(o => (
+                                        <option key={o.value} value={o.value}>{o.label}</option>
+                                    ))}
+                                </select>
+                                {orgPolicy.policy === 'downgrade' && (
+                                    <input
+                                        type="text"
+                                        className="policy-model-input"
+                                        placeholder="e.g. gpt-4o-mini"
+                                        value={orgPolicy.downgrade_model}
+                                        onChange={(e) => setOrgPolicy({ ...orgPolicy, downgrade_model: e.target.value })}
+                                        disabled={!isAdmin || saving}
+                                    />
+                                )}
+                            </div>
+                            <div className="policy-row">
+                                <label className="policy-label">Budget period</label>
+                                <PeriodFields value={orgPeriod} onChange={setOrgPeriod} disabled={!isAdmin || saving} />
+                            </div>
+                            {orgCurrentPeriod && (
+                                <p className="hint">
+                                    Current period: {new Date(orgCurrentPeriod.start).toLocaleDateString()} – {new Date(new Date(orgCurrentPeriod.end).getTime() - 1).toLocaleDateString()} ({orgCurrentPeriod.timezone})
+                                </p>
+                            )}
+                            {orgForecast && orgForecast.budget && (
+                                <p className={`hint ${orgForecast.will_exceed ? 'forecast-exceed' : ''}`}>
+                                    {describeForecast(orgForecast)}
+                                </p>
+                            )}
                             {!isAdmin && <p className="hint">Contact your administrator to change budgets.</p>}
                         </form>
                     </section>
@@ -178,9 +644,14 @@ function BudgetSettings() {
                                     <div className="pbi-info">
                                         <span className="pbi-name">{p.name}</span>
                                         <span className="pbi-id">ID: {p.id.substring(0, 8)}...</span>
+                                        {projectForecasts[p.id]?.budget && (
+                                            <span className={`pbi-id ${projectForecasts[p.id].will_exceed ? 'forecast-exceed' : ''}`}>
+                                                {describeForecast(projectForecasts[p.id])}
+                                            </span>
+                                        )}
                                     </div>
                                     <div className="pbi-action">
-                                        <div className="input-prefix-sm">$</div>
+                                        <div className="input-prefix-sm">{projectCurrencies[p.id] || reportingCurrency}</div>
                                         <input
                                             type="number"
                                             step="1"
@@ -190,6 +661,31 @@ function BudgetSettings() {
                                             onChange={(e) => handleProjectBudgetChange(p.id, e.target.value)}
                                             disabled={!isAdmin}
                                         />
+                                        <select
+                                            className="policy-select"
+                                            value={projectPolicies[p.id]?.policy || 'alert_only'}
+                                            onChange={(e) => handleProjectPolicyChange(p.id, 'policy', e.target.value)}
+                                            disabled={!isAdmin}
+                                        >
+                                            {POLICY_OPTIONS.map(o => (
+                                                <option key={o.value} value={o.value}>{o.label}</option>
+                                            ))}
+                                        </select>
+                                        {projectPolicies[p.id]?.policy === 'downgrade' && (
+                                            <input
+                                                type="text"
+                                                className="policy-model-input"
+                                                placeholder="Model"
+                                                value={projectPolicies[p.id]?.downgrade_model || ''}
+                                                onChange={(e) => handleProjectPolicyChange(p.id, 'downgrade_model', e.target.value)}
+                                                disabled={!isAdmin}
+                                            />
+                                        )}
+                                        <PeriodFields
+                                            value={projectPeriods[p.id] || DEFAULT_PERIOD}
+                                            onChange={(value) => handleProjectPeriodChange(p.id, value)}
+                                            disabled={!isAdmin}
+                                        />
                                         <button
                                             className="btn btn-sm btn-outline"
                                             onClick={() => saveProjectBudget(p.id)}
@@ -204,22 +700,262 @@ function BudgetSettings() {
                         </div>
                     </section>
 
+                    <section className="settings-section glass fade-in" style={{ animationDelay: '0.15s' }}>
+                        <div className="section-header">
+                            <h2>User Budgets</h2>
+                            <p>Limits per developer, covering every proxy key assigned to them. Key budgets are set on each project's keys.</p>
+                        </div>
+                        <div className="project-budget-list">
+                            {users.map(u => (
+                                <div key={u.id} className="project-budget-item">
+                                    <div className="pbi-info">
+                                        <span className="pbi-name">{u.email}</span>
+                                        <span className="pbi-id">
+                                            {u.key_count} assigned key{u.key_count === 1 ? '' : 's'}
+                                            {u.budget > 0 && ` • ${u.actual_spend.toFixed(2)} of ${u.budget} ${u.currency} this period`}
+                                        </span>
+                                    </div>
+                                    <div className="pbi-action">
+                                        <div className="input-prefix-sm">{u.budget > 0 ? u.currency : reportingCurrency}</div>
+                                        <input
+                                            type="number"
+                                            step="1"
+                                            min="0"
+                                            placeholder="No limit"
+                                            value={userBudgets[u.id] || ''}
+                                            onChange={(e) => setUserBudgets(prev => ({ ...prev, [u.id]: e.target.value }))}
+                                            disabled={!isAdmin}
+                                        />
+                                        <select
+                                            className="policy-select"
+                                            value={userPolicies[u.id] || 'alert_only'}
+                                            onChange={(e) => setUserPolicies(prev => ({ ...prev, [u.id]: e.target.value }))}
+                                            disabled={!isAdmin}
+                                        >
+                                            {POLICY_OPTIONS.filter(o => o.value !== 'downgrade').map(o => (
+                                                <option key={o.value} value={o.value}>{o.label}</option>
+                                            ))}
+                                        </select>
+                                        <PeriodFields
+                                            value={userPeriods[u.id] || DEFAULT_PERIOD}
+                                            onChange={(value) => setUserPeriods(prev => ({ ...prev, [u.id]: value }))}
+                                            disabled={!isAdmin}
+                                        />
+                                        <button
+                                            className="btn btn-sm btn-outline"
+                                            onClick={() => saveUserBudget(u.id)}
+                                            disabled={!isAdmin}
+                                        >
+                                            Save
+                                        </button>
+                                    </div>
+                                </div>
+                            ))}
+                            {users.length === 0 && <p className="text-center py-4">No users found.</p>}
+                        </div>
+                    </section>
+
                     <section className="settings-section glass fade-in" style={{ animationDelay: '0.2s' }}>
                         <div className="section-header">
                             <h2>Threshold Notifications</h2>
-                            <p>SpendAI triggers internal alerts at these usage levels:</p>
+                            <p>SpendAI triggers internal alerts at these usage levels. Levels above 100% alert on overspend.</p>
+                        </div>
+                        <form onSubmit={handleThresholdSubmit} className="budget-form">
+                            <div className="policy-row">
+                                <label className="policy-label" htmlFor="thresholdTarget">Budget</label>
+                                <select
+                                    id="thresholdTarget"
+                                    className="policy-select"
+                                    value={thresholdTarget}
+                                    onChange={(e) => handleThresholdTargetChange(e.target.value)}
+                                    disabled={saving}
+                                >
+                                    <option value="org">Organization</option>
+                                    {projects.map(p => (
+                                        <option key={p.id} value={`project:${p.id}`}>Project: {p.name}</option>
+                                    ))}
+                                    {users.map(u => (
+                                        <option key={u.id} value={`user:${u.id}`}>User: {u.email}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div className="threshold-grid">
+                                {(thresholds[thresholdTarget] || DEFAULT_THRESHOLDS).map(t => (
+                                    <div key={t} className={`threshold-item ${t >= 100 ? 'total' : ''}`}>{t}%</div>
+                                ))}
+                            </div>
+                            <div className="form-group-inline">
+                                <input
+                                    type="text"
+                                    placeholder="50, 75, 90, 100, 120"
+                                    value={thresholdInput}
+                                    onChange={(e) => setThresholdInput(e.target.value)}
+                                    disabled={!isAdmin || saving}
+                                    className="input-large"
+                                />
+                                <button
+                                    type="submit"
+                                    className="btn btn-primary"
+                                    disabled={!isAdmin || saving}
+                                >
+                                    Save Thresholds
+                                </button>
+                            </div>
+                        </form>
+                        <div className="info-box">
+                            <span className="info-icon">ℹ️</span>
+                            <p>Every threshold crossed is logged, once per budget period, to prevent noise. Request traffic is only blocked or downgraded for budgets with a Block or Downgrade policy.</p>
                         </div>
-                        <div className="threshold-grid">
-                            <div className="threshold-item">50%</div>
-                            <div className="threshold-item">75%</div>
-                            <div className="threshold-item">90%</div>
-                            <div className="threshold-item total">100%</div>
+                    </section>
+
+                    <section className="settings-section glass fade-in" style={{ animationDelay: '0.22s' }}>
+                        <div className="section-header">
+                            <h2>Anomaly Detection</h2>
+                            <p>Every 10 minutes, the last hour of spend, requests and tokens of each proxy key and project is compared with its hourly baseline over the past week.</p>
                         </div>
+                        <form onSubmit={handleAnomalySubmit} className="budget-form">
+                            <div className="policy-row">
+                                <label className="policy-label" htmlFor="anomalyEnabled">Detection</label>
+                                <select
+                                    id="anomalyEnabled"
+                                    className="policy-select"
+                                    value={anomalySettings.enabled ? 'on' : 'off'}
+                                    onChange={(e) => setAnomalySettings(prev => ({ ...prev, enabled: e.target.value === 'on' }))}
+                                    disabled={!isAdmin || saving}
+                                >
+                                    <option value="on">Enabled</option>
+                                    <option value="off">Disabled</option>
+                                </select>
+                            </div>
+                            <div className="policy-row">
+                                <label className="policy-label" htmlFor="anomalySensitivity">Sensitivity</label>
+                                <input
+                                    id="anomalySensitivity"
+                                    type="number"
+                                    min="2"
+                                    max="10"
+                                    step="0.5"
+                                    className="policy-select"
+                                    value={anomalySettings.sensitivity}
+                                    onChange={(e) => setAnomalySettings(prev => ({ ...prev, sensitivity: e.target.value }))}
+                                    disabled={!isAdmin || saving || !anomalySettings.enabled}
+                                />
+                                <span className="hint">standard deviations above the baseline (lower = more alerts)</span>
+                            </div>
+                            <div className="policy-row">
+                                <label className="policy-label" htmlFor="anomalyAutoSuspend">On a key anomaly</label>
+                                <select
+                                    id="anomalyAutoSuspend"
+                                    className="policy-select"
+                                    value={anomalySettings.auto_suspend ? 'suspend' : 'alert'}
+                                    onChange={(e) => setAnomalySettings(prev => ({ ...prev, auto_suspend: e.target.value === 'suspend' }))}
+                                    disabled={!isAdmin || saving || !anomalySettings.enabled}
+                                >
+                                    <option value="alert">Alert only</option>
+                                    <option value="suspend">Alert and suspend the key</option>
+                                </select>
+                            </div>
+                            {isAdmin && (
+                                <button type="submit" className="btn btn-primary" disabled={saving}>
+                                    Save Anomaly Settings
+                                </button>
+                            )}
+                        </form>
                         <div className="info-box">
                             <span className="info-icon">ℹ️</span>
-                            <p>Alerts are logged once per month per threshold to prevent noise. Request traffic is never blocked even if budgets are exceeded.</p>
+                            <p>Suspended keys are rejected like revoked keys until an admin reactivates them on the project page.</p>
                         </div>
                     </section>
+
+                    {isAdmin && (
+                        <section className="settings-section glass fade-in" style={{ animationDelay: '0.25s' }}>
+                            <div className="section-header">
+                                <h2>Notification Channels</h2>
+                                <p>Every new alert is sent to the active channels. Failed deliveries are retried with backoff.</p>
+                            </div>
+                            <div className="project-budget-list">
+                                {channels.map(c => (
+                                    <div key={c.id} className="project-budget-item">
+                                        <div className="pbi-info">
+                                            <span className="pbi-name">{c.name}</span>
+                                            <span className="pbi-id">
+                                                {CHANNEL_OPTIONS.find(o => o.value === c.type)?.label} • {c.target}
+                                                {!c.is_active && ' • paused'}
+                                            </span>
+                                        </div>
+                                        <div className="pbi-action">
+                                            <button className="btn btn-sm btn-outline" onClick={() => testChannel(c)}>
+                                                Send Test
+                                            </button>
+                                            <button className="btn btn-sm btn-outline" onClick={() => toggleChannel(c)}>
+                                                {c.is_active ? 'Pause' : 'Resume'}
+                                            </button>
+                                            <button className="btn btn-sm btn-outline" onClick={() => deleteChannel(c)}>
+                                                Delete
+                                            </button>
+                                        </div>
+                                    </div>
+                                ))}
+                                {channels.length === 0 && <p className="text-center py-4">No channels yet. Alerts are only shown on the Alerts page.</p>}
+                            </div>
+                            <form onSubmit={handleChannelSubmit} className="budget-form">
+                                <div className="policy-row">
+                                    <select
+                                        className="policy-select"
+                                        value={channelForm.type}
+                                        onChange={(e) => setChannelForm({ ...channelForm, type: e.target.value })}
+                                        disabled={saving}
+                                    >
+                                        {CHANNEL_OPTIONS.map(o => (
+                                            <option key={o.value} value={o.value}>{o.label}</option>
+                                        ))}
+                                    </select>
+                                    <input
+                                        type="text"
+                                        className="channel-name-input"
+                                        placeholder="Name"
+                                        maxLength={100}
+                                        value={channelForm.name}
+                                        onChange={(e) => setChannelForm({ ...channelForm, name: e.target.value })}
+                                        disabled={saving}
+                                    />
+                                </div>
+                                <div className="form-group-inline">
+                                    <input
+                                        type="text"
+                                        placeholder={CHANNEL_OPTIONS.find(o => o.value === channelForm.type).placeholder}
+                                        value={channelForm.target}
+                                        onChange={(e) => setChannelForm({ ...channelForm, target: e.target.value })}
+                                        disabled={saving}
+                                        className="input-large"
+                                    />
+                                    <button
+                                        type="submit"
+                                        className="btn btn-primary"
+                                        disabled={saving || !channelForm.name.trim() || !channelForm.target.trim()}
+                                    >
+                                        Add Channel
+                                    </button>
+                                </div>
+                            </form>
+                            {deliveries.length > 0 && (
+                                <div className="delivery-list">
+                                    <h3>Recent deliveries</h3>
+                                    {deliveries.map(d => (
+                                        <div key={d.id} className="delivery-item">
+                                            <span className={`delivery-status ${d.status}`}>{d.status}</span>
+                                            <span>{d.notification_channels?.name}{d.is_test && ' (test)'}</span>
+                                            <span className="delivery-meta">
+                                                {new Date(d.created_at).toLocaleString()}
+                                                {d.attempts > 1 && ` • ${d.attempts} attempts`}
+                                                {d.last_error && ` • ${d.last_error}`}
+                                            </span>
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+                        </section>
+                    )}
                 </div>
             </main>
         </div>
@@ -2,13 +2,28 @@ import { useEffect, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import {
     LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer,
-    BarChart, Bar, Cell, PieChart, Pie
+    BarChart, Bar, Cell, PieChart, Pie, Legend
 } from 'recharts';
-import { authService, analyticsService } from '../services/api';
+import { authService, analyticsService, budgetService, exportService } from '../services/api';
 import './Dashboard.css';
 
 const COLORS = ['#6366f1', '#8b5cf6', '#ec4899', '#f43f5e', '#ef4444', '#f59e0b', '#10b981', '#06b6d4'];
 
+const BREAKDOWN_GROUPS = [
+    { value: '', label: 'No grouping' },
+    { value: 'project', label: 'Project' },
+    { value: 'model', label: 'Model' },
+    { value: 'key', label: 'Proxy key' },
+    { value: 'provider', label: 'Provider' },
+    { value: 'user', label: 'User' },
+    { value: 'tag', label: 'Tag' }
+];
+
+// Range shown per granularity (days)
+const BREAKDOWN_RANGES = { hour: 2, day: 30, week: 84, month: 365 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 function Dashboard() {
     const navigate = useNavigate();
     const [user, setUser] = useState(null);
@@ -16,10 +31,17 @@ function Dashboard() {
     const [error, setError] = useState(null);
 
     // Analytics State
-    const [summary, setSummary] = useState({ month_to_date: 0, last_7_days: 0, last_30_days: 0 });
+    const [summary, setSummary] = useState({ month_to_date: 0, last_7_days: 0, last_30_days: 0, month_to_date_reporting: 0 });
     const [dailySpend, setDailySpend] = useState([]);
     const [projectSpend, setProjectSpend] = useState([]);
     const [modelSpend, setModelSpend] = useState([]);
+    const [reliability, setReliability] = useState(null);
+    const [forecast, setForecast] = useState(null);
+    const [projectForecasts, setProjectForecasts] = useState([]);
+    const [breakdown, setBreakdown] = useState({ group_by: 'model', granularity: 'day', metric: 'cost' });
+    const [breakdownData, setBreakdownData] = useState(null);
+    const [exportOptions, setExportOptions] = useState({ dataset: 'usage', format: 'csv' });
+    const [exporting, setExporting] = useState(false);
 
     useEffect(() => {
         const init = async () => {
@@ -64,24 +86,105 @@ function Dashboard() {
     }, [navigate]);
 
     const fetchAnalytics = async () => {
-        const [sumData, dailyData, projectData, modelData, budgetData] = await Promise.all([
+        const [sumData, dailyData, projectData, modelData, budgetData, reliabilityData] = await Promise.all([
             analyticsService.getSummary(),
             analyticsService.getDailySpend(),
             analyticsService.getProjectSpend(),
             analyticsService.getModelSpend(),
-            budgetService.getSummary()
+            budgetService.getSummary(),
+            analyticsService.getReliability()
         ]);
 
         if (sumData.success) {
             const mergedSummary = { ...sumData.data };
             if (budgetData.success) {
-                mergedSummary.budget = budgetData.data.organization.budget;
+                // Budget and its MTD spend are in the budget's own currency
+                const org = budgetData.data.organization;
+                mergedSummary.budget = org.budget;
+                mergedSummary.budget_currency = org.currency;
+                mergedSummary.budget_spend = org.actual_spend;
             }
             setSummary(mergedSummary);
         }
+        if (budgetData.success) {
+            setForecast(budgetData.data.organization.forecast);
+            setProjectForecasts(budgetData.data.project_forecasts || []);
+        }
         if (dailyData.success) setDailySpend(dailyData.data);
         if (projectData.success) setProjectSpend(projectData.data);
         if (modelData.success) setModelSpend(modelData.data);
+        if (reliabilityData.success) setReliability(reliabilityData.data);
+    };
+
+    useEffect(() => {
+        if (loading) return;
+
+        const fetchBreakdown = async () => {
+            try {
+                const result = await analyticsService.query({
+                    start: new Date(Date.now() - BREAKDOWN_RANGES[breakdown.granularity] * DAY_MS).toISOString(),
+                    granularity: breakdown.granularity,
+                    group_by: breakdown.group_by || undefined,
+                    limit: 7
+                });
+                if (result.success) setBreakdownData(result.data);
+            } catch (err) {
+                console.error('Breakdown query error:', err);
+                setBreakdownData(null);
+            }
+        };
+
+        fetchBreakdown();
+    }, [loading, breakdown.group_by, breakdown.granularity]);
+
+    // One chart row per bucket, one stacked key per series
+    const breakdownRows = breakdownData ? breakdownData.buckets.map((bucket, i) => {
+        const row = { bucket };
+        breakdownData.series.forEach((series, s) => {
+            row[`s${s}`] = series.points[i][breakdown.metric];
+        });
+        return row;
+    }) : [];
+
+    const formatBucket = (bucket) => {
+        const date = new Date(bucket);
+        if (breakdownData?.query.granularity === 'hour') {
+            return date.toLocaleTimeString('en-US', { hour: 'numeric', timeZone: 'UTC' });
+        }
+        if (breakdownData?.query.granularity === 'month') {
+            return date.toLocaleDateString('en-US', { month: 'short', year: '2-digit', timeZone: 'UTC' });
+        }
+        return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+    };
+
+    const formatBreakdownValue = (val) => {
+        if (breakdown.metric === 'cost') return formatCurrency(val, breakdownData?.currency);
+        return new Intl.NumberFormat('en-US').format(val);
+    };
+
+    const handleExport = async () => {
+        setExporting(true);
+        try {
+            if (exportOptions.dataset === 'report') {
+                // Same range and grouping as the Custom Breakdown chart
+                await exportService.download('report', {
+                    format: exportOptions.format,
+                    start: new Date(Date.now() - BREAKDOWN_RANGES[breakdown.granularity] * DAY_MS).toISOString(),
+                    granularity: breakdown.granularity,
+                    group_by: breakdown.group_by || undefined
+                });
+            } else {
+                await exportService.download('usage', {
+                    format: exportOptions.format,
+                    start: new Date(Date.now() - 30 * DAY_MS).toISOString()
+                });
+            }
+        } catch (err) {
+            console.error('Export error:', err);
+            setError('Failed to export data.');
+        } finally {
+            setExporting(false);
+        }
     };
 
     const handleLogout = () => {
@@ -89,10 +192,15 @@ function Dashboard() {
         navigate('/login');
     };
 
-    const formatCurrency = (val) => {
+    // Forecast days are YYYY-MM-DD in the budget's timezone
+    const formatForecastDate = (dateStr) => {
+        return new Date(`${dateStr}T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+    };
+
+    const formatCurrency = (val, currency = summary.currency || 'USD') => {
         return new Intl.NumberFormat('en-US', {
             style: 'currency',
-            currency: 'USD',
+            currency,
             minimumFractionDigits: 2,
             maximumFractionDigits: 6
         }).format(val);
@@ -133,8 +241,30 @@ function Dashboard() {
             <main className="dashboard-main">
                 <div className="container">
                     <div className="dashboard-intro">
-                        <h1>Executive Dashboard</h1>
-                        <p>Real-time AI spend analytics for <strong>{user?.organization?.name}</strong></p>
+                        <div>
+                            <h1>Executive Dashboard</h1>
+                            <p>Real-time AI spend analytics for <strong>{user?.organization?.name}</strong></p>
+                        </div>
+                        <div className="export-controls">
+                            <select
+                                value={exportOptions.dataset}
+                                onChange={(e) => setExportOptions({ ...exportOptions, dataset: e.target.value })}
+                            >
+                                <option value="usage">Usage logs (30d)</option>
+                                <option value="report">Breakdown report</option>
+                            </select>
+                            <select
+                                value={exportOptions.format}
+                                onChange={(e) => setExportOptions({ ...exportOptions, format: e.target.value })}
+                            >
+                                <option value="csv">CSV</option>
+                                <option value="ndjson">NDJSON</option>
+                                <option value="parquet">Parquet</option>
+                            </select>
+                            <button className="btn btn-secondary btn-sm" onClick={handleExport} disabled={exporting}>
+                                {exporting ? 'Exporting...' : 'Export'}
+                            </button>
+                        </div>
                     </div>
 
                     {error && <div className="alert alert-error">{error}</div>}
@@ -144,25 +274,41 @@ function Dashboard() {
                         <div className="summary-card glass">
                             <span className="summary-label">Month to Date</span>
                             <div className="summary-main">
-                                <h2 className="summary-value">{formatCurrency(summary.month_to_date)}</h2>
+                                <h2 className="summary-value">{formatCurrency(summary.month_to_date_reporting)}</h2>
                                 {summary.budget > 0 && (
                                     <div className="budget-progress-container">
                                         <div className="budget-progress-bar">
                                             <div
-                                                className={`budget-progress-fill ${summary.month_to_date > summary.budget ? 'exceeded' : ''}`}
-                                                style={{ width: `${Math.min(100, (summary.month_to_date / summary.budget) * 100)}%` }}
+                                                className={`budget-progress-fill ${summary.budget_spend > summary.budget ? 'exceeded' : ''}`}
+                                                style={{ width: `${Math.min(100, (summary.budget_spend / summary.budget) * 100)}%` }}
                                             ></div>
                                         </div>
                                         <span className="budget-progress-text">
-                                            {((summary.month_to_date / summary.budget) * 100).toFixed(1)}% of ${summary.budget} budget
+                                            {((summary.budget_spend / summary.budget) * 100).toFixed(1)}% of {formatCurrency(summary.budget, summary.budget_currency)} budget
                                         </span>
                                     </div>
                                 )}
                             </div>
+                            {summary.negotiated_savings_month_to_date_reporting > 0 && (
+                                <span className="summary-subtext">
+                                    {formatCurrency(summary.negotiated_savings_month_to_date_reporting)} saved by negotiated rates
+                                </span>
+                            )}
                         </div>
+                        {forecast && (
+                            <div className="summary-card glass">
+                                <span className="summary-label">Projected This Period</span>
+                                <h2 className="summary-value">{formatCurrency(forecast.projected_total, forecast.currency)}</h2>
+                                <span className={`summary-subtext ${forecast.will_exceed ? 'forecast-exceed' : ''}`}>
+                                    {forecast.budget
+                                        ? `${forecast.projected_percent}% of budget${forecast.will_exceed && forecast.projected_exceed_date ? ` • reached ~${formatForecastDate(forecast.projected_exceed_date)}` : ''}`
+                                        : forecast.history_days > 0 ? `Trend of the last ${forecast.history_days} days` : 'No spend history yet'}
+                                </span>
+                            </div>
+                        )}
                         <div className="summary-card glass highlight" onClick={() => navigate('/budgets')}>
                             <span className="summary-label">Budget Settings</span>
-                            <h2 className="summary-value">{summary.budget > 0 ? formatCurrency(summary.budget) : 'Set Limit'}</h2>
+                            <h2 className="summary-value">{summary.budget > 0 ? formatCurrency(summary.budget, summary.budget_currency) : 'Set Limit'}</h2>
                             <span className="summary-link">Manage Budgets →</span>
                         </div>
                         <div className="summary-card glass highlight" onClick={() => navigate('/alerts')}>
@@ -170,6 +316,19 @@ function Dashboard() {
                             <h2 className="summary-value">🛡️ View</h2>
                             <span className="summary-link">Check Status →</span>
                         </div>
+                        <div className="summary-card glass">
+                            <span className="summary-label">Success Rate (30d)</span>
+                            <h2 className="summary-value">
+                                {reliability && reliability.total_requests > 0
+                                    ? `${((1 - reliability.error_rate) * 100).toFixed(1)}%`
+                                    : '—'}
+                            </h2>
+                            {reliability && (
+                                <span className="summary-subtext">
+                                    {reliability.outcomes.error + reliability.outcomes.failed} errors • {reliability.outcomes.rejected} rejected
+                                </span>
+                            )}
+                        </div>
                         <div className="summary-card glass highlight" onClick={() => navigate('/projects')}>
                             <span className="summary-label">Active Projects</span>
                             <h2 className="summary-value">{projectSpend.length}</h2>
@@ -201,7 +360,7 @@ function Dashboard() {
                                     />
                                     <Line
                                         type="monotone"
-                                        dataKey="total_spend"
+                                        dataKey="total_spend_reporting"
                                         name="Daily Spend"
                                         stroke="#6366f1"
                                         strokeWidth={3}
@@ -213,6 +372,72 @@ function Dashboard() {
                         </div>
                     </div>
 
+                    {/* Custom Breakdown (analytics query) */}
+                    <div className="chart-container glass fade-in">
+                        <div className="chart-header breakdown-header">
+                            <div>
+                                <h3>Custom Breakdown</h3>
+                                <p>
+                                    {breakdownData
+                                        ? `Total: ${formatBreakdownValue(breakdownData.totals[breakdown.metric])}`
+                                        : 'Usage over time by any dimension'}
+                                </p>
+                            </div>
+                            <div className="breakdown-controls">
+                                <select
+                                    value={breakdown.metric}
+                                    onChange={(e) => setBreakdown({ ...breakdown, metric: e.target.value })}
+                                >
+                                    <option value="cost">Spend</option>
+                                    <option value="requests">Requests</option>
+                                    <option value="tokens_total">Tokens</option>
+                                </select>
+                                <select
+                                    value={breakdown.group_by}
+                                    onChange={(e) => setBreakdown({ ...breakdown, group_by: e.target.value })}
+                                >
+                                    {BREAKDOWN_GROUPS.map(group => (
+                                        <option key={group.value} value={group.value}>{group.label}</option>
+                                    ))}
+                                </select>
+                                <select
+                                    value={breakdown.granularity}
+                                    onChange={(e) => setBreakdown({ ...breakdown, granularity: e.target.value })}
+                                >
+                                    <option value="hour">Hourly (48h)</option>
+                                    <option value="day">Daily (30d)</option>
+                                    <option value="week">Weekly (12w)</option>
+                                    <option value="month">Monthly (12m)</option>
+                                </select>
+                            </div>
+                        </div>
+                        <div className="chart-body" style={{ height: '350px' }}>
+                            <ResponsiveContainer width="100%" height="100%">
+                                <BarChart data={breakdownRows}>
+                                    <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#334155" />
+                                    <XAxis dataKey="bucket" stroke="#94a3b8" tick={{ fill: '#94a3b8' }} tickFormatter={formatBucket} />
+                                    <YAxis stroke="#94a3b8" tick={{ fill: '#94a3b8' }} />
+                                    <Tooltip
+                                        contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #334155', borderRadius: '8px' }}
+                                        cursor={{ fill: '#334155', opacity: 0.4 }}
+                                        labelFormatter={formatBucket}
+                                        formatter={(val) => formatBreakdownValue(val)}
+                                    />
+                                    <Legend />
+                                    {(breakdownData?.series || []).map((series, s) => (
+                                        <Bar
+                                            key={`s${s}`}
+                                            dataKey={`s${s}`}
+                                            name={series.group.label}
+                                            stackId="breakdown"
+                                            fill={COLORS[s % COLORS.length]}
+                                        />
+                                    ))}
+                                </BarChart>
+                            </ResponsiveContainer>
+                        </div>
+                    </div>
+
                     <div className="charts-grid row">
                         {/* Spend by Model (Pie Chart) */}
                         <div className="chart-container glass fade-in">
@@ -230,7 +455,7 @@ function Dashboard() {
                                             labelLine={false}
                                             outerRadius={100}
                                             fill="#8884d8"
-                                            dataKey="total_spend"
+                                            dataKey="total_spend_reporting"
                                             nameKey="model"
                                             label={({ model, percent }) => `${model} (${(percent * 100).toFixed(0)}%)`}
                                         >
@@ -264,7 +489,7 @@ function Dashboard() {
                                             cursor={{ fill: '#334155', opacity: 0.4 }}
                                             formatter={(val) => formatCurrency(val)}
                                         />
-                                        <Bar dataKey="total_spend" name="Total Spend" radius={[4, 4, 0, 0]}>
+                                        <Bar dataKey="total_spend_reporting" name="Total Spend" radius={[4, 4, 0, 0]}>
                                             {projectSpend.map((entry, index) => (
                                                 <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
                                             ))}
@@ -275,6 +500,48 @@ function Dashboard() {
                         </div>
                     </div>
 
+                    {/* End-of-Period Forecast Table */}
+                    {projectForecasts.some(f => f.actual_to_date > 0 || f.projected_total > 0) && (
+                        <div className="table-container glass fade-in">
+                            <div className="chart-header">
+                                <h3>End-of-Period Forecast</h3>
+                                <p>Projected spend per project from its recent daily trend and day-of-week pattern</p>
+                            </div>
+                            <div className="table-responsive">
+                                <table className="analytics-table">
+                                    <thead>
+                                        <tr>
+                                            <th>Project Name</th>
+                                            <th>Spent</th>
+                                            <th>Projected</th>
+                                            <th>Budget</th>
+                                            <th>Outlook</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {projectForecasts.map((f) => (
+                                            <tr key={f.project_id}>
+                                                <td>{f.project_name}</td>
+                                                <td className="font-mono">{formatCurrency(f.actual_to_date, f.currency)}</td>
+                                                <td className="font-mono">{formatCurrency(f.projected_total, f.currency)}</td>
+                                                <td className="font-mono">{f.budget ? formatCurrency(f.budget, f.currency) : '—'}</td>
+                                                <td>
+                                                    {!f.budget && <span className="badge badge-secondary">No budget</span>}
+                                                    {f.budget && !f.will_exceed && <span className="badge badge-developer">On track ({f.projected_percent}%)</span>}
+                                                    {f.will_exceed && (
+                                                        <span className="badge badge-danger">
+                                                            Over by period end{f.projected_exceed_date ? ` (~${formatForecastDate(f.projected_exceed_date)})` : ''}
+                                                        </span>
+                                                    )}
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </div>
+                    )}
+
                     {/* Spend by Project Table */}
                     <div className="table-container glass fade-in">
                         <div className="chart-header">
@@ -297,7 +564,7 @@ function Dashboard() {
                                             <tr key={p.project_id}>
                                                 <td>{p.project_name}</td>
                                                 <td>{p.request_count.toLocaleString()}</td>
-                                                <td className="font-mono">{formatCurrency(p.total_spend)}</td>
+                                                <td className="font-mono">{formatCurrency(p.total_spend_reporting)}</td>
                                                 <td>
                                                     <button
                                                         className="btn btn-sm btn-outline"
@@ -1,8 +1,18 @@
 import { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { authService, projectService, proxyKeyService } from '../services/api';
+import { authService, projectService, proxyKeyService, budgetService, exportService } from '../services/api';
 import './ProjectDetail.css';
 
+const PERIOD_LABELS = {
+    weekly: 'Weekly',
+    monthly: 'Monthly',
+    quarterly: 'Quarterly',
+    annual: 'Annual',
+    custom: 'Custom period'
+};
+
+const EMPTY_KEY_BUDGET = { budget: '', currency: '', policy: 'alert_only', downgrade_model: '', period: 'monthly', assigned_user_id: '' };
+
 function ProjectDetail() {
     const { projectId } = useParams();
     const navigate = useNavigate();
@@ -18,10 +28,15 @@ function ProjectDetail() {
     const [showRevokeModal, setShowRevokeModal] = useState(false);
     const [selectedKey, setSelectedKey] = useState(null);
     const [newKeyData, setNewKeyData] = useState(null);
+    const [showBudgetModal, setShowBudgetModal] = useState(false);
+    const [budgetForm, setBudgetForm] = useState(EMPTY_KEY_BUDGET);
+    const [orgUsers, setOrgUsers] = useState([]);
 
     const [formData, setFormData] = useState({ name: '' });
     const [submitting, setSubmitting] = useState(false);
     const [copiedKey, setCopiedKey] = useState(false);
+    const [exportFormat, setExportFormat] = useState('csv');
+    const [exporting, setExporting] = useState(false);
 
     useEffect(() => {
         loadData();
@@ -99,6 +114,18 @@ function ProjectDetail() {
         }
     };
 
+    const handleReactivateKey = async (key) => {
+        setError('');
+
+        try {
+            await proxyKeyService.reactivateProxyKey(key.id);
+            await loadProxyKeys();
+        } catch (err) {
+            console.error('Reactivate key error:', err);
+            setError(err.response?.data?.error || 'Failed to reactivate key');
+        }
+    };
+
     const handleRevokeKey = async () => {
         if (!selectedKey) return;
 
@@ -119,6 +146,65 @@ function ProjectDetail() {
         }
     };
 
+    const openBudgetModal = async (key) => {
+        setSelectedKey(key);
+        setBudgetForm({
+            budget: key.monthly_budget || '',
+            currency: key.monthly_budget ? key.budget_currency : '',
+            policy: key.budget_policy || 'alert_only',
+            downgrade_model: key.budget_downgrade_model || '',
+            period: key.budget_period || 'monthly',
+            assigned_user_id: key.assigned_user_id || ''
+        });
+        setShowBudgetModal(true);
+
+        if (orgUsers.length === 0) {
+            try {
+                const result = await budgetService.getUserBudgets();
+                if (result.success) setOrgUsers(result.data);
+            } catch (err) {
+                console.error('Error loading users:', err);
+            }
+        }
+    };
+
+    const handleSaveKeyBudget = async (e) => {
+        e.preventDefault();
+        if (!selectedKey) return;
+
+        setError('');
+        setSubmitting(true);
+
+        try {
+            const amount = budgetForm.budget === '' ? 0 : parseFloat(budgetForm.budget);
+            await budgetService.updateKeyBudget(
+                selectedKey.id,
+                amount,
+                { policy: budgetForm.policy, downgrade_model: budgetForm.downgrade_model },
+                budgetForm.currency || undefined,
+                { period: budgetForm.period }
+            );
+
+            const assignee = budgetForm.assigned_user_id || null;
+            if (assignee !== (selectedKey.assigned_user_id || null)) {
+                await proxyKeyService.assignKey(selectedKey.id, assignee);
+            }
+
+            setShowBudgetModal(false);
+            setSelectedKey(null);
+            await loadProxyKeys();
+        } catch (err) {
+            console.error('Save key budget error:', err);
+            setError(err.response?.data?.error || 'Failed to save key budget');
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const formatMoney = (amount, currency) => {
+        return new Intl.NumberFormat('en-US', { style: 'currency', currency: currency || 'USD' }).format(amount || 0);
+    };
+
     const openRevokeModal = (key) => {
         setSelectedKey(key);
         setShowRevokeModal(true);
@@ -149,6 +235,23 @@ function ProjectDetail() {
         });
     };
 
+    // Usage logs of this project for the last 30 days
+    const handleExport = async () => {
+        setExporting(true);
+        try {
+            await exportService.download('usage', {
+                format: exportFormat,
+                start: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString(),
+                project: projectId
+            });
+        } catch (err) {
+            console.error('Export error:', err);
+            setError('Failed to export usage');
+        } finally {
+            setExporting(false);
+        }
+    };
+
     const handleLogout = () => {
         authService.logout();
     };
@@ -174,8 +277,11 @@ function ProjectDetail() {
     }
 
     const isAdmin = user?.role === 'admin';
+    // Suspended keys (anomaly detection) are inactive but not revoked
+    const isSuspended = (key) => !key.is_active && !key.revoked_at && Boolean(key.suspended_at);
     const activeKeys = proxyKeys.filter(k => k.is_active);
-    const revokedKeys = proxyKeys.filter(k => !k.is_active);
+    const suspendedKeys = proxyKeys.filter(isSuspended);
+    const revokedKeys = proxyKeys.filter(k => !k.is_active && !isSuspended(k));
 
     return (
         <div className="project-detail-page">
@@ -215,6 +321,16 @@ function ProjectDetail() {
                     </div>
                     <div className="project-detail-title-section">
                         <h1 className="project-detail-title">{project?.name}</h1>
+                        <div className="project-export">
+                            <select value={exportFormat} onChange={(e) => setExportFormat(e.target.value)}>
+                                <option value="csv">CSV</option>
+                                <option value="ndjson">NDJSON</option>
+                                <option value="parquet">Parquet</option>
+                            </select>
+                            <button className="btn btn-secondary" onClick={handleExport} disabled={exporting}>
+                                {exporting ? 'Exporting...' : 'Export usage (30d)'}
+                            </button>
+                        </div>
                     </div>
                 </div>
             </div>
@@ -248,19 +364,19 @@ function ProjectDetail() {
                             <span className="project-info-label">Project ID</span>
                             <span className="project-info-value code">{project?.id}</span>
                         </div>
-                        {project?.monthly_budget_usd > 0 && (
+                        {project?.monthly_budget > 0 && (
                             <div className="project-info-item budget-span">
-                                <span className="project-info-label">Monthly Budget Utilization</span>
+                                <span className="project-info-label">Budget Utilization ({PERIOD_LABELS[project.budget_period] || 'Monthly'})</span>
                                 <div className="budget-progress-container" style={{ marginTop: '0.25rem' }}>
                                     <div className="budget-progress-bar">
                                         <div
-                                            className={`budget-progress-fill ${project.mtd_spend > project.monthly_budget_usd ? 'exceeded' : ''}`}
-                                            style={{ width: `${Math.min(100, (project.mtd_spend / project.monthly_budget_usd) * 100)}%` }}
+                                            className={`budget-progress-fill ${project.period_spend > project.monthly_budget ? 'exceeded' : ''}`}
+                                            style={{ width: `${Math.min(100, (project.period_spend / project.monthly_budget) * 100)}%` }}
                                         ></div>
                                     </div>
                                     <span className="budget-progress-text">
-                                        {new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(project.mtd_spend || 0)}
-                                        {' '} of ${project.monthly_budget_usd} ({((project.mtd_spend / project.monthly_budget_usd) * 100).toFixed(1)}%)
+                                        {new Intl.NumberFormat('en-US', { style: 'currency', currency: project.budget_currency || 'USD' }).format(project.period_spend || 0)}
+                                        {' '} of {new Intl.NumberFormat('en-US', { style: 'currency', currency: project.budget_currency || 'USD' }).format(project.monthly_budget)} ({((project.period_spend / project.monthly_budget) * 100).toFixed(1)}%)
                                     </span>
                                 </div>
                             </div>
@@ -305,6 +421,14 @@ function ProjectDetail() {
                                         {activeKeys.length}
                                     </span>
                                 </div>
+                                {suspendedKeys.length > 0 && (
+                                    <div className="stat-item">
+                                        <span>Suspended:</span>
+                                        <span className="stat-value" style={{ color: 'var(--warning)' }}>
+                                            {suspendedKeys.length}
+                                        </span>
+                                    </div>
+                                )}
                                 <div className="stat-item">
                                     <span>Revoked:</span>
                                     <span className="stat-value" style={{ color: 'var(--error)' }}>
@@ -347,14 +471,18 @@ function ProjectDetail() {
                             {proxyKeys.map((key) => (
                                 <div
                                     key={key.id}
-                                    className={`proxy-key-item ${!key.is_active ? 'revoked' : ''}`}
+                                    className={`proxy-key-item ${isSuspended(key) ? 'suspended' : (!key.is_active ? 'revoked' : '')}`}
                                 >
                                     <div className="proxy-key-info">
                                         <div className="proxy-key-name">
                                             <span>{key.name}</span>
-                                            <span className={`key-status-badge ${key.is_active ? 'active' : 'revoked'}`}>
-                                                {key.is_active ? 'Active' : 'Revoked'}
-                                            </span>
+                                            {isSuspended(key) ? (
+                                                <span className="key-status-badge suspended">Suspended</span>
+                                            ) : (
+                                                <span className={`key-status-badge ${key.is_active ? 'active' : 'revoked'}`}>
+                                                    {key.is_active ? 'Active' : 'Revoked'}
+                                                </span>
+                                            )}
                                         </div>
                                         <div className="proxy-key-value">
                                             {key.masked}
@@ -364,10 +492,50 @@ function ProjectDetail() {
                                             {!key.is_active && key.revoked_at &&
                                                 ` • Revoked ${formatDate(key.revoked_at)}`
                                             }
+                                            {isSuspended(key) &&
+                                                ` • Suspended ${formatDate(key.suspended_at)}`
+                                            }
+                                            {key.max_cost_per_request_usd &&
+                                                ` • Max $${key.max_cost_per_request_usd} per request`
+                                            }
+                                            {key.assignee && ` • Assigned to ${key.assignee.email}`}
                                         </div>
+                                        {isSuspended(key) && key.suspended_reason && (
+                                            <div className="proxy-key-suspension">{key.suspended_reason}</div>
+                                        )}
+                                        {key.budget_status && (
+                                            <div className="budget-progress-container key-budget">
+                                                <div className="budget-progress-bar">
+                                                    <div
+                                                        className={`budget-progress-fill ${key.budget_status.actual_spend > key.budget_status.budget ? 'exceeded' : ''}`}
+                                                        style={{ width: `${Math.min(100, (key.budget_status.actual_spend / key.budget_status.budget) * 100)}%` }}
+                                                    ></div>
+                                                </div>
+                                                <span className="budget-progress-text">
+                                                    {formatMoney(key.budget_status.actual_spend, key.budget_status.currency)} of {formatMoney(key.budget_status.budget, key.budget_status.currency)}
+                                                    {' '}{(PERIOD_LABELS[key.budget_status.period.type] || '').toLowerCase()} budget ({((key.budget_status.actual_spend / key.budget_status.budget) * 100).toFixed(1)}%)
+                                                </span>
+                                            </div>
+                                        )}
                                     </div>
                                     <div className="proxy-key-actions">
                                         {isAdmin && key.is_active && (
+                                            <button
+                                                className="key-action-btn"
+                                                onClick={() => openBudgetModal(key)}
+                                            >
+                                                Budget
+                                            </button>
+                                        )}
+                                        {isAdmin && isSuspended(key) && (
+                                            <button
+                                                className="key-action-btn"
+                                                onClick={() => handleReactivateKey(key)}
+                                            >
+                                                Reactivate
+                                            </button>
+                                        )}
+                                        {isAdmin && (key.is_active || isSuspended(key)) && (
                                             <button
                                                 className="key-action-btn revoke"
                                                 onClick={() => openRevokeModal(key)}
@@ -446,6 +614,136 @@ function ProjectDetail() {
                 </div>
             )}
 
+            {/* Key Budget Modal */}
+            {showBudgetModal && selectedKey && (
+                <div className="modal-overlay" onClick={() => !submitting && setShowBudgetModal(false)}>
+                    <div className="modal" onClick={(e) => e.stopPropagation()}>
+                        <div className="modal-header">
+                            <h2 className="modal-title">Key Budget: {selectedKey.name}</h2>
+                            <button
+                                className="modal-close"
+                                onClick={() => setShowBudgetModal(false)}
+                                disabled={submitting}
+                            >
+                                ✕
+                            </button>
+                        </div>
+
+                        <form className="modal-form" onSubmit={handleSaveKeyBudget}>
+                            <div className="form-group">
+                                <label className="form-label" htmlFor="keyBudget">
+                                    Budget per period (empty for no limit)
+                                </label>
+                                <input
+                                    type="number"
+                                    id="keyBudget"
+                                    className="form-input"
+                                    step="0.01"
+                                    min="0"
+                                    placeholder="No limit"
+                                    value={budgetForm.budget}
+                                    onChange={(e) => setBudgetForm({ ...budgetForm, budget: e.target.value })}
+                                    disabled={submitting}
+                                />
+                            </div>
+
+                            <div className="form-group">
+                                <label className="form-label" htmlFor="keyBudgetCurrency">
+                                    Currency (default: reporting currency)
+                                </label>
+                                <input
+                                    type="text"
+                                    id="keyBudgetCurrency"
+                                    className="form-input"
+                                    maxLength={3}
+                                    placeholder="USD"
+                                    value={budgetForm.currency}
+                                    onChange={(e) => setBudgetForm({ ...budgetForm, currency: e.target.value.toUpperCase() })}
+                                    disabled={submitting}
+                                />
+                            </div>
+
+                            <div className="form-group">
+                                <label className="form-label" htmlFor="keyBudgetPeriod">Period</label>
+                                <select
+                                    id="keyBudgetPeriod"
+                                    className="form-input"
+                                    value={budgetForm.period}
+                                    onChange={(e) => setBudgetForm({ ...budgetForm, period: e.target.value })}
+                                    disabled={submitting}
+                                >
+                                    {['weekly', 'monthly', 'quarterly', 'annual'].map(p => (
+                                        <option key={p} value={p}>{PERIOD_LABELS[p]}</option>
+                                    ))}
+                                </select>
+                            </div>
+
+                            <div className="form-group">
+                                <label className="form-label" htmlFor="keyBudgetPolicy">When exhausted</label>
+                                <select
+                                    id="keyBudgetPolicy"
+                                    className="form-input"
+                                    value={budgetForm.policy}
+                                    onChange={(e) => setBudgetForm({ ...budgetForm, policy: e.target.value })}
+                                    disabled={submitting}
+                                >
+                                    <option value="alert_only">Alert only</option>
+                                    <option value="block">Block requests</option>
+                                    <option value="downgrade">Downgrade model</option>
+                                </select>
+                                {budgetForm.policy === 'downgrade' && (
+                                    <input
+                                        type="text"
+                                        className="form-input"
+                                        placeholder="e.g. gpt-4o-mini"
+                                        value={budgetForm.downgrade_model}
+                                        onChange={(e) => setBudgetForm({ ...budgetForm, downgrade_model: e.target.value })}
+                                        disabled={submitting}
+                                    />
+                                )}
+                            </div>
+
+                            <div className="form-group">
+                                <label className="form-label" htmlFor="keyAssignee">Assigned developer</label>
+                                <select
+                                    id="keyAssignee"
+                                    className="form-input"
+                                    value={budgetForm.assigned_user_id}
+                                    onChange={(e) => setBudgetForm({ ...budgetForm, assigned_user_id: e.target.value })}
+                                    disabled={submitting}
+                                >
+                                    <option value="">Unassigned</option>
+                                    {orgUsers.map(u => (
+                                        <option key={u.id} value={u.id}>{u.email}</option>
+                                    ))}
+                                </select>
+                                <small style={{ color: 'var(--text-secondary)', fontSize: '0.85rem' }}>
+                                    The developer's user budget covers every key assigned to them
+                                </small>
+                            </div>
+
+                            <div className="modal-actions">
+                                <button
+                                    type="button"
+                                    className="btn btn-secondary"
+                                    onClick={() => setShowBudgetModal(false)}
+                                    disabled={submitting}
+                                >
+                                    Cancel
+                                </button>
+                                <button
+                                    type="submit"
+                                    className="btn btn-primary"
+                                    disabled={submitting}
+                                >
+                                    {submitting ? 'Saving...' : 'Save Budget'}
+                                </button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            )}
+
             {/* Revoke Key Modal */}
             {showRevokeModal && selectedKey && (
                 <div className="modal-overlay" onClick={() => !submitting && setShowRevokeModal(false)}>
@@ -232,6 +232,22 @@ export const proxyKeyService = {
         return response.data;
     },
 
+    /**
+     * Set or clear a proxy key's max cost per request (null removes the limit)
+     */
+    async updateKeyLimits(keyId, maxCostPerRequestUsd) {
+        const response = await api.put(`/api/proxy-keys/${keyId}/limits`, { maxCostPerRequestUsd });
+        return response.data;
+    },
+
+    /**
+     * Assign a proxy key to a user (null unassigns it)
+     */
+    async assignKey(keyId, userId) {
+        const response = await api.put(`/api/proxy-keys/${keyId}/assignee`, { userId });
+        return response.data;
+    },
+
     /**
      * Revoke a proxy key
      */
@@ -240,6 +256,14 @@ export const proxyKeyService = {
         return response.data;
     },
 
+    /**
+     * Reactivate a key suspended by anomaly detection
+     */
+    async reactivateProxyKey(keyId) {
+        const response = await api.post(`/api/proxy-keys/${keyId}/reactivate`);
+        return response.data;
+    },
+
     /**
      * Get key count for a project
      */
@@ -283,6 +307,23 @@ export const analyticsService = {
     async getDailySpend() {
         const response = await api.get('/api/analytics/daily');
         return response.data;
+    },
+
+    /**
+     * Get request reliability (outcomes, error rate, per-key errors)
+     */
+    async getReliability() {
+        const response = await api.get('/api/analytics/reliability');
+        return response.data;
+    },
+
+    /**
+     * Query a usage time series with totals
+     * @param {Object} params - { start?, end?, granularity?, group_by?, project?, model?, key?, provider?, user?, tag?, limit? }
+     */
+    async query(params = {}) {
+        const response = await api.get('/api/analytics/query', { params });
+        return response.data;
     }
 };
 
@@ -300,17 +341,81 @@ export const budgetService = {
 
     /**
      * Update organization budget
+     * @param {number} budget - Budget per period in the budget currency
+     * @param {Object} policy - Optional { policy, downgrade_model }
+     * @param {string} currency - Optional budget currency (default: reporting currency)
+     * @param {Object} period - Optional { period, anchor_date, period_days, timezone }
      */
-    async updateOrgBudget(budget) {
-        const response = await api.put('/api/budgets/org', { budget });
+    async updateOrgBudget(budget, policy = {}, currency, period = {}) {
+        const response = await api.put('/api/budgets/org', { budget, ...policy, currency, ...period });
         return response.data;
     },
 
     /**
      * Update project budget
+     * @param {string} projectId - Project ID
+     * @param {number} budget - Budget per period in the budget currency
+     * @param {Object} policy - Optional { policy, downgrade_model }
+     * @param {string} currency - Optional budget currency (default: reporting currency)
+     * @param {Object} period - Optional { period, anchor_date, period_days, timezone }
+     */
+    async updateProjectBudget(projectId, budget, policy = {}, currency, period = {}) {
+        const response = await api.put(`/api/budgets/projects/${projectId}`, { budget, ...policy, currency, ...period });
+        return response.data;
+    },
+
+    /**
+     * Update a proxy key's budget (0 removes it)
+     * @param {string} keyId - Proxy key ID
+     * @param {number} budget - Budget per period in the budget currency
+     * @param {Object} policy - Optional { policy, downgrade_model }
+     * @param {string} currency - Optional budget currency (default: reporting currency)
+     * @param {Object} period - Optional { period, anchor_date, period_days, timezone }
+     */
+    async updateKeyBudget(keyId, budget, policy = {}, currency, period = {}) {
+        const response = await api.put(`/api/budgets/keys/${keyId}`, { budget, ...policy, currency, ...period });
+        return response.data;
+    },
+
+    /**
+     * Get users with their budgets and assigned-key spend
+     */
+    async getUserBudgets() {
+        const response = await api.get('/api/budgets/users');
+        return response.data;
+    },
+
+    /**
+     * Update a user's budget (covers every key assigned to them)
+     * @param {string} userId - User ID
+     * @param {number} budget - Budget per period in the budget currency
+     * @param {Object} policy - Optional { policy, downgrade_model }
+     * @param {string} currency - Optional budget currency (default: reporting currency)
+     * @param {Object} period - Optional { period, anchor_date, period_days, timezone }
      */
-    async updateProjectBudget(projectId, budget) {
-        const response = await api.put(`/api/budgets/projects/${projectId}`, { budget });
+    async updateUserBudget(userId, budget, policy = {}, currency, period = {}) {
+        const response = await api.put(`/api/budgets/users/${userId}`, { budget, ...policy, currency, ...period });
+        return response.data;
+    },
+
+    /**
+     * Replace a budget's alert thresholds
+     * @param {string} level - 'org', 'project', 'key' or 'user'
+     * @param {string} id - Project, key or user ID (not used for 'org')
+     * @param {Array<number>} thresholds - Percentages (above 100 = overspend)
+     */
+    async updateThresholds(level, id, thresholds) {
+        const paths = { org: '/api/budgets/org', project: `/api/budgets/projects/${id}`, key: `/api/budgets/keys/${id}`, user: `/api/budgets/users/${id}` };
+        const response = await api.put(`${paths[level]}/thresholds`, { thresholds });
+        return response.data;
+    },
+
+    /**
+     * Set the organization's reporting currency (FX rates must be loaded)
+     * @param {string} currency - ISO 4217 code
+     */
+    async updateReportingCurrency(currency) {
+        const response = await api.put('/api/budgets/currency', { currency });
         return response.data;
     },
 
@@ -323,4 +428,110 @@ export const budgetService = {
     }
 };
 
+/**
+ * Notification Service (alert delivery channels, admin only)
+ */
+export const notificationService = {
+    /**
+     * List alert channels
+     */
+    async getChannels() {
+        const response = await api.get('/api/notifications/channels');
+        return response.data;
+    },
+
+    /**
+     * Add an alert channel
+     * @param {Object} channel - { type, name, recipients | webhook_url | url, secret? }
+     */
+    async createChannel(channel) {
+        const response = await api.post('/api/notifications/channels', channel);
+        return response.data;
+    },
+
+    /**
+     * Update an alert channel
+     * @param {string} channelId - Channel ID
+     * @param {Object} updates - { name?, is_active?, recipients? | webhook_url? | url?, secret? }
+     */
+    async updateChannel(channelId, updates) {
+        const response = await api.put(`/api/notifications/channels/${channelId}`, updates);
+        return response.data;
+    },
+
+    /**
+     * Delete an alert channel
+     * @param {string} channelId - Channel ID
+     */
+    async deleteChannel(channelId) {
+        const response = await api.delete(`/api/notifications/channels/${channelId}`);
+        return response.data;
+    },
+
+    /**
+     * Send a test notification to a channel
+     * @param {string} channelId - Channel ID
+     */
+    async testChannel(channelId) {
+        const response = await api.post(`/api/notifications/channels/${channelId}/test`);
+        return response.data;
+    },
+
+    /**
+     * Recent deliveries with their status
+     * @param {Object} params - { channel_id?, status?, limit? }
+     */
+    async getDeliveries(params = {}) {
+        const response = await api.get('/api/notifications/deliveries', { params });
+        return response.data;
+    }
+};
+
+/**
+ * Anomaly Service (hourly spend / request / token spikes)
+ */
+export const anomalyService = {
+    /**
+     * Get detection settings
+     */
+    async getSettings() {
+        const response = await api.get('/api/anomalies/settings');
+        return response.data;
+    },
+
+    /**
+     * Update detection settings (admin only)
+     * @param {Object} settings - { enabled?, sensitivity?, auto_suspend? }
+     */
+    async updateSettings(settings) {
+        const response = await api.put('/api/anomalies/settings', settings);
+        return response.data;
+    }
+};
+
+/**
+ * Export Service (usage logs and aggregated reports as CSV, NDJSON or Parquet)
+ */
+export const exportService = {
+    /**
+     * Download an export as a file
+     * @param {string} dataset - 'usage' or 'report'
+     * @param {Object} params - { format?, start?, end?, granularity?, group_by?, project?, model?, key?, provider?, user?, tag? }
+     */
+    async download(dataset, params = {}) {
+        const response = await api.get(`/api/exports/${dataset}`, { params, responseType: 'blob' });
+        const disposition = response.headers['content-disposition'] || '';
+        const match = disposition.match(/filename="([^"]+)"/);
+
+        const url = URL.createObjectURL(response.data);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = match ? match[1] : `spendai-${dataset}.${params.format || 'csv'}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+};
+
 export default api;
@@ -0,0 +1,51 @@
+-- Multi-Provider Migration: Provider Credentials
+-- Run this in Supabase SQL Editor
+
+-- 1. Create provider credentials table
+-- OpenAI keys stay in organizations.openai_api_key; this table holds the other providers
+CREATE TABLE IF NOT EXISTS provider_credentials (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+
+  -- 'anthropic', 'azure_openai' or 'google'
+  provider VARCHAR(50) NOT NULL CHECK (provider IN ('anthropic', 'azure_openai', 'google')),
+
+  -- API key encrypted with AES-256-GCM (iv:authTag:ciphertext)
+  api_key TEXT NOT NULL,
+
+  -- Azure OpenAI: resource endpoint, API version and model -> deployment map
+  base_url TEXT,
+  api_version VARCHAR(50),
+  deployments JSONB DEFAULT '{}'::jsonb,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- 2. One credential per provider per organization
+CREATE UNIQUE INDEX IF NOT EXISTS idx_unique_provider_credential
+ON provider_credentials (organization_id, provider);
+
+-- 3. Row Level Security (backend uses service role; admins may view their org's rows)
+ALTER TABLE provider_credentials ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Admins can view org provider credentials" ON provider_credentials;
+CREATE POLICY "Admins can view org provider credentials"
+  ON provider_credentials FOR SELECT
+  USING (
+    organization_id = get_auth_org_id()
+    AND get_auth_role() = 'admin'
+  );
+
+-- 4. Keep updated_at current
+CREATE TRIGGER update_provider_credentials_updated_at
+  BEFORE UPDATE ON provider_credentials
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- 5. Add comments
+COMMENT ON TABLE provider_credentials IS 'Encrypted LLM provider credentials (Anthropic, Azure OpenAI, Google) per organization.';
+COMMENT ON COLUMN provider_credentials.deployments IS 'Azure OpenAI only: maps OpenAI model names to deployment names.';
+
+-- ✅ Migration complete
+SELECT 'Multi-provider migration complete: provider_credentials table added' as status;
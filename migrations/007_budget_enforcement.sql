@@ -0,0 +1,25 @@
+-- Budget Enforcement Migration: Per-budget policies
+-- Run this in Supabase SQL Editor
+
+-- 1. Add enforcement policy to organization and project budgets
+-- 'alert_only' : record alerts only (previous behavior)
+-- 'block'      : reject proxy requests once the budget is exhausted
+-- 'downgrade'  : rewrite requests to budget_downgrade_model once exhausted
+ALTER TABLE organizations
+ADD COLUMN IF NOT EXISTS budget_policy VARCHAR(20) NOT NULL DEFAULT 'alert_only'
+  CHECK (budget_policy IN ('alert_only', 'block', 'downgrade')),
+ADD COLUMN IF NOT EXISTS budget_downgrade_model VARCHAR(100) DEFAULT NULL;
+
+ALTER TABLE projects
+ADD COLUMN IF NOT EXISTS budget_policy VARCHAR(20) NOT NULL DEFAULT 'alert_only'
+  CHECK (budget_policy IN ('alert_only', 'block', 'downgrade')),
+ADD COLUMN IF NOT EXISTS budget_downgrade_model VARCHAR(100) DEFAULT NULL;
+
+-- 2. Add comments
+COMMENT ON COLUMN organizations.budget_policy IS 'What the proxy does when the monthly budget is exhausted: alert_only, block or downgrade.';
+COMMENT ON COLUMN organizations.budget_downgrade_model IS 'Cheaper model used when budget_policy = downgrade.';
+COMMENT ON COLUMN projects.budget_policy IS 'What the proxy does when the monthly budget is exhausted: alert_only, block or downgrade.';
+COMMENT ON COLUMN projects.budget_downgrade_model IS 'Cheaper model used when budget_policy = downgrade.';
+
+-- ✅ Migration complete
+SELECT 'Budget enforcement migration complete: budget policies added' as status;
@@ -0,0 +1,14 @@
+-- Cost Guard Migration: Per-proxy-key max cost per request
+-- Run this in Supabase SQL Editor
+
+-- 1. Add optional per-request cost ceiling to proxy keys
+-- Requests whose worst-case cost (prompt estimate + max_tokens) exceeds it are rejected
+ALTER TABLE proxy_keys
+ADD COLUMN IF NOT EXISTS max_cost_per_request_usd DECIMAL(10, 4) DEFAULT NULL
+  CHECK (max_cost_per_request_usd IS NULL OR max_cost_per_request_usd > 0);
+
+-- 2. Add comments
+COMMENT ON COLUMN proxy_keys.max_cost_per_request_usd IS 'Optional worst-case cost ceiling (USD) per proxied request. NULL = no limit.';
+
+-- ✅ Migration complete
+SELECT 'Cost guard migration complete: max_cost_per_request_usd added to proxy_keys' as status;
@@ -0,0 +1,23 @@
+-- Response Cache Migration: Per-project caching and cache savings
+-- Run this in Supabase SQL Editor
+
+-- 1. Opt-in exact-match response cache per project
+ALTER TABLE projects
+ADD COLUMN IF NOT EXISTS cache_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS cache_ttl_seconds INTEGER NOT NULL DEFAULT 3600
+  CHECK (cache_ttl_seconds > 0);
+
+-- 2. Record what a cache hit would have cost (cost_usd stays 0 for hits)
+ALTER TABLE usage_logs
+ADD COLUMN IF NOT EXISTS savings_usd DECIMAL(10, 6) NOT NULL DEFAULT 0.00;
+
+-- 3. Index for savings/status reporting
+CREATE INDEX IF NOT EXISTS idx_usage_logs_status ON usage_logs(status);
+
+-- 4. Add comments
+COMMENT ON COLUMN projects.cache_enabled IS 'Serve identical deterministic chat completions from the response cache.';
+COMMENT ON COLUMN projects.cache_ttl_seconds IS 'How long cached responses are reused (seconds).';
+COMMENT ON COLUMN usage_logs.savings_usd IS 'List cost avoided by a cache hit (status = cache_hit). 0 for upstream requests.';
+
+-- ✅ Migration complete
+SELECT 'Response cache migration complete: project cache settings and savings_usd added' as status;
@@ -0,0 +1,107 @@
+-- Retry & Failover Migration: Per-project fallback chains and attempt log
+-- Run this in Supabase SQL Editor
+
+-- 1. Per-project retry count and ordered fallback model chain
+ALTER TABLE projects
+ADD COLUMN IF NOT EXISTS fallback_models TEXT[] NOT NULL DEFAULT '{}',
+ADD COLUMN IF NOT EXISTS max_retries INTEGER NOT NULL DEFAULT 2
+  CHECK (max_retries BETWEEN 0 AND 5);
+
+-- 2. Record what a failed-over request would have cost on the requested model
+ALTER TABLE usage_logs
+ADD COLUMN IF NOT EXISTS original_model VARCHAR(100),
+ADD COLUMN IF NOT EXISTS original_provider VARCHAR(50),
+ADD COLUMN IF NOT EXISTS original_cost_usd DECIMAL(10, 6);
+
+-- 3. One row per upstream attempt for requests that retried or failed over
+CREATE TABLE IF NOT EXISTS proxy_request_attempts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  request_id UUID NOT NULL,
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  proxy_key_id UUID REFERENCES proxy_keys(id) ON DELETE SET NULL,
+
+  attempt_number INTEGER NOT NULL,
+  provider VARCHAR(50) NOT NULL,
+  model VARCHAR(100) NOT NULL,
+  is_fallback BOOLEAN NOT NULL DEFAULT FALSE,
+
+  -- Upstream HTTP status (NULL when the provider was skipped or unreachable)
+  status_code INTEGER,
+  -- 'success', 'retried', 'failed_over', 'failed' or 'skipped'
+  outcome VARCHAR(20) NOT NULL CHECK (outcome IN ('success', 'retried', 'failed_over', 'failed', 'skipped')),
+  -- Transport error code (ECONNABORTED, ECONNRESET, ENOTFOUND...) when no response was received
+  error_code VARCHAR(100),
+  retry_after_ms INTEGER,
+  latency_ms INTEGER,
+
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- 4. Indexes for failover reporting
+CREATE INDEX IF NOT EXISTS idx_proxy_attempts_org_created ON proxy_request_attempts(organization_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_proxy_attempts_request ON proxy_request_attempts(request_id);
+CREATE INDEX IF NOT EXISTS idx_usage_logs_original_model ON usage_logs(original_model) WHERE original_model IS NOT NULL;
+
+-- 5. Row Level Security (backend uses service role; members may view their org's rows)
+ALTER TABLE proxy_request_attempts ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view org proxy attempts" ON proxy_request_attempts;
+CREATE POLICY "Users can view org proxy attempts"
+  ON proxy_request_attempts FOR SELECT
+  USING (organization_id = get_auth_org_id());
+
+-- 6. Failed-over requests per route (requested model -> serving model) since p_since
+CREATE OR REPLACE FUNCTION analytics_failover_routes(
+  p_organization_id UUID,
+  p_since TIMESTAMPTZ
+)
+RETURNS TABLE (
+  original_model TEXT,
+  model TEXT,
+  request_count BIGINT,
+  cost_usd NUMERIC,
+  original_cost_usd NUMERIC
+)
+LANGUAGE sql STABLE
+AS $$
+  SELECT
+    original_model::text,
+    model::text,
+    COUNT(*) AS request_count,
+    COALESCE(SUM(cost_usd), 0) AS cost_usd,
+    COALESCE(SUM(original_cost_usd), 0) AS original_cost_usd
+  FROM usage_logs
+  WHERE organization_id = p_organization_id
+    AND created_at >= p_since
+    AND original_model IS NOT NULL
+  GROUP BY 1, 2
+  ORDER BY 3 DESC, 1, 2;
+$$;
+
+-- 7. Requests with at least one retried attempt since p_since
+CREATE OR REPLACE FUNCTION analytics_retried_request_count(
+  p_organization_id UUID,
+  p_since TIMESTAMPTZ
+)
+RETURNS BIGINT
+LANGUAGE sql STABLE
+AS $$
+  SELECT COUNT(DISTINCT request_id)
+  FROM proxy_request_attempts
+  WHERE organization_id = p_organization_id
+    AND created_at >= p_since
+    AND outcome = 'retried';
+$$;
+
+-- 8. Add comments
+COMMENT ON COLUMN projects.fallback_models IS 'Ordered models tried when the requested model keeps returning 429/5xx.';
+COMMENT ON COLUMN projects.max_retries IS 'Retries per model (exponential backoff, honors retry-after) before failing over.';
+COMMENT ON COLUMN usage_logs.original_model IS 'Requested model when the request was served by a fallback model.';
+COMMENT ON COLUMN usage_logs.original_cost_usd IS 'What the same tokens would have cost on the requested model.';
+COMMENT ON TABLE proxy_request_attempts IS 'Upstream attempts for proxy requests that were retried or failed over.';
+COMMENT ON FUNCTION analytics_failover_routes(UUID, TIMESTAMPTZ) IS 'Failed-over requests and their cost per requested/serving model pair since p_since (USD).';
+COMMENT ON FUNCTION analytics_retried_request_count(UUID, TIMESTAMPTZ) IS 'Number of requests with a retried upstream attempt since p_since.';
+
+-- ✅ Migration complete
+SELECT 'Retry & failover migration complete: fallback chain, attempts log, original cost and failover statistics added' as status;
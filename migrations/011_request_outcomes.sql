@@ -0,0 +1,63 @@
+-- Request Outcomes Migration: Log failed and rejected proxy requests
+-- Run this in Supabase SQL Editor
+
+-- 1. Outcome details on every proxied request
+-- status: 'success', 'cache_hit', 'error' (upstream non-2xx),
+--         'rejected' (refused by SpendAI) or 'failed' (timeout / proxy failure)
+-- request_count: rate-limited requests are logged as one row per proxy key
+--                and limiter window; every other row stands for one request
+ALTER TABLE usage_logs
+ADD COLUMN IF NOT EXISTS requested_model VARCHAR(100),
+ADD COLUMN IF NOT EXISTS upstream_status INTEGER,
+ADD COLUMN IF NOT EXISTS error_code VARCHAR(100),
+ADD COLUMN IF NOT EXISTS latency_ms INTEGER,
+ADD COLUMN IF NOT EXISTS request_count INTEGER NOT NULL DEFAULT 1;
+
+ALTER TABLE usage_logs
+DROP CONSTRAINT IF EXISTS usage_logs_request_count_check;
+
+ALTER TABLE usage_logs
+ADD CONSTRAINT usage_logs_request_count_check CHECK (request_count > 0);
+
+-- 2. Index for reliability reporting (error rates per key)
+CREATE INDEX IF NOT EXISTS idx_usage_logs_key_status ON usage_logs(proxy_key_id, status, created_at);
+
+-- 3. Request outcomes since p_since (one row per proxy key, status and error code)
+CREATE OR REPLACE FUNCTION analytics_request_outcomes(
+  p_organization_id UUID,
+  p_since TIMESTAMPTZ
+)
+RETURNS TABLE (
+  proxy_key_id UUID,
+  key_name TEXT,
+  status TEXT,
+  error_code TEXT,
+  request_count BIGINT
+)
+LANGUAGE sql STABLE
+AS $$
+  SELECT
+    u.proxy_key_id,
+    k.name::text AS key_name,
+    COALESCE(u.status, 'success')::text AS status,
+    u.error_code::text,
+    SUM(u.request_count)::bigint AS request_count
+  FROM usage_logs u
+  LEFT JOIN proxy_keys k ON k.id = u.proxy_key_id
+  WHERE u.organization_id = p_organization_id
+    AND u.created_at >= p_since
+  GROUP BY 1, 2, 3, 4
+  ORDER BY 1, 3, 4;
+$$;
+
+-- 4. Add comments
+COMMENT ON COLUMN usage_logs.status IS 'success, cache_hit, error (upstream non-2xx), rejected (refused by SpendAI) or failed (timeout / proxy failure). Non-success rows carry zero cost.';
+COMMENT ON COLUMN usage_logs.requested_model IS 'Model as sent by the client (before downgrade or failover).';
+COMMENT ON COLUMN usage_logs.upstream_status IS 'HTTP status returned by the provider. NULL when the provider was never called.';
+COMMENT ON COLUMN usage_logs.error_code IS 'Provider or SpendAI error code for non-success rows; on success rows, why tokens were estimated (stream_aborted, usage_missing).';
+COMMENT ON COLUMN usage_logs.latency_ms IS 'Total time spent handling the request in the proxy (ms).';
+COMMENT ON COLUMN usage_logs.request_count IS 'Requests this row stands for: 1, or the rejections of a proxy key in one rate limiter window.';
+COMMENT ON FUNCTION analytics_request_outcomes(UUID, TIMESTAMPTZ) IS 'Request count per proxy key, status and error code since p_since.';
+
+-- ✅ Migration complete
+SELECT 'Request outcomes migration complete: failed and rejected requests are now logged and counted by analytics_request_outcomes' as status;
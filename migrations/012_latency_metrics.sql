@@ -0,0 +1,57 @@
+-- Latency Metrics Migration: Upstream latency and time-to-first-token
+-- Run this in Supabase SQL Editor
+
+-- 1. Latency breakdown per request (latency_ms = total time in the proxy)
+ALTER TABLE usage_logs
+ADD COLUMN IF NOT EXISTS upstream_latency_ms INTEGER,
+ADD COLUMN IF NOT EXISTS time_to_first_token_ms INTEGER;
+
+-- 2. Index for latency percentiles by model
+CREATE INDEX IF NOT EXISTS idx_usage_logs_org_model_created ON usage_logs(organization_id, model, created_at);
+
+-- 3. Latency percentiles of upstream-served successes since p_since
+-- p_group_by = 'project' groups by project, anything else by model and provider.
+-- Each array is [p50, p95, p99] (NULL when no row has the metric).
+CREATE OR REPLACE FUNCTION analytics_latency_percentiles(
+  p_organization_id UUID,
+  p_since TIMESTAMPTZ,
+  p_group_by TEXT DEFAULT 'model'
+)
+RETURNS TABLE (
+  project_id UUID,
+  project_name TEXT,
+  model TEXT,
+  provider TEXT,
+  request_count BIGINT,
+  latency_ms DOUBLE PRECISION[],
+  upstream_latency_ms DOUBLE PRECISION[],
+  time_to_first_token_ms DOUBLE PRECISION[]
+)
+LANGUAGE sql STABLE
+AS $$
+  SELECT
+    CASE WHEN p_group_by = 'project' THEN u.project_id END,
+    CASE WHEN p_group_by = 'project' THEN p.name::text END,
+    CASE WHEN p_group_by = 'project' THEN NULL ELSE u.model::text END,
+    CASE WHEN p_group_by = 'project' THEN NULL ELSE COALESCE(u.provider, 'openai')::text END,
+    COUNT(*) AS request_count,
+    percentile_cont(ARRAY[0.5, 0.95, 0.99]) WITHIN GROUP (ORDER BY u.latency_ms),
+    percentile_cont(ARRAY[0.5, 0.95, 0.99]) WITHIN GROUP (ORDER BY u.upstream_latency_ms),
+    percentile_cont(ARRAY[0.5, 0.95, 0.99]) WITHIN GROUP (ORDER BY u.time_to_first_token_ms)
+  FROM usage_logs u
+  LEFT JOIN projects p ON p.id = u.project_id
+  WHERE u.organization_id = p_organization_id
+    AND u.created_at >= p_since
+    AND u.status = 'success'
+    AND u.latency_ms IS NOT NULL
+  GROUP BY 1, 2, 3, 4
+  ORDER BY 5 DESC, 1, 3, 4;
+$$;
+
+-- 4. Add comments
+COMMENT ON COLUMN usage_logs.upstream_latency_ms IS 'Time spent waiting on the provider for the attempt that served the request (ms).';
+COMMENT ON COLUMN usage_logs.time_to_first_token_ms IS 'Streaming only: time from receiving the request to the first generated token (ms).';
+COMMENT ON FUNCTION analytics_latency_percentiles(UUID, TIMESTAMPTZ, TEXT) IS 'p50/p95/p99 total, upstream and first-token latency of successful requests since p_since, per model or project.';
+
+-- ✅ Migration complete
+SELECT 'Latency metrics migration complete: upstream_latency_ms, time_to_first_token_ms and analytics_latency_percentiles added' as status;
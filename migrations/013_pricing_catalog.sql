@@ -0,0 +1,118 @@
+-- Pricing Catalog Migration: Versioned model prices with effective dates
+-- Run this in Supabase SQL Editor
+
+-- 1. Create model prices table
+-- One row per price version; effective_to is NULL for the current open-ended price
+-- Azure OpenAI is billed from the 'openai' rows
+CREATE TABLE IF NOT EXISTS model_prices (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  provider VARCHAR(50) NOT NULL CHECK (provider IN ('openai', 'anthropic', 'google')),
+  model VARCHAR(100) NOT NULL,
+
+  -- USD per 1M tokens
+  prompt_per_million DECIMAL(12, 6) NOT NULL CHECK (prompt_per_million >= 0),
+  completion_per_million DECIMAL(12, 6) NOT NULL CHECK (completion_per_million >= 0),
+  currency VARCHAR(3) NOT NULL DEFAULT 'USD',
+
+  effective_from TIMESTAMPTZ NOT NULL,
+  effective_to TIMESTAMPTZ,
+
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CHECK (effective_to IS NULL OR effective_to > effective_from)
+);
+
+-- 2. One version per start time per model
+CREATE UNIQUE INDEX IF NOT EXISTS idx_unique_model_price_version
+ON model_prices (provider, model, effective_from);
+
+CREATE INDEX IF NOT EXISTS idx_model_prices_lookup
+ON model_prices (provider, model, effective_from, effective_to);
+
+-- 3. Record which catalog row priced each usage log
+ALTER TABLE usage_logs
+ADD COLUMN IF NOT EXISTS price_id UUID REFERENCES model_prices(id) ON DELETE SET NULL;
+
+-- Catalog prices such as 0.075 per 1M tokens need the catalog's precision in
+-- the usage log price snapshot (DECIMAL(10,2) since migration 003)
+ALTER TABLE usage_logs
+ALTER COLUMN price_prompt_per_million TYPE DECIMAL(12, 6),
+ALTER COLUMN price_completion_per_million TYPE DECIMAL(12, 6);
+
+-- 4. Row Level Security (prices are public reference data; writes go through the backend)
+ALTER TABLE model_prices ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Authenticated users can view model prices" ON model_prices;
+CREATE POLICY "Authenticated users can view model prices"
+  ON model_prices FOR SELECT
+  USING (auth.role() = 'authenticated');
+
+-- 5. Seed with the prices previously hard-coded in pricingService
+INSERT INTO model_prices (provider, model, prompt_per_million, completion_per_million, effective_from)
+SELECT provider, model, prompt, completion, '2024-01-01T00:00:00Z'::timestamptz
+FROM (VALUES
+  ('openai', 'gpt-3.5-turbo', 0.5000, 1.5000),
+  ('openai', 'gpt-3.5-turbo-0125', 0.5000, 1.5000),
+  ('openai', 'gpt-3.5-turbo-1106', 1.0000, 2.0000),
+  ('openai', 'gpt-4', 30.0000, 60.0000),
+  ('openai', 'gpt-4-0613', 30.0000, 60.0000),
+  ('openai', 'gpt-4-turbo', 10.0000, 30.0000),
+  ('openai', 'gpt-4-turbo-preview', 10.0000, 30.0000),
+  ('openai', 'gpt-4o', 5.0000, 15.0000),
+  ('openai', 'gpt-4o-mini', 0.1500, 0.6000),
+  ('openai', 'text-embedding-3-small', 0.0200, 0.0000),
+  ('openai', 'text-embedding-3-large', 0.1300, 0.0000),
+  ('openai', 'text-embedding-ada-002', 0.1000, 0.0000),
+  ('anthropic', 'claude-3-5-sonnet-latest', 3.0000, 15.0000),
+  ('anthropic', 'claude-3-5-sonnet-20241022', 3.0000, 15.0000),
+  ('anthropic', 'claude-3-5-haiku-latest', 0.8000, 4.0000),
+  ('anthropic', 'claude-3-5-haiku-20241022', 0.8000, 4.0000),
+  ('anthropic', 'claude-3-opus-20240229', 15.0000, 75.0000),
+  ('anthropic', 'claude-3-haiku-20240307', 0.2500, 1.2500),
+  ('google', 'gemini-1.5-pro', 1.2500, 5.0000),
+  ('google', 'gemini-1.5-flash', 0.0750, 0.3000),
+  ('google', 'gemini-2.0-flash', 0.1000, 0.4000)
+) AS seed(provider, model, prompt, completion)
+ON CONFLICT (provider, model, effective_from) DO NOTHING;
+
+-- 6. Schedule a price version: it runs until the next scheduled version, and
+-- the version effective at its start now ends there (one transaction).
+-- p_price holds model_prices columns; id, created_at and effective_to are set here.
+CREATE OR REPLACE FUNCTION schedule_model_price(p_price JSONB)
+RETURNS model_prices
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_price model_prices := jsonb_populate_record(NULL::model_prices, p_price);
+BEGIN
+  v_price.id := gen_random_uuid();
+  v_price.currency := COALESCE(v_price.currency, 'USD');
+  v_price.created_at := NOW();
+
+  SELECT MIN(effective_from) INTO v_price.effective_to
+  FROM model_prices
+  WHERE provider = v_price.provider
+    AND model = v_price.model
+    AND effective_from > v_price.effective_from;
+
+  UPDATE model_prices
+  SET effective_to = v_price.effective_from
+  WHERE provider = v_price.provider
+    AND model = v_price.model
+    AND effective_from < v_price.effective_from
+    AND (effective_to IS NULL OR effective_to > v_price.effective_from);
+
+  INSERT INTO model_prices SELECT v_price.*;
+  RETURN v_price;
+END;
+$$;
+
+-- 7. Add comments
+COMMENT ON TABLE model_prices IS 'Versioned model price catalog. Cost is calculated with the price effective at the request timestamp.';
+COMMENT ON COLUMN model_prices.effective_to IS 'Exclusive end of this price. NULL = current price.';
+COMMENT ON FUNCTION schedule_model_price(JSONB) IS 'Inserts a price version and closes the version it supersedes atomically.';
+COMMENT ON COLUMN usage_logs.price_id IS 'model_prices row used to price this request. NULL when no price was found (status = unpriced).';
+
+-- ✅ Migration complete
+SELECT 'Pricing catalog migration complete: model_prices table created and seeded' as status;
@@ -0,0 +1,52 @@
+-- Token Categories Migration: Cached-input, audio and reasoning token pricing
+-- Run this in Supabase SQL Editor
+
+-- 1. Category rates on the price catalog (USD per 1M tokens)
+-- NULL falls back to the prompt rate (cached/audio input) or completion rate (audio output/reasoning)
+ALTER TABLE model_prices
+ADD COLUMN IF NOT EXISTS cached_prompt_per_million DECIMAL(12, 6) CHECK (cached_prompt_per_million >= 0),
+ADD COLUMN IF NOT EXISTS audio_prompt_per_million DECIMAL(12, 6) CHECK (audio_prompt_per_million >= 0),
+ADD COLUMN IF NOT EXISTS audio_completion_per_million DECIMAL(12, 6) CHECK (audio_completion_per_million >= 0),
+ADD COLUMN IF NOT EXISTS reasoning_per_million DECIMAL(12, 6) CHECK (reasoning_per_million >= 0);
+
+-- 2. Token categories and their rates on each usage log
+-- Category counts are subsets of tokens_prompt / tokens_completion
+ALTER TABLE usage_logs
+ADD COLUMN IF NOT EXISTS tokens_cached_prompt INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS tokens_audio_prompt INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS tokens_audio_completion INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS tokens_reasoning INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS price_cached_prompt_per_million DECIMAL(12, 6),
+ADD COLUMN IF NOT EXISTS price_audio_prompt_per_million DECIMAL(12, 6),
+ADD COLUMN IF NOT EXISTS price_audio_completion_per_million DECIMAL(12, 6),
+ADD COLUMN IF NOT EXISTS price_reasoning_per_million DECIMAL(12, 6);
+
+-- 3. Seed cached-input rates for the seeded models
+UPDATE model_prices AS mp
+SET cached_prompt_per_million = seed.cached
+FROM (VALUES
+  ('openai', 'gpt-4o', 2.5000),
+  ('openai', 'gpt-4o-mini', 0.0750),
+  ('anthropic', 'claude-3-5-sonnet-latest', 0.3000),
+  ('anthropic', 'claude-3-5-sonnet-20241022', 0.3000),
+  ('anthropic', 'claude-3-5-haiku-latest', 0.0800),
+  ('anthropic', 'claude-3-5-haiku-20241022', 0.0800),
+  ('anthropic', 'claude-3-opus-20240229', 1.5000),
+  ('anthropic', 'claude-3-haiku-20240307', 0.0300),
+  ('google', 'gemini-1.5-pro', 0.3125),
+  ('google', 'gemini-1.5-flash', 0.01875),
+  ('google', 'gemini-2.0-flash', 0.0250)
+) AS seed(provider, model, cached)
+WHERE mp.provider = seed.provider
+  AND mp.model = seed.model
+  AND mp.effective_to IS NULL
+  AND mp.cached_prompt_per_million IS NULL;
+
+-- 4. Add comments
+COMMENT ON COLUMN model_prices.cached_prompt_per_million IS 'Rate for prompt tokens served from the provider prompt cache. NULL = prompt rate.';
+COMMENT ON COLUMN model_prices.reasoning_per_million IS 'Rate for reasoning (thinking) tokens. NULL = completion rate.';
+COMMENT ON COLUMN usage_logs.tokens_cached_prompt IS 'Prompt tokens served from the provider prompt cache (subset of tokens_prompt).';
+COMMENT ON COLUMN usage_logs.tokens_reasoning IS 'Reasoning tokens (subset of tokens_completion).';
+
+-- ✅ Migration complete
+SELECT 'Token categories migration complete: cached, audio and reasoning token pricing added' as status;
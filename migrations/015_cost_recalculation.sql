@@ -0,0 +1,149 @@
+-- Cost Recalculation Migration: Re-pricing jobs and adjustment trail
+-- Run this in Supabase SQL Editor
+
+-- 1. Recalculation jobs (admin-triggered, scoped to one organization)
+CREATE TABLE IF NOT EXISTS cost_recalculations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  requested_by UUID REFERENCES users(id) ON DELETE SET NULL,
+
+  -- Scope
+  start_date TIMESTAMPTZ NOT NULL,
+  end_date TIMESTAMPTZ NOT NULL,
+  models TEXT[] NOT NULL DEFAULT '{}',
+
+  -- 'effective' = price effective at each request, 'current' = price effective now,
+  -- 'version' = the model_prices row in price_id
+  price_mode VARCHAR(20) NOT NULL CHECK (price_mode IN ('effective', 'current', 'version')),
+  price_id UUID REFERENCES model_prices(id) ON DELETE SET NULL,
+  dry_run BOOLEAN NOT NULL DEFAULT FALSE,
+
+  -- Progress and result
+  status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+  rows_scanned INTEGER NOT NULL DEFAULT 0,
+  rows_adjusted INTEGER NOT NULL DEFAULT 0,
+  cost_before_usd DECIMAL(14, 6) NOT NULL DEFAULT 0,
+  cost_after_usd DECIMAL(14, 6) NOT NULL DEFAULT 0,
+  error_message TEXT,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+  -- Last progress of a running job (jobs abandoned by a restart stop updating it)
+  heartbeat_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CHECK (end_date > start_date)
+);
+
+-- 2. Adjustment trail: the values each usage log had before re-pricing
+CREATE TABLE IF NOT EXISTS usage_cost_adjustments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  recalculation_id UUID NOT NULL REFERENCES cost_recalculations(id) ON DELETE CASCADE,
+  usage_log_id UUID NOT NULL REFERENCES usage_logs(id) ON DELETE CASCADE,
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+
+  -- Before
+  previous_status VARCHAR(50),
+  previous_cost_usd DECIMAL(10, 6) NOT NULL,
+  previous_price_id UUID,
+  previous_pricing JSONB NOT NULL DEFAULT '{}'::jsonb,
+
+  -- After
+  new_cost_usd DECIMAL(10, 6) NOT NULL,
+  new_price_id UUID,
+  new_pricing JSONB NOT NULL DEFAULT '{}'::jsonb,
+
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- 3. Mark re-priced usage logs
+ALTER TABLE usage_logs
+ADD COLUMN IF NOT EXISTS adjusted_at TIMESTAMPTZ;
+
+-- 4. Indexes
+CREATE INDEX IF NOT EXISTS idx_cost_recalculations_org ON cost_recalculations(organization_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_usage_cost_adjustments_recalc ON usage_cost_adjustments(recalculation_id);
+CREATE INDEX IF NOT EXISTS idx_usage_cost_adjustments_log ON usage_cost_adjustments(usage_log_id);
+
+CREATE INDEX IF NOT EXISTS idx_cost_recalculations_running
+ON cost_recalculations(organization_id, heartbeat_at)
+WHERE status = 'running';
+
+-- Only one job may change an organization's ledger at a time (dry runs don't)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_cost_recalculations_one_running
+ON cost_recalculations(organization_id)
+WHERE status = 'running' AND NOT dry_run;
+
+-- 5. Row Level Security (backend uses service role; admins may view their org's rows)
+ALTER TABLE cost_recalculations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE usage_cost_adjustments ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Admins can view org cost recalculations" ON cost_recalculations;
+CREATE POLICY "Admins can view org cost recalculations"
+  ON cost_recalculations FOR SELECT
+  USING (
+    organization_id = get_auth_org_id()
+    AND get_auth_role() = 'admin'
+  );
+
+DROP POLICY IF EXISTS "Admins can view org cost adjustments" ON usage_cost_adjustments;
+CREATE POLICY "Admins can view org cost adjustments"
+  ON usage_cost_adjustments FOR SELECT
+  USING (
+    organization_id = get_auth_org_id()
+    AND get_auth_role() = 'admin'
+  );
+
+-- 6. Re-price one usage log: trail entry and usage log update in one transaction
+-- p_adjustment holds usage_cost_adjustments columns, p_usage the new
+-- usage_logs pricing columns (cost_usd, list_cost_usd, price_*).
+CREATE OR REPLACE FUNCTION apply_cost_adjustment(
+  p_adjustment JSONB,
+  p_usage JSONB
+)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  a usage_cost_adjustments := jsonb_populate_record(NULL::usage_cost_adjustments, p_adjustment);
+  n usage_logs := jsonb_populate_record(NULL::usage_logs, p_usage);
+BEGIN
+  INSERT INTO usage_cost_adjustments (
+    recalculation_id, usage_log_id, organization_id,
+    previous_status, previous_cost_usd, previous_price_id, previous_pricing,
+    new_cost_usd, new_price_id, new_pricing
+  )
+  VALUES (
+    a.recalculation_id, a.usage_log_id, a.organization_id,
+    a.previous_status, a.previous_cost_usd, a.previous_price_id, a.previous_pricing,
+    a.new_cost_usd, a.new_price_id, a.new_pricing
+  );
+
+  UPDATE usage_logs
+  SET cost_usd = n.cost_usd,
+      price_prompt_per_million = n.price_prompt_per_million,
+      price_completion_per_million = n.price_completion_per_million,
+      price_cached_prompt_per_million = n.price_cached_prompt_per_million,
+      price_audio_prompt_per_million = n.price_audio_prompt_per_million,
+      price_audio_completion_per_million = n.price_audio_completion_per_million,
+      price_reasoning_per_million = n.price_reasoning_per_million,
+      price_id = n.price_id,
+      status = 'success',
+      adjusted_at = NOW()
+  WHERE id = a.usage_log_id
+    AND organization_id = a.organization_id;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Usage log % not found', a.usage_log_id;
+  END IF;
+END;
+$$;
+
+-- 7. Add comments
+COMMENT ON TABLE cost_recalculations IS 'Admin-triggered re-pricing of usage_logs for a date range and model set.';
+COMMENT ON COLUMN cost_recalculations.heartbeat_at IS 'Last progress update of a running job. Running jobs without a recent heartbeat are marked failed.';
+COMMENT ON TABLE usage_cost_adjustments IS 'Original cost and pricing snapshot of every re-priced usage log (audit trail).';
+COMMENT ON FUNCTION apply_cost_adjustment(JSONB, JSONB) IS 'Records a cost adjustment trail entry and re-prices its usage log atomically.';
+COMMENT ON COLUMN usage_logs.adjusted_at IS 'Last time cost_usd was changed by a cost recalculation. NULL = original cost.';
+
+-- ✅ Migration complete
+SELECT 'Cost recalculation migration complete: cost_recalculations and usage_cost_adjustments added' as status;
@@ -0,0 +1,73 @@
+-- Invoice Reconciliation Migration: Imported provider usage/billing exports
+-- Run this in Supabase SQL Editor
+
+-- 1. One row per imported export file
+CREATE TABLE IF NOT EXISTS invoice_imports (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  provider VARCHAR(50) NOT NULL DEFAULT 'openai' CHECK (provider IN ('openai')),
+  source_format VARCHAR(10) NOT NULL CHECK (source_format IN ('csv', 'json')),
+  filename VARCHAR(255),
+
+  -- Days covered by the export (inclusive, UTC)
+  period_start DATE NOT NULL,
+  period_end DATE NOT NULL,
+  line_count INTEGER NOT NULL DEFAULT 0,
+  total_cost_usd DECIMAL(14, 6),
+
+  imported_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CHECK (period_end >= period_start)
+);
+
+-- 2. Export lines, aggregated per day and model
+-- Token or cost columns are NULL when the export doesn't carry them
+-- (usage exports have tokens, cost exports have amounts)
+CREATE TABLE IF NOT EXISTS invoice_import_lines (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  import_id UUID NOT NULL REFERENCES invoice_imports(id) ON DELETE CASCADE,
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  usage_date DATE NOT NULL,
+  model VARCHAR(100) NOT NULL,
+
+  requests INTEGER,
+  tokens_prompt BIGINT,
+  tokens_completion BIGINT,
+  tokens_cached_prompt BIGINT,
+  cost_usd DECIMAL(14, 6),
+
+  UNIQUE (import_id, usage_date, model)
+);
+
+-- 3. Indexes
+CREATE INDEX IF NOT EXISTS idx_invoice_imports_org ON invoice_imports(organization_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_invoice_import_lines_import ON invoice_import_lines(import_id);
+
+-- 4. Row Level Security (backend uses service role; admins may view their org's imports)
+ALTER TABLE invoice_imports ENABLE ROW LEVEL SECURITY;
+ALTER TABLE invoice_import_lines ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Admins can view org invoice imports" ON invoice_imports;
+CREATE POLICY "Admins can view org invoice imports"
+  ON invoice_imports FOR SELECT
+  USING (
+    organization_id = get_auth_org_id()
+    AND get_auth_role() = 'admin'
+  );
+
+DROP POLICY IF EXISTS "Admins can view org invoice import lines" ON invoice_import_lines;
+CREATE POLICY "Admins can view org invoice import lines"
+  ON invoice_import_lines FOR SELECT
+  USING (
+    organization_id = get_auth_org_id()
+    AND get_auth_role() = 'admin'
+  );
+
+-- 5. Add comments
+COMMENT ON TABLE invoice_imports IS 'Provider usage/billing exports imported for reconciliation against usage_logs.';
+COMMENT ON TABLE invoice_import_lines IS 'Imported usage and cost per day and model (UTC days).';
+COMMENT ON COLUMN invoice_import_lines.model IS 'Model as named by the provider export (dated snapshots included).';
+
+-- ✅ Migration complete
+SELECT 'Invoice reconciliation migration complete: invoice_imports and invoice_import_lines added' as status;
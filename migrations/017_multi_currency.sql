@@ -0,0 +1,64 @@
+-- Multi-Currency Migration: Reporting currency, budget currency and daily FX rates
+-- Run this in Supabase SQL Editor
+-- Costs are still recorded in USD (usage_logs.cost_usd); other currencies are
+-- derived with the FX rate of the day the cost was incurred.
+
+-- 1. Daily FX rates (shared reference data, like model_prices)
+-- rate = units of currency per 1 USD on rate_date
+CREATE TABLE IF NOT EXISTS fx_rates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  rate_date DATE NOT NULL,
+  currency VARCHAR(3) NOT NULL CHECK (currency ~ '^[A-Z]{3}$' AND currency <> 'USD'),
+  rate DECIMAL(18, 8) NOT NULL CHECK (rate > 0),
+  source VARCHAR(20) NOT NULL DEFAULT 'manual' CHECK (source IN ('manual', 'file')),
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE (currency, rate_date)
+);
+
+-- 2. Organization reporting currency
+ALTER TABLE organizations
+ADD COLUMN IF NOT EXISTS reporting_currency VARCHAR(3) NOT NULL DEFAULT 'USD'
+  CHECK (reporting_currency ~ '^[A-Z]{3}$');
+
+-- 3. Budgets in their own currency (supersedes monthly_budget_usd)
+ALTER TABLE organizations
+ADD COLUMN IF NOT EXISTS monthly_budget DECIMAL(14, 2) DEFAULT NULL,
+ADD COLUMN IF NOT EXISTS budget_currency VARCHAR(3) NOT NULL DEFAULT 'USD'
+  CHECK (budget_currency ~ '^[A-Z]{3}$');
+
+ALTER TABLE projects
+ADD COLUMN IF NOT EXISTS monthly_budget DECIMAL(14, 2) DEFAULT NULL,
+ADD COLUMN IF NOT EXISTS budget_currency VARCHAR(3) NOT NULL DEFAULT 'USD'
+  CHECK (budget_currency ~ '^[A-Z]{3}$');
+
+UPDATE organizations SET monthly_budget = monthly_budget_usd
+WHERE monthly_budget IS NULL AND monthly_budget_usd IS NOT NULL;
+
+UPDATE projects SET monthly_budget = monthly_budget_usd
+WHERE monthly_budget IS NULL AND monthly_budget_usd IS NOT NULL;
+
+-- 4. Alerts record the currency their amounts are in
+ALTER TABLE alerts
+ADD COLUMN IF NOT EXISTS currency VARCHAR(3) NOT NULL DEFAULT 'USD';
+
+-- 5. Row Level Security (rates are public reference data; writes go through the backend)
+ALTER TABLE fx_rates ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Authenticated users can view fx rates" ON fx_rates;
+CREATE POLICY "Authenticated users can view fx rates"
+  ON fx_rates FOR SELECT
+  USING (auth.role() = 'authenticated');
+
+-- 6. Add comments
+COMMENT ON TABLE fx_rates IS 'Daily FX rates: units of currency per 1 USD. The latest rate on or before a day applies.';
+COMMENT ON COLUMN organizations.reporting_currency IS 'Currency analytics are reported in (ISO 4217).';
+COMMENT ON COLUMN organizations.monthly_budget IS 'Monthly spend limit for the organization, in budget_currency.';
+COMMENT ON COLUMN projects.monthly_budget IS 'Optional monthly spend limit for the project, in budget_currency.';
+COMMENT ON COLUMN organizations.monthly_budget_usd IS 'Deprecated: superseded by monthly_budget + budget_currency (migration 017).';
+COMMENT ON COLUMN projects.monthly_budget_usd IS 'Deprecated: superseded by monthly_budget + budget_currency (migration 017).';
+COMMENT ON COLUMN alerts.currency IS 'Currency of budget_amount and actual_spend.';
+
+-- ✅ Migration complete
+SELECT 'Multi-currency migration complete: fx_rates, reporting_currency and budget_currency added' as status;
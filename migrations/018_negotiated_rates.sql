@@ -0,0 +1,106 @@
+-- Negotiated Rates Migration: Per-organization price overrides
+-- Run this in Supabase SQL Editor
+
+-- 1. Price overrides (enterprise agreements)
+-- Either a percentage discount off list price, or absolute rates per 1M tokens.
+-- model NULL = every model of the provider (a model-specific override wins).
+CREATE TABLE IF NOT EXISTS org_price_overrides (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  provider VARCHAR(50) NOT NULL CHECK (provider IN ('openai', 'anthropic', 'google')),
+  model VARCHAR(100),
+
+  discount_percent DECIMAL(5, 2) CHECK (discount_percent > 0 AND discount_percent <= 100),
+
+  prompt_per_million DECIMAL(12, 6) CHECK (prompt_per_million >= 0),
+  completion_per_million DECIMAL(12, 6) CHECK (completion_per_million >= 0),
+  cached_prompt_per_million DECIMAL(12, 6) CHECK (cached_prompt_per_million >= 0),
+  audio_prompt_per_million DECIMAL(12, 6) CHECK (audio_prompt_per_million >= 0),
+  audio_completion_per_million DECIMAL(12, 6) CHECK (audio_completion_per_million >= 0),
+  reasoning_per_million DECIMAL(12, 6) CHECK (reasoning_per_million >= 0),
+
+  effective_from TIMESTAMPTZ NOT NULL,
+  effective_to TIMESTAMPTZ,
+
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CHECK (effective_to IS NULL OR effective_to > effective_from),
+  -- Exactly one mode: discount, or absolute prompt + completion rates
+  CHECK (
+    (discount_percent IS NOT NULL AND prompt_per_million IS NULL AND completion_per_million IS NULL)
+    OR (discount_percent IS NULL AND prompt_per_million IS NOT NULL AND completion_per_million IS NOT NULL)
+  ),
+  -- Absolute rates are per model
+  CHECK (discount_percent IS NOT NULL OR model IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_org_price_overrides_org
+ON org_price_overrides (organization_id, provider, model, effective_from);
+
+-- 2. Store list-price cost next to the charged (negotiated) cost
+ALTER TABLE usage_logs
+ADD COLUMN IF NOT EXISTS list_cost_usd DECIMAL(10, 6),
+ADD COLUMN IF NOT EXISTS price_override_id UUID REFERENCES org_price_overrides(id) ON DELETE SET NULL;
+
+-- 3. Cost recalculations re-price list cost and the negotiated rate as well
+-- (replaces apply_cost_adjustment from migration 015)
+CREATE OR REPLACE FUNCTION apply_cost_adjustment(
+  p_adjustment JSONB,
+  p_usage JSONB
+)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  a usage_cost_adjustments := jsonb_populate_record(NULL::usage_cost_adjustments, p_adjustment);
+  n usage_logs := jsonb_populate_record(NULL::usage_logs, p_usage);
+BEGIN
+  INSERT INTO usage_cost_adjustments (
+    recalculation_id, usage_log_id, organization_id,
+    previous_status, previous_cost_usd, previous_price_id, previous_pricing,
+    new_cost_usd, new_price_id, new_pricing
+  )
+  VALUES (
+    a.recalculation_id, a.usage_log_id, a.organization_id,
+    a.previous_status, a.previous_cost_usd, a.previous_price_id, a.previous_pricing,
+    a.new_cost_usd, a.new_price_id, a.new_pricing
+  );
+
+  UPDATE usage_logs
+  SET cost_usd = n.cost_usd,
+      list_cost_usd = n.list_cost_usd,
+      price_override_id = n.price_override_id,
+      price_prompt_per_million = n.price_prompt_per_million,
+      price_completion_per_million = n.price_completion_per_million,
+      price_cached_prompt_per_million = n.price_cached_prompt_per_million,
+      price_audio_prompt_per_million = n.price_audio_prompt_per_million,
+      price_audio_completion_per_million = n.price_audio_completion_per_million,
+      price_reasoning_per_million = n.price_reasoning_per_million,
+      price_id = n.price_id,
+      status = 'success',
+      adjusted_at = NOW()
+  WHERE id = a.usage_log_id
+    AND organization_id = a.organization_id;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Usage log % not found', a.usage_log_id;
+  END IF;
+END;
+$$;
+
+-- 4. Row Level Security (backend uses service role; members may view their org's rates)
+ALTER TABLE org_price_overrides ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view org price overrides" ON org_price_overrides;
+CREATE POLICY "Users can view org price overrides"
+  ON org_price_overrides FOR SELECT
+  USING (organization_id = get_auth_org_id());
+
+-- 5. Add comments
+COMMENT ON TABLE org_price_overrides IS 'Negotiated rates per organization: percentage discount or absolute per-model rates, with effective dates.';
+COMMENT ON COLUMN usage_logs.list_cost_usd IS 'Cost at list price for the same tokens. list_cost_usd - cost_usd = negotiated savings.';
+COMMENT ON COLUMN usage_logs.price_override_id IS 'Negotiated rate applied to this request (NULL = list price).';
+
+-- ✅ Migration complete
+SELECT 'Negotiated rates migration complete: org_price_overrides and usage_logs.list_cost_usd added' as status;
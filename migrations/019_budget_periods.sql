@@ -0,0 +1,71 @@
+-- Budget Periods Migration: weekly, monthly, quarterly, annual and custom budgets
+-- Run this in Supabase SQL Editor
+-- Budgets were calendar months in UTC. Each budget now has a period type,
+-- an anchor date a period starts on and the timezone its boundaries are in.
+-- The budget amount (monthly_budget) applies per period.
+
+-- 1. Period settings on organizations and projects
+ALTER TABLE organizations
+ADD COLUMN IF NOT EXISTS budget_period VARCHAR(20) NOT NULL DEFAULT 'monthly'
+  CHECK (budget_period IN ('weekly', 'monthly', 'quarterly', 'annual', 'custom')),
+ADD COLUMN IF NOT EXISTS budget_anchor_date DATE DEFAULT NULL,
+ADD COLUMN IF NOT EXISTS budget_period_days INTEGER DEFAULT NULL
+  CHECK (budget_period_days IS NULL OR budget_period_days BETWEEN 1 AND 366),
+ADD COLUMN IF NOT EXISTS budget_timezone VARCHAR(64) NOT NULL DEFAULT 'UTC';
+
+ALTER TABLE projects
+ADD COLUMN IF NOT EXISTS budget_period VARCHAR(20) NOT NULL DEFAULT 'monthly'
+  CHECK (budget_period IN ('weekly', 'monthly', 'quarterly', 'annual', 'custom')),
+ADD COLUMN IF NOT EXISTS budget_anchor_date DATE DEFAULT NULL,
+ADD COLUMN IF NOT EXISTS budget_period_days INTEGER DEFAULT NULL
+  CHECK (budget_period_days IS NULL OR budget_period_days BETWEEN 1 AND 366),
+ADD COLUMN IF NOT EXISTS budget_timezone VARCHAR(64) NOT NULL DEFAULT 'UTC';
+
+-- Custom periods need an anchor and a length
+ALTER TABLE organizations DROP CONSTRAINT IF EXISTS organizations_budget_custom_period_check;
+ALTER TABLE organizations ADD CONSTRAINT organizations_budget_custom_period_check
+  CHECK (budget_period <> 'custom' OR (budget_anchor_date IS NOT NULL AND budget_period_days IS NOT NULL));
+
+ALTER TABLE projects DROP CONSTRAINT IF EXISTS projects_budget_custom_period_check;
+ALTER TABLE projects ADD CONSTRAINT projects_budget_custom_period_check
+  CHECK (budget_period <> 'custom' OR (budget_anchor_date IS NOT NULL AND budget_period_days IS NOT NULL));
+
+-- 2. Alerts are de-duplicated per budget period instead of per month_year
+ALTER TABLE alerts
+ADD COLUMN IF NOT EXISTS period_start TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS period_end TIMESTAMPTZ;
+
+UPDATE alerts
+SET period_start = (month_year || '-01')::DATE::TIMESTAMPTZ,
+    period_end = ((month_year || '-01')::DATE + INTERVAL '1 month')::TIMESTAMPTZ
+WHERE period_start IS NULL AND month_year IS NOT NULL;
+
+ALTER TABLE alerts ALTER COLUMN period_start SET NOT NULL;
+ALTER TABLE alerts ALTER COLUMN month_year DROP NOT NULL;
+
+-- 3. Replace the per-month unique indexes
+DROP INDEX IF EXISTS idx_unique_org_alert_per_month;
+DROP INDEX IF EXISTS idx_unique_project_alert_per_month;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_unique_org_alert_per_period
+ON alerts (organization_id, threshold_percent, period_start)
+WHERE project_id IS NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_unique_project_alert_per_period
+ON alerts (project_id, threshold_percent, period_start)
+WHERE project_id IS NOT NULL;
+
+-- 4. Add comments
+COMMENT ON COLUMN organizations.budget_period IS 'Budget period: weekly, monthly, quarterly, annual or custom (budget_period_days long).';
+COMMENT ON COLUMN organizations.budget_anchor_date IS 'A day a budget period starts on (e.g. 2026-04-01 for an April financial year). NULL = weeks start Monday, months the 1st, quarters/years January 1st.';
+COMMENT ON COLUMN organizations.budget_timezone IS 'IANA timezone budget period boundaries (local midnight) are in.';
+COMMENT ON COLUMN organizations.monthly_budget IS 'Spend limit per budget period (see budget_period), in budget_currency.';
+COMMENT ON COLUMN projects.budget_period IS 'Budget period: weekly, monthly, quarterly, annual or custom (budget_period_days long).';
+COMMENT ON COLUMN projects.budget_anchor_date IS 'A day a budget period starts on. NULL = default alignment (see organizations.budget_anchor_date).';
+COMMENT ON COLUMN projects.budget_timezone IS 'IANA timezone budget period boundaries (local midnight) are in.';
+COMMENT ON COLUMN projects.monthly_budget IS 'Optional spend limit per budget period (see budget_period), in budget_currency.';
+COMMENT ON COLUMN alerts.period_start IS 'Start of the budget period the alert belongs to; one alert per threshold per period.';
+COMMENT ON COLUMN alerts.month_year IS 'Deprecated: superseded by period_start / period_end (migration 019).';
+
+-- ✅ Migration complete
+SELECT 'Budget periods migration complete: period settings added, alerts de-duplicated per period' as status;
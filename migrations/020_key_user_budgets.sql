@@ -0,0 +1,74 @@
+-- Key and User Budgets Migration: spend caps per proxy key and per developer
+-- Run this in Supabase SQL Editor
+-- Keys and users get the same budget settings as organizations and projects
+-- (amount per period, currency, policy, period). A user's spend is the spend
+-- of every proxy key assigned to them.
+
+-- 1. Budgets on proxy keys, and the developer a key is issued to
+ALTER TABLE proxy_keys
+ADD COLUMN IF NOT EXISTS assigned_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS monthly_budget DECIMAL(14, 2) DEFAULT NULL,
+ADD COLUMN IF NOT EXISTS budget_currency VARCHAR(3) NOT NULL DEFAULT 'USD'
+  CHECK (budget_currency ~ '^[A-Z]{3}$'),
+ADD COLUMN IF NOT EXISTS budget_policy VARCHAR(20) NOT NULL DEFAULT 'alert_only'
+  CHECK (budget_policy IN ('alert_only', 'block', 'downgrade')),
+ADD COLUMN IF NOT EXISTS budget_downgrade_model VARCHAR(100) DEFAULT NULL,
+ADD COLUMN IF NOT EXISTS budget_period VARCHAR(20) NOT NULL DEFAULT 'monthly'
+  CHECK (budget_period IN ('weekly', 'monthly', 'quarterly', 'annual', 'custom')),
+ADD COLUMN IF NOT EXISTS budget_anchor_date DATE DEFAULT NULL,
+ADD COLUMN IF NOT EXISTS budget_period_days INTEGER DEFAULT NULL
+  CHECK (budget_period_days IS NULL OR budget_period_days BETWEEN 1 AND 366),
+ADD COLUMN IF NOT EXISTS budget_timezone VARCHAR(64) NOT NULL DEFAULT 'UTC';
+
+CREATE INDEX IF NOT EXISTS idx_proxy_keys_assigned_user_id ON proxy_keys(assigned_user_id);
+
+-- 2. Budgets on users
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS monthly_budget DECIMAL(14, 2) DEFAULT NULL,
+ADD COLUMN IF NOT EXISTS budget_currency VARCHAR(3) NOT NULL DEFAULT 'USD'
+  CHECK (budget_currency ~ '^[A-Z]{3}$'),
+ADD COLUMN IF NOT EXISTS budget_policy VARCHAR(20) NOT NULL DEFAULT 'alert_only'
+  CHECK (budget_policy IN ('alert_only', 'block', 'downgrade')),
+ADD COLUMN IF NOT EXISTS budget_downgrade_model VARCHAR(100) DEFAULT NULL,
+ADD COLUMN IF NOT EXISTS budget_period VARCHAR(20) NOT NULL DEFAULT 'monthly'
+  CHECK (budget_period IN ('weekly', 'monthly', 'quarterly', 'annual', 'custom')),
+ADD COLUMN IF NOT EXISTS budget_anchor_date DATE DEFAULT NULL,
+ADD COLUMN IF NOT EXISTS budget_period_days INTEGER DEFAULT NULL
+  CHECK (budget_period_days IS NULL OR budget_period_days BETWEEN 1 AND 366),
+ADD COLUMN IF NOT EXISTS budget_timezone VARCHAR(64) NOT NULL DEFAULT 'UTC';
+
+-- 3. Alerts for key and user budgets
+ALTER TABLE alerts
+ADD COLUMN IF NOT EXISTS proxy_key_id UUID REFERENCES proxy_keys(id) ON DELETE CASCADE,
+ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES users(id) ON DELETE CASCADE;
+
+-- Key alerts carry their project, so uniqueness is per alert level
+DROP INDEX IF EXISTS idx_unique_org_alert_per_period;
+DROP INDEX IF EXISTS idx_unique_project_alert_per_period;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_unique_org_alert_per_period
+ON alerts (organization_id, threshold_percent, period_start)
+WHERE alert_level = 'organization';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_unique_project_alert_per_period
+ON alerts (project_id, threshold_percent, period_start)
+WHERE alert_level = 'project';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_unique_key_alert_per_period
+ON alerts (proxy_key_id, threshold_percent, period_start)
+WHERE alert_level = 'key';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_unique_user_alert_per_period
+ON alerts (user_id, threshold_percent, period_start)
+WHERE alert_level = 'user';
+
+-- 4. Add comments
+COMMENT ON COLUMN proxy_keys.assigned_user_id IS 'Developer the key is issued to; their user budget covers the key''s spend.';
+COMMENT ON COLUMN proxy_keys.monthly_budget IS 'Optional spend limit per budget period for this key, in budget_currency.';
+COMMENT ON COLUMN users.monthly_budget IS 'Optional spend limit per budget period across the keys assigned to this user, in budget_currency.';
+COMMENT ON COLUMN alerts.alert_level IS 'organization, project, key or user.';
+COMMENT ON COLUMN alerts.proxy_key_id IS 'Proxy key of a key-level alert.';
+COMMENT ON COLUMN alerts.user_id IS 'User of a user-level alert.';
+
+-- ✅ Migration complete
+SELECT 'Key and user budgets migration complete: budget columns on proxy_keys and users, key/user alerts' as status;
@@ -0,0 +1,44 @@
+-- Alert Thresholds Migration: configurable thresholds per budget
+-- Run this in Supabase SQL Editor
+-- Thresholds were fixed at 50/75/90/100%. Each budget now has its own list
+-- (percent of budget, thresholds above 100 allowed for overspend alerts).
+
+-- 1. Threshold lists on every budget
+ALTER TABLE organizations
+ADD COLUMN IF NOT EXISTS alert_thresholds INTEGER[] NOT NULL DEFAULT '{50,75,90,100}';
+
+ALTER TABLE projects
+ADD COLUMN IF NOT EXISTS alert_thresholds INTEGER[] NOT NULL DEFAULT '{50,75,90,100}';
+
+ALTER TABLE proxy_keys
+ADD COLUMN IF NOT EXISTS alert_thresholds INTEGER[] NOT NULL DEFAULT '{50,75,90,100}';
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS alert_thresholds INTEGER[] NOT NULL DEFAULT '{50,75,90,100}';
+
+-- 2. Thresholds are whole percentages between 1 and 1000
+ALTER TABLE organizations DROP CONSTRAINT IF EXISTS organizations_alert_thresholds_check;
+ALTER TABLE organizations ADD CONSTRAINT organizations_alert_thresholds_check
+  CHECK (1 <= ALL (alert_thresholds) AND 1000 >= ALL (alert_thresholds) AND cardinality(alert_thresholds) <= 20);
+
+ALTER TABLE projects DROP CONSTRAINT IF EXISTS projects_alert_thresholds_check;
+ALTER TABLE projects ADD CONSTRAINT projects_alert_thresholds_check
+  CHECK (1 <= ALL (alert_thresholds) AND 1000 >= ALL (alert_thresholds) AND cardinality(alert_thresholds) <= 20);
+
+ALTER TABLE proxy_keys DROP CONSTRAINT IF EXISTS proxy_keys_alert_thresholds_check;
+ALTER TABLE proxy_keys ADD CONSTRAINT proxy_keys_alert_thresholds_check
+  CHECK (1 <= ALL (alert_thresholds) AND 1000 >= ALL (alert_thresholds) AND cardinality(alert_thresholds) <= 20);
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_alert_thresholds_check;
+ALTER TABLE users ADD CONSTRAINT users_alert_thresholds_check
+  CHECK (1 <= ALL (alert_thresholds) AND 1000 >= ALL (alert_thresholds) AND cardinality(alert_thresholds) <= 20);
+
+-- 3. Add comments
+COMMENT ON COLUMN organizations.alert_thresholds IS 'Percent-of-budget levels that record an alert (once per period each); may exceed 100.';
+COMMENT ON COLUMN projects.alert_thresholds IS 'Percent-of-budget levels that record an alert (once per period each); may exceed 100.';
+COMMENT ON COLUMN proxy_keys.alert_thresholds IS 'Percent-of-budget levels that record an alert (once per period each); may exceed 100.';
+COMMENT ON COLUMN users.alert_thresholds IS 'Percent-of-budget levels that record an alert (once per period each); may exceed 100.';
+COMMENT ON COLUMN alerts.threshold_percent IS 'Threshold crossed (percent of budget_amount, may exceed 100).';
+
+-- ✅ Migration complete
+SELECT 'Alert thresholds migration complete: per-budget threshold lists added' as status;
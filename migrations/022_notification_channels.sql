@@ -0,0 +1,67 @@
+-- Notification Channels Migration: deliver alerts by email, Slack/Teams and webhooks
+-- Run this in Supabase SQL Editor
+-- Alerts were only stored in the alerts table. Each organization can now
+-- configure channels every new alert is sent to; each send is tracked as a
+-- delivery with its status and retry schedule.
+
+-- 1. Channels configured per organization
+-- config holds the non-secret settings: email { recipients: [...] },
+-- webhook { url }. secret holds the encrypted Slack/Teams webhook URL or the
+-- generic webhook signing secret.
+CREATE TABLE IF NOT EXISTS notification_channels (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  type VARCHAR(20) NOT NULL CHECK (type IN ('email', 'slack', 'teams', 'webhook')),
+  name VARCHAR(100) NOT NULL,
+  config JSONB NOT NULL DEFAULT '{}',
+  secret TEXT,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_channels_org
+ON notification_channels (organization_id);
+
+-- 2. One delivery per alert (or test) per channel
+CREATE TABLE IF NOT EXISTS notification_deliveries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  channel_id UUID NOT NULL REFERENCES notification_channels(id) ON DELETE CASCADE,
+  alert_id UUID REFERENCES alerts(id) ON DELETE CASCADE,
+  is_test BOOLEAN NOT NULL DEFAULT false,
+  payload JSONB NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  response_status INTEGER,
+  next_attempt_at TIMESTAMPTZ,
+  sent_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CHECK (is_test OR alert_id IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_org
+ON notification_deliveries (organization_id, created_at DESC);
+
+-- Retry worker picks up pending deliveries that are due
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_due
+ON notification_deliveries (next_attempt_at)
+WHERE status = 'pending';
+
+-- 3. Row Level Security (backend uses service role; channels hold secrets, so no member policies)
+ALTER TABLE notification_channels ENABLE ROW LEVEL SECURITY;
+ALTER TABLE notification_deliveries ENABLE ROW LEVEL SECURITY;
+
+-- 4. Add comments
+COMMENT ON TABLE notification_channels IS 'Where an organization''s alerts are sent: SMTP email, Slack or Teams incoming webhooks, signed generic webhooks.';
+COMMENT ON COLUMN notification_channels.secret IS 'Encrypted Slack/Teams webhook URL, or the HMAC-SHA256 signing secret of a generic webhook.';
+COMMENT ON TABLE notification_deliveries IS 'Send attempts of an alert (or test message) to a channel, retried with exponential backoff.';
+COMMENT ON COLUMN notification_deliveries.payload IS 'Message sent, kept so retries send exactly the same content.';
+COMMENT ON COLUMN notification_deliveries.next_attempt_at IS 'When a pending delivery is retried next.';
+
+-- ✅ Migration complete
+SELECT 'Notification channels migration complete: notification_channels and notification_deliveries added' as status;
@@ -0,0 +1,42 @@
+-- Forecast Alerts Migration: "projected to exceed budget" alerts
+-- Run this in Supabase SQL Editor
+-- Besides threshold alerts (spend crossed a percentage of the budget), an
+-- organization or project budget now records a forecast alert once per
+-- period when its end-of-period spend is projected to exceed the budget.
+
+-- 1. Alert type and the projection behind a forecast alert
+ALTER TABLE alerts
+ADD COLUMN IF NOT EXISTS alert_type VARCHAR(20) NOT NULL DEFAULT 'threshold'
+  CHECK (alert_type IN ('threshold', 'forecast')),
+ADD COLUMN IF NOT EXISTS projected_spend DECIMAL(14, 2),
+ADD COLUMN IF NOT EXISTS projected_exceed_date DATE;
+
+-- 2. Threshold and forecast alerts are de-duplicated separately
+DROP INDEX IF EXISTS idx_unique_org_alert_per_period;
+DROP INDEX IF EXISTS idx_unique_project_alert_per_period;
+DROP INDEX IF EXISTS idx_unique_key_alert_per_period;
+DROP INDEX IF EXISTS idx_unique_user_alert_per_period;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_unique_org_alert_per_period
+ON alerts (organization_id, alert_type, threshold_percent, period_start)
+WHERE alert_level = 'organization';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_unique_project_alert_per_period
+ON alerts (project_id, alert_type, threshold_percent, period_start)
+WHERE alert_level = 'project';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_unique_key_alert_per_period
+ON alerts (proxy_key_id, alert_type, threshold_percent, period_start)
+WHERE alert_level = 'key';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_unique_user_alert_per_period
+ON alerts (user_id, alert_type, threshold_percent, period_start)
+WHERE alert_level = 'user';
+
+-- 3. Add comments
+COMMENT ON COLUMN alerts.alert_type IS 'threshold: spend crossed threshold_percent of the budget. forecast: end-of-period spend projected to exceed it.';
+COMMENT ON COLUMN alerts.projected_spend IS 'Projected end-of-period spend of a forecast alert, in currency.';
+COMMENT ON COLUMN alerts.projected_exceed_date IS 'Local day the projection reaches the budget (forecast alerts).';
+
+-- ✅ Migration complete
+SELECT 'Forecast alerts migration complete: alerts.alert_type and projection columns added' as status;
@@ -0,0 +1,58 @@
+-- Anomaly Detection Migration: spend / request / token spikes per key and project
+-- Run this in Supabase SQL Editor
+-- The last hour of usage of every proxy key and project is compared with its
+-- hourly baseline. Spikes record an anomaly alert and, when the organization
+-- opts in, suspend the offending key until an admin reactivates it.
+
+-- 1. Detection settings per organization
+ALTER TABLE organizations
+ADD COLUMN IF NOT EXISTS anomaly_detection_enabled BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN IF NOT EXISTS anomaly_sensitivity DECIMAL(4, 1) NOT NULL DEFAULT 4
+  CHECK (anomaly_sensitivity BETWEEN 2 AND 10),
+ADD COLUMN IF NOT EXISTS anomaly_auto_suspend BOOLEAN NOT NULL DEFAULT false;
+
+-- 2. Suspended keys (inactive but not revoked; can be reactivated)
+ALTER TABLE proxy_keys
+ADD COLUMN IF NOT EXISTS suspended_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS suspended_reason TEXT;
+
+-- 3. Anomaly alerts
+ALTER TABLE alerts DROP CONSTRAINT IF EXISTS alerts_alert_type_check;
+ALTER TABLE alerts ADD CONSTRAINT alerts_alert_type_check
+  CHECK (alert_type IN ('threshold', 'forecast', 'anomaly'));
+
+-- Anomalies have no budget
+ALTER TABLE alerts ALTER COLUMN threshold_percent DROP NOT NULL;
+ALTER TABLE alerts ALTER COLUMN budget_amount DROP NOT NULL;
+ALTER TABLE alerts ALTER COLUMN actual_spend DROP NOT NULL;
+
+ALTER TABLE alerts
+ADD COLUMN IF NOT EXISTS anomaly_metric VARCHAR(20)
+  CHECK (anomaly_metric IN ('spend', 'requests', 'tokens')),
+ADD COLUMN IF NOT EXISTS observed_value DECIMAL(18, 6),
+ADD COLUMN IF NOT EXISTS baseline_value DECIMAL(18, 6),
+ADD COLUMN IF NOT EXISTS expected_max DECIMAL(18, 6),
+ADD COLUMN IF NOT EXISTS key_suspended BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TABLE alerts DROP CONSTRAINT IF EXISTS alerts_anomaly_fields_check;
+ALTER TABLE alerts ADD CONSTRAINT alerts_anomaly_fields_check
+  CHECK (alert_type <> 'anomaly' OR (anomaly_metric IS NOT NULL AND observed_value IS NOT NULL));
+
+-- Cooldown lookups: latest anomaly of a scope and metric
+CREATE INDEX IF NOT EXISTS idx_alerts_anomaly_scope
+ON alerts (organization_id, alert_level, anomaly_metric, created_at DESC)
+WHERE alert_type = 'anomaly';
+
+-- 4. Add comments
+COMMENT ON COLUMN organizations.anomaly_detection_enabled IS 'Compare hourly spend, requests and tokens per key and project with their baseline.';
+COMMENT ON COLUMN organizations.anomaly_sensitivity IS 'Standard deviations above the hourly baseline mean that count as an anomaly.';
+COMMENT ON COLUMN organizations.anomaly_auto_suspend IS 'Suspend a proxy key when an anomaly is detected on it.';
+COMMENT ON COLUMN proxy_keys.suspended_at IS 'When the key was suspended (is_active = false, not revoked). Reactivation clears it.';
+COMMENT ON COLUMN alerts.anomaly_metric IS 'Anomaly alerts: spend (USD), requests or tokens in the last hour.';
+COMMENT ON COLUMN alerts.observed_value IS 'Anomaly alerts: metric value over the last hour (period_start to period_end).';
+COMMENT ON COLUMN alerts.baseline_value IS 'Anomaly alerts: mean hourly value over the baseline window.';
+COMMENT ON COLUMN alerts.expected_max IS 'Anomaly alerts: highest value that would not have been an anomaly.';
+COMMENT ON COLUMN alerts.key_suspended IS 'Anomaly alerts: the proxy key was suspended automatically.';
+
+-- ✅ Migration complete
+SELECT 'Anomaly detection migration complete: org settings, key suspension and anomaly alerts added' as status;
@@ -0,0 +1,104 @@
+-- Analytics Aggregation Migration: group usage_logs in the database
+-- Run this in Supabase SQL Editor
+-- The spend summary, per-project, per-model and daily analytics used to fetch
+-- every matching usage row into the API server. These functions return one
+-- row per UTC day (and project or model) instead; the API converts each day
+-- at its FX rate, so results are unchanged.
+
+-- 1. Organization + time range lookups
+CREATE INDEX IF NOT EXISTS idx_usage_logs_org_created
+ON usage_logs (organization_id, created_at);
+
+-- 2. Spend per UTC day
+-- p_statuses = NULL counts every row (failed rows have no cost)
+CREATE OR REPLACE FUNCTION analytics_spend_by_day(
+  p_organization_id UUID,
+  p_since TIMESTAMPTZ,
+  p_statuses TEXT[] DEFAULT NULL
+)
+RETURNS TABLE (
+  day DATE,
+  request_count BIGINT,
+  cost_usd NUMERIC,
+  savings_usd NUMERIC,
+  negotiated_savings_usd NUMERIC
+)
+LANGUAGE sql STABLE
+AS $$
+  SELECT
+    (created_at AT TIME ZONE 'UTC')::date AS day,
+    SUM(request_count)::bigint AS request_count,
+    COALESCE(SUM(cost_usd), 0) AS cost_usd,
+    COALESCE(SUM(savings_usd), 0) AS savings_usd,
+    -- List price minus charged cost (rows without a list cost saved nothing)
+    COALESCE(SUM(GREATEST(list_cost_usd - COALESCE(cost_usd, 0), 0)), 0) AS negotiated_savings_usd
+  FROM usage_logs
+  WHERE organization_id = p_organization_id
+    AND created_at >= p_since
+    AND (p_statuses IS NULL OR status = ANY (p_statuses))
+  GROUP BY 1
+  ORDER BY 1;
+$$;
+
+-- 3. Spend per project and UTC day (whole history)
+CREATE OR REPLACE FUNCTION analytics_project_spend_by_day(
+  p_organization_id UUID,
+  p_statuses TEXT[] DEFAULT NULL
+)
+RETURNS TABLE (
+  project_id UUID,
+  project_name TEXT,
+  day DATE,
+  request_count BIGINT,
+  cost_usd NUMERIC
+)
+LANGUAGE sql STABLE
+AS $$
+  SELECT
+    u.project_id,
+    p.name::text AS project_name,
+    (u.created_at AT TIME ZONE 'UTC')::date AS day,
+    SUM(u.request_count)::bigint AS request_count,
+    COALESCE(SUM(u.cost_usd), 0) AS cost_usd
+  FROM usage_logs u
+  LEFT JOIN projects p ON p.id = u.project_id
+  WHERE u.organization_id = p_organization_id
+    AND (p_statuses IS NULL OR u.status = ANY (p_statuses))
+  GROUP BY 1, 2, 3
+  ORDER BY 1, 3;
+$$;
+
+-- 4. Spend per model, provider and UTC day (whole history)
+CREATE OR REPLACE FUNCTION analytics_model_spend_by_day(
+  p_organization_id UUID,
+  p_statuses TEXT[] DEFAULT NULL
+)
+RETURNS TABLE (
+  model TEXT,
+  provider TEXT,
+  day DATE,
+  request_count BIGINT,
+  cost_usd NUMERIC
+)
+LANGUAGE sql STABLE
+AS $$
+  SELECT
+    model::text,
+    COALESCE(provider, 'openai')::text AS provider,
+    (created_at AT TIME ZONE 'UTC')::date AS day,
+    SUM(request_count)::bigint AS request_count,
+    COALESCE(SUM(cost_usd), 0) AS cost_usd
+  FROM usage_logs
+  WHERE organization_id = p_organization_id
+    AND (p_statuses IS NULL OR status = ANY (p_statuses))
+  GROUP BY 1, 2, 3
+  ORDER BY 1, 2, 3;
+$$;
+
+-- 5. Add comments
+COMMENT ON FUNCTION analytics_spend_by_day(UUID, TIMESTAMPTZ, TEXT[]) IS 'Usage of an organization since p_since, per UTC day (USD).';
+COMMENT ON FUNCTION analytics_project_spend_by_day(UUID, TEXT[]) IS 'Usage of an organization per project and UTC day (USD).';
+COMMENT ON FUNCTION analytics_model_spend_by_day(UUID, TEXT[]) IS 'Usage of an organization per model, provider and UTC day (USD).';
+
+-- ✅ Migration complete
+SELECT 'Analytics aggregation migration complete: per-day aggregation functions added' as status;
@@ -0,0 +1,316 @@
+-- Usage Rollups Migration: hourly usage totals maintained on every write
+-- Run this in Supabase SQL Editor
+-- usage_rollups holds one row per organization, project, proxy key, model,
+-- provider and UTC hour. A trigger on usage_logs applies every insert,
+-- update (cost recalculations, late corrections) and delete to it, so budget
+-- checks and analytics read a few hundred rollup rows instead of scanning the
+-- period's usage. rebuild_usage_rollups() recomputes a range from usage_logs.
+
+-- 1. Hourly rollup
+-- No foreign keys: rows of deleted projects and keys are removed by the
+-- trigger as their usage is deleted.
+CREATE TABLE IF NOT EXISTS usage_rollups (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID NOT NULL,
+  project_id UUID NOT NULL,
+  proxy_key_id UUID NOT NULL,
+  model VARCHAR(100) NOT NULL,
+  provider VARCHAR(50) NOT NULL,
+  hour_start TIMESTAMPTZ NOT NULL,
+
+  request_count BIGINT NOT NULL DEFAULT 0,
+  billable_count BIGINT NOT NULL DEFAULT 0,
+  tokens_prompt BIGINT NOT NULL DEFAULT 0,
+  tokens_completion BIGINT NOT NULL DEFAULT 0,
+  cost_usd DECIMAL(18, 6) NOT NULL DEFAULT 0,
+  savings_usd DECIMAL(18, 6) NOT NULL DEFAULT 0,
+  negotiated_savings_usd DECIMAL(18, 6) NOT NULL DEFAULT 0,
+
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE (organization_id, project_id, proxy_key_id, model, provider, hour_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_usage_rollups_org_hour
+ON usage_rollups (organization_id, hour_start);
+
+CREATE INDEX IF NOT EXISTS idx_usage_rollups_project_hour
+ON usage_rollups (project_id, hour_start);
+
+CREATE INDEX IF NOT EXISTS idx_usage_rollups_key_hour
+ON usage_rollups (proxy_key_id, hour_start);
+
+-- Read through the API server only (service role)
+ALTER TABLE usage_rollups ENABLE ROW LEVEL SECURITY;
+
+-- 2. Incremental maintenance
+-- Adds (sign = 1) or removes (sign = -1) one usage row from its hour
+CREATE OR REPLACE FUNCTION apply_usage_rollup(r usage_logs, sign INTEGER)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_hour TIMESTAMPTZ := date_trunc('hour', r.created_at, 'UTC');
+  v_provider VARCHAR(50) := COALESCE(r.provider, 'openai');
+BEGIN
+  INSERT INTO usage_rollups (
+    organization_id, project_id, proxy_key_id, model, provider, hour_start,
+    request_count, billable_count, tokens_prompt, tokens_completion,
+    cost_usd, savings_usd, negotiated_savings_usd
+  )
+  VALUES (
+    r.organization_id, r.project_id, r.proxy_key_id, r.model, v_provider, v_hour,
+    sign * r.request_count,
+    sign * (CASE WHEN COALESCE(r.status, 'success') IN ('success', 'cache_hit', 'unpriced') THEN r.request_count ELSE 0 END),
+    sign * COALESCE(r.tokens_prompt, 0),
+    sign * COALESCE(r.tokens_completion, 0),
+    sign * COALESCE(r.cost_usd, 0),
+    sign * COALESCE(r.savings_usd, 0),
+    sign * GREATEST(COALESCE(r.list_cost_usd - COALESCE(r.cost_usd, 0), 0), 0)
+  )
+  ON CONFLICT (organization_id, project_id, proxy_key_id, model, provider, hour_start)
+  DO UPDATE SET
+    request_count = usage_rollups.request_count + EXCLUDED.request_count,
+    billable_count = usage_rollups.billable_count + EXCLUDED.billable_count,
+    tokens_prompt = usage_rollups.tokens_prompt + EXCLUDED.tokens_prompt,
+    tokens_completion = usage_rollups.tokens_completion + EXCLUDED.tokens_completion,
+    cost_usd = usage_rollups.cost_usd + EXCLUDED.cost_usd,
+    savings_usd = usage_rollups.savings_usd + EXCLUDED.savings_usd,
+    negotiated_savings_usd = usage_rollups.negotiated_savings_usd + EXCLUDED.negotiated_savings_usd,
+    updated_at = NOW();
+
+  -- Drop hours left without usage (deleted rows, rows moved to another hour)
+  IF sign < 0 THEN
+    DELETE FROM usage_rollups
+    WHERE organization_id = r.organization_id
+      AND project_id = r.project_id
+      AND proxy_key_id = r.proxy_key_id
+      AND model = r.model
+      AND provider = v_provider
+      AND hour_start = v_hour
+      AND request_count <= 0;
+  END IF;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION maintain_usage_rollups()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF TG_OP IN ('UPDATE', 'DELETE') THEN
+    PERFORM apply_usage_rollup(OLD, -1);
+  END IF;
+  IF TG_OP IN ('INSERT', 'UPDATE') THEN
+    PERFORM apply_usage_rollup(NEW, 1);
+  END IF;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS usage_logs_rollup ON usage_logs;
+CREATE TRIGGER usage_logs_rollup
+  AFTER INSERT OR DELETE OR UPDATE OF
+    organization_id, project_id, proxy_key_id, model, provider, status, request_count,
+    tokens_prompt, tokens_completion, cost_usd, savings_usd, list_cost_usd, created_at
+  ON usage_logs
+  FOR EACH ROW
+  EXECUTE FUNCTION maintain_usage_rollups();
+
+-- 3. Backfill / repair: recompute the hours in [p_from, p_to) from usage_logs
+-- (NULL = no bound; p_organization_id NULL = every organization).
+-- Usage logging waits for the rebuild to finish, so keep ranges small on a
+-- busy database.
+CREATE OR REPLACE FUNCTION rebuild_usage_rollups(
+  p_organization_id UUID DEFAULT NULL,
+  p_from TIMESTAMPTZ DEFAULT NULL,
+  p_to TIMESTAMPTZ DEFAULT NULL
+)
+RETURNS BIGINT
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_from TIMESTAMPTZ := date_trunc('hour', p_from, 'UTC');
+  v_to TIMESTAMPTZ := date_trunc('hour', p_to, 'UTC');
+  v_rows BIGINT;
+BEGIN
+  -- Hold back trigger updates so none are lost or counted twice
+  LOCK TABLE usage_rollups IN SHARE ROW EXCLUSIVE MODE;
+
+  DELETE FROM usage_rollups
+  WHERE (p_organization_id IS NULL OR organization_id = p_organization_id)
+    AND (v_from IS NULL OR hour_start >= v_from)
+    AND (v_to IS NULL OR hour_start < v_to);
+
+  INSERT INTO usage_rollups (
+    organization_id, project_id, proxy_key_id, model, provider, hour_start,
+    request_count, billable_count, tokens_prompt, tokens_completion,
+    cost_usd, savings_usd, negotiated_savings_usd
+  )
+  SELECT
+    organization_id, project_id, proxy_key_id, model, COALESCE(provider, 'openai'),
+    date_trunc('hour', created_at, 'UTC'),
+    SUM(request_count),
+    COALESCE(SUM(request_count) FILTER (WHERE COALESCE(status, 'success') IN ('success', 'cache_hit', 'unpriced')), 0),
+    COALESCE(SUM(tokens_prompt), 0),
+    COALESCE(SUM(tokens_completion), 0),
+    COALESCE(SUM(cost_usd), 0),
+    COALESCE(SUM(savings_usd), 0),
+    COALESCE(SUM(GREATEST(list_cost_usd - COALESCE(cost_usd, 0), 0)), 0)
+  FROM usage_logs
+  WHERE (p_organization_id IS NULL OR organization_id = p_organization_id)
+    AND (v_from IS NULL OR created_at >= v_from)
+    AND (v_to IS NULL OR created_at < v_to)
+  GROUP BY 1, 2, 3, 4, 5, 6;
+
+  GET DIAGNOSTICS v_rows = ROW_COUNT;
+  RETURN v_rows;
+END;
+$$;
+
+-- 4. Usage per UTC day in [p_from, p_to): whole hours from the rollup, the
+-- partial first and last hour from usage_logs (p_to NULL = up to now)
+CREATE OR REPLACE FUNCTION usage_rollup_by_day(
+  p_organization_id UUID,
+  p_from TIMESTAMPTZ,
+  p_to TIMESTAMPTZ DEFAULT NULL,
+  p_project_id UUID DEFAULT NULL,
+  p_proxy_key_ids UUID[] DEFAULT NULL
+)
+RETURNS TABLE (
+  day DATE,
+  request_count BIGINT,
+  billable_count BIGINT,
+  cost_usd NUMERIC,
+  savings_usd NUMERIC,
+  negotiated_savings_usd NUMERIC
+)
+LANGUAGE sql STABLE
+AS $$
+  WITH bounds AS (
+    SELECT
+      -- First whole hour at or after p_from, start of the hour containing p_to
+      date_trunc('hour', p_from + INTERVAL '1 hour' - INTERVAL '1 microsecond', 'UTC') AS first_hour,
+      date_trunc('hour', p_to, 'UTC') AS last_hour
+  ),
+  usage AS (
+    SELECT r.hour_start AS at, r.request_count, r.billable_count, r.cost_usd, r.savings_usd, r.negotiated_savings_usd
+    FROM usage_rollups r, bounds b
+    WHERE r.organization_id = p_organization_id
+      AND r.hour_start >= b.first_hour
+      AND (b.last_hour IS NULL OR r.hour_start < b.last_hour)
+      AND (p_project_id IS NULL OR r.project_id = p_project_id)
+      AND (p_proxy_key_ids IS NULL OR r.proxy_key_id = ANY (p_proxy_key_ids))
+
+    UNION ALL
+
+    -- Head: [p_from, first whole hour), or all of [p_from, p_to) within one hour
+    SELECT u.created_at, u.request_count,
+      CASE WHEN COALESCE(u.status, 'success') IN ('success', 'cache_hit', 'unpriced') THEN u.request_count ELSE 0 END,
+      COALESCE(u.cost_usd, 0), COALESCE(u.savings_usd, 0),
+      GREATEST(COALESCE(u.list_cost_usd - COALESCE(u.cost_usd, 0), 0), 0)
+    FROM usage_logs u, bounds b
+    WHERE u.organization_id = p_organization_id
+      AND u.created_at >= p_from
+      AND u.created_at < LEAST(b.first_hour, COALESCE(p_to, b.first_hour))
+      AND (p_project_id IS NULL OR u.project_id = p_project_id)
+      AND (p_proxy_key_ids IS NULL OR u.proxy_key_id = ANY (p_proxy_key_ids))
+
+    UNION ALL
+
+    -- Tail: [start of p_to's hour, p_to)
+    SELECT u.created_at, u.request_count,
+      CASE WHEN COALESCE(u.status, 'success') IN ('success', 'cache_hit', 'unpriced') THEN u.request_count ELSE 0 END,
+      COALESCE(u.cost_usd, 0), COALESCE(u.savings_usd, 0),
+      GREATEST(COALESCE(u.list_cost_usd - COALESCE(u.cost_usd, 0), 0), 0)
+    FROM usage_logs u, bounds b
+    WHERE u.organization_id = p_organization_id
+      AND b.last_hour >= b.first_hour
+      AND u.created_at >= b.last_hour
+      AND u.created_at < p_to
+      AND (p_project_id IS NULL OR u.project_id = p_project_id)
+      AND (p_proxy_key_ids IS NULL OR u.proxy_key_id = ANY (p_proxy_key_ids))
+  )
+  SELECT
+    (at AT TIME ZONE 'UTC')::date AS day,
+    SUM(request_count)::bigint,
+    SUM(billable_count)::bigint,
+    SUM(cost_usd),
+    SUM(savings_usd),
+    SUM(negotiated_savings_usd)
+  FROM usage
+  GROUP BY 1
+  ORDER BY 1;
+$$;
+
+-- 5. Analytics read the rollup (replaces the migration 025 functions)
+DROP FUNCTION IF EXISTS analytics_spend_by_day(UUID, TIMESTAMPTZ, TEXT[]);
+DROP FUNCTION IF EXISTS analytics_project_spend_by_day(UUID, TEXT[]);
+DROP FUNCTION IF EXISTS analytics_model_spend_by_day(UUID, TEXT[]);
+
+CREATE OR REPLACE FUNCTION analytics_project_spend_by_day(
+  p_organization_id UUID,
+  p_billable_only BOOLEAN DEFAULT false
+)
+RETURNS TABLE (
+  project_id UUID,
+  project_name TEXT,
+  day DATE,
+  request_count BIGINT,
+  cost_usd NUMERIC
+)
+LANGUAGE sql STABLE
+AS $$
+  SELECT
+    r.project_id,
+    p.name::text AS project_name,
+    (r.hour_start AT TIME ZONE 'UTC')::date AS day,
+    SUM(CASE WHEN p_billable_only THEN r.billable_count ELSE r.request_count END)::bigint AS request_count,
+    SUM(r.cost_usd) AS cost_usd
+  FROM usage_rollups r
+  LEFT JOIN projects p ON p.id = r.project_id
+  WHERE r.organization_id = p_organization_id
+  GROUP BY 1, 2, 3
+  HAVING NOT p_billable_only OR SUM(r.billable_count) > 0
+  ORDER BY 1, 3;
+$$;
+
+CREATE OR REPLACE FUNCTION analytics_model_spend_by_day(
+  p_organization_id UUID,
+  p_billable_only BOOLEAN DEFAULT false
+)
+RETURNS TABLE (
+  model TEXT,
+  provider TEXT,
+  day DATE,
+  request_count BIGINT,
+  cost_usd NUMERIC
+)
+LANGUAGE sql STABLE
+AS $$
+  SELECT
+    model::text,
+    provider::text,
+    (hour_start AT TIME ZONE 'UTC')::date AS day,
+    SUM(CASE WHEN p_billable_only THEN billable_count ELSE request_count END)::bigint AS request_count,
+    SUM(cost_usd) AS cost_usd
+  FROM usage_rollups
+  WHERE organization_id = p_organization_id
+  GROUP BY 1, 2, 3
+  HAVING NOT p_billable_only OR SUM(billable_count) > 0
+  ORDER BY 1, 2, 3;
+$$;
+
+-- 6. Backfill existing usage
+SELECT rebuild_usage_rollups();
+
+-- 7. Add comments
+COMMENT ON TABLE usage_rollups IS 'Hourly usage per organization, project, proxy key, model and provider. Maintained by the usage_logs_rollup trigger.';
+COMMENT ON COLUMN usage_rollups.hour_start IS 'UTC hour the usage was logged in.';
+COMMENT ON COLUMN usage_rollups.billable_count IS 'Requests with a billable status (success, cache_hit, unpriced).';
+COMMENT ON COLUMN usage_rollups.negotiated_savings_usd IS 'List price cost minus the charged cost (negotiated rates).';
+COMMENT ON FUNCTION rebuild_usage_rollups(UUID, TIMESTAMPTZ, TIMESTAMPTZ) IS 'Recompute the rollup hours in [p_from, p_to) from usage_logs. Returns the rollup rows written.';
+COMMENT ON FUNCTION usage_rollup_by_day(UUID, TIMESTAMPTZ, TIMESTAMPTZ, UUID, UUID[]) IS 'Usage per UTC day in [p_from, p_to), optionally for a project or proxy keys (USD).';
+
+-- ✅ Migration complete
+SELECT 'Usage rollups migration complete: usage_rollups table, trigger and backfill added' as status;
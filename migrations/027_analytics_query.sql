@@ -0,0 +1,113 @@
+-- Analytics Query Migration: request tags and a generic grouped time series
+-- Run this in Supabase SQL Editor
+-- Clients can tag proxied requests (x-spendai-tags header). analytics_query
+-- returns usage per hour or UTC day, grouped by any of project, model, proxy
+-- key, provider, user (the key's assigned user) and tag, with filters on the
+-- same dimensions. It backs GET /api/analytics/query.
+
+-- 1. Request tags on usage_logs
+ALTER TABLE usage_logs
+ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_usage_logs_tags
+ON usage_logs USING GIN (tags);
+
+-- 2. Grouped usage per hour or UTC day in [p_from, p_to)
+-- p_from and p_to must be whole UTC hours. Without tags the hourly rollup is
+-- read; grouping or filtering by tag reads usage_logs (the rollup has no tags).
+-- A request with several tags counts once per tag when grouped by tag.
+-- Dimensions that are not grouped come back NULL.
+CREATE OR REPLACE FUNCTION analytics_query(
+  p_organization_id UUID,
+  p_from TIMESTAMPTZ,
+  p_to TIMESTAMPTZ,
+  p_hourly BOOLEAN DEFAULT false,
+  p_group_by TEXT[] DEFAULT '{}',
+  p_project_ids UUID[] DEFAULT NULL,
+  p_models TEXT[] DEFAULT NULL,
+  p_proxy_key_ids UUID[] DEFAULT NULL,
+  p_providers TEXT[] DEFAULT NULL,
+  p_user_ids UUID[] DEFAULT NULL,
+  p_tags TEXT[] DEFAULT NULL
+)
+RETURNS TABLE (
+  bucket TIMESTAMPTZ,
+  project_id UUID,
+  model TEXT,
+  proxy_key_id UUID,
+  provider TEXT,
+  user_id UUID,
+  tag TEXT,
+  request_count BIGINT,
+  billable_count BIGINT,
+  tokens_prompt BIGINT,
+  tokens_completion BIGINT,
+  cost_usd NUMERIC,
+  savings_usd NUMERIC
+)
+LANGUAGE sql STABLE
+AS $$
+  WITH usage AS (
+    SELECT r.hour_start AS at, r.project_id, r.model::text AS model, r.proxy_key_id,
+      r.provider::text AS provider, NULL::text AS tag,
+      r.request_count, r.billable_count, r.tokens_prompt, r.tokens_completion, r.cost_usd, r.savings_usd
+    FROM usage_rollups r
+    WHERE p_tags IS NULL
+      AND NOT ('tag' = ANY (p_group_by))
+      AND r.organization_id = p_organization_id
+      AND r.hour_start >= p_from
+      AND r.hour_start < p_to
+
+    UNION ALL
+
+    SELECT u.created_at, u.project_id, u.model::text, u.proxy_key_id,
+      COALESCE(u.provider, 'openai')::text, t.tag,
+      u.request_count,
+      CASE WHEN COALESCE(u.status, 'success') IN ('success', 'cache_hit', 'unpriced') THEN u.request_count ELSE 0 END,
+      COALESCE(u.tokens_prompt, 0), COALESCE(u.tokens_completion, 0),
+      COALESCE(u.cost_usd, 0), COALESCE(u.savings_usd, 0)
+    FROM usage_logs u
+    -- One row per tag (NULL for untagged) only when grouping by tag
+    LEFT JOIN LATERAL (
+      SELECT x.tag
+      FROM unnest(u.tags) AS x(tag)
+      WHERE 'tag' = ANY (p_group_by)
+        AND (p_tags IS NULL OR x.tag = ANY (p_tags))
+    ) t ON true
+    WHERE (p_tags IS NOT NULL OR 'tag' = ANY (p_group_by))
+      AND u.organization_id = p_organization_id
+      AND u.created_at >= p_from
+      AND u.created_at < p_to
+      AND (p_tags IS NULL OR u.tags && p_tags)
+  )
+  SELECT
+    date_trunc(CASE WHEN p_hourly THEN 'hour' ELSE 'day' END, s.at, 'UTC') AS bucket,
+    CASE WHEN 'project' = ANY (p_group_by) THEN s.project_id END,
+    CASE WHEN 'model' = ANY (p_group_by) THEN s.model END,
+    CASE WHEN 'key' = ANY (p_group_by) THEN s.proxy_key_id END,
+    CASE WHEN 'provider' = ANY (p_group_by) THEN s.provider END,
+    CASE WHEN 'user' = ANY (p_group_by) THEN k.assigned_user_id END,
+    CASE WHEN 'tag' = ANY (p_group_by) THEN s.tag END,
+    SUM(s.request_count)::bigint,
+    SUM(s.billable_count)::bigint,
+    SUM(s.tokens_prompt)::bigint,
+    SUM(s.tokens_completion)::bigint,
+    SUM(s.cost_usd),
+    SUM(s.savings_usd)
+  FROM usage s
+  LEFT JOIN proxy_keys k ON k.id = s.proxy_key_id
+  WHERE (p_project_ids IS NULL OR s.project_id = ANY (p_project_ids))
+    AND (p_models IS NULL OR s.model = ANY (p_models))
+    AND (p_proxy_key_ids IS NULL OR s.proxy_key_id = ANY (p_proxy_key_ids))
+    AND (p_providers IS NULL OR s.provider = ANY (p_providers))
+    AND (p_user_ids IS NULL OR k.assigned_user_id = ANY (p_user_ids))
+  GROUP BY 1, 2, 3, 4, 5, 6, 7
+  ORDER BY 1, 2, 3, 4, 5, 6, 7;
+$$;
+
+-- 3. Add comments
+COMMENT ON COLUMN usage_logs.tags IS 'Request tags from the x-spendai-tags header (lowercase).';
+COMMENT ON FUNCTION analytics_query(UUID, TIMESTAMPTZ, TIMESTAMPTZ, BOOLEAN, TEXT[], UUID[], TEXT[], UUID[], TEXT[], UUID[], TEXT[]) IS 'Usage per hour or UTC day in [p_from, p_to), grouped by project, model, key, provider, user and/or tag, with filters (USD).';
+
+-- ✅ Migration complete
+SELECT 'Analytics query migration complete: usage_logs.tags and analytics_query added' as status;